@@ -14,7 +14,9 @@ module historical_volatility_calculator {
     const LN_SERIES_TERMS: u256 = 18;
 
     // Error codes
+    /// At least two price observations are needed to calculate volatility.
     const E_TOO_FEW_PRICES: u64 = 1;
+    /// A price observation is zero.
     const E_ZERO_PRICE: u64 = 2;
 
     // Signed fixed-point number: value = (neg ? -mag : mag), 18 decimals
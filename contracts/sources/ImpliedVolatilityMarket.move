@@ -11,6 +11,7 @@ module implied_volatility_market {
     use std::table::{Self, Table};
     use std::vector::{Self};
     use aptos_framework::timestamp;
+    use aptos_framework::event;
     use aptos_framework::object::{Self, Object, ExtendRef};
     use aptos_framework::fungible_asset::{Self, Metadata, MintRef, BurnRef, TransferRef};
     use aptos_framework::primary_fungible_store::{Self};
@@ -21,14 +22,74 @@ module implied_volatility_market {
     friend marketplace::volatility_marketplace;
 
     // Error codes
+    /// The caller is not allowed to manage this market.
     const E_NOT_AUTHORIZED: u64 = 1;
+    /// The market has already been settled.
     const E_MARKET_ALREADY_SETTLED: u64 = 2;
+    /// The market has not reached its expiration yet.
     const E_MARKET_NOT_EXPIRED: u64 = 3;
+    /// The AMM reserves are empty.
     const E_DIV_ZERO: u64 = 4;
+    /// The swap would return nothing.
     const E_ZERO_OUT: u64 = 5;
+    /// The swap fee leaves nothing to trade.
     const E_FEE_TOO_HIGH: u64 = 6;
+    /// The AMM does not hold enough liquidity for this swap.
     const E_INSUFFICIENT_LIQUIDITY: u64 = 7;
+    /// The swap amount is too large.
     const E_INPUT_OVERFLOW: u64 = 8;
+    /// The account has no short position in this market.
+    const E_NO_SHORT_POSITION: u64 = 9;
+    /// The amount to reduce must be positive and at most the borrowed IV units.
+    const E_INVALID_REDUCE_AMOUNT: u64 = 10;
+
+    // Events
+    // swap_type: 0 = buy (amount_in USDC, amount_out IV), 1 = sell (amount_in IV, amount_out USDC)
+    #[event]
+    struct Swapped has drop, store {
+        market_address: address,
+        trader: address,
+        swap_type: u8,
+        amount_in: u64,
+        amount_out: u64,
+        swap_fee: u64,
+    }
+
+    #[event]
+    struct ShortOpened has drop, store {
+        market_address: address,
+        trader: address,
+        margin_account_address: address,
+        collateral: u64,
+        iv_units_borrowed: u64,
+    }
+
+    #[event]
+    struct ShortCollateralAdded has drop, store {
+        market_address: address,
+        trader: address,
+        amount: u64,
+    }
+
+    #[event]
+    struct ShortReduced has drop, store {
+        market_address: address,
+        trader: address,
+        iv_units_repaid: u64,
+        usdc_paid: u64,
+        collateral_released: u64,
+        usdc_returned: u64,
+    }
+
+    #[event]
+    struct ShortClosed has drop, store {
+        market_address: address,
+        trader: address,
+        iv_units_repaid: u64,
+        usdc_paid: u64,
+        collateral: u64,
+        usdc_returned: u64,
+    }
 
     // This holds the ExtendRef, which we need to get a signer for the object so we can transfer funds.
     struct MarketRefs has key, store {
@@ -163,6 +224,14 @@ module implied_volatility_market {
             iv_token_amount, 
             usdc_collateral_amount 
         );
+
+        event::emit(ShortOpened {
+            market_address: market_addr,
+            trader: user_addr,
+            margin_account_address,
+            collateral: usdc_collateral_amount,
+            iv_units_borrowed: iv_token_amount,
+        });
     }
 
     public entry fun close_short_position(
@@ -175,6 +244,89 @@ module implied_volatility_market {
         close_short_position_internal(market, user_addr, market_addr);
     }
 
+    // Adds USDC collateral to the user's margin account without borrowing more IV tokens
+    public entry fun add_short_collateral(
+        user: &signer,
+        market_addr: address,
+        usdc_collateral_amount: u64
+    ) acquires VolatilityMarket {
+        let market = borrow_global<VolatilityMarket>(market_addr);
+        let user_addr = signer::address_of(user);
+
+        assert!(table::contains(&market.isolated_margin_accounts, user_addr), error::invalid_argument(E_NO_SHORT_POSITION));
+        let margin_account_address = *table::borrow(&market.isolated_margin_accounts, user_addr);
+
+        // the margin account outlives a closed short, collateral added to it could not be withdrawn
+        let margin_account = isolated_margin_account::get_margin_account_state(margin_account_address);
+        assert!(isolated_margin_account::get_iv_units_borrowed(&margin_account) > 0, error::invalid_argument(E_NO_SHORT_POSITION));
+
+        // transfer the usdc collateral amount to the margin account
+        let usdc_metadata = object::address_to_object<Metadata>(market.pool.usdc_address);
+        primary_fungible_store::transfer(user, usdc_metadata, margin_account_address, usdc_collateral_amount);
+
+        isolated_margin_account::record_new_borrow(margin_account_address, 0, usdc_collateral_amount);
+
+        event::emit(ShortCollateralAdded {
+            market_address: market_addr,
+            trader: user_addr,
+            amount: usdc_collateral_amount,
+        });
+    }
+
+    // Partially closes a short position by buying back and repaying iv_units of the borrowed tokens.
+    // The repaid share of the USDC left in the margin account is returned to the user, so the
+    // collateral ratio of the remaining position is unchanged. Repaying everything closes the position.
+    public entry fun reduce_short_position(
+        user: &signer,
+        market_addr: address,
+        iv_units: u64
+    ) acquires VolatilityMarket, MarketRefs {
+        let market = borrow_global_mut<VolatilityMarket>(market_addr);
+        let user_addr = signer::address_of(user);
+
+        assert!(table::contains(&market.isolated_margin_accounts, user_addr), error::invalid_argument(E_NO_SHORT_POSITION));
+        let margin_account_address = *table::borrow(&market.isolated_margin_accounts, user_addr);
+        let margin_account = isolated_margin_account::get_margin_account_state(margin_account_address);
+
+        let iv_units_borrowed = isolated_margin_account::get_iv_units_borrowed(&margin_account);
+        assert!(iv_units > 0 && iv_units <= iv_units_borrowed, error::invalid_argument(E_INVALID_REDUCE_AMOUNT));
+
+        if (iv_units == iv_units_borrowed) {
+            close_short_position_internal(market, user_addr, market_addr);
+            return
+        };
+
+        let usdc_metadata = object::address_to_object<Metadata>(market.pool.usdc_address);
+        let margin_account_signer = isolated_margin_account::get_signer(margin_account_address);
+
+        // buy back and burn the repaid tokens
+        let amount_in = get_swap_amount_in_internal(0, iv_units, market);
+        swap_internal(&margin_account_signer, market, market_addr, 0, amount_in);
+        primary_fungible_store::burn(&market.pool.iv_token_refs.burn_ref, margin_account_address, iv_units);
+
+        // release the repaid share of the remaining USDC and collateral
+        let remaining_usdc = primary_fungible_store::balance(margin_account_address, usdc_metadata);
+        let usdc_released = (((remaining_usdc as u128) * (iv_units as u128)) / (iv_units_borrowed as u128)) as u64;
+        let collateral = isolated_margin_account::get_collateral(&margin_account);
+        let collateral_released = (((collateral as u128) * (iv_units as u128)) / (iv_units_borrowed as u128)) as u64;
+
+        if(usdc_released > 0){
+            primary_fungible_store::transfer(&margin_account_signer, usdc_metadata, user_addr, usdc_released);
+        };
+
+        isolated_margin_account::subtract_iv_units_borrowed(margin_account_address, iv_units);
+        isolated_margin_account::subtract_collateral(margin_account_address, collateral_released);
+
+        event::emit(ShortReduced {
+            market_address: market_addr,
+            trader: user_addr,
+            iv_units_repaid: iv_units,
+            usdc_paid: amount_in,
+            collateral_released,
+            usdc_returned: usdc_released,
+        });
+    }
+
 
     fun create_iv_token(
         object_signer: &signer,
@@ -434,6 +586,15 @@ module implied_volatility_market {
         
         // record the closing of the borrow
         isolated_margin_account::close_borrow(margin_account_address);
+
+        event::emit(ShortClosed {
+            market_address,
+            trader: user_with_short_position,
+            iv_units_repaid: iv_units_borrowed,
+            usdc_paid: amount_in,
+            collateral: isolated_margin_account::get_collateral(&margin_account),
+            usdc_returned: remaining_usdc,
+        });
     }
 
     // Close the open short positions at the specified price
@@ -732,6 +893,15 @@ module implied_volatility_market {
 
         market.pool.reserves.iv_token_reserves = market.pool.reserves.iv_token_reserves + (amount_in as u256);
 
+        event::emit(Swapped {
+            market_address,
+            trader: user_address,
+            swap_type: 1,
+            amount_in,
+            amount_out,
+            swap_fee: swap_fees,
+        });
+
         amount_out
     }
 
@@ -774,6 +944,15 @@ module implied_volatility_market {
             // record the token holder
             store_token_holder(market, user_addr);
 
+            event::emit(Swapped {
+                market_address,
+                trader: user_addr,
+                swap_type: 0,
+                amount_in,
+                amount_out,
+                swap_fee: swap_fees,
+            });
+
             // return the output amount
             amount_out
         } else {
@@ -835,6 +1014,24 @@ module implied_volatility_market {
         }
     }
 
+    // gets the USDC held by the user's margin account (collateral plus short sale proceeds)
+    #[view]
+    public fun get_margin_account_balance(
+        market_address: address,
+        account_address: address
+    ) : u64 acquires VolatilityMarket {
+        let market = borrow_global<VolatilityMarket>(market_address);
+
+        if(!table::contains(&market.isolated_margin_accounts, account_address)) {
+            return 0
+        };
+
+        let margin_account_address = *table::borrow(&market.isolated_margin_accounts, account_address);
+        let usdc_metadata = object::address_to_object<Metadata>(market.pool.usdc_address);
+
+        primary_fungible_store::balance(margin_account_address, usdc_metadata)
+    }
+
     // Gets the user's position (long and short amounts)
     #[view]
     public fun get_user_position(
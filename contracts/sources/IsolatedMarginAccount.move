@@ -96,8 +96,12 @@ module marketplace::isolated_margin_account {
     }
 
     /// Subtract from collateral
-    public(friend) fun subtract_collateral(account: &mut IsolatedMarginAccount, amount: u64) {
-        account.collateral = account.collateral - amount;
+    public(friend) fun subtract_collateral(
+        account_address: address, 
+        amount: u64
+    ) acquires IsolatedMarginAccount {
+        let margin_account = borrow_global_mut<IsolatedMarginAccount>(account_address);
+        margin_account.collateral = margin_account.collateral - amount;
     }
 
     // Getter functions for IsolatedMarginAccount fields
@@ -23,11 +23,17 @@ module options_exchange {
     // Constants and errors
     // ------------------------------------------------------------------------
 
+    /// An amount does not fit in a u64.
     const E_U64_OVERFLOW: u64 = 1;
+    /// A position needs at least one leg.
     const E_POSITION_EMPTY: u64 = 2;
+    /// The position does not exist.
     const E_POSITION_NOT_FOUND: u64 = 3;
+    /// The position is already closed.
     const E_POSITION_CLOSED: u64 = 4;
+    /// The position belongs to another account.
     const E_UNAUTHORIZED: u64 = 5;
+    /// The position is not open.
     const E_POSITION_NOT_OPEN: u64 = 6;
 
     const ONE_E_18: u256 = 1000000000000000000u256;
@@ -13,6 +13,7 @@ module price_oracle {
     use pyth::price_identifier;
 
     // Error codes
+    /// Only the oracle owner can set prices.
     const E_ONLY_OWNER: u64 = 1;
 
     // Helper function to calculate 10^n
@@ -109,11 +110,30 @@ module price_oracle {
         oracle_address: address,
         asset_symbol: string::String
     ) : u256 acquires PriceOracle {
+        let (asset_price, _, _) = read_price(oracle_address, asset_symbol);
+        asset_price
+    }
+
+    // price of an asset with the time it was published and whether it is a mock price,
+    // so clients can tell how stale the stored pyth price is. mock prices have no publish time (0)
+    #[view]
+    public fun get_price_info(
+        oracle_address: address,
+        asset_symbol: string::String
+    ) : (u256, u64, bool) acquires PriceOracle {
+        read_price(oracle_address, asset_symbol)
+    }
+
+    // returns (price in 18 decimals, publish time in seconds, is mock price)
+    fun read_price(
+        oracle_address: address,
+        asset_symbol: string::String
+    ) : (u256, u64, bool) acquires PriceOracle {
         let oracle = borrow_global<PriceOracle>(oracle_address);
 
         // If there is a mock price stored, then return that
         if(table::contains(&oracle.asset_mock_price_lookup, asset_symbol)) {
-            *table::borrow(&oracle.asset_mock_price_lookup, asset_symbol)
+            (*table::borrow(&oracle.asset_mock_price_lookup, asset_symbol), 0, true)
         } else {
             // Get the price identifier for the asset
             let price_identifier = table::borrow(&oracle.pyth_price_identifier_lookup, asset_symbol);
@@ -133,13 +153,15 @@ module price_oracle {
             let decimal_adjustment = 18 - expo_value;
             
             
-            if (decimal_adjustment >= 0) {
+            let scaled_price = if (decimal_adjustment >= 0) {
                 let multiplier = power_of_10((decimal_adjustment as u8));
                 i64_price_magnitude * multiplier
             } else {
                 i64_price_magnitude
-            }
+            };
+
+            (scaled_price, price::get_timestamp(&pyth_price), false)
         }
     }
 }
-}
\ No newline at end of file
+}
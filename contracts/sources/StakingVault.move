@@ -18,7 +18,9 @@ module staking_vault {
     use marketplace::options_exchange::{Self};
 
     // Error codes
+    /// The staked balance is lower than the amount requested.
     const E_INSUFFICIENT_BALANCE: u64 = 1;
+    /// The vault cannot lend more than its borrow cap.
     const E_BORROW_OVER_CAP: u64 = 2;
 
     // Events
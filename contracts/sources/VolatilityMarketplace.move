@@ -19,10 +19,15 @@ module volatility_marketplace {
     use marketplace::historical_volatility_calculator::{Self};
 
     // Error codes
+    /// Only the marketplace owner can do this.
     const E_NOT_AUTHORIZED: u64 = 1;
+    /// No market matches the request.
     const E_MARKET_NOT_FOUND: u64 = 2;
+    /// A market for this asset and expiration already exists.
     const E_MARKET_ALREADY_EXISTS: u64 = 3;
+    /// The expiration must be in the future.
     const E_INVALID_EXPIRATION: u64 = 4;
+    /// A price snapshot was already taken in the last day.
     const E_PRICE_SNAPSHOT_TOO_SOON: u64 = 5;
 
     const ONE_E12: u256 = 1000000000000; // 1e6 scaling factor
@@ -294,4 +294,38 @@ module marketplace::binomial_option_pricing_test {
         // Difference should be reasonable relative to underlying price
         assert!(price_diff < underlying_price / 2, 72);
     }
+
+    #[test]
+    fun test_web_port_golden_values() {
+        // Exact values web/src/lib/binomialOptionPricing.test.js expects from the JavaScript
+        // port of this model, which quotes positions in the browser. Keep both in step.
+        let risk_free_rate = 5 * PRECISION / 100;
+        let volatility = 25 * PRECISION / 100;
+
+        let atm_option_price = binomial_option_pricing::get_option_price(
+            125000 * PRECISION, 125000 * PRECISION, risk_free_rate, volatility, 7 * PRECISION, true
+        );
+        let otm_option_price = binomial_option_pricing::get_option_price(
+            125000 * PRECISION, 140000 * PRECISION, risk_free_rate, volatility, 7 * PRECISION, true
+        );
+        assert!(atm_option_price == 1771812595966126899802, 80);
+        assert!(otm_option_price == 411971963320943892, 81);
+
+        let deep_itm_price = binomial_option_pricing::get_option_price(
+            120 * PRECISION, 100 * PRECISION, 3 * PRECISION / 100, 15 * PRECISION / 100, 10 * PRECISION, true
+        );
+        assert!(deep_itm_price == 20082158012629933113, 82);
+
+        let put_price = binomial_option_pricing::get_option_price(
+            95 * PRECISION, 100 * PRECISION, 4 * PRECISION / 100, 30 * PRECISION / 100, 45 * PRECISION, false
+        );
+        assert!(put_price == 6738048458259894745, 83);
+
+        let put_delta = binomial_option_pricing::get_delta(
+            100 * PRECISION, 100 * PRECISION, risk_free_rate, volatility, 30 * PRECISION, false
+        );
+        let (put_delta_neg, put_delta_mag) = binomial_option_pricing::get_signed_values(&put_delta);
+        assert!(put_delta_neg, 84);
+        assert!(put_delta_mag == 463189246993312015, 85);
+    }
 }
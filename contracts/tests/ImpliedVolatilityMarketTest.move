@@ -547,4 +547,178 @@ module marketplace::implied_volatility_market_test {
         assert!(implied_volatility_market::is_settled(market_address), 3);
     }
 
+    #[test(creator = @0x123, trader = @0x456, staker = @0x789, framework = @aptos_framework)]
+    fun test_add_short_collateral(creator: signer, trader: signer, staker: signer, framework: signer) {
+        timestamp::set_time_has_started_for_testing(&framework);
+
+        let marketplace_addr = volatility_marketplace::create_marketplace(&creator);
+
+        // Stake tokens
+        let staking_amount = 100000 * 1000000;
+        let staker_address = signer::address_of(&staker);
+        volatility_marketplace::mint_test_usdc(staking_amount, staker_address, marketplace_addr);
+        let vault_address = volatility_marketplace::get_staking_vault_address(marketplace_addr);
+        staking_vault::stake(&staker, vault_address, staking_amount);
+
+        let (_market_id, market_address) = volatility_marketplace::create_market(
+            &creator,
+            string::utf8(b"BTC"),
+            25 * 1000000,
+            timestamp::now_seconds() + 86400,
+            marketplace_addr
+        );
+
+        // Add USDC to market for liquidity
+        volatility_marketplace::mint_test_usdc(1000 * 1000000, market_address, marketplace_addr);
+
+        // Open short position
+        let trader_addr = signer::address_of(&trader);
+        let collateral_amount = 10 * 1000000; // 10 USDC
+        volatility_marketplace::mint_test_usdc(collateral_amount, trader_addr, marketplace_addr);
+        implied_volatility_market::open_short_position(&trader, market_address, collateral_amount);
+
+        let account_state = implied_volatility_market::get_margin_account_state(market_address, trader_addr);
+        let iv_units_borrowed = isolated_margin_account::get_iv_units_borrowed(&account_state);
+        let balance_before = implied_volatility_market::get_margin_account_balance(market_address, trader_addr);
+
+        // Add collateral
+        let added_amount = 5 * 1000000;
+        volatility_marketplace::mint_test_usdc(added_amount, trader_addr, marketplace_addr);
+        implied_volatility_market::add_short_collateral(&trader, market_address, added_amount);
+
+        // Collateral and balance increase, the borrow is unchanged
+        let account_state = implied_volatility_market::get_margin_account_state(market_address, trader_addr);
+        assert!(isolated_margin_account::get_collateral(&account_state) == collateral_amount + added_amount, 1);
+        assert!(isolated_margin_account::get_iv_units_borrowed(&account_state) == iv_units_borrowed, 2);
+        assert!(implied_volatility_market::get_margin_account_balance(market_address, trader_addr) == balance_before + added_amount, 3);
+    }
+
+    #[test(creator = @0x123, trader = @0x456, staker = @0x789, framework = @aptos_framework)]
+    #[expected_failure(abort_code = 0x10009, location = marketplace::implied_volatility_market)]
+    fun test_add_short_collateral_after_close(creator: signer, trader: signer, staker: signer, framework: signer) {
+        timestamp::set_time_has_started_for_testing(&framework);
+
+        let marketplace_addr = volatility_marketplace::create_marketplace(&creator);
+
+        // Stake tokens
+        let staking_amount = 100000 * 1000000;
+        let staker_address = signer::address_of(&staker);
+        volatility_marketplace::mint_test_usdc(staking_amount, staker_address, marketplace_addr);
+        let vault_address = volatility_marketplace::get_staking_vault_address(marketplace_addr);
+        staking_vault::stake(&staker, vault_address, staking_amount);
+
+        let (_market_id, market_address) = volatility_marketplace::create_market(
+            &creator,
+            string::utf8(b"BTC"),
+            25 * 1000000,
+            timestamp::now_seconds() + 86400,
+            marketplace_addr
+        );
+
+        // Add USDC to market for liquidity
+        volatility_marketplace::mint_test_usdc(1000 * 1000000, market_address, marketplace_addr);
+
+        // Open and close a short position, the margin account stays registered
+        let trader_addr = signer::address_of(&trader);
+        let collateral_amount = 10 * 1000000; // 10 USDC
+        volatility_marketplace::mint_test_usdc(collateral_amount, trader_addr, marketplace_addr);
+        implied_volatility_market::open_short_position(&trader, market_address, collateral_amount);
+        implied_volatility_market::close_short_position(&trader, market_address);
+
+        // Adding collateral without a borrow aborts
+        let added_amount = 5 * 1000000;
+        volatility_marketplace::mint_test_usdc(added_amount, trader_addr, marketplace_addr);
+        implied_volatility_market::add_short_collateral(&trader, market_address, added_amount);
+    }
+
+    #[test(creator = @0x123, trader = @0x456, staker = @0x789, framework = @aptos_framework)]
+    fun test_reduce_short_position(creator: signer, trader: signer, staker: signer, framework: signer) {
+        timestamp::set_time_has_started_for_testing(&framework);
+
+        let marketplace_addr = volatility_marketplace::create_marketplace(&creator);
+
+        // Stake tokens
+        let staking_amount = 100000 * 1000000;
+        let staker_address = signer::address_of(&staker);
+        volatility_marketplace::mint_test_usdc(staking_amount, staker_address, marketplace_addr);
+        let vault_address = volatility_marketplace::get_staking_vault_address(marketplace_addr);
+        staking_vault::stake(&staker, vault_address, staking_amount);
+
+        let (_market_id, market_address) = volatility_marketplace::create_market(
+            &creator,
+            string::utf8(b"BTC"),
+            25 * 1000000,
+            timestamp::now_seconds() + 86400,
+            marketplace_addr
+        );
+
+        // Add USDC to market for liquidity
+        volatility_marketplace::mint_test_usdc(1000 * 1000000, market_address, marketplace_addr);
+
+        // Open short position
+        let trader_addr = signer::address_of(&trader);
+        let collateral_amount = 10 * 1000000; // 10 USDC
+        volatility_marketplace::mint_test_usdc(collateral_amount, trader_addr, marketplace_addr);
+        implied_volatility_market::open_short_position(&trader, market_address, collateral_amount);
+
+        let account_state = implied_volatility_market::get_margin_account_state(market_address, trader_addr);
+        let iv_units_borrowed = isolated_margin_account::get_iv_units_borrowed(&account_state);
+
+        let usdc_metadata = volatility_marketplace::get_test_usdc_metadata(marketplace_addr);
+        let usdc_balance_before = primary_fungible_store::balance(trader_addr, usdc_metadata);
+
+        // Repay half of the borrowed tokens
+        let repaid_units = iv_units_borrowed / 2;
+        implied_volatility_market::reduce_short_position(&trader, market_address, repaid_units);
+
+        let account_state = implied_volatility_market::get_margin_account_state(market_address, trader_addr);
+        assert!(isolated_margin_account::get_iv_units_borrowed(&account_state) == iv_units_borrowed - repaid_units, 1);
+        assert!(isolated_margin_account::get_collateral(&account_state) < collateral_amount, 2);
+        assert!(primary_fungible_store::balance(trader_addr, usdc_metadata) > usdc_balance_before, 3);
+
+        // Repaying the rest closes the position
+        implied_volatility_market::reduce_short_position(&trader, market_address, iv_units_borrowed - repaid_units);
+
+        let account_state = implied_volatility_market::get_margin_account_state(market_address, trader_addr);
+        assert!(isolated_margin_account::get_iv_units_borrowed(&account_state) == 0, 4);
+        assert!(implied_volatility_market::get_margin_account_balance(market_address, trader_addr) == 0, 5);
+    }
+
+    #[test(creator = @0x123, trader = @0x456, staker = @0x789, framework = @aptos_framework)]
+    #[expected_failure(abort_code = 0x1000A, location = marketplace::implied_volatility_market)]
+    fun test_reduce_short_position_exceeds_borrow(creator: signer, trader: signer, staker: signer, framework: signer) {
+        timestamp::set_time_has_started_for_testing(&framework);
+
+        let marketplace_addr = volatility_marketplace::create_marketplace(&creator);
+
+        // Stake tokens
+        let staking_amount = 100000 * 1000000;
+        let staker_address = signer::address_of(&staker);
+        volatility_marketplace::mint_test_usdc(staking_amount, staker_address, marketplace_addr);
+        let vault_address = volatility_marketplace::get_staking_vault_address(marketplace_addr);
+        staking_vault::stake(&staker, vault_address, staking_amount);
+
+        let (_market_id, market_address) = volatility_marketplace::create_market(
+            &creator,
+            string::utf8(b"BTC"),
+            25 * 1000000,
+            timestamp::now_seconds() + 86400,
+            marketplace_addr
+        );
+
+        // Add USDC to market for liquidity
+        volatility_marketplace::mint_test_usdc(1000 * 1000000, market_address, marketplace_addr);
+
+        // Open short position
+        let trader_addr = signer::address_of(&trader);
+        let collateral_amount = 10 * 1000000; // 10 USDC
+        volatility_marketplace::mint_test_usdc(collateral_amount, trader_addr, marketplace_addr);
+        implied_volatility_market::open_short_position(&trader, market_address, collateral_amount);
+
+        let account_state = implied_volatility_market::get_margin_account_state(market_address, trader_addr);
+        let iv_units_borrowed = isolated_margin_account::get_iv_units_borrowed(&account_state);
+
+        implied_volatility_market::reduce_short_position(&trader, market_address, iv_units_borrowed + 1);
+    }
+
 }
@@ -0,0 +1,38 @@
+#[test_only]
+module marketplace::price_oracle_tests {
+    use std::string;
+    use marketplace::price_oracle;
+
+    const ONE_E18: u256 = 1000000000000000000;
+
+    #[test(creator = @0x123)]
+    public fun test_get_price_info_for_mock_price(creator: &signer) {
+        let oracle_address = price_oracle::create(creator);
+
+        price_oracle::set_mock_price(
+            creator,
+            oracle_address,
+            string::utf8(b"Rates.US10Y"),
+            (5 * ONE_E18) / 100
+        );
+
+        let (price, publish_time, is_mock) = price_oracle::get_price_info(oracle_address, string::utf8(b"Rates.US10Y"));
+
+        assert!(price == (5 * ONE_E18) / 100, 1);
+        assert!(publish_time == 0, 2);
+        assert!(is_mock, 3);
+        assert!(price_oracle::get_price(oracle_address, string::utf8(b"Rates.US10Y")) == price, 4);
+    }
+
+    #[test(creator = @0x123)]
+    public fun test_mock_price_is_replaced(creator: &signer) {
+        let oracle_address = price_oracle::create(creator);
+        let symbol = string::utf8(b"ETH-USD");
+
+        price_oracle::set_mock_price(creator, oracle_address, symbol, 1000 * ONE_E18);
+        price_oracle::set_mock_price(creator, oracle_address, symbol, 980 * ONE_E18);
+
+        let (price, _, _) = price_oracle::get_price_info(oracle_address, symbol);
+        assert!(price == 980 * ONE_E18, 1);
+    }
+}
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// Writes the abort codes of the Strata contracts into src/sdk/abortCodes.json.
+//
+// Every `const E_*: u64` in contracts/sources is collected with the `///` doc comment above it,
+// the same comment the Aptos CLI puts in the package error map. Run it after adding or changing
+// an error constant:
+//
+//   node scripts/generate-abort-codes.js
+//   node scripts/generate-abort-codes.js --check    # exit 1 when abortCodes.json is out of date
+//
+// Options:
+//   --sources <dir>   Move sources, defaults to ../contracts/sources
+//   --output <file>   Catalogue to write, defaults to src/sdk/abortCodes.json
+//   --check           Compare instead of writing
+
+const fs = require('fs');
+const path = require('path');
+
+const MODULE_PATTERN = /^\s*module\s+(?:\w+::)?(\w+)\s*\{/;
+const CONSTANT_PATTERN = /^\s*const\s+(E_[A-Z0-9_]+)\s*:\s*u64\s*=\s*(\d+)\s*;/;
+const DOC_PATTERN = /^\s*\/\/\/\s?(.*)$/;
+
+const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+};
+
+const parseArgs = (argv) => {
+    const options = { check: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+
+        switch (argv[i]) {
+            case '--sources': options.sources = value; i++; break;
+            case '--output': options.output = value; i++; break;
+            case '--check': options.check = true; break;
+            default: fail(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+};
+
+/**
+ * Error constants of the modules in one Move file
+ * @param {string} source - Move source code
+ * @param {string} [file] - File name used in error messages
+ * @returns {Object<string, Object<string, {name: string, description: string}>>} Module name to
+ *   abort reason (as a decimal string) to constant
+ * @throws {Error} When a constant has no doc comment or two constants share a code
+ */
+const parseErrorConstants = (source, file = 'source') => {
+    const modules = {};
+    let moduleName = null;
+    let doc = [];
+
+    source.split('\n').forEach((line, index) => {
+        const moduleMatch = line.match(MODULE_PATTERN);
+        if (moduleMatch) {
+            moduleName = moduleMatch[1];
+            modules[moduleName] = modules[moduleName] || {};
+        }
+
+        const docMatch = line.match(DOC_PATTERN);
+        if (docMatch) {
+            doc.push(docMatch[1].trim());
+            return;
+        }
+
+        const constantMatch = line.match(CONSTANT_PATTERN);
+        if (constantMatch && moduleName) {
+            const [, name, code] = constantMatch;
+            const where = `${file}:${index + 1}`;
+
+            if (doc.length === 0) {
+                throw new Error(`${where}: ${name} needs a /// doc comment describing the error`);
+            }
+            if (modules[moduleName][code]) {
+                throw new Error(`${where}: ${name} reuses code ${code} of ${modules[moduleName][code].name}`);
+            }
+
+            modules[moduleName][code] = { name, description: doc.join(' ') };
+        }
+
+        doc = [];
+    });
+
+    return modules;
+};
+
+/**
+ * Error constants of every module under a directory
+ * @param {string} sourcesDir
+ * @returns {Object<string, Object<string, {name: string, description: string}>>}
+ */
+const readAbortCodes = (sourcesDir) => {
+    const catalogue = {};
+
+    fs.readdirSync(sourcesDir)
+        .filter(file => file.endsWith('.move'))
+        .sort()
+        .forEach(file => {
+            const modules = parseErrorConstants(fs.readFileSync(path.join(sourcesDir, file), 'utf8'), file);
+
+            Object.entries(modules).forEach(([moduleName, codes]) => {
+                if (Object.keys(codes).length > 0) {
+                    catalogue[moduleName] = codes;
+                }
+            });
+        });
+
+    return catalogue;
+};
+
+const main = () => {
+    const options = parseArgs(process.argv.slice(2));
+    const sourcesDir = path.resolve(options.sources || path.join(__dirname, '..', '..', 'contracts', 'sources'));
+    const outputPath = path.resolve(options.output || path.join(__dirname, '..', 'src', 'sdk', 'abortCodes.json'));
+
+    const contents = `${JSON.stringify(readAbortCodes(sourcesDir), null, 4)}\n`;
+
+    if (options.check) {
+        const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : '';
+        if (current !== contents) {
+            fail(`${outputPath} is out of date, run npm run abort-codes`);
+        }
+        console.log(`${outputPath} is up to date`);
+        return;
+    }
+
+    fs.writeFileSync(outputPath, contents);
+    console.log(`Wrote abort codes to ${outputPath}`);
+};
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        fail(error.message);
+    }
+}
+
+module.exports = { parseErrorConstants, readAbortCodes };
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// Writes the addresses of a Strata deployment into src/deployments.json.
+//
+// The addresses are read from the events of the transaction that ran contracts/scripts/Setup.move
+// (MarketplaceCreated and ExchangeCreated); the package address comes from the event types, or
+// from the sender of an `aptos move publish` transaction when one is given as well.
+//
+//   aptos move run-script --compiled-script-path script.mv --profile testnet \
+//       | node scripts/write-deployment-manifest.js --network testnet
+//   node scripts/write-deployment-manifest.js --network local --tx 0x<publish hash> --tx 0x<setup hash>
+//
+// Options:
+//   --network <name>      Network key in the manifest (required)
+//   --tx <hash>           Transaction hash, may be repeated
+//   --cli-output <file>   JSON printed by the Aptos CLI, may be repeated; stdin is read when
+//                         neither --tx nor --cli-output is given
+//   --fullnode <url>      Fullnode REST URL, defaults to the network's public endpoint
+//   --manifest <file>     Manifest to update, defaults to src/deployments.json
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_VERSION = 1;
+const ADDRESS_KEYS = ['code', 'usdc', 'marketplace', 'staking_vault', 'options_exchange', 'price_oracle'];
+
+const FULLNODES = {
+    mainnet: 'https://api.mainnet.aptoslabs.com/v1',
+    testnet: 'https://api.testnet.aptoslabs.com/v1',
+    devnet: 'https://api.devnet.aptoslabs.com/v1',
+    local: 'http://127.0.0.1:8080/v1'
+};
+
+const PUBLISH_FUNCTION = '0x1::code::publish_package_txn';
+
+const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+};
+
+const parseArgs = (argv) => {
+    const options = { tx: [], cliOutput: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+
+        switch (argv[i]) {
+            case '--network': options.network = value; i++; break;
+            case '--tx': options.tx.push(value); i++; break;
+            case '--cli-output': options.cliOutput.push(value); i++; break;
+            case '--fullnode': options.fullnode = value; i++; break;
+            case '--manifest': options.manifest = value; i++; break;
+            default: fail(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+};
+
+// `aptos move run-script` and `aptos move publish` print { "Result": { "transaction_hash", "success", ... } }
+const hashFromCliOutput = (text, source) => {
+    let output;
+    try {
+        output = JSON.parse(text);
+    } catch (error) {
+        fail(`${source} is not Aptos CLI JSON output`);
+    }
+
+    if (output.Error) fail(`${source}: the CLI reported an error: ${output.Error}`);
+
+    const result = output.Result || {};
+    if (result.success === false) fail(`${source}: transaction failed with ${result.vm_status}`);
+    if (!result.transaction_hash) fail(`${source}: no transaction_hash in the CLI output`);
+
+    return result.transaction_hash;
+};
+
+const fetchTransaction = async (fullnode, hash) => {
+    const response = await fetch(`${fullnode}/transactions/by_hash/${hash}`);
+    if (!response.ok) fail(`Failed to fetch transaction ${hash}: ${response.status} ${response.statusText}`);
+
+    const transaction = await response.json();
+    if (transaction.type !== 'user_transaction') fail(`Transaction ${hash} is ${transaction.type}, not committed yet?`);
+    if (!transaction.success) fail(`Transaction ${hash} failed with ${transaction.vm_status}`);
+
+    return transaction;
+};
+
+// Addresses found in one transaction
+const readAddresses = (transaction) => {
+    const addresses = {};
+
+    if (transaction.payload && transaction.payload.function === PUBLISH_FUNCTION) {
+        addresses.code = transaction.sender;
+    }
+
+    transaction.events.forEach(event => {
+        const [moduleAddress, module, name] = event.type.split('::');
+
+        if (module === 'volatility_marketplace' && name === 'MarketplaceCreated') {
+            addresses.code = moduleAddress;
+            addresses.marketplace = event.data.marketplace_address;
+            addresses.usdc = event.data.usdc_address;
+            addresses.staking_vault = event.data.staking_vault_address;
+        }
+        if (module === 'options_exchange' && name === 'ExchangeCreated') {
+            addresses.options_exchange = event.data.exchange_address;
+            addresses.price_oracle = event.data.oracle_address;
+        }
+    });
+
+    return addresses;
+};
+
+const readStdin = () => fs.readFileSync(0, 'utf8');
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!options.network) fail('--network is required');
+
+    const fullnode = (options.fullnode || FULLNODES[options.network] || '').replace(/\/$/, '');
+    if (!fullnode) fail(`No default fullnode for ${options.network}, pass --fullnode`);
+
+    const hashes = [
+        ...options.tx,
+        ...options.cliOutput.map(file => hashFromCliOutput(fs.readFileSync(file, 'utf8'), file))
+    ];
+    if (hashes.length === 0) {
+        hashes.push(hashFromCliOutput(readStdin(), 'stdin'));
+    }
+
+    const addresses = {};
+    for (const hash of hashes) {
+        Object.assign(addresses, readAddresses(await fetchTransaction(fullnode, hash)));
+    }
+
+    const missing = ADDRESS_KEYS.filter(key => !addresses[key]);
+    if (missing.length > 0) {
+        fail(`Could not find ${missing.join(', ')} in the given transactions. Was Setup.move run?`);
+    }
+
+    const manifestPath = path.resolve(options.manifest || path.join(__dirname, '..', 'src', 'deployments.json'));
+    const manifest = fs.existsSync(manifestPath) ?
+        JSON.parse(fs.readFileSync(manifestPath, 'utf8')) :
+        { version: MANIFEST_VERSION, networks: {} };
+
+    manifest.networks[options.network] = Object.fromEntries(ADDRESS_KEYS.map(key => [key, addresses[key]]));
+
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 4)}\n`);
+    console.log(`Wrote ${options.network} deployment to ${manifestPath}`);
+    ADDRESS_KEYS.forEach(key => console.log(`  ${key.padEnd(16)} ${addresses[key]}`));
+};
+
+main().catch(error => fail(error.message));
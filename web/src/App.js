@@ -1,30 +1,78 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { VolatilityMarketProvider } from './providers/VolatilityMarketProvider';
 import Navbar from './components/Navbar';
+import NetworkUnavailable from './components/NetworkUnavailable';
 import Home from './pages/HomePage';
 import VolatilityMarket from './pages/VolatilityMarket';
 import OptionsPage from './pages/OptionsPage';
 import StakingPage from './pages/StakingPage';
 import './App.css';
 import { WalletProvider } from './providers/WalletProvider';
+import { TransactionProvider } from './providers/TransactionProvider';
+import { isDeployed } from './lib/networks';
+import strata from './lib/strata';
+
+// Check the manifest addresses against the chain before any page talks to the contracts.
+// Resolves to the missing resources; a node that cannot be reached does not block the app.
+const checkDeployment = async () => {
+  if (!isDeployed()) return null;
+
+  try {
+    return await strata.verifyDeployment();
+  } catch (error) {
+    console.error('Failed to verify the deployment:', error);
+    return [];
+  }
+};
 
 function App() {
-  return (
-    <WalletProvider>
-      <VolatilityMarketProvider>
+  const [missingResources, setMissingResources] = useState(undefined);
+
+  useEffect(() => {
+    checkDeployment().then(setMissingResources);
+  }, []);
+
+  const isChecking = missingResources === undefined;
+  const isReady = Array.isArray(missingResources) && missingResources.length === 0;
+
+  // Pages talking to the contracts are only mounted once the deployment is verified
+  if (!isReady) {
+    return (
+      <WalletProvider>
         <Router>
           <div className="App">
             <Navbar />
             <Routes>
               <Route path="/" element={<Home />} />
-              <Route path="/markets" element={<VolatilityMarket />} />
-              <Route path="/options" element={<OptionsPage />} />
-              <Route path="/staking" element={<StakingPage />} />
+              <Route
+                path="*"
+                element={isChecking ? null : <NetworkUnavailable missingResources={missingResources} />}
+              />
             </Routes>
           </div>
         </Router>
-      </VolatilityMarketProvider>
+      </WalletProvider>
+    );
+  }
+
+  return (
+    <WalletProvider>
+      <TransactionProvider>
+        <VolatilityMarketProvider>
+          <Router>
+            <div className="App">
+              <Navbar />
+              <Routes>
+                <Route path="/" element={<Home />} />
+                <Route path="/markets" element={<VolatilityMarket />} />
+                <Route path="/options" element={<OptionsPage />} />
+                <Route path="/staking" element={<StakingPage />} />
+              </Routes>
+            </div>
+          </Router>
+        </VolatilityMarketProvider>
+      </TransactionProvider>
     </WalletProvider>
   );
 }
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { ExportFormat, createExport } from '../sdk/dataExport';
+import './DataExportButton.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates of the range are whole UTC days, to match the ISO times in the files
+const startOfDay = (date) => date ? Date.parse(`${date}T00:00:00Z`) : null;
+const endOfDay = (date) => date ? Date.parse(`${date}T00:00:00Z`) + DAY_MS : null;
+
+const download = ({ filename, mimeType, content }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Export button opening a dialog to download a dataset as CSV or JSON over a date range
+ * @param {Object} props
+ * @param {string} props.account - Account the data belongs to
+ * @param {{id: string, label: string, columns: Object[], load: function(Object): Promise<Object[]>}[]} props.datasets -
+ *   load receives the { from, to } range and resolves to the records, see sdk/dataExport.js
+ */
+function DataExportButton({ account, datasets }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [datasetId, setDatasetId] = useState(datasets[0].id);
+  const [format, setFormat] = useState(ExportFormat.CSV);
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isRangeValid = !fromDate || !toDate || fromDate <= toDate;
+
+  const handleExport = async () => {
+    const dataset = datasets.find(candidate => candidate.id === datasetId);
+    const range = { from: startOfDay(fromDate), to: endOfDay(toDate) };
+
+    setIsExporting(true);
+    setError(null);
+
+    try {
+      const records = await dataset.load(range);
+      download(createExport({
+        dataset: dataset.id,
+        columns: dataset.columns,
+        records,
+        format,
+        account,
+        ...range
+      }));
+      setIsOpen(false);
+    } catch (exportError) {
+      console.error('Failed to export data:', exportError);
+      setError(exportError);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <button className="data-export-btn" onClick={() => setIsOpen(true)} disabled={!account}>
+        Export
+      </button>
+
+      {isOpen && (
+        <div className="data-export-backdrop" onClick={() => setIsOpen(false)}>
+          <div className="data-export-modal" onClick={event => event.stopPropagation()}>
+            <h3 className="data-export-title">Export data</h3>
+
+            <label className="data-export-field">
+              <span>Data</span>
+              <select value={datasetId} onChange={(e) => setDatasetId(e.target.value)}>
+                {datasets.map(dataset => (
+                  <option key={dataset.id} value={dataset.id}>{dataset.label}</option>
+                ))}
+              </select>
+            </label>
+
+            <div className="data-export-range">
+              <label className="data-export-field">
+                <span>From (UTC)</span>
+                <input type="date" value={fromDate} max={toDate || undefined} onChange={(e) => setFromDate(e.target.value)} />
+              </label>
+              <label className="data-export-field">
+                <span>To (UTC)</span>
+                <input type="date" value={toDate} min={fromDate || undefined} onChange={(e) => setToDate(e.target.value)} />
+              </label>
+            </div>
+            <div className="data-export-hint">Leave a date empty to export from the first or up to the latest record.</div>
+
+            <div className="data-export-field">
+              <span>Format</span>
+              <div className="data-export-formats">
+                {[ExportFormat.CSV, ExportFormat.JSON].map(option => (
+                  <button
+                    key={option}
+                    className={`data-export-format ${format === option ? 'active' : ''}`}
+                    onClick={() => setFormat(option)}
+                  >
+                    {option.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {!isRangeValid && <div className="data-export-error">The start date is after the end date</div>}
+            {error && <div className="data-export-error">Export failed: {error.message}</div>}
+
+            <div className="data-export-actions">
+              <button className="data-export-action secondary" onClick={() => setIsOpen(false)}>Cancel</button>
+              <button className="data-export-action primary" onClick={handleExport} disabled={isExporting || !isRangeValid}>
+                {isExporting ? 'Exporting...' : 'Download'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default DataExportButton;
@@ -3,6 +3,7 @@ import { Link, useLocation } from 'react-router-dom';
 import { WalletSelector } from "@aptos-labs/wallet-adapter-ant-design";
 import { useWallet } from "@aptos-labs/wallet-adapter-react";
 import "@aptos-labs/wallet-adapter-ant-design/dist/index.css";
+import { NETWORKS, activeNetwork, selectNetwork } from '../lib/networks';
 import './Navbar.css';
 
 function Navbar() {
@@ -49,8 +50,22 @@ function Navbar() {
             </button>
           </Link>
         ) : (
-          <div className={`wallet-selector-container ${!connected ? 'disconnected' : ''}`}>
-            <WalletSelector />
+          <div className="navbar-actions">
+            <select
+              className="network-select"
+              value={activeNetwork.name}
+              onChange={(e) => selectNetwork(e.target.value)}
+              aria-label="Network"
+            >
+              {Object.values(NETWORKS).map(network => (
+                <option key={network.name} value={network.name}>
+                  {network.label}
+                </option>
+              ))}
+            </select>
+            <div className={`wallet-selector-container ${!connected ? 'disconnected' : ''}`}>
+              <WalletSelector />
+            </div>
           </div>
         )}
       </div>
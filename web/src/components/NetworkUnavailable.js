@@ -0,0 +1,41 @@
+import React from 'react';
+import { activeNetwork } from '../lib/networks';
+
+// Shown in place of the app pages when the selected network has no Strata deployment, or
+// when the addresses in the deployment manifest do not hold the expected resources
+function NetworkUnavailable({ missingResources = null }) {
+  if (missingResources) {
+    return (
+      <main className="internal-page-content">
+        <div className="network-unavailable">
+          <h2>The {activeNetwork.label} deployment could not be verified</h2>
+          <p>These addresses in web/src/deployments.json do not hold the expected resources:</p>
+          <ul className="missing-resources">
+            {missingResources.map(({ key, address, resourceType }) => (
+              <li key={key}>
+                <span className="missing-resource-key">{key}</span>
+                <span className="missing-resource-detail">{address} has no {resourceType}</span>
+              </li>
+            ))}
+          </ul>
+          <p>Regenerate the manifest with <code>npm run manifest</code> after redeploying.</p>
+        </div>
+      </main>
+    );
+  }
+
+  return (
+    <main className="internal-page-content">
+      <div className="network-unavailable">
+        <h2>Strata is not deployed on {activeNetwork.label}</h2>
+        <p>
+          {activeNetwork.name === 'local' ?
+            'Deploy the contracts to your local node and add them to the manifest with npm run manifest -- --network local.' :
+            'Switch to another network from the menu in the top right.'}
+        </p>
+      </div>
+    </main>
+  );
+}
+
+export default NetworkUnavailable;
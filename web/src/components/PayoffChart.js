@@ -0,0 +1,117 @@
+import React, { useMemo } from 'react';
+import { getPayoffProfile } from '../lib/payoff';
+import './PayoffChart.css';
+
+const WIDTH = 600;
+const HEIGHT = 260;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+
+const CURVE_COLORS = ['#4da3ff', '#b388ff', '#ffb84d'];
+
+const formatPnl = (value) => {
+  if (value === Infinity) return 'Unlimited';
+  if (value === -Infinity) return '-Unlimited';
+
+  const sign = value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+};
+
+const formatPrice = (value) => {
+  return `$${value.toLocaleString(undefined, { maximumFractionDigits: value < 10 ? 4 : 2 })}`;
+};
+
+// Renders P&L at expiry and at intermediate dates for a multi-leg option position
+function PayoffChart({ legs, entryCost, spotPrice, volatility, riskFreeRate }) {
+  const profile = useMemo(() => {
+    if (!legs || legs.length === 0 || !spotPrice) return null;
+
+    return getPayoffProfile({ legs, entryCost, spotPrice, volatility, riskFreeRate });
+  }, [legs, entryCost, spotPrice, volatility, riskFreeRate]);
+
+  if (!profile) return null;
+
+  const { prices, curves, breakevens, maxProfit, maxLoss } = profile;
+  const allValues = curves.flatMap(curve => curve.values);
+  const minValue = Math.min(0, ...allValues);
+  const maxValue = Math.max(0, ...allValues);
+  const valueRange = maxValue - minValue || 1;
+
+  const minPrice = prices[0];
+  const maxPrice = prices[prices.length - 1];
+
+  const x = (price) => PADDING.left + ((price - minPrice) / (maxPrice - minPrice)) * (WIDTH - PADDING.left - PADDING.right);
+  const y = (value) => PADDING.top + ((maxValue - value) / valueRange) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+  const toPath = (values) => values
+    .map((value, i) => `${i === 0 ? 'M' : 'L'}${x(prices[i]).toFixed(1)},${y(value).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <div className="payoff-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="payoff-svg" preserveAspectRatio="none">
+        {/* Zero P&L line */}
+        <line className="payoff-zero-line" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(0)} y2={y(0)} />
+
+        {/* Value axis labels */}
+        <text className="payoff-axis-label" x={PADDING.left - 6} y={y(maxValue) + 4} textAnchor="end">{formatPnl(maxValue)}</text>
+        <text className="payoff-axis-label" x={PADDING.left - 6} y={y(0) + 4} textAnchor="end">$0</text>
+        <text className="payoff-axis-label" x={PADDING.left - 6} y={y(minValue) + 4} textAnchor="end">{formatPnl(minValue)}</text>
+
+        {/* Price axis labels */}
+        <text className="payoff-axis-label" x={x(minPrice)} y={HEIGHT - 8} textAnchor="start">{formatPrice(minPrice)}</text>
+        <text className="payoff-axis-label" x={x(maxPrice)} y={HEIGHT - 8} textAnchor="end">{formatPrice(maxPrice)}</text>
+
+        {/* Spot price marker */}
+        <line className="payoff-spot-line" x1={x(spotPrice)} x2={x(spotPrice)} y1={PADDING.top} y2={HEIGHT - PADDING.bottom} />
+        <text className="payoff-axis-label" x={x(spotPrice)} y={HEIGHT - 8} textAnchor="middle">Spot</text>
+
+        {/* Breakeven markers */}
+        {breakevens.map((price, i) => (
+          <g key={`breakeven-${i}`}>
+            <line className="payoff-breakeven-line" x1={x(price)} x2={x(price)} y1={PADDING.top} y2={HEIGHT - PADDING.bottom} />
+            <circle className="payoff-breakeven-dot" cx={x(price)} cy={y(0)} r="3.5" />
+          </g>
+        ))}
+
+        {/* P&L curves */}
+        {curves.map((curve, i) => (
+          <path
+            key={curve.label}
+            className={`payoff-curve ${curve.isExpiry ? 'expiry' : ''}`}
+            d={toPath(curve.values)}
+            stroke={curve.isExpiry ? undefined : CURVE_COLORS[i % CURVE_COLORS.length]}
+          />
+        ))}
+      </svg>
+
+      <div className="payoff-legend">
+        {curves.map((curve, i) => (
+          <span key={curve.label} className="payoff-legend-item">
+            <span
+              className={`payoff-legend-swatch ${curve.isExpiry ? 'expiry' : ''}`}
+              style={curve.isExpiry ? undefined : { background: CURVE_COLORS[i % CURVE_COLORS.length] }}
+            />
+            {curve.label}
+          </span>
+        ))}
+      </div>
+
+      <div className="payoff-summary">
+        <div className="payoff-summary-item">
+          <span>Max Profit</span>
+          <span className="positive">{formatPnl(maxProfit)}</span>
+        </div>
+        <div className="payoff-summary-item">
+          <span>Max Loss</span>
+          <span className="negative">{formatPnl(maxLoss)}</span>
+        </div>
+        <div className="payoff-summary-item">
+          <span>Breakeven</span>
+          <span>{breakevens.length > 0 ? breakevens.map(formatPrice).join(', ') : '—'}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PayoffChart;
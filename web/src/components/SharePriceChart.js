@@ -0,0 +1,125 @@
+import React from 'react';
+import './SharePriceChart.css';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 56 };
+
+const MARKER_LABELS = { Staked: 'Stake', Unstaked: 'Unstake' };
+
+const formatSharePrice = (value) => value.toFixed(4);
+
+const formatChange = (value) => `${value < 0 ? '-' : '+'}${Math.abs(value * 100).toFixed(2)}%`;
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+/**
+ * Claimable USDC per staked USDC over time, with the account's stakes and unstakes on it
+ * @param {Object} props
+ * @param {Object[]} props.history - SharePricePoint list, see sdk/vaultMetrics.js
+ * @param {Object[]} props.markers - StakingMarker list of the account
+ * @param {number} props.maxDrawdown - Largest fall of the share price, 0.1 = 10%
+ */
+function SharePriceChart({ history, markers, maxDrawdown }) {
+  const points = history.filter(point => point.timestamp !== null);
+
+  if (points.length < 2) {
+    return <div className="share-price-empty">Not enough vault history yet</div>;
+  }
+
+  const prices = [...points, ...markers].map(point => point.sharePrice);
+  // keep the one for one stake rate in view, it is where every staker started from
+  const minPrice = Math.min(1, ...prices);
+  const maxPrice = Math.max(1, ...prices);
+  const margin = (maxPrice - minPrice) * 0.1 || 0.01;
+  const minValue = minPrice - margin;
+  const maxValue = maxPrice + margin;
+
+  const startTime = points[0].timestamp;
+  const endTime = points[points.length - 1].timestamp;
+
+  const x = (time) => PADDING.left + ((time - startTime) / (endTime - startTime || 1)) * (WIDTH - PADDING.left - PADDING.right);
+  const y = (value) => PADDING.top + ((maxValue - value) / (maxValue - minValue)) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+  // the share price holds until the next event moves it
+  const path = points
+    .map((point, i) => i === 0
+      ? `M${x(point.timestamp).toFixed(1)},${y(point.sharePrice).toFixed(1)}`
+      : `H${x(point.timestamp).toFixed(1)} V${y(point.sharePrice).toFixed(1)}`)
+    .join(' ');
+
+  const sharePrice = points[points.length - 1].sharePrice;
+  const firstStake = markers.find(marker => marker.type === 'Staked');
+
+  return (
+    <div className="share-price-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="share-price-svg" preserveAspectRatio="none">
+        {/* Stake rate */}
+        <line className="share-price-par-line" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(1)} y2={y(1)} />
+
+        {/* Value axis labels */}
+        <text className="share-price-axis-label" x={PADDING.left - 6} y={y(maxPrice) + 4} textAnchor="end">{formatSharePrice(maxPrice)}</text>
+        <text className="share-price-axis-label" x={PADDING.left - 6} y={y(minPrice) + 4} textAnchor="end">{formatSharePrice(minPrice)}</text>
+
+        {/* Time axis labels */}
+        <text className="share-price-axis-label" x={x(startTime)} y={HEIGHT - 8} textAnchor="start">{formatDate(startTime)}</text>
+        <text className="share-price-axis-label" x={x(endTime)} y={HEIGHT - 8} textAnchor="end">{formatDate(endTime)}</text>
+
+        <path className="share-price-line" d={path} />
+
+        {/* Stakes and unstakes of the account */}
+        {markers.map(marker => (
+          <circle
+            key={marker.id}
+            className={`share-price-marker ${marker.type === 'Staked' ? 'stake' : 'unstake'}`}
+            cx={x(marker.timestamp)}
+            cy={y(marker.sharePrice)}
+            r="4"
+          >
+            <title>
+              {`${MARKER_LABELS[marker.type]} ${marker.amount.toLocaleString()} USDC at ${formatSharePrice(marker.sharePrice)} on ${new Date(marker.timestamp).toLocaleString()}`}
+            </title>
+          </circle>
+        ))}
+      </svg>
+
+      <div className="share-price-legend">
+        <span className="share-price-legend-item">
+          <span className="share-price-legend-swatch line" />
+          Claimable per staked USDC
+        </span>
+        {markers.length > 0 && (
+          <>
+            <span className="share-price-legend-item">
+              <span className="share-price-legend-swatch stake" />
+              Your stakes
+            </span>
+            <span className="share-price-legend-item">
+              <span className="share-price-legend-swatch unstake" />
+              Your unstakes
+            </span>
+          </>
+        )}
+      </div>
+
+      <div className="share-price-summary">
+        <div className="share-price-summary-item">
+          <span>Share Price</span>
+          <span>{formatSharePrice(sharePrice)}</span>
+        </div>
+        <div className="share-price-summary-item">
+          <span>Max Drawdown</span>
+          <span className={maxDrawdown > 0 ? 'negative' : ''}>{maxDrawdown > 0 ? formatChange(-maxDrawdown) : '0.00%'}</span>
+        </div>
+        <div className="share-price-summary-item">
+          <span>Since Your First Stake</span>
+          <span className={firstStake ? (sharePrice >= firstStake.sharePrice ? 'positive' : 'negative') : ''}>
+            {firstStake ? formatChange(sharePrice / firstStake.sharePrice - 1) : '—'}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SharePriceChart;
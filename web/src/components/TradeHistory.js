@@ -0,0 +1,87 @@
+import React from 'react';
+import { summarizeRealizedPnl } from '../sdk/tradeHistory';
+import './TradeHistory.css';
+
+// History amounts are exact decimal strings, rounded to cents for display
+const formatUsd = (value) => `$${Math.abs(Number(value)).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatSignedUsd = (value) => `${Number(value) < 0 ? '-' : '+'}${formatUsd(value)}`;
+
+const pnlClass = (value) => Number(value) < 0 ? 'negative' : Number(value) > 0 ? 'positive' : '';
+
+const formatHash = (hash) => `${hash.slice(0, 6)}…${hash.slice(-4)}`;
+
+// Trade history rows from useTradeHistory with the realized P&L of each market they cover.
+// notice explains trades missing from the history, e.g. events the deployed contracts do not emit
+function TradeHistory({ rows, isLoading, error, emptyText = 'No trades yet', showMarket = true, notice = null }) {
+  const noticeBanner = notice && <div className="trade-history-notice">{notice}</div>;
+
+  if (error && rows.length === 0) {
+    return <div className="trade-history-empty">Failed to load trade history</div>;
+  }
+
+  if (rows.length === 0) {
+    return (
+      <>
+        {noticeBanner}
+        <div className="trade-history-empty">{isLoading ? 'Loading trade history...' : emptyText}</div>
+      </>
+    );
+  }
+
+  const summaries = summarizeRealizedPnl(rows);
+
+  return (
+    <div className="trade-history">
+      {noticeBanner}
+      <div className="trade-history-summary">
+        {summaries.map(summary => (
+          <div key={summary.marketKey} className="trade-history-total">
+            <span>{showMarket ? `${summary.market} realized` : 'Realized P&L'}</span>
+            <span className={pnlClass(summary.realizedPnl)}>{formatSignedUsd(summary.realizedPnl)}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="trade-history-table-container">
+        <table className="trade-history-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              {showMarket && <th>Market</th>}
+              <th>Action</th>
+              <th>Cash Flow</th>
+              <th>Realized</th>
+              <th>Running P&L</th>
+              <th>Tx</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...rows].reverse().map(row => (
+              <tr key={row.id}>
+                <td>{row.timestamp ? new Date(row.timestamp).toLocaleString() : '—'}</td>
+                {showMarket && <td>{row.market}</td>}
+                <td>
+                  {row.action}
+                  {row.ivUnits !== null && <span className="trade-history-size">{Number(row.ivUnits).toLocaleString()} IV</span>}
+                </td>
+                <td className={pnlClass(row.cashFlow)}>{formatSignedUsd(row.cashFlow)}</td>
+                <td className={row.realizedPnl === null ? '' : pnlClass(row.realizedPnl)}>
+                  {row.realizedPnl === null ? '—' : formatSignedUsd(row.realizedPnl)}
+                </td>
+                <td className={pnlClass(row.cumulativePnl)}>{formatSignedUsd(row.cumulativePnl)}</td>
+                <td>
+                  {row.explorerUrl ? (
+                    <a href={row.explorerUrl} target="_blank" rel="noopener noreferrer">{formatHash(row.hash)}</a>
+                  ) : '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default TradeHistory;
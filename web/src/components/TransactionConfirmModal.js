@@ -0,0 +1,82 @@
+import React from 'react';
+import './TransactionConfirmModal.css';
+
+const formatSigned = (amount) => {
+  const formatted = Math.abs(amount).toLocaleString(undefined, { maximumFractionDigits: 6 });
+  return `${amount < 0 ? '−' : '+'}${formatted}`;
+};
+
+const formatFee = (fee) => fee.toLocaleString(undefined, { maximumSignificantDigits: 4 });
+
+// Result of simulating a transaction, shown before the wallet asks the user to sign it
+function TransactionConfirmModal({ label, simulation, onConfirm, onCancel }) {
+  const { success, error, gas, balanceChanges, effects } = simulation;
+
+  return (
+    <div className="transaction-modal-backdrop" onClick={onCancel}>
+      <div className="transaction-modal" onClick={event => event.stopPropagation()}>
+        <h3 className="transaction-modal-title">{label}</h3>
+
+        {success ? (
+          <>
+            {effects.length > 0 && (
+              <div className="transaction-modal-section">
+                <div className="transaction-modal-section-title">Summary</div>
+                {effects.map((effect, index) => (
+                  <div className="transaction-modal-row" key={index}>
+                    <span>{effect.label}</span>
+                    <span>{formatSigned(effect.amount)} USDC</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="transaction-modal-section">
+              <div className="transaction-modal-section-title">Balance changes</div>
+              {balanceChanges.length === 0 ? (
+                <div className="transaction-modal-row muted">No token balance changes</div>
+              ) : balanceChanges.map(change => (
+                <div className="transaction-modal-row" key={change.metadata}>
+                  <span>{change.token}</span>
+                  <span className={change.amount < 0 ? 'negative' : 'positive'}>
+                    {formatSigned(change.amount)} {change.token}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </>
+        ) : (
+          <div className="transaction-modal-error">
+            <div className="transaction-modal-error-title">This transaction would fail</div>
+            <div>{error.message}</div>
+            <div className="transaction-modal-error-action">{error.action}</div>
+          </div>
+        )}
+
+        <div className="transaction-modal-section">
+          <div className="transaction-modal-row">
+            <span>Estimated network fee</span>
+            <span>{formatFee(gas.fee)} APT</span>
+          </div>
+          <div className="transaction-modal-row muted">
+            <span>Gas</span>
+            <span>{gas.gasUsed.toLocaleString()} units at {gas.gasUnitPrice} octas</span>
+          </div>
+        </div>
+
+        <div className="transaction-modal-actions">
+          {success ? (
+            <>
+              <button className="transaction-modal-button secondary" onClick={onCancel}>Cancel</button>
+              <button className="transaction-modal-button primary" onClick={onConfirm}>Confirm in wallet</button>
+            </>
+          ) : (
+            <button className="transaction-modal-button secondary" onClick={onCancel}>Close</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TransactionConfirmModal;
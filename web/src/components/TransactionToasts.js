@@ -0,0 +1,51 @@
+import React from 'react';
+import { TransactionStatus } from '../lib/transactions';
+import './TransactionToasts.css';
+
+const STATUS_TEXT = {
+  [TransactionStatus.SIMULATING]: 'Simulating…',
+  [TransactionStatus.CONFIRMING]: 'Waiting for review…',
+  [TransactionStatus.SIGNING]: 'Waiting for wallet approval…',
+  [TransactionStatus.PENDING]: 'Waiting for confirmation…',
+  [TransactionStatus.SUCCESS]: 'Confirmed',
+  [TransactionStatus.FAILED]: 'Failed'
+};
+
+const isInProgress = (status) => status !== TransactionStatus.SUCCESS && status !== TransactionStatus.FAILED;
+
+// Stack of transaction toasts in the bottom right corner
+function TransactionToasts({ toasts, onDismiss }) {
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="transaction-toasts">
+      {toasts.map(toast => (
+        <div key={toast.id} className={`transaction-toast ${toast.status}`}>
+          <div className="transaction-toast-header">
+            {isInProgress(toast.status) && <span className="transaction-toast-spinner" />}
+            <span className="transaction-toast-label">{toast.label}</span>
+            {!isInProgress(toast.status) && (
+              <button className="transaction-toast-close" onClick={() => onDismiss(toast.id)} aria-label="Dismiss">
+                ×
+              </button>
+            )}
+          </div>
+          <div className="transaction-toast-status">{STATUS_TEXT[toast.status]}</div>
+          {toast.error && (
+            <div className="transaction-toast-error">
+              {toast.error.message}
+              {toast.error.action && <div className="transaction-toast-action">{toast.error.action}</div>}
+            </div>
+          )}
+          {toast.explorerUrl && (
+            <a className="transaction-toast-link" href={toast.explorerUrl} target="_blank" rel="noopener noreferrer">
+              View on explorer
+            </a>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default TransactionToasts;
@@ -0,0 +1,40 @@
+import { useEffect, useState } from 'react';
+import { getOracleStatus } from '../lib/oracle';
+
+// How often the Pyth and on-chain oracle prices are compared
+const ORACLE_CHECK_INTERVAL_MS = 30000;
+
+/**
+ * Health of the price oracle for an asset, refreshed periodically
+ * @param {?string} symbol - e.g. "BTC-USD", nothing is checked while null
+ * @returns {?Object} Result of getOracleStatus, null until the first check completes
+ */
+export const useOracleStatus = (symbol) => {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    setStatus(null);
+    if (!symbol) return;
+
+    let cancelled = false;
+
+    const check = async () => {
+      try {
+        const nextStatus = await getOracleStatus(symbol);
+        if (!cancelled) setStatus(nextStatus);
+      } catch (error) {
+        console.error('Failed to check oracle status:', error);
+      }
+    };
+
+    check();
+    const interval = setInterval(check, ORACLE_CHECK_INTERVAL_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [symbol]);
+
+  return status;
+};
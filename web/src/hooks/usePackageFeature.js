@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react';
+import { hasFeature } from '../lib/packageFeatures';
+
+/**
+ * Whether the deployed package has a feature added after it may have been published
+ * @param {string} feature - One of PackageFeature in sdk/packageFeatures.js
+ * @returns {?boolean} null until the package has been checked
+ */
+export const usePackageFeature = (feature) => {
+  const [isAvailable, setIsAvailable] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    hasFeature(feature).then(available => {
+      if (!cancelled) setIsAvailable(available);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [feature]);
+
+  return isAvailable;
+};
@@ -0,0 +1,119 @@
+import { useEffect, useMemo, useState } from 'react';
+import { getLatestPrices, subscribeToPrices, toPrice, toFixedPrice } from '../lib/pyth';
+
+// Streamed prices can arrive several times a second, state is updated at most this often
+const DEFAULT_THROTTLE_MS = 1000;
+
+/**
+ * Live Pyth prices for several symbols. Starts from the latest price over HTTP, then follows
+ * the Hermes price stream.
+ * @param {string[]} symbols - e.g. ["BTC-USD", "ETH-USD"]
+ * @param {Object} [options]
+ * @param {number} [options.throttleMs=1000] - Minimum time between updates
+ * @returns {{prices: Object<string, number>, fixedPrices: Object<string, string>,
+ *   publishTimes: Object<string, number>, status: string, error: ?Error}} prices as floats,
+ *   fixedPrices as 18 decimal integer strings, both keyed by symbol
+ */
+export const usePythPrices = (symbols, { throttleMs = DEFAULT_THROTTLE_MS } = {}) => {
+  const [latest, setLatest] = useState({});
+  const [status, setStatus] = useState('connecting');
+  const [error, setError] = useState(null);
+
+  const symbolsKey = symbols.join(',');
+
+  useEffect(() => {
+    const symbolList = symbolsKey ? symbolsKey.split(',') : [];
+    if (symbolList.length === 0) return;
+
+    let cancelled = false;
+    let pending = {};
+    let timer = null;
+    let lastFlush = 0;
+
+    const flush = () => {
+      timer = null;
+      lastFlush = Date.now();
+
+      const updates = Object.values(pending);
+      pending = {};
+
+      // keep the newest price per symbol, the HTTP snapshot can land after a streamed one
+      setLatest(previous => {
+        const next = { ...previous };
+        updates.forEach(price => {
+          if (!next[price.symbol] || next[price.symbol].publishTime <= price.publishTime) {
+            next[price.symbol] = price;
+          }
+        });
+        return next;
+      });
+    };
+
+    const queue = (prices) => {
+      Object.values(prices).forEach(price => {
+        const queued = pending[price.symbol];
+        if (!queued || queued.publishTime <= price.publishTime) {
+          pending[price.symbol] = price;
+        }
+      });
+
+      if (!timer) {
+        timer = setTimeout(flush, Math.max(0, throttleMs - (Date.now() - lastFlush)));
+      }
+    };
+
+    getLatestPrices(symbolList)
+      .then(prices => {
+        if (!cancelled) queue(prices);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err);
+      });
+
+    const unsubscribe = subscribeToPrices(symbolList, (prices) => {
+      setError(null);
+      queue(prices);
+    }, {
+      onError: (err) => setError(err),
+      onStatus: (nextStatus) => setStatus(nextStatus)
+    });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [symbolsKey, throttleMs]);
+
+  // derived maps keep their identity between updates so they can be used as effect dependencies
+  const derived = useMemo(() => {
+    const symbolList = symbolsKey ? symbolsKey.split(',') : [];
+    const entries = Object.values(latest).filter(price => symbolList.includes(price.symbol));
+
+    return {
+      prices: Object.fromEntries(entries.map(price => [price.symbol, toPrice(price)])),
+      fixedPrices: Object.fromEntries(entries.map(price => [price.symbol, toFixedPrice(price)])),
+      publishTimes: Object.fromEntries(entries.map(price => [price.symbol, price.publishTime]))
+    };
+  }, [latest, symbolsKey]);
+
+  return { ...derived, status, error };
+};
+
+/**
+ * Live Pyth price of one symbol
+ * @param {string} symbol - e.g. "BTC-USD"
+ * @param {Object} [options] - See usePythPrices
+ * @returns {{price: ?number, fixedPrice: ?string, publishTime: ?number, status: string, error: ?Error}}
+ */
+export const usePythPrice = (symbol, options) => {
+  const { prices, fixedPrices, publishTimes, status, error } = usePythPrices([symbol], options);
+
+  return {
+    price: prices[symbol] ?? null,
+    fixedPrice: fixedPrices[symbol] ?? null,
+    publishTime: publishTimes[symbol] ?? null,
+    status,
+    error
+  };
+};
@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getTradeHistory } from '../lib/history';
+import { useTransactionSuccess } from './useTransactionSuccess';
+
+/**
+ * Trade history of an account, reloaded after each committed transaction
+ * @param {?string} account - Account address, nothing is loaded while null
+ * @returns {{rows: Object[], isLoading: boolean, error: ?Error, refresh: function(): Promise<void>}}
+ *   rows are the result of getTradeHistory
+ */
+export const useTradeHistory = (account) => {
+  const [rows, setRows] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(0);
+
+  const refresh = useCallback(async () => {
+    const requestId = ++requestRef.current;
+
+    if (!account) {
+      setRows([]);
+      setError(null);
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const history = await getTradeHistory(account);
+      // ignore histories of an account that has since been switched
+      if (requestId !== requestRef.current) return;
+
+      setRows(history);
+      setError(null);
+    } catch (historyError) {
+      if (requestId !== requestRef.current) return;
+
+      console.error('Failed to load trade history:', historyError);
+      setError(historyError);
+    } finally {
+      if (requestId === requestRef.current) {
+        setIsLoading(false);
+      }
+    }
+  }, [account]);
+
+  useEffect(() => {
+    setRows([]);
+    refresh();
+  }, [refresh]);
+
+  useTransactionSuccess(() => {
+    refresh();
+  });
+
+  return { rows, isLoading, error, refresh };
+};
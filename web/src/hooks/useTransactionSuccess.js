@@ -0,0 +1,20 @@
+import { useEffect, useRef } from 'react';
+import { subscribeToTransactions, TransactionStatus } from '../lib/transactions';
+
+/**
+ * Run a callback whenever a transaction sent through the transaction service is committed,
+ * e.g. to reload data the transaction changed
+ * @param {function(Object): void} callback - Receives the transaction record
+ */
+export const useTransactionSuccess = (callback) => {
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+
+  useEffect(() => {
+    return subscribeToTransactions(transaction => {
+      if (transaction.status === TransactionStatus.SUCCESS) {
+        callbackRef.current(transaction);
+      }
+    });
+  }, []);
+};
@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getVaultMetrics } from '../lib/vaultMetrics';
+import { useTransactionSuccess } from './useTransactionSuccess';
+
+// How often the vault state and events are reloaded, so trades by other accounts show up
+const VAULT_METRICS_INTERVAL_MS = 60000;
+
+/**
+ * Staking vault metrics, refreshed periodically and after each committed transaction
+ * @param {?string} [account] - Account whose stakes and unstakes are returned as markers
+ * @returns {{metrics: ?Object, error: ?Error}} metrics is the result of getVaultMetrics, null until
+ *   the first load completes
+ */
+export const useVaultMetrics = (account = null) => {
+  const [metrics, setMetrics] = useState(null);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(0);
+
+  const refresh = useCallback(async () => {
+    const requestId = ++requestRef.current;
+
+    try {
+      const nextMetrics = await getVaultMetrics(account);
+      // ignore metrics of an account that has since been switched
+      if (requestId !== requestRef.current) return;
+
+      setMetrics(nextMetrics);
+      setError(null);
+    } catch (metricsError) {
+      if (requestId !== requestRef.current) return;
+
+      console.error('Failed to load vault metrics:', metricsError);
+      setError(metricsError);
+    }
+  }, [account]);
+
+  useEffect(() => {
+    refresh();
+    const interval = setInterval(refresh, VAULT_METRICS_INTERVAL_MS);
+
+    return () => {
+      clearInterval(interval);
+    };
+  }, [refresh]);
+
+  useTransactionSuccess(() => {
+    refresh();
+  });
+
+  return { metrics, error };
+};
@@ -1,8 +0,0 @@
-export const addresses = {
-    code: "0x24ae379a41fb1238505da978651f751f9b089ab8818c4fde25a734bdb71f4248",
-    usdc: "0x512dc6886392695dad56bf67a4a14cd8a44eb220bcfd6f071a7b661d0b2eedd3",
-    marketplace: "0x4c3d47d71e93f0e829d7947bc22b4b944ae5c07b36c6b2d48171abee30230fc3",
-    staking_vault: "0x58daae70483a4516a07aa069cc8c7f1e301f702be747f23fae36ceea3534abb9",
-    options_exchange: "0x59db9e9f40cf1abac5cf836ef8640a80def2c26726db1175037f12760138b34b",
-    price_oracle: "0xc65fad8d65fdac7fadf50526e2808c503bb719bc44bcba2c4d08944f5a70f43b"
-}
\ No newline at end of file
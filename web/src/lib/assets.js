@@ -1,4 +1,5 @@
 import aptos from './chain'
+import { toNumber } from '../sdk/fixedPoint'
 
 
 export const getAddressTokenBalance = async(accountAddress, tokenAddress) => {
@@ -22,8 +23,7 @@ export const getAddressTokenBalance = async(accountAddress, tokenAddress) => {
 
     const balance = balances[0];
     const decimals = metadata.decimals;
-    const rawAmount = balance.amount;
-    const floatAmount = parseFloat(rawAmount) / Math.pow(10, decimals);
+    const floatAmount = toNumber(BigInt(balance.amount), decimals);
 
     return floatAmount;
   } catch (error) {
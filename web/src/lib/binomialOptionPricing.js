@@ -0,0 +1,278 @@
+// Client side port of binomial_option_pricing (BinomialOptionPricingModel.move).
+// All math is done with BigInt using the same 1e18 fixed-point scaling, step counts
+// and integer rounding as the contract, so prices and greeks match the chain exactly.
+
+// Fixed-point scale: values are scaled by 1e18
+export const PRECISION = 1000000000000000000n;
+const DAYS_PER_YEAR = 365n;
+
+// Default finite-difference bump sizes (all scaled by 1e18)
+export const EPS_REL_PRICE = 1000000000000000n;  // 0.001 = 0.1% relative bump on S
+export const EPS_VOL_ABS = 1000000000000000n;    // 0.001 = 0.1% absolute vol bump
+export const EPS_RATE_ABS = 100000000000000n;    // 0.0001 = 1 bp absolute rate bump
+
+// Integer square root (Babylonian method)
+const sqrt = (x) => {
+    if (x === 0n) return 0n;
+    if (x <= 3n) return 1n;
+
+    let z = x;
+    let y = (x + 1n) / 2n;
+    while (y < z) {
+        z = y;
+        y = (x / y + y) / 2n;
+    }
+
+    return z;
+}
+
+// Fixed-point exp for small x (Taylor up to 10 terms)
+const exp = (x) => {
+    if (x === 0n) return PRECISION;
+
+    let result = PRECISION;
+    let term = PRECISION;
+    for (let i = 1n; i <= 10n; i++) {
+        term = (term * x) / (i * PRECISION);
+        result = result + term;
+    }
+
+    return result;
+}
+
+const maxBig = (a, b) => a > b ? a : b;
+
+// Exponentiation by squaring for fixed-point base
+const powFp = (base, exponent) => {
+    let result = PRECISION;
+    let b = base;
+    let e = exponent;
+    while (e > 0n) {
+        if (e % 2n === 1n) {
+            result = (result * b) / PRECISION;
+        }
+        b = (b * b) / PRECISION;
+        e = e / 2n;
+    }
+
+    return result;
+}
+
+// Choose steps the same way as get_option_price
+const chooseNumSteps = (days) => days <= 30n ? 30n : 50n;
+
+const intrinsicValue = (price, strikePrice, isCall) => {
+    if (isCall) {
+        return price > strikePrice ? price - strikePrice : 0n;
+    }
+
+    return strikePrice > price ? strikePrice - price : 0n;
+}
+
+// Core pricer with explicit step count (used by greeks to keep steps constant)
+const priceCore = (
+    underlyingPrice,
+    strikePrice,
+    riskFreeRate,
+    volatility,
+    timeToExpirationDays,
+    numSteps,
+    isCall
+) => {
+    // T = 0 => intrinsic value
+    if (timeToExpirationDays === 0n) {
+        return maxBig(intrinsicValue(underlyingPrice, strikePrice, isCall), 0n);
+    }
+
+    // dt (in years) per step, scaled by PRECISION
+    const dtYearsScaled = timeToExpirationDays / (DAYS_PER_YEAR * numSteps);
+    const sqrtDt = sqrt(dtYearsScaled * PRECISION);
+
+    // Up/down factors: u = exp(σ√dt), d = 1/u
+    const volSqrtDt = (volatility * sqrtDt) / PRECISION;
+    const u = exp(volSqrtDt);
+    const d = (PRECISION * PRECISION) / u;
+
+    // Per-step risk-free factor
+    const rDt = (riskFreeRate * dtYearsScaled) / PRECISION;
+    const expRDt = exp(rDt);
+    const invExpRDt = (PRECISION * PRECISION) / expRDt;
+
+    // Degenerate/near-degenerate volatility
+    if (volatility === 0n || u === PRECISION) {
+        const discountedStrike = (strikePrice * powFp(invExpRDt, numSteps)) / PRECISION;
+
+        return maxBig(intrinsicValue(underlyingPrice, discountedStrike, isCall), 0n);
+    }
+
+    // Risk-neutral probability with clamping-by-construction
+    let p;
+    if (expRDt <= d) {
+        p = 0n;
+    } else if (expRDt >= u) {
+        p = PRECISION;
+    } else {
+        p = ((expRDt - d) * PRECISION) / (u - d);
+    }
+
+    // Build payoffs at maturity using a rolling stock price
+    let sNode = underlyingPrice;
+    for (let k = 0n; k < numSteps; k++) {
+        sNode = (sNode * d) / PRECISION;
+    }
+
+    let optionValues = [intrinsicValue(sNode, strikePrice, isCall)];
+    for (let i = 1n; i <= numSteps; i++) {
+        sNode = (sNode * u) / d;
+        optionValues.push(intrinsicValue(sNode, strikePrice, isCall));
+    }
+
+    // Backward induction
+    for (let step = Number(numSteps); step > 0; step--) {
+        const newValues = [];
+        for (let j = 0; j < step; j++) {
+            const expected = (p * optionValues[j + 1] + (PRECISION - p) * optionValues[j]) / PRECISION;
+            newValues.push((expected * invExpRDt) / PRECISION);
+        }
+        optionValues = newValues;
+    }
+
+    return optionValues[0];
+}
+
+/**
+ * Price a single option, mirrors binomial_option_pricing::get_option_price
+ * @param {bigint} underlyingPrice - Underlying price scaled by 1e18
+ * @param {bigint} strikePrice - Strike price scaled by 1e18
+ * @param {bigint} riskFreeRate - Annual rate scaled by 1e18
+ * @param {bigint} volatility - Annual volatility scaled by 1e18
+ * @param {bigint} daysToExpiration - Days to expiration scaled by 1e18
+ * @param {boolean} isCall - True for a call, false for a put
+ * @returns {bigint} Option price scaled by 1e18
+ */
+export const getOptionPrice = (
+    underlyingPrice,
+    strikePrice,
+    riskFreeRate,
+    volatility,
+    daysToExpiration,
+    isCall
+) => {
+    const steps = chooseNumSteps(daysToExpiration / PRECISION);
+
+    return priceCore(underlyingPrice, strikePrice, riskFreeRate, volatility, daysToExpiration, steps, isCall);
+}
+
+// ============== Signed helpers ==============
+
+const signedFromDiff = (a, b) => a >= b ? { neg: false, mag: a - b } : { neg: true, mag: b - a };
+
+const signedFromPos = (x) => ({ neg: false, mag: x });
+
+// (x / den) scaled by PRECISION, floor division on the magnitude
+const signedDivToFp = (x, den) => ({ neg: x.neg, mag: (x.mag * PRECISION) / den });
+
+const signedAdd = (a, b) => {
+    if (a.neg === b.neg) {
+        return { neg: a.neg, mag: a.mag + b.mag };
+    }
+
+    return a.mag >= b.mag ?
+        { neg: a.neg, mag: a.mag - b.mag } :
+        { neg: b.neg, mag: b.mag - a.mag };
+}
+
+// value * (1 ± eps) where both are scaled by PRECISION
+const applyRelBump = (value, eps, up) => (value * (up ? PRECISION + eps : PRECISION - eps)) / PRECISION;
+
+const clampSub = (a, b) => a > b ? a - b : 0n;
+
+/**
+ * Convert a Signed value ({ neg, mag }) into a signed BigInt
+ * @param {{neg: boolean, mag: bigint}} value - Signed fixed-point value
+ * @returns {bigint} Signed value scaled by 1e18
+ */
+export const signedToBigInt = (value) => value.neg ? -value.mag : value.mag;
+
+/**
+ * Compute the greeks with finite differences, mirrors binomial_option_pricing::get_greeks.
+ * Each greek is returned as a Signed value ({ neg, mag }) scaled by 1e18, like the view.
+ * @param {bigint} underlyingPrice - Underlying price scaled by 1e18
+ * @param {bigint} strikePrice - Strike price scaled by 1e18
+ * @param {bigint} riskFreeRate - Annual rate scaled by 1e18
+ * @param {bigint} volatility - Annual volatility scaled by 1e18
+ * @param {bigint} daysToExpiration - Days to expiration scaled by 1e18
+ * @param {boolean} isCall - True for a call, false for a put
+ * @returns {{delta, gamma, vega, theta, rho}} Greeks as Signed values
+ */
+export const getGreeks = (
+    underlyingPrice,
+    strikePrice,
+    riskFreeRate,
+    volatility,
+    daysToExpiration,
+    isCall
+) => {
+    const steps = chooseNumSteps(daysToExpiration / PRECISION);
+    const price = (s, r, v, t) => priceCore(s, strikePrice, r, v, t, steps, isCall);
+
+    // Base price
+    const p0 = price(underlyingPrice, riskFreeRate, volatility, daysToExpiration);
+
+    // ----- Delta and Gamma (bump S relatively) -----
+    const sUp = applyRelBump(underlyingPrice, EPS_REL_PRICE, true);
+    const sDn = applyRelBump(underlyingPrice, EPS_REL_PRICE, false);
+    const pSUp = price(sUp, riskFreeRate, volatility, daysToExpiration);
+    const pSDn = price(sDn, riskFreeRate, volatility, daysToExpiration);
+
+    // Delta ≈ (P(S+) - P(S-)) / (S+ - S-)
+    const deltaDen = sUp >= sDn ? sUp - sDn : 1n;
+    const delta = signedDivToFp(signedFromDiff(pSUp, pSDn), deltaDen);
+
+    // Gamma ≈ (P(S+) - 2 P(S0) + P(S-)) / ( (S0*eps)^2 )
+    const gammaNum = signedAdd(
+        signedAdd(signedFromPos(pSUp), { neg: true, mag: p0 * 2n }),
+        signedFromPos(pSDn)
+    );
+    const h = (underlyingPrice * EPS_REL_PRICE) / PRECISION;
+    const hSq = h === 0n ? 1n : (h * h) / PRECISION;
+    const gamma = signedDivToFp(gammaNum, hSq);
+
+    // ----- Vega (absolute bump σ), per 1.0 volatility unit -----
+    const pVUp = price(underlyingPrice, riskFreeRate, volatility + EPS_VOL_ABS, daysToExpiration);
+    const pVDn = price(underlyingPrice, riskFreeRate, clampSub(volatility, EPS_VOL_ABS), daysToExpiration);
+    const vega = signedDivToFp(signedFromDiff(pVUp, pVDn), EPS_VOL_ABS * 2n);
+
+    // ----- Rho (absolute bump r), per 1.0 rate unit -----
+    const pRUp = price(underlyingPrice, riskFreeRate + EPS_RATE_ABS, volatility, daysToExpiration);
+    const pRDn = price(underlyingPrice, clampSub(riskFreeRate, EPS_RATE_ABS), volatility, daysToExpiration);
+    const rho = signedDivToFp(signedFromDiff(pRUp, pRDn), EPS_RATE_ABS * 2n);
+
+    // ----- Theta (bump days; keep steps constant). Result = price units per year.
+    // The contract compares and bumps the scaled day count by raw units, which is mirrored here.
+    let theta;
+    if (daysToExpiration >= 2n) {
+        const pTUp = price(underlyingPrice, riskFreeRate, volatility, daysToExpiration + 1n);
+        const pTDn = price(underlyingPrice, riskFreeRate, volatility, daysToExpiration - 1n);
+        const num = signedFromDiff(pTUp, pTDn);
+        theta = { neg: num.neg, mag: (num.mag * 365n) / 2n };
+    } else {
+        const pTUp = price(underlyingPrice, riskFreeRate, volatility, daysToExpiration + 1n);
+        const num = signedFromDiff(pTUp, p0);
+        theta = { neg: num.neg, mag: num.mag * 365n };
+    }
+
+    return { delta, gamma, vega, theta, rho };
+}
+
+// Convenience getters (one Greek at a time), mirroring the contract views
+
+export const getDelta = (...args) => getGreeks(...args).delta;
+
+export const getGamma = (...args) => getGreeks(...args).gamma;
+
+export const getVega = (...args) => getGreeks(...args).vega;
+
+export const getTheta = (...args) => getGreeks(...args).theta;
+
+export const getRho = (...args) => getGreeks(...args).rho;
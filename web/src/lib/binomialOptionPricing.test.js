@@ -0,0 +1,122 @@
+import {
+    PRECISION,
+    getOptionPrice,
+    getGreeks,
+    getDelta,
+    getGamma,
+    getVega,
+    getRho,
+    signedToBigInt
+} from './binomialOptionPricing';
+
+// Inputs mirror contracts/tests/BinomialOptionPricingModelTest.move, whose
+// test_web_port_golden_values asserts the same option prices and put delta against the Move
+// model, so `aptos move test` fails when the contract and this port drift apart. Keep both
+// in step after changing the rounding or step counts of either.
+
+describe('getOptionPrice', () => {
+    test('at the money option', () => {
+        const atmPrice = getOptionPrice(125000n * PRECISION, 125000n * PRECISION, 5n * PRECISION / 100n, 25n * PRECISION / 100n, 7n * PRECISION, true);
+        const otmPrice = getOptionPrice(125000n * PRECISION, 140000n * PRECISION, 5n * PRECISION / 100n, 25n * PRECISION / 100n, 7n * PRECISION, true);
+
+        expect(atmPrice).toBe(1771812595966126899802n);
+        expect(otmPrice).toBe(411971963320943892n);
+        expect(atmPrice > otmPrice).toBe(true);
+    });
+
+    test('deep in the money option', () => {
+        const underlyingPrice = 120n * PRECISION;
+        const strikePrice = 100n * PRECISION;
+        const optionPrice = getOptionPrice(underlyingPrice, strikePrice, 3n * PRECISION / 100n, 15n * PRECISION / 100n, 10n * PRECISION, true);
+
+        expect(optionPrice).toBe(20082158012629933113n);
+        expect(optionPrice > underlyingPrice - strikePrice).toBe(true);
+        expect(optionPrice < underlyingPrice).toBe(true);
+    });
+
+    test('put option', () => {
+        const underlyingPrice = 95n * PRECISION;
+        const strikePrice = 100n * PRECISION;
+        const putPrice = getOptionPrice(underlyingPrice, strikePrice, 4n * PRECISION / 100n, 30n * PRECISION / 100n, 45n * PRECISION, false);
+
+        expect(putPrice).toBe(6738048458259894745n);
+        expect(putPrice >= strikePrice - underlyingPrice).toBe(true);
+    });
+
+    test('put call parity relationship', () => {
+        const underlyingPrice = 100n * PRECISION;
+        const args = [underlyingPrice, 100n * PRECISION, 4n * PRECISION / 100n, 20n * PRECISION / 100n, 60n * PRECISION];
+        const callPrice = getOptionPrice(...args, true);
+        const putPrice = getOptionPrice(...args, false);
+
+        expect(callPrice).toBe(3545624906164441559n);
+        expect(putPrice).toBe(2890247685698347838n);
+        expect(callPrice - putPrice < underlyingPrice / 2n).toBe(true);
+    });
+
+    test('expired options are worth their intrinsic value', () => {
+        expect(getOptionPrice(120n * PRECISION, 100n * PRECISION, 0n, PRECISION, 0n, true)).toBe(20n * PRECISION);
+        expect(getOptionPrice(120n * PRECISION, 100n * PRECISION, 0n, PRECISION, 0n, false)).toBe(0n);
+    });
+
+    test('zero volatility prices the discounted forward', () => {
+        expect(getOptionPrice(100n * PRECISION, 100n * PRECISION, 0n, 0n, 30n * PRECISION, true)).toBe(0n);
+        expect(getOptionPrice(110n * PRECISION, 100n * PRECISION, 0n, 0n, 30n * PRECISION, true)).toBe(10n * PRECISION);
+    });
+});
+
+describe('getGreeks', () => {
+    const underlyingPrice = 100n * PRECISION;
+    const strikePrice = 100n * PRECISION;
+    const riskFreeRate = 5n * PRECISION / 100n;
+    const volatility = 25n * PRECISION / 100n;
+    const days = 30n * PRECISION;
+
+    test('at the money call', () => {
+        const greeks = getGreeks(underlyingPrice, strikePrice, riskFreeRate, volatility, days, true);
+
+        expect(greeks).toEqual({
+            delta: { neg: false, mag: 536810753006687965n },
+            gamma: { neg: false, mag: 1438387136650686700n },
+            vega: { neg: false, mag: 11293293223394237000n },
+            theta: { neg: false, mag: 0n },
+            rho: { neg: false, mag: 4162371331235715000n }
+        });
+    });
+
+    test('delta properties', () => {
+        const callDelta = getDelta(underlyingPrice, strikePrice, riskFreeRate, volatility, days, true);
+        const putDelta = getDelta(underlyingPrice, strikePrice, riskFreeRate, volatility, days, false);
+
+        expect(callDelta.neg).toBe(false);
+        expect(callDelta.mag > PRECISION / 4n && callDelta.mag < 3n * PRECISION / 4n).toBe(true);
+        expect(putDelta).toEqual({ neg: true, mag: 463189246993312015n });
+        expect(signedToBigInt(putDelta)).toBe(-463189246993312015n);
+    });
+
+    test('gamma properties', () => {
+        const gamma = getGamma(underlyingPrice, strikePrice, riskFreeRate, volatility, days, true);
+        const otmGamma = getGamma(underlyingPrice, 110n * PRECISION, riskFreeRate, volatility, days, true);
+
+        expect(gamma.neg).toBe(false);
+        expect(otmGamma).toEqual({ neg: false, mag: 200n });
+        expect(gamma.mag > otmGamma.mag).toBe(true);
+    });
+
+    test('vega properties', () => {
+        const vega = getVega(underlyingPrice, strikePrice, riskFreeRate, volatility, days, true);
+        const longTermVega = getVega(underlyingPrice, strikePrice, riskFreeRate, volatility, 90n * PRECISION, true);
+
+        expect(vega.neg).toBe(false);
+        expect(longTermVega).toEqual({ neg: false, mag: 19456193668091469500n });
+        expect(longTermVega.mag > vega.mag).toBe(true);
+    });
+
+    test('rho properties', () => {
+        const callRho = getRho(underlyingPrice, strikePrice, riskFreeRate, volatility, days, true);
+        const putRho = getRho(underlyingPrice, strikePrice, riskFreeRate, volatility, days, false);
+
+        expect(callRho).toEqual({ neg: false, mag: 4162371331235715000n });
+        expect(putRho).toEqual({ neg: true, mag: 4023098617604395000n });
+    });
+});
@@ -1,6 +1,12 @@
-import { Aptos, AptosConfig, Network } from "@aptos-labs/ts-sdk";
+import { Aptos, AptosConfig } from "@aptos-labs/ts-sdk";
+import { activeNetwork } from "./networks";
 
-const config = new AptosConfig({ network: Network.TESTNET });
+const config = new AptosConfig({
+    network: activeNetwork.network,
+    fullnode: activeNetwork.fullnode,
+    indexer: activeNetwork.indexer,
+    faucet: activeNetwork.faucet || undefined
+});
 const aptos = new Aptos(config);
 
 export default aptos;
@@ -0,0 +1,36 @@
+import strata from "./strata";
+import { getTradeHistory } from "./history";
+import { HistoryProduct } from "../sdk/tradeHistory";
+import { POSITION_COLUMNS, ACTIVITY_COLUMNS, toPositionRecords, toActivityRecords } from "../sdk/dataExport";
+
+const activityDataset = (account, id, label, product) => ({
+    id,
+    label,
+    columns: ACTIVITY_COLUMNS,
+    load: async(range) => {
+        const rows = await getTradeHistory(account);
+
+        return toActivityRecords(rows.filter(row => row.product === product), range);
+    }
+});
+
+/**
+ * Datasets an account can export, for DataExportButton
+ * @param {string} account - Account address
+ * @returns {Object<string, {id: string, label: string, columns: Object[], load: function(Object): Promise<Object[]>}>}
+ */
+export const getExportDatasets = (account) => ({
+    optionPositions: {
+        id: "option-positions",
+        label: "Option positions with opening and closing quotes",
+        columns: POSITION_COLUMNS,
+        load: async(range) => {
+            const positions = await strata.getUserPositions(account);
+
+            return toPositionRecords(positions, range);
+        }
+    },
+    optionTrades: activityDataset(account, "option-trades", "Option trades", HistoryProduct.OPTIONS),
+    ivTrades: activityDataset(account, "iv-trades", "IV trades and short positions", HistoryProduct.VOLATILITY),
+    staking: activityDataset(account, "staking", "Staking activity", HistoryProduct.STAKING)
+});
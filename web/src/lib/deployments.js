@@ -0,0 +1,6 @@
+import manifest from "../deployments.json";
+import { validateManifest } from "../sdk/manifest";
+
+// Contract addresses per network from the deployment manifest, regenerated by
+// `npm run manifest` after a deploy. An invalid manifest fails at startup.
+export const deployments = validateManifest(manifest);
@@ -0,0 +1,60 @@
+import aptos from "./chain";
+import { activeNetwork, isDeployed } from "./networks";
+import { EventIndexer } from "../sdk/EventIndexer";
+import { IndexedDbEventStore } from "../sdk/eventStores";
+
+// Indexed Strata events of the selected deployment, kept in IndexedDB between visits. One
+// database per network and package address, so a redeploy starts from an empty store.
+//
+// The indexer is queried by event type, not by account: every browser syncs every event of each
+// type it reads, from all accounts, and filters them locally. The vault metrics need the events of
+// all accounts anyway, and the cursor per type makes later syncs fetch only new events, but a
+// first visit downloads the whole history of the deployment for the types a page reads.
+const eventIndexer = isDeployed() ? new EventIndexer({
+    aptos,
+    codeAddress: activeNetwork.addresses.code,
+    store: new IndexedDbEventStore(`strata-events-${activeNetwork.name}-${activeNetwork.addresses.code}`)
+}) : null;
+
+export default eventIndexer;
+
+// Syncs in progress keyed by event type
+const syncing = new Map();
+
+const syncType = (type) => {
+    if (!syncing.has(type)) {
+        syncing.set(type, eventIndexer.syncType(type).finally(() => {
+            syncing.delete(type);
+        }));
+    }
+
+    return syncing.get(type);
+}
+
+/**
+ * Index new events from the chain. Concurrent callers share the sync of a type.
+ * @param {string[]} [types] - Event names, every indexed type when omitted
+ * @returns {Promise<Object<string, number>>} Number of new events per type
+ */
+export const syncEvents = async(types = eventIndexer.types) => {
+    const saved = {};
+
+    // one type at a time keeps the load on the public indexer low
+    for (const type of types) {
+        saved[type] = await syncType(type);
+    }
+
+    return saved;
+}
+
+/**
+ * Stored events, synced first so they include the latest transactions. Only the queried types
+ * are synced.
+ * @param {Object} [query] - See filterEvents in sdk/eventStores.js
+ * @returns {Promise<import("../sdk/events").StrataEvent[]>}
+ */
+export const getEvents = async(query = {}) => {
+    await syncEvents(query.types);
+
+    return eventIndexer.store.getEvents(query);
+}
@@ -0,0 +1,25 @@
+import eventIndexer, { getEvents } from "./events";
+import { getExplorerTransactionUrl } from "./networks";
+import { TRADE_HISTORY_EVENTS, buildTradeHistory, marketNamesOf } from "../sdk/tradeHistory";
+
+/**
+ * Trade history of an account with realized P&L and explorer links. The transaction hashes
+ * are indexed with the events, so no row needs a request of its own.
+ * @param {string} account - Account address
+ * @returns {Promise<Array<import("../sdk/tradeHistory").HistoryRow & {explorerUrl: ?string}>>}
+ *   Rows in chain order, empty when the contracts are not deployed on the selected network
+ */
+export const getTradeHistory = async(account) => {
+    if (!eventIndexer) return [];
+
+    const events = await getEvents({ types: TRADE_HISTORY_EVENTS, account });
+    // the markets are created by their owner, so their names come from everyone's events,
+    // synced with the account's above
+    const created = await eventIndexer.store.getEvents({ types: ["MarketCreated"] });
+    const rows = buildTradeHistory(events, { markets: marketNamesOf(created) });
+
+    return rows.map(row => ({
+        ...row,
+        explorerUrl: row.hash ? getExplorerTransactionUrl(row.hash) : null
+    }));
+}
@@ -0,0 +1,121 @@
+import { Network } from "@aptos-labs/ts-sdk";
+import { deployments } from "./deployments";
+
+const NETWORK_STORAGE_KEY = 'strata.network';
+const DEFAULT_NETWORK = 'testnet';
+
+const HERMES_MAINNET = "https://hermes.pyth.network";
+const HERMES_BETA = "https://hermes-beta.pyth.network";
+
+// Underlying assets with markets and Pyth feeds
+const ASSETS = [
+    { symbol: 'BTC-USD', name: 'Bitcoin' },
+    { symbol: 'ETH-USD', name: 'Ethereum' },
+    { symbol: 'APT-USD', name: 'Aptos' },
+];
+
+/**
+ * Networks the app can connect to, keyed by name
+ * @type {Object<string, {name: string, label: string, network: string, fullnode: string,
+ *   indexer: string, faucet: ?string, addresses: ?Object, pythEndpoint: string,
+ *   assets: {symbol: string, name: string}[]}>}
+ */
+export const NETWORKS = {
+    mainnet: {
+        name: 'mainnet',
+        label: 'Mainnet',
+        network: Network.MAINNET,
+        fullnode: "https://api.mainnet.aptoslabs.com/v1",
+        indexer: "https://api.mainnet.aptoslabs.com/v1/graphql",
+        faucet: null,
+        addresses: deployments.mainnet || null,
+        pythEndpoint: HERMES_MAINNET,
+        assets: ASSETS
+    },
+    testnet: {
+        name: 'testnet',
+        label: 'Testnet',
+        network: Network.TESTNET,
+        fullnode: "https://api.testnet.aptoslabs.com/v1",
+        indexer: "https://api.testnet.aptoslabs.com/v1/graphql",
+        faucet: null,
+        addresses: deployments.testnet || null,
+        pythEndpoint: HERMES_BETA,
+        assets: ASSETS
+    },
+    devnet: {
+        name: 'devnet',
+        label: 'Devnet',
+        network: Network.DEVNET,
+        fullnode: "https://api.devnet.aptoslabs.com/v1",
+        indexer: "https://api.devnet.aptoslabs.com/v1/graphql",
+        faucet: "https://faucet.devnet.aptoslabs.com",
+        addresses: deployments.devnet || null,
+        pythEndpoint: HERMES_BETA,
+        assets: ASSETS
+    },
+    // `aptos node run-local-testnet --with-indexer-api` on the default ports. Price updates
+    // still come from the Pyth beta endpoint, which the local deployment's oracle must accept.
+    local: {
+        name: 'local',
+        label: 'Local',
+        network: Network.LOCAL,
+        fullnode: "http://127.0.0.1:8080/v1",
+        indexer: "http://127.0.0.1:8090/v1/graphql",
+        faucet: "http://127.0.0.1:8081",
+        addresses: deployments.local || null,
+        pythEndpoint: HERMES_BETA,
+        assets: ASSETS
+    }
+};
+
+const readStoredNetwork = () => {
+    try {
+        return window.localStorage.getItem(NETWORK_STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+// The Navbar switch takes precedence over REACT_APP_NETWORK, which defaults to testnet
+const resolveNetworkName = () => {
+    const candidates = [readStoredNetwork(), process.env.REACT_APP_NETWORK, DEFAULT_NETWORK];
+
+    return candidates.find(name => name && NETWORKS[name]);
+}
+
+/**
+ * Network selected at startup
+ * @type {typeof NETWORKS.testnet}
+ */
+export const activeNetwork = NETWORKS[resolveNetworkName()];
+
+/**
+ * Whether the Strata contracts are deployed on a network
+ * @param {Object} [network=activeNetwork]
+ * @returns {boolean}
+ */
+export const isDeployed = (network = activeNetwork) => network.addresses !== null;
+
+/**
+ * Switch to another network. The Aptos and Strata clients are created once at startup,
+ * so the page is reloaded to rebuild them.
+ * @param {string} name - Key of NETWORKS
+ */
+export const selectNetwork = (name) => {
+    if (!NETWORKS[name]) {
+        throw new Error(`Unknown network: ${name}`);
+    }
+
+    window.localStorage.setItem(NETWORK_STORAGE_KEY, name);
+    window.location.reload();
+}
+
+/**
+ * Aptos Explorer page of a transaction on the selected network
+ * @param {string} hash
+ * @returns {string}
+ */
+export const getExplorerTransactionUrl = (hash) => {
+    return `https://explorer.aptoslabs.com/txn/${hash}?network=${activeNetwork.name}`;
+}
@@ -1,7 +1,55 @@
-import { addresses } from "./addresses";
-import aptos from "./chain";
-import { getPriceUpdate } from "./pyth";
-import { formatDecimals, parseDecimals } from "./utils";
+import strata from "./strata";
+import { getPriceUpdates, RISK_FREE_RATE_SYMBOL } from "./pyth";
+import { getAssetPriceFixed } from "./oracle";
+import { getOptionPrice, getGreeks, signedToBigInt } from "./binomialOptionPricing";
+import { FIXED_DECIMALS, parseFixed, formatFixed, mulFixed, toNumber } from "../sdk/fixedPoint";
+
+// The multiplier per contract (100 to emulate equities)
+export const CONTRACT_MULTIPLIER = 100;
+
+const ONE_E18 = 1000000000000000000n;
+const SECONDS_PER_DAY = 86400n;
+
+// amounts and strike prices are 18 decimals
+const toFixedValues = (values) => values.map(value => parseFixed(value, FIXED_DECIMALS));
+
+// Parallel leg arrays (as taken by the exchange) to the SDK leg shape
+const toOptionLegs = (
+    leg_option_types,
+    leg_option_sides,
+    leg_option_amounts,
+    leg_option_strike_prices,
+    leg_option_expirations
+) => leg_option_types.map((option_type, i) => ({
+    type: option_type === 0 ? 'CALL' : 'PUT',
+    side: leg_option_sides[i] === 0 ? 'LONG' : 'SHORT',
+    amount: leg_option_amounts[i],
+    strikePrice: leg_option_strike_prices[i],
+    expiration: leg_option_expirations[i]
+}));
+
+// The SDK returns exact decimal strings, quotes and positions are handed to the page as numbers
+const QUOTE_AMOUNTS = ['initialMargin', 'maintenanceMargin', 'netCredit', 'netDebit', 'riskFreeRate', 'underlyingPrice', 'volatility'];
+const LEG_AMOUNTS = ['amount', 'strikePrice'];
+
+const withNumbers = (object, keys) => ({
+    ...object,
+    ...Object.fromEntries(keys.map(key => [key, Number(object[key])]))
+});
+
+const toQuote = (quote) => withNumbers(quote, QUOTE_AMOUNTS);
+
+// Open and closed positions of a user (StrataClient.getUserPositions shape) with numeric amounts
+export const getUserPositions = async (user_address) => {
+    const positions = await strata.getUserPositions(user_address);
+
+    return positions.map(position => ({
+        ...position,
+        legs: position.legs.map(leg => withNumbers(leg, LEG_AMOUNTS)),
+        openingQuote: toQuote(position.openingQuote),
+        closingQuote: toQuote(position.closingQuote)
+    }));
+}
 
 export const openOptionPosition = async (
     asset_symbol,               // the symbol for the position
@@ -11,112 +59,192 @@ export const openOptionPosition = async (
     leg_option_strike_prices,   // list of all option strike prices for each leg in the position,
     leg_option_expirations,     // list of all option expirations for each leg in the position (timestamp seconds)
 ) => {
-    const underlyingPriceUpdate = await getPriceUpdate(asset_symbol);
-    const riskFreeRatePriceUpdate = await getPriceUpdate("Rates.US10Y");
+    // one accumulator update covers both feeds, so it is passed for each of them
+    const priceUpdate = await getPriceUpdates([asset_symbol, RISK_FREE_RATE_SYMBOL]);
 
-    const leg_option_amounts_big = leg_option_amounts.map(amount => {
-        // amounts are 18 decimals
-        return formatDecimals(amount, 18);
-    });
+    const legs = toOptionLegs(
+        leg_option_types,
+        leg_option_sides,
+        leg_option_amounts,
+        leg_option_strike_prices,
+        leg_option_expirations
+    );
 
-    const leg_option_strike_prices_big = leg_option_strike_prices.map(strike_price => {
-        // strike prices are 18 decimals
-        return formatDecimals(strike_price, 18);
+    return strata.openPosition(asset_symbol, legs, {
+        underlyingPriceUpdate: priceUpdate,
+        riskFreeRatePriceUpdate: priceUpdate
     });
+}
+
+// Gets the market inputs used to price a position as decimal strings: the Pyth price of the
+// underlying, the US10Y rate stored in the on-chain oracle and the marketplace implied volatility
+export const getPricingInputs = async(
+    asset_symbol,           // the symbol for the position
+    underlying_price = null // optional 18 decimal price, e.g. from the price stream, fetched when omitted
+) => {
+    const [underlyingPrice, riskFreeRate, volatility] = await Promise.all([
+        underlying_price || getAssetPriceFixed(asset_symbol, 18),
+        strata.getOraclePrice(RISK_FREE_RATE_SYMBOL),
+        strata.getImpliedVolatility(asset_symbol)
+    ]);
 
-    const transaction = {
-        data : {
-            function: `${addresses.code}::options_exchange::update_price_feed_and_open_position`,
-            functionArguments: [
-                underlyingPriceUpdate,
-                riskFreeRatePriceUpdate,
-                addresses.marketplace, 
-                addresses.options_exchange, 
-                asset_symbol,
-                leg_option_types,
-                leg_option_sides,
-                leg_option_amounts_big,
-                leg_option_strike_prices_big,
-                leg_option_expirations
-            ]
-        }
+    return {
+        underlyingPrice: formatFixed(underlyingPrice, FIXED_DECIMALS),
+        riskFreeRate,
+        volatility
     }
+}
+
+export const quotePosition = async (
+    asset_symbol,               // the symbol for the position
+    leg_option_types,           // list of option types for each leg in the position call=0, put=1
+    leg_option_sides,           // list of option sides for each leg in the position long=0, short=1,
+    leg_option_amounts,         // list of all option amounts for each leg in the position,
+    leg_option_strike_prices,   // list of all option strike prices for each leg in the position,
+    leg_option_expirations,     // list of all option expirations for each leg in the position (timestamp seconds)
+    pricing_inputs = null       // optional inputs from getPricingInputs, fetched when not provided
+) => {
+    const inputs = pricing_inputs || await getPricingInputs(asset_symbol);
 
-    return transaction;
+    const legs = toOptionLegs(
+        leg_option_types,
+        leg_option_sides,
+        leg_option_amounts,
+        leg_option_strike_prices,
+        leg_option_expirations
+    );
 
+    return toQuote(await strata.pricePosition(asset_symbol, legs, inputs));
 }
 
-export const closeOptionPosition = async(
-    positionId  // the id of the position to close
+// Prices each leg locally with the same binomial model and contract multiplier as price_position.
+// Returns the total premium in USDC for each leg.
+export const getLegPremiums = (
+    leg_option_types,           // list of option types for each leg in the position call=0, put=1
+    leg_option_amounts,         // list of all option amounts for each leg in the position,
+    leg_option_strike_prices,   // list of all option strike prices for each leg in the position,
+    leg_option_expirations,     // list of all option expirations for each leg in the position (timestamp seconds)
+    pricing_inputs              // inputs from getPricingInputs
 ) => {
-    const transaction = {
-        data : {
-            function: `${addresses.code}::options_exchange::close_position`,
-            functionArguments: [
-                addresses.marketplace, 
-                addresses.options_exchange, 
-                positionId
-            ]
-        }
-    }
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    const amounts = toFixedValues(leg_option_amounts);
+    const strikePrices = toFixedValues(leg_option_strike_prices);
+
+    return leg_option_types.map((option_type, i) => {
+        const expiration = BigInt(leg_option_expirations[i]);
+        const daysToExpiration = expiration > now ? ((expiration - now) * ONE_E18) / SECONDS_PER_DAY : 0n;
+
+        const premium = getOptionPrice(
+            parseFixed(pricing_inputs.underlyingPrice, FIXED_DECIMALS),
+            strikePrices[i],
+            parseFixed(pricing_inputs.riskFreeRate, FIXED_DECIMALS),
+            parseFixed(pricing_inputs.volatility, FIXED_DECIMALS),
+            daysToExpiration,
+            option_type === 0
+        );
+
+        const legPremium = mulFixed(premium * BigInt(CONTRACT_MULTIPLIER), amounts[i], FIXED_DECIMALS);
 
-    return transaction;
+        return toNumber(legPremium, FIXED_DECIMALS);
+    });
 }
 
-export const getUserPositions = async(
-    userAddress // the address of the current logged in user
+// Profit (positive) or loss (negative) of a position, mirroring execute_close_position: positions
+// opened for a net debit are compared on net debit, all others on net credit
+export const getPositionPnl = (
+    opening_quote,  // quote the position was opened with
+    closing_quote   // current quote for the position
 ) => {
-    const request = {
-        function: `${addresses.code}::options_exchange::get_user_positions`,
-        typeArguments: [],           
-        functionArguments: [
-            addresses.options_exchange, 
-            userAddress
-        ],
+    if (opening_quote.netDebit > 0) {
+        return closing_quote.netDebit - opening_quote.netDebit;
     }
 
-    const result = await aptos.view({ payload: request });
-    const positions = result[0].map(position => {
-        const id = position.id;
-        const symbol = position.asset_symbol;
-        const closingQuote = formatQuote(position.closing_quote);
-        const openingQuote = formatQuote(position.opening_quote);
-        const status = position.status["__variant__"];
-        const legs = position.legs.map(leg => { return formatLeg(leg)});
+    return opening_quote.netCredit - closing_quote.netCredit;
+}
 
-        return {
-            id,
-            symbol,
-            closingQuote,
-            openingQuote,
-            status,
-            legs
-        }
-    });
+// Marks an open position (getUserPositions shape) to market with a live price_position quote.
+// closeReturn is the USDC close_position would send back if executed at these inputs.
+export const markPosition = async (
+    position,               // position as returned by getUserPositions
+    pricing_inputs = null   // optional inputs from getPricingInputs, fetched when not provided
+) => {
+    const inputs = pricing_inputs || await getPricingInputs(position.symbol);
+    const quote = toQuote(await strata.pricePosition(position.symbol, position.legs, inputs));
 
-    return positions;
- 
-}
+    const opening = position.openingQuote;
+    const unrealizedPnl = getPositionPnl(opening, quote);
+    const deposit = opening.netDebit + opening.initialMargin - opening.netCredit;
 
-const formatLeg = (leg) => {
     return {
-        amount: parseDecimals(leg.amount, 18),
-        expiration: new Date(Number(leg.expiration)*1000),
-        type: leg.option_type["__variant__"],
-        side: leg.side["__variant__"],
-        strikePrice: parseDecimals(leg.strike_price, 18)
-    }
+        quote,
+        markValue: quote.netDebit - quote.netCredit,
+        unrealizedPnl,
+        // margin posted plus P&L above the current maintenance requirement, null when nothing is required
+        maintenanceBuffer: quote.maintenanceMargin > 0 ?
+            opening.initialMargin + unrealizedPnl - quote.maintenanceMargin :
+            null,
+        closeReturn: Math.max(deposit + unrealizedPnl, 0),
+        lastUpdated: new Date()
+    };
 }
 
-const formatQuote = (quote) => {
+const GREEK_NAMES = ['delta', 'gamma', 'vega', 'theta', 'rho'];
+
+const toGreekValue = (value) => toNumber(value, FIXED_DECIMALS);
+
+// Computes the greeks of each leg of a position (getUserPositions leg shape) with the binomial model,
+// scaled by side, amount and the contract multiplier. Delta, gamma, vega and rho mirror get_greeks,
+// with vega and rho per 1% move. The contract's theta bumps the 18 decimal day count by a single raw
+// unit and always rounds to zero, so theta is the change in value over the next day instead.
+export const getPositionGreeks = (
+    legs,           // legs of the position as returned by getUserPositions
+    pricing_inputs  // inputs from getPricingInputs
+) => {
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    const underlyingPrice = parseFixed(pricing_inputs.underlyingPrice, FIXED_DECIMALS);
+    const riskFreeRate = parseFixed(pricing_inputs.riskFreeRate, FIXED_DECIMALS);
+    const volatility = parseFixed(pricing_inputs.volatility, FIXED_DECIMALS);
+
+    const legGreeks = legs.map(leg => {
+        const expiration = BigInt(Math.floor(leg.expiration.getTime() / 1000));
+        const daysToExpiration = expiration > now ? ((expiration - now) * ONE_E18) / SECONDS_PER_DAY : 0n;
+        const strikePrice = parseFixed(leg.strikePrice, FIXED_DECIMALS);
+        const isCall = leg.type === 'CALL';
+
+        const greeks = getGreeks(underlyingPrice, strikePrice, riskFreeRate, volatility, daysToExpiration, isCall);
+        const price = getOptionPrice(underlyingPrice, strikePrice, riskFreeRate, volatility, daysToExpiration, isCall);
+        const nextDayPrice = getOptionPrice(
+            underlyingPrice,
+            strikePrice,
+            riskFreeRate,
+            volatility,
+            daysToExpiration > ONE_E18 ? daysToExpiration - ONE_E18 : 0n,
+            isCall
+        );
+
+        const quantity = (leg.side === 'LONG' ? 1 : -1) * leg.amount * CONTRACT_MULTIPLIER;
+
+        return {
+            delta: toGreekValue(signedToBigInt(greeks.delta)) * quantity,
+            gamma: toGreekValue(signedToBigInt(greeks.gamma)) * quantity,
+            vega: toGreekValue(signedToBigInt(greeks.vega)) * quantity / 100,
+            theta: toGreekValue(nextDayPrice - price) * quantity,
+            rho: toGreekValue(signedToBigInt(greeks.rho)) * quantity / 100
+        };
+    });
+
     return {
-        initialMargin: parseDecimals(quote.initial_margin, 18),
-        maintenanceMargin: parseDecimals(quote.maintenance_margin, 18),
-        netCredit: parseDecimals(quote.net_credit, 18),
-        netDebit:parseDecimals(quote.net_debit, 18),
-        riskFreeRate: parseDecimals(quote.risk_free_rate, 18),
-        timestamp: new Date(Number(quote.timestamp) * 1000),
-        underlyingPrice: parseDecimals(quote.underlying_price, 18),
-        volatility: parseDecimals(quote.volatility, 18)
-    }
-}
\ No newline at end of file
+        legs: legGreeks,
+        total: sumGreeks(legGreeks)
+    };
+}
+
+// Adds up a list of greeks ({ delta, gamma, vega, theta, rho })
+export const sumGreeks = (greeksList) => {
+    const total = {};
+    GREEK_NAMES.forEach(name => {
+        total[name] = greeksList.reduce((sum, greeks) => sum + greeks[name], 0);
+    });
+
+    return total;
+}
@@ -1,14 +1,106 @@
-import { addresses } from "./addresses";
-import aptos from "./chain";
+import strata from "./strata";
+import pyth, { toPrice, toFixedPrice } from "./pyth";
+import { hasFeature } from "./packageFeatures";
+import { FIXED_DECIMALS } from "../sdk/fixedPoint";
+import { PackageFeature } from "../sdk/packageFeatures";
 
+// Relative difference between the Pyth and on-chain prices above which the oracle is degraded
+export const MAX_PRICE_DEVIATION = 0.01;
+
+// Default age in seconds above which the stored Pyth price is stale. The contracts read it with
+// get_price_unsafe and it only moves when a transaction pushes a price update, such as opening a
+// position, so a quiet market goes stale too; an hour leaves room for that.
+export const MAX_ONCHAIN_PRICE_AGE = 60 * 60;
+
+export const OracleHealth = {
+    HEALTHY: 'healthy',     // both sources agree and the on-chain price is recent
+    DEGRADED: 'degraded',   // the on-chain price deviates from Pyth or is stale
+    DOWN: 'down'            // a source could not be read
+};
+
+// Packages published before get_price_info only have get_price, the publish time and whether
+// the price is a mock are then unknown
+const getOnChainPriceInfo = async(symbol) => {
+    if (await hasFeature(PackageFeature.ORACLE_PRICE_INFO)) return strata.getOraclePriceInfo(symbol);
+
+    return { price: await strata.getOraclePrice(symbol), publishTime: null, isMock: null };
+}
+
+/**
+ * Latest off-chain Pyth price of an asset
+ * @param {string} symbol - e.g. "BTC-USD"
+ * @returns {Promise<number>}
+ */
 export const getAssetPrice = async(symbol) => {
-    const request = {
-        function: `${addresses.code}::price_oracle::get_price`,
-        typeArguments: [],           
-        functionArguments: [addresses.price_oracle, symbol],
+    const price = await pyth.getPrice(symbol);
+
+    return toPrice(price);
+}
+
+/**
+ * Latest off-chain Pyth price as an integer string with the given number of decimals
+ * @param {string} symbol
+ * @param {number} [decimals=18]
+ * @returns {Promise<string>}
+ */
+export const getAssetPriceFixed = async(symbol, decimals = FIXED_DECIMALS) => {
+    const price = await pyth.getPrice(symbol);
+
+    return toFixedPrice(price, decimals);
+}
+
+/**
+ * Price stored in the on-chain price_oracle
+ * @param {string} symbol
+ * @returns {Promise<number>}
+ */
+export const getOnChainPrice = async(symbol) => {
+    const { price } = await getOnChainPriceInfo(symbol);
+
+    return Number(price);
+}
+
+/**
+ * Compare the off-chain Pyth price with the price the contracts read from price_oracle
+ * @param {string} symbol - e.g. "BTC-USD"
+ * @param {Object} [options]
+ * @param {number} [options.maxAge=MAX_ONCHAIN_PRICE_AGE] - Age in seconds above which the on-chain price is stale
+ * @returns {Promise<{symbol: string, health: string, pythPrice: ?number, onChainPrice: ?number,
+ *   deviation: ?number, onChainAge: ?number, isStale: ?boolean, isMock: ?boolean, error: ?Error}>}
+ *   deviation is relative to the Pyth price (0.01 = 1%), onChainAge in seconds since the stored
+ *   price was published; onChainAge and isStale are null when the publish time is unknown, as for
+ *   mock prices
+ */
+export const getOracleStatus = async(symbol, { maxAge = MAX_ONCHAIN_PRICE_AGE } = {}) => {
+    const [pythResult, onChainResult] = await Promise.allSettled([
+        pyth.getPrice(symbol),
+        getOnChainPriceInfo(symbol)
+    ]);
+
+    const status = {
+        symbol,
+        health: OracleHealth.DOWN,
+        pythPrice: pythResult.status === 'fulfilled' ? toPrice(pythResult.value) : null,
+        onChainPrice: onChainResult.status === 'fulfilled' ? Number(onChainResult.value.price) : null,
+        deviation: null,
+        onChainAge: null,
+        isStale: null,
+        isMock: onChainResult.status === 'fulfilled' ? onChainResult.value.isMock : null,
+        error: pythResult.reason || onChainResult.reason || null
+    };
+
+    if (status.error) return status;
+
+    const { publishTime } = onChainResult.value;
+    if (publishTime) {
+        status.onChainAge = Math.max(0, Math.floor((Date.now() - publishTime.getTime()) / 1000));
+        status.isStale = status.onChainAge > maxAge;
     }
 
-    const result = await aptos.view({ payload: request });
+    status.deviation = Math.abs(status.onChainPrice - status.pythPrice) / status.pythPrice;
+    status.health = status.isStale || status.deviation > MAX_PRICE_DEVIATION ?
+        OracleHealth.DEGRADED :
+        OracleHealth.HEALTHY;
 
-    return result;
+    return status;
 }
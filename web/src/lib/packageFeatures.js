@@ -0,0 +1,27 @@
+import strata from "./strata";
+
+let checking = null;
+
+/**
+ * Features the deployed package does not have yet, checked once per session. A node that cannot
+ * be reached turns nothing off, the calls then fail on their own.
+ * @returns {Promise<string[]>} Names from PackageFeature in sdk/packageFeatures.js
+ */
+export const getMissingFeatures = () => {
+    if (!checking) {
+        checking = (strata ? strata.getMissingFeatures() : Promise.resolve([])).catch(error => {
+            console.error('Failed to check the deployed package:', error);
+            // let a later call retry
+            checking = null;
+            return [];
+        });
+    }
+
+    return checking;
+}
+
+/**
+ * @param {string} feature - One of PackageFeature
+ * @returns {Promise<boolean>} Whether the deployed package has the feature
+ */
+export const hasFeature = async(feature) => !(await getMissingFeatures()).includes(feature);
@@ -0,0 +1,140 @@
+import { getOptionPrice } from "./binomialOptionPricing";
+import { CONTRACT_MULTIPLIER } from "./optionsExchange";
+import { FIXED_DECIMALS, parseFixed, toNumber } from "../sdk/fixedPoint";
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Float -> 18 decimal BigInt, as expected by the pricing model
+const toFixed18 = (value) => parseFixed(Math.max(value, 0), FIXED_DECIMALS);
+
+const legDirection = (leg) => leg.side === 'LONG' ? 1 : -1;
+
+const intrinsicValue = (leg, price) => {
+    return leg.type === 'CALL' ?
+        Math.max(price - leg.strikePrice, 0) :
+        Math.max(leg.strikePrice - price, 0);
+}
+
+// Value of one leg at the given underlying price and valuation date. Legs that have
+// expired by the valuation date are worth their intrinsic value, the others are priced
+// with the binomial model over the time that remains.
+const legValue = (leg, price, valuationDate, volatility, riskFreeRate) => {
+    const remainingMs = leg.expiration.getTime() - valuationDate.getTime();
+    let unitValue;
+
+    if (remainingMs <= 0) {
+        unitValue = intrinsicValue(leg, price);
+    } else {
+        const days = BigInt(Math.floor((remainingMs / ONE_DAY_MS) * 1e6)) * 1000000000000n;
+        const modelPrice = getOptionPrice(
+            toFixed18(price),
+            toFixed18(leg.strikePrice),
+            toFixed18(riskFreeRate),
+            toFixed18(volatility),
+            days,
+            leg.type === 'CALL'
+        );
+        unitValue = toNumber(modelPrice, FIXED_DECIMALS);
+    }
+
+    return legDirection(leg) * unitValue * leg.amount * CONTRACT_MULTIPLIER;
+}
+
+const positionValue = (legs, price, valuationDate, volatility, riskFreeRate) => {
+    return legs.reduce((total, leg) => total + legValue(leg, price, valuationDate, volatility, riskFreeRate), 0);
+}
+
+// Price grid around the spot and strikes. Strikes are always included so the kinks
+// of the expiry payoff are exact.
+const getPriceGrid = (legs, spotPrice, points) => {
+    const anchors = [spotPrice, ...legs.map(leg => leg.strikePrice)];
+    const low = Math.min(...anchors) * 0.7;
+    const high = Math.max(...anchors) * 1.3;
+    const step = (high - low) / (points - 1);
+
+    const grid = Array.from({ length: points }, (_, i) => low + step * i);
+
+    return [...new Set([...grid, ...anchors])].sort((a, b) => a - b);
+}
+
+const findBreakevens = (prices, values) => {
+    const breakevens = [];
+
+    for (let i = 0; i < prices.length; i++) {
+        if (values[i] === 0) {
+            breakevens.push(prices[i]);
+        } else if (i > 0 && values[i - 1] !== 0 && (values[i - 1] < 0) !== (values[i] < 0)) {
+            // linear interpolation between the two samples around the crossing
+            const ratio = values[i - 1] / (values[i - 1] - values[i]);
+            breakevens.push(prices[i - 1] + ratio * (prices[i] - prices[i - 1]));
+        }
+    }
+
+    return breakevens;
+}
+
+/**
+ * Build the risk profile of a multi-leg position
+ * @param {Object} params
+ * @param {Array} params.legs - Legs shaped like getUserPositions legs ({ type, side, amount, strikePrice, expiration })
+ * @param {number} params.entryCost - Net premium paid to open (net debit - net credit), in USDC
+ * @param {number} params.spotPrice - Current underlying price
+ * @param {number} params.volatility - Annual volatility used for the pre-expiry curves (0.3 = 30%)
+ * @param {number} params.riskFreeRate - Annual risk free rate (0.05 = 5%)
+ * @param {number} [params.intermediateCurves=2] - Number of curves before expiry, starting today
+ * @param {number} [params.points=41] - Number of underlying prices to sample
+ * @returns {Object} Price grid, P&L curves, breakevens and max profit / loss at expiry
+ */
+export const getPayoffProfile = ({
+    legs,
+    entryCost,
+    spotPrice,
+    volatility,
+    riskFreeRate,
+    intermediateCurves = 2,
+    points = 41
+}) => {
+    const now = new Date();
+    const expiry = new Date(Math.min(...legs.map(leg => leg.expiration.getTime())));
+    const prices = getPriceGrid(legs, spotPrice, points);
+
+    const curveAt = (label, date) => ({
+        label,
+        date,
+        isExpiry: date.getTime() >= expiry.getTime(),
+        values: prices.map(price => positionValue(legs, price, date, volatility, riskFreeRate) - entryCost)
+    });
+
+    const curves = [];
+    const intervalMs = (expiry.getTime() - now.getTime()) / Math.max(intermediateCurves, 1);
+
+    for (let i = 0; i < intermediateCurves && intervalMs > 0; i++) {
+        const date = new Date(now.getTime() + intervalMs * i);
+        curves.push(curveAt(i === 0 ? 'Today' : date.toLocaleDateString(), date));
+    }
+
+    const expiryCurve = curveAt('Expiry', expiry);
+    curves.push(expiryCurve);
+
+    // Beyond the grid the payoff is linear: calls set the slope as the price rises, so a
+    // net long call is unlimited profit and a net short call is unlimited loss. Puts are
+    // bounded by a zero underlying price.
+    const upsideSlope = legs
+        .filter(leg => leg.type === 'CALL')
+        .reduce((total, leg) => total + legDirection(leg) * leg.amount * CONTRACT_MULTIPLIER, 0);
+
+    const expiryValues = expiryCurve.values;
+    const downsideValue = positionValue(legs, 0, expiry, volatility, riskFreeRate) - entryCost;
+
+    const maxProfit = upsideSlope > 0 ? Infinity : Math.max(...expiryValues, downsideValue);
+    const maxLoss = upsideSlope < 0 ? -Infinity : Math.min(...expiryValues, downsideValue);
+
+    return {
+        prices,
+        curves,
+        expiry,
+        breakevens: findBreakevens(prices, expiryValues),
+        maxProfit,
+        maxLoss
+    };
+}
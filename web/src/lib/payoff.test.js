@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+import { getPayoffProfile } from './payoff';
+import { CONTRACT_MULTIPLIER } from './optionsExchange';
+
+// the exchange prices positions through the deployed contracts, none are read here
+jest.mock('./strata', () => ({ __esModule: true, default: {} }));
+
+const expiration = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+const leg = (type, side, strikePrice, amount = 1) => ({ type, side, strikePrice, amount, expiration });
+const market = { spotPrice: 100, volatility: 0.5, riskFreeRate: 0.04 };
+
+const profileOf = (legs, entryCost) => getPayoffProfile({ legs, entryCost, ...market });
+
+// P&L of the curve at a price of the grid; the spot and strikes are always on it
+const valueAt = (profile, curve, price) => curve.values[profile.prices.indexOf(price)];
+const expiryCurve = (profile) => profile.curves[profile.curves.length - 1];
+
+describe('getPayoffProfile', () => {
+    test('values a long call per contract of CONTRACT_MULTIPLIER units', () => {
+        // $5 premium per unit
+        const profile = profileOf([leg('CALL', 'LONG', 105)], 5 * CONTRACT_MULTIPLIER);
+        const expiry = expiryCurve(profile);
+
+        expect(CONTRACT_MULTIPLIER).toBe(100);
+        expect(expiry.isExpiry).toBe(true);
+        expect(valueAt(profile, expiry, 100)).toBe(-500);
+        expect(valueAt(profile, expiry, 105)).toBe(-500);
+        expect(profile.breakevens).toHaveLength(1);
+        expect(profile.breakevens[0]).toBeCloseTo(110);
+        expect(profile.maxProfit).toBe(Infinity);
+        expect(profile.maxLoss).toBe(-500);
+    });
+
+    test('scales every leg by its amount', () => {
+        const one = profileOf([leg('PUT', 'LONG', 100)], 0);
+        const three = profileOf([leg('PUT', 'LONG', 100, 3)], 0);
+
+        expect(three.prices).toEqual(one.prices);
+        expiryCurve(three).values.forEach((value, i) => {
+            expect(value).toBeCloseTo(3 * expiryCurve(one).values[i]);
+        });
+        // a zero underlying price pays the full strike on each unit
+        expect(three.maxProfit).toBe(3 * 100 * CONTRACT_MULTIPLIER);
+    });
+
+    test('nets the legs of a call spread', () => {
+        const profile = profileOf([leg('CALL', 'LONG', 100), leg('CALL', 'SHORT', 110)], 400);
+        const expiry = expiryCurve(profile);
+
+        expect(valueAt(profile, expiry, 100)).toBe(-400);
+        expect(valueAt(profile, expiry, 110)).toBe(600);
+        expect(profile.breakevens).toHaveLength(1);
+        expect(profile.breakevens[0]).toBeCloseTo(104);
+        // capped above the short strike
+        expect(profile.maxProfit).toBeCloseTo(600);
+        expect(profile.maxLoss).toBe(-400);
+    });
+
+    test('finds both breakevens of an iron condor', () => {
+        const profile = profileOf([
+            leg('PUT', 'LONG', 85),
+            leg('PUT', 'SHORT', 90),
+            leg('CALL', 'SHORT', 110),
+            leg('CALL', 'LONG', 115)
+        ], -200);
+
+        expect(profile.breakevens.map(price => Math.round(price * 100) / 100)).toEqual([88, 112]);
+        expect(profile.maxProfit).toBe(200);
+        expect(profile.maxLoss).toBe(-300);
+    });
+
+    test('reports unlimited loss for a net short call', () => {
+        const profile = profileOf([leg('CALL', 'SHORT', 100, 2), leg('CALL', 'LONG', 110)], -300);
+
+        expect(profile.maxLoss).toBe(-Infinity);
+        expect(profile.maxProfit).toBe(300);
+    });
+
+    test('adds curves before expiry that keep the time value', () => {
+        const profile = profileOf([leg('CALL', 'LONG', 100)], 0);
+        const [today] = profile.curves;
+
+        expect(profile.curves.map(curve => curve.isExpiry)).toEqual([false, false, true]);
+        expect(today.label).toBe('Today');
+        expect(valueAt(profile, today, 100)).toBeGreaterThan(valueAt(profile, expiryCurve(profile), 100));
+    });
+});
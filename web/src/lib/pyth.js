@@ -1,67 +1,99 @@
-import { parseDecimals } from "./utils";
-import { Buffer } from "buffer";
-
-var priceFeeds = [];
-const baseUrl = "https://hermes-beta.pyth.network"
-
-
-const initPriceFeeds = async() => {
-    const url = `${baseUrl}/v2/price_feeds`;
-    
-    try {
-        const response = await fetch(url);
-        const data = await response.json();
-        priceFeeds = data.map(feedItem => {
-            return {
-                id: feedItem.id,
-                ...feedItem.attributes
-            }
-        });
+import { rescale, toNumber } from "../sdk/fixedPoint";
+import { PythClient } from "../sdk/PythClient";
+import { activeNetwork } from "./networks";
 
-        return priceFeeds;
-    } catch (error) {
-        console.error('Failed to fetch price feeds:', error);
-        throw error;
-    }
-}
+// Pyth feed of the risk free rate used by the options exchange
+export const RISK_FREE_RATE_SYMBOL = "Rates.US10Y";
+
+// Rates only publish during US market hours, so their last price may be from before a weekend
+const RATE_MAX_PRICE_AGE = 4 * 24 * 60 * 60;
 
-const getPriceData = async(symbol) => {
-    if(priceFeeds.length == 0){
-        await initPriceFeeds();
+const pyth = new PythClient({
+    endpoint: activeNetwork.pythEndpoint,
+    limits: {
+        [RISK_FREE_RATE_SYMBOL]: { maxPriceAge: RATE_MAX_PRICE_AGE }
     }
-    
-    const formattedSymbol = symbol.replace("-", "");
-    const feed = priceFeeds.find(x => { return x.generic_symbol == formattedSymbol || x.symbol == symbol})
-    
-    if(!feed)
-        throw `feed item not found for symbol ${symbol}`
+});
 
-    const url = `${baseUrl}/v2/updates/price/latest?ids[]=${feed.id}&parsed=true`
+export default pyth;
 
-    try {
-        const response = await fetch(url);
-        const data = await response.json();
+// Signed update data covering all the given symbols, fetched in one request
+export const getPriceUpdates = async(symbols) => {
+    const { updateData } = await pyth.getLatestPrices(symbols);
 
-        return data;
-    } catch(err) {
-        console.error('Failed to fetch price:', err);
+    return updateData;
+}
 
-        throw err;
-    }
+// Pyth prices are integers scaled by 10^expo, with a negative expo
+export const toPrice = (price) => toNumber(price.price, -price.expo);
+
+// Price as an integer string with the given number of decimals
+export const toFixedPrice = (price, decimals = 18) => rescale(price.price, -price.expo, decimals).toString();
+
+// Latest checked PythPrice objects of several symbols from one request, keyed by symbol
+export const getLatestPrices = async(symbols) => {
+    const { prices } = await pyth.getLatestPrices(symbols);
+
+    return prices;
 }
 
-export const getPriceUpdate = async(symbol) => {
-    const data = await getPriceData(symbol);
+// Subscribers share one Hermes stream for the union of their symbols, so every component
+// showing live prices costs a single connection
+const subscribers = new Set();
+let stream = null;
+
+const streamSymbols = () => [...new Set([...subscribers].flatMap(subscriber => subscriber.symbols))].sort();
+
+const restartStream = () => {
+    const symbols = streamSymbols();
+    if (stream && stream.key === symbols.join(',')) return;
+
+    // detach the replaced stream first, its closing is not the subscribers' stream closing
+    const replaced = stream;
+    stream = null;
+    if (replaced) replaced.close();
+    if (symbols.length === 0) return;
 
-    return data.binary.data
+    const current = { key: symbols.join(',') };
+    const broadcast = (notify) => {
+        if (stream === current) subscribers.forEach(notify);
+    };
+
+    stream = current;
+    current.close = pyth.subscribe(
+        symbols,
+        (prices) => broadcast(subscriber => {
+            const matching = subscriber.symbols.filter(symbol => prices[symbol]);
+            if (matching.length > 0) {
+                subscriber.onPrices(Object.fromEntries(matching.map(symbol => [symbol, prices[symbol]])));
+            }
+        }),
+        {
+            onError: (error) => broadcast(subscriber => {
+                if (!error.symbol || subscriber.symbols.includes(error.symbol)) subscriber.onError(error);
+            }),
+            onStatus: (status) => broadcast(subscriber => subscriber.onStatus(status))
+        }
+    );
 }
 
-export const getAssetPrice = async(symbol) => {
-    const data = await getPriceData(symbol);
-    const priceData = data.parsed[0].price;
-    const price = priceData.price;
-    const exponent = Math.abs(priceData.expo);
-    const priceAsFloat = parseDecimals(price, exponent);
+/**
+ * Receive live prices for the given symbols from the Hermes price stream
+ * @param {string[]} symbols
+ * @param {function(Object<string, import("../sdk/PythClient").PythPrice>): void} onPrices
+ * @param {Object} [handlers]
+ * @param {function(Error): void} [handlers.onError]
+ * @param {function(string): void} [handlers.onStatus]
+ * @returns {function(): void} Unsubscribe
+ */
+export const subscribeToPrices = (symbols, onPrices, { onError = () => {}, onStatus = () => {} } = {}) => {
+    const subscriber = { symbols, onPrices, onError, onStatus };
+
+    subscribers.add(subscriber);
+    restartStream();
 
-    return priceAsFloat;
+    return () => {
+        subscribers.delete(subscriber);
+        restartStream();
+    };
 }
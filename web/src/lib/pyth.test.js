@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+import pyth, { subscribeToPrices } from './pyth';
+
+jest.mock('./networks', () => ({ activeNetwork: { pythEndpoint: 'https://hermes.test' } }));
+
+// streams opened through the client, with the handlers each was given
+let streams;
+
+beforeEach(() => {
+    streams = [];
+    jest.spyOn(pyth, 'subscribe').mockImplementation((symbols, onPrices, handlers) => {
+        const stream = { symbols, onPrices, ...handlers, close: jest.fn(() => handlers.onStatus('closed')) };
+        streams.push(stream);
+        handlers.onStatus('connecting');
+        return stream.close;
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const subscriber = (symbols) => {
+    const events = { prices: [], errors: [], statuses: [] };
+    const unsubscribe = subscribeToPrices(symbols, prices => events.prices.push(prices), {
+        onError: error => events.errors.push(error),
+        onStatus: status => events.statuses.push(status)
+    });
+
+    return { events, unsubscribe };
+};
+
+describe('subscribeToPrices', () => {
+    test('shares one stream for the union of the symbols', () => {
+        const btc = subscriber(['BTC-USD']);
+        const both = subscriber(['ETH-USD', 'BTC-USD']);
+
+        expect(streams.map(stream => stream.symbols)).toEqual([['BTC-USD'], ['BTC-USD', 'ETH-USD']]);
+        expect(streams[0].close).toHaveBeenCalled();
+
+        streams[1].onPrices({ 'BTC-USD': { price: '1' }, 'ETH-USD': { price: '2' } });
+        expect(btc.events.prices).toEqual([{ 'BTC-USD': { price: '1' } }]);
+        expect(both.events.prices).toHaveLength(1);
+
+        both.unsubscribe();
+        btc.unsubscribe();
+        expect(streams).toHaveLength(3);
+        expect(streams[2].close).toHaveBeenCalled();
+    });
+
+    test('does not report a restart of the stream as closed', () => {
+        const btc = subscriber(['BTC-USD']);
+        streams[0].onStatus('open');
+        const eth = subscriber(['ETH-USD']);
+
+        expect(btc.events.statuses).toEqual(['connecting', 'open', 'connecting']);
+        expect(eth.events.statuses).toEqual(['connecting']);
+
+        // late callbacks of the replaced stream are dropped
+        streams[0].onStatus('reconnecting');
+        expect(btc.events.statuses).toHaveLength(3);
+
+        btc.unsubscribe();
+        eth.unsubscribe();
+    });
+
+    test('reports symbol errors to the subscribers of that symbol', () => {
+        const btc = subscriber(['BTC-USD']);
+        const doge = subscriber(['DOGE-USD']);
+        const error = Object.assign(new Error('No Pyth price feed found for DOGE-USD'), { symbol: 'DOGE-USD' });
+
+        streams[1].onError(error);
+
+        expect(btc.events.errors).toEqual([]);
+        expect(doge.events.errors).toEqual([error]);
+
+        btc.unsubscribe();
+        doge.unsubscribe();
+    });
+});
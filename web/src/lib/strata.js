@@ -0,0 +1,9 @@
+import aptos from "./chain";
+import { activeNetwork, isDeployed } from "./networks";
+import { StrataClient } from "../sdk";
+
+// Client shared by the app, bound to the deployment on the selected network. It is null when
+// the contracts are not deployed there, in which case App renders no pages that use it.
+const strata = isDeployed() ? new StrataClient(aptos, activeNetwork.addresses) : null;
+
+export default strata;
@@ -0,0 +1,209 @@
+import { PRECISION, getDelta } from "./binomialOptionPricing";
+import { FIXED_DECIMALS, parseFixed, toNumber } from "../sdk/fixedPoint";
+
+// Default number of legs allowed in the Position Builder, iron condors need 4
+export const DEFAULT_MAX_LEGS = 4;
+
+// Strike increments are 1, 2 or 5 times a power of ten, and at least a cent as strikes are
+// entered in cents
+const STRIKE_STEPS = [5, 2, 1];
+const MIN_STRIKE_INCREMENT = 0.01;
+
+/**
+ * Strike increment for an underlying price: the largest 1-2-5 step within 1% of it, so strikes
+ * keep the same relative spacing at any price, e.g. $500 for BTC at $70,000 and $0.05 for APT at $7
+ * @param {number} price - Underlying price in USD
+ * @returns {number}
+ */
+export const strikeIncrement = (price) => {
+    const target = price / 100;
+    if (!(target > MIN_STRIKE_INCREMENT)) return MIN_STRIKE_INCREMENT;
+
+    const exponent = Math.floor(Math.log10(target));
+    const step = STRIKE_STEPS.find(step => step * 10 ** exponent <= target);
+
+    // parsed from the decimal form so 5e-2 is exactly 0.05
+    return Math.max(Number(`${step}e${exponent}`), MIN_STRIKE_INCREMENT);
+}
+
+/**
+ * Round a strike to the increment of the underlying price, the rounding used by the quick strike
+ * buttons and the strategy templates
+ * @param {number} strike
+ * @param {number} [spotPrice=strike] - Underlying price the increment is taken from
+ * @returns {number}
+ */
+export const roundStrike = (strike, spotPrice = strike) => {
+    const increment = strikeIncrement(spotPrice);
+    const decimals = Math.max(0, Math.ceil(-Math.log10(increment)));
+
+    return Number((Math.round(strike / increment) * increment).toFixed(decimals));
+}
+
+const toFixed18 = (value) => parseFixed(Math.max(value, 0), FIXED_DECIMALS);
+
+// Strike at a relative distance from spot, e.g. pct = 5 is 5% above spot
+const strikeFromSpot = (market, pct) => market.spotPrice * (1 + pct / 100);
+
+/**
+ * Strike whose binomial delta magnitude matches the target, found by bisection between a fifth
+ * and three times the spot price. Call deltas fall and put delta magnitudes rise as the strike
+ * increases.
+ * @param {Object} market - { spotPrice, volatility, riskFreeRate, expirationDays }
+ * @param {number} targetDelta - Delta magnitude, 0 < targetDelta < 1
+ * @param {boolean} isCall
+ * @returns {number} Unrounded strike in USD
+ */
+export const strikeForDelta = (market, targetDelta, isCall) => {
+    const underlyingPrice = toFixed18(market.spotPrice);
+    const riskFreeRate = toFixed18(market.riskFreeRate);
+    const volatility = toFixed18(market.volatility);
+    const days = BigInt(market.expirationDays) * PRECISION;
+    const target = toFixed18(targetDelta);
+
+    let low = underlyingPrice / 5n;
+    let high = underlyingPrice * 3n;
+
+    for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2n;
+        const delta = getDelta(underlyingPrice, mid, riskFreeRate, volatility, days, isCall).mag;
+
+        if ((delta > target) === isCall) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return toNumber((low + high) / 2n, FIXED_DECIMALS);
+}
+
+const widthParam = { key: 'width', label: 'Width (%)', defaultValue: 5 };
+const deltaParam = { key: 'delta', label: 'Delta Target', defaultValue: 0.25 };
+
+// Each template lists its parameters and leg count, and builds legs as { side, optionType, strike, ratio }
+// from the parameters and the market ({ spotPrice, volatility, riskFreeRate, expirationDays }).
+export const STRATEGY_TEMPLATES = [
+    {
+        id: 'call-spread',
+        name: 'Call Spread',
+        description: 'Buy an ATM call, sell a higher strike call',
+        legCount: 2,
+        params: [widthParam],
+        build: ({ width }, market) => [
+            { side: 'buy', optionType: 'call', strike: market.spotPrice },
+            { side: 'sell', optionType: 'call', strike: strikeFromSpot(market, width) }
+        ]
+    },
+    {
+        id: 'put-spread',
+        name: 'Put Spread',
+        description: 'Buy an ATM put, sell a lower strike put',
+        legCount: 2,
+        params: [widthParam],
+        build: ({ width }, market) => [
+            { side: 'buy', optionType: 'put', strike: market.spotPrice },
+            { side: 'sell', optionType: 'put', strike: strikeFromSpot(market, -width) }
+        ]
+    },
+    {
+        id: 'straddle',
+        name: 'Straddle',
+        description: 'Buy an ATM call and an ATM put',
+        legCount: 2,
+        params: [],
+        build: (params, market) => [
+            { side: 'buy', optionType: 'call', strike: market.spotPrice },
+            { side: 'buy', optionType: 'put', strike: market.spotPrice }
+        ]
+    },
+    {
+        id: 'strangle',
+        name: 'Strangle',
+        description: 'Buy an OTM call and an OTM put at the target delta',
+        legCount: 2,
+        params: [deltaParam],
+        usesDelta: true,
+        build: ({ delta }, market) => [
+            { side: 'buy', optionType: 'call', strike: strikeForDelta(market, delta, true) },
+            { side: 'buy', optionType: 'put', strike: strikeForDelta(market, delta, false) }
+        ]
+    },
+    {
+        id: 'risk-reversal',
+        name: 'Risk Reversal',
+        description: 'Buy an OTM call and sell an OTM put at the target delta',
+        legCount: 2,
+        params: [deltaParam],
+        usesDelta: true,
+        build: ({ delta }, market) => [
+            { side: 'buy', optionType: 'call', strike: strikeForDelta(market, delta, true) },
+            { side: 'sell', optionType: 'put', strike: strikeForDelta(market, delta, false) }
+        ]
+    },
+    {
+        id: 'collar',
+        name: 'Collar',
+        description: 'Buy an OTM put and sell an OTM call at the target delta',
+        legCount: 2,
+        params: [deltaParam],
+        usesDelta: true,
+        build: ({ delta }, market) => [
+            { side: 'buy', optionType: 'put', strike: strikeForDelta(market, delta, false) },
+            { side: 'sell', optionType: 'call', strike: strikeForDelta(market, delta, true) }
+        ]
+    },
+    {
+        id: 'butterfly',
+        name: 'Butterfly',
+        description: 'Buy the wings, sell two ATM calls',
+        legCount: 3,
+        params: [widthParam],
+        build: ({ width }, market) => [
+            { side: 'buy', optionType: 'call', strike: strikeFromSpot(market, -width) },
+            { side: 'sell', optionType: 'call', strike: market.spotPrice, ratio: 2 },
+            { side: 'buy', optionType: 'call', strike: strikeFromSpot(market, width) }
+        ]
+    },
+    {
+        id: 'iron-condor',
+        name: 'Iron Condor',
+        description: 'Sell a put and a call at the target delta, buy wings further out',
+        legCount: 4,
+        params: [deltaParam, widthParam],
+        usesDelta: true,
+        build: ({ delta, width }, market) => {
+            const shortPut = strikeForDelta(market, delta, false);
+            const shortCall = strikeForDelta(market, delta, true);
+            const wing = market.spotPrice * width / 100;
+
+            return [
+                { side: 'buy', optionType: 'put', strike: shortPut - wing },
+                { side: 'sell', optionType: 'put', strike: shortPut },
+                { side: 'sell', optionType: 'call', strike: shortCall },
+                { side: 'buy', optionType: 'call', strike: shortCall + wing }
+            ];
+        }
+    }
+];
+
+/**
+ * Build the legs of a strategy template
+ * @param {string} templateId - Template id from STRATEGY_TEMPLATES
+ * @param {Object} params - Template parameters keyed by param key (width in %, delta as 0-1)
+ * @param {Object} market - { spotPrice, volatility, riskFreeRate, expirationDays }; volatility
+ * and riskFreeRate are only needed by templates that use a delta target
+ * @returns {Array} Legs as { side: 'buy'|'sell', optionType: 'call'|'put', strike, ratio }
+ */
+export const buildTemplateLegs = (templateId, params, market) => {
+    const template = STRATEGY_TEMPLATES.find(t => t.id === templateId);
+    if (!template) {
+        throw new Error(`Unknown strategy template: ${templateId}`);
+    }
+
+    return template.build(params, market).map(leg => ({
+        ...leg,
+        strike: roundStrike(leg.strike, market.spotPrice),
+        ratio: leg.ratio || 1
+    }));
+}
@@ -0,0 +1,86 @@
+import { PRECISION, getDelta } from './binomialOptionPricing';
+import { STRATEGY_TEMPLATES, buildTemplateLegs, roundStrike, strikeForDelta, strikeIncrement } from './strategyTemplates';
+import { FIXED_DECIMALS, parseFixed, toNumber } from '../sdk/fixedPoint';
+
+const btc = { spotPrice: 70000, volatility: 0.5, riskFreeRate: 0.04, expirationDays: 30 };
+const apt = { spotPrice: 7.37, volatility: 0.8, riskFreeRate: 0.04, expirationDays: 30 };
+
+const deltaAt = (market, strike, isCall) => toNumber(getDelta(
+    parseFixed(market.spotPrice, FIXED_DECIMALS),
+    parseFixed(strike, FIXED_DECIMALS),
+    parseFixed(market.riskFreeRate, FIXED_DECIMALS),
+    parseFixed(market.volatility, FIXED_DECIMALS),
+    BigInt(market.expirationDays) * PRECISION,
+    isCall
+).mag, FIXED_DECIMALS);
+
+describe('roundStrike', () => {
+    test('scales the increment to the price', () => {
+        expect([70000, 3000, 150, 7.37, 0.5].map(strikeIncrement)).toEqual([500, 20, 1, 0.05, 0.01]);
+    });
+
+    test('rounds to the increment of the spot price', () => {
+        expect(roundStrike(73620, 70000)).toBe(73500);
+        expect(roundStrike(7.7385, 7.37)).toBe(7.75);
+        expect(roundStrike(0.3149)).toBe(0.31);
+    });
+
+    test('keeps low priced strikes apart', () => {
+        const strikes = [-10, -5, 0, 5, 10].map(pct => roundStrike(apt.spotPrice * (1 + pct / 100), apt.spotPrice));
+
+        expect(strikes).toEqual([6.65, 7, 7.35, 7.75, 8.1]);
+    });
+});
+
+describe('strikeForDelta', () => {
+    test('finds the strike with the target delta', () => {
+        [[btc, 0.25], [btc, 0.5], [apt, 0.25]].forEach(([market, target]) => {
+            expect(deltaAt(market, strikeForDelta(market, target, true), true)).toBeCloseTo(target, 2);
+            expect(deltaAt(market, strikeForDelta(market, target, false), false)).toBeCloseTo(target, 2);
+        });
+    });
+
+    test('moves further out of the money for smaller deltas', () => {
+        const call = (delta) => strikeForDelta(btc, delta, true);
+        const put = (delta) => strikeForDelta(btc, delta, false);
+
+        expect(call(0.1)).toBeGreaterThan(call(0.25));
+        expect(call(0.25)).toBeGreaterThan(btc.spotPrice);
+        expect(put(0.1)).toBeLessThan(put(0.25));
+        expect(put(0.25)).toBeLessThan(btc.spotPrice);
+    });
+});
+
+describe('buildTemplateLegs', () => {
+    test('builds the legs of every template', () => {
+        STRATEGY_TEMPLATES.forEach(template => {
+            const params = Object.fromEntries(template.params.map(param => [param.key, param.defaultValue]));
+            const legs = buildTemplateLegs(template.id, params, btc);
+
+            expect(legs).toHaveLength(template.legCount);
+            legs.forEach(leg => {
+                expect(leg.strike % strikeIncrement(btc.spotPrice)).toBe(0);
+                expect(leg.ratio).toBeGreaterThanOrEqual(1);
+            });
+        });
+    });
+
+    test('places the width from spot', () => {
+        expect(buildTemplateLegs('butterfly', { width: 5 }, apt)).toEqual([
+            { side: 'buy', optionType: 'call', strike: 7, ratio: 1 },
+            { side: 'sell', optionType: 'call', strike: 7.35, ratio: 2 },
+            { side: 'buy', optionType: 'call', strike: 7.75, ratio: 1 }
+        ]);
+    });
+
+    test('orders the iron condor strikes', () => {
+        const strikes = buildTemplateLegs('iron-condor', { delta: 0.2, width: 5 }, apt).map(leg => leg.strike);
+
+        expect(strikes).toEqual([...strikes].sort((a, b) => a - b));
+        expect(new Set(strikes).size).toBe(4);
+    });
+
+    test('rejects unknown templates', () => {
+        expect(() => buildTemplateLegs('calendar', {}, btc)).toThrow('Unknown strategy template: calendar');
+    });
+});
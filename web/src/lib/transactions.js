@@ -0,0 +1,169 @@
+import aptos from "./chain";
+import { activeNetwork, getExplorerTransactionUrl } from "./networks";
+import { decodeVmStatus } from "../sdk/abortCodes";
+import { summarizeSimulation } from "../sdk/simulation";
+
+// Stages a transaction goes through, reported to listeners
+export const TransactionStatus = {
+    SIMULATING: 'simulating',   // dry run before the wallet is asked to sign
+    CONFIRMING: 'confirming',   // the user is reviewing the simulation
+    SIGNING: 'signing',         // waiting for the wallet
+    PENDING: 'pending',         // submitted, waiting to be committed
+    SUCCESS: 'success',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'      // declined after reviewing the simulation
+};
+
+/**
+ * A transaction that failed at one of its stages
+ */
+export class TransactionError extends Error {
+    /**
+     * @param {string} message - Used when the VM status cannot be decoded
+     * @param {Object} details
+     * @param {'simulation'|'confirmation'|'wallet'|'execution'} details.stage - Where the transaction failed
+     * @param {?string} [details.vmStatus] - Move VM status, e.g. "Move abort in 0x1::coin: 0x10006"
+     * @param {?string} [details.hash] - Transaction hash once submitted
+     * @param {?Error} [details.cause]
+     */
+    constructor(message, { stage, vmStatus = null, hash = null, cause = null }) {
+        const decoded = vmStatus ? decodeVmStatus(vmStatus) : null;
+
+        super(decoded ? decoded.message : message);
+        this.name = 'TransactionError';
+        this.stage = stage;
+        this.vmStatus = vmStatus;
+        // What the user can do about it, when the VM status is recognised
+        this.action = decoded ? decoded.action : null;
+        this.abort = decoded ? decoded.abort : null;
+        this.hash = hash;
+        this.cause = cause;
+    }
+}
+
+const listeners = new Set();
+let nextTransactionId = 1;
+
+/**
+ * Be notified of every status change of transactions sent through executeTransaction
+ * @param {function(Object): void} listener - Receives { id, label, status, hash, explorerUrl, error, functionId }
+ * @returns {function(): void} Unsubscribe
+ */
+export const subscribeToTransactions = (listener) => {
+    listeners.add(listener);
+
+    return () => listeners.delete(listener);
+}
+
+const notify = (transaction) => {
+    listeners.forEach(listener => {
+        try {
+            listener(transaction);
+        } catch (error) {
+            console.error('Transaction listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Dry run an entry function payload for a sender, with the gas unit price and maximum gas
+ * amount estimated by the node
+ * @param {string} sender - Account address
+ * @param {import("../sdk/types").EntryFunctionPayload} payload
+ * @returns {Promise<import("../sdk/simulation").SimulationSummary>}
+ */
+export const simulateTransaction = async(sender, payload) => {
+    const transaction = await aptos.transaction.build.simple({ sender, data: payload.data });
+    const [result] = await aptos.transaction.simulate.simple({
+        transaction,
+        options: { estimateGasUnitPrice: true, estimateMaxGasAmount: true }
+    });
+
+    return summarizeSimulation(result, { sender, addresses: activeNetwork.addresses });
+}
+
+/**
+ * Simulate, sign and submit a transaction, then wait for it to be committed. Every stage is
+ * reported to the transaction listeners.
+ * @param {Object} args
+ * @param {import("../sdk/types").EntryFunctionPayload} args.payload
+ * @param {string} args.sender - Address of the connected account
+ * @param {Function} args.signAndSubmitTransaction - From the wallet adapter
+ * @param {string} args.label - Short description shown to the user, e.g. "Stake 100 USDC"
+ * @param {function(Object): Promise<boolean>} [args.confirm] - Shows the simulation summary to
+ *   the user and resolves to whether to continue; a failing simulation is shown too, and stops
+ *   the transaction once acknowledged
+ * @returns {Promise<Object>} The committed transaction
+ * @throws {TransactionError}
+ */
+export const executeTransaction = async({ payload, sender, signAndSubmitTransaction, label, confirm = null }) => {
+    const record = {
+        id: nextTransactionId++,
+        label,
+        functionId: payload.data.function,
+        status: TransactionStatus.SIMULATING,
+        simulation: null,
+        hash: null,
+        explorerUrl: null,
+        error: null
+    };
+
+    const update = (changes) => {
+        Object.assign(record, changes);
+        notify({ ...record });
+    };
+
+    const fail = (error) => {
+        update({ status: TransactionStatus.FAILED, error });
+        throw error;
+    };
+
+    update({});
+
+    let simulation;
+    try {
+        simulation = await simulateTransaction(sender, payload);
+    } catch (error) {
+        fail(new TransactionError(`Could not simulate the transaction: ${error.message}`, { stage: 'simulation', cause: error }));
+    }
+
+    update({ status: TransactionStatus.CONFIRMING, simulation });
+    const confirmed = confirm ? await confirm(simulation) : true;
+
+    // a failing simulation means the transaction would abort, so the wallet is never opened
+    if (!simulation.success) {
+        fail(new TransactionError('The transaction would fail', { stage: 'simulation', vmStatus: simulation.vmStatus }));
+    }
+    if (!confirmed) {
+        const error = new TransactionError('The transaction was cancelled', { stage: 'confirmation' });
+        update({ status: TransactionStatus.CANCELLED, error });
+        throw error;
+    }
+
+    update({ status: TransactionStatus.SIGNING });
+
+    let hash;
+    try {
+        const response = await signAndSubmitTransaction(payload);
+        hash = response.hash;
+    } catch (error) {
+        fail(new TransactionError(error?.message || 'The wallet did not submit the transaction', { stage: 'wallet', cause: error }));
+    }
+
+    update({ status: TransactionStatus.PENDING, hash, explorerUrl: getExplorerTransactionUrl(hash) });
+
+    try {
+        const committed = await aptos.waitForTransaction({ transactionHash: hash });
+        update({ status: TransactionStatus.SUCCESS });
+
+        return committed;
+    } catch (error) {
+        const vmStatus = error.transaction?.vm_status || null;
+        fail(new TransactionError(vmStatus ? 'The transaction failed' : `Could not confirm the transaction: ${error.message}`, {
+            stage: 'execution',
+            vmStatus,
+            hash,
+            cause: error
+        }));
+    }
+}
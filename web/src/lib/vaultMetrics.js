@@ -0,0 +1,17 @@
+import strata from "./strata";
+import eventIndexer, { getEvents } from "./events";
+import { VAULT_METRIC_EVENTS, computeVaultMetrics } from "../sdk/vaultMetrics";
+
+/**
+ * Metrics of the staking vault from its current state and the indexed events
+ * @param {?string} [account] - Account whose stakes and unstakes are placed on the share price history
+ * @returns {Promise<import("../sdk/vaultMetrics").VaultMetrics>}
+ */
+export const getVaultMetrics = async(account = null) => {
+    const [state, events] = await Promise.all([
+        strata.getVaultState(),
+        eventIndexer ? getEvents({ types: VAULT_METRIC_EVENTS }) : []
+    ]);
+
+    return computeVaultMetrics({ state, events, account });
+}
@@ -1,7 +1,13 @@
-import aptos from "./chain"
-import { addresses } from "./addresses"
-import { getAddressTokenBalance } from "./assets"
-import { parseDecimals } from "./utils"
+import strata from "./strata"
+import { activeNetwork } from "./networks"
+import { SwapType } from "../sdk"
+import { TOKEN_DECIMALS, Rounding, parseFixed, formatFixed } from "../sdk/fixedPoint"
+
+// Token amounts are quoted as floats, round them to the 6 decimals the contracts accept
+const roundToken = (amount) => formatFixed(parseFixed(amount, TOKEN_DECIMALS, Rounding.HALF_UP), TOKEN_DECIMALS);
+
+// Collateral ratio below which a short IV margin account is flagged as at risk
+export const MARGIN_WARNING_RATIO = 1.25;
 
 const marketSymbolMap = {
     'APT-USD': 'BINANCE:APTUSDT',
@@ -10,26 +16,13 @@ const marketSymbolMap = {
     'SOL-USD': 'BINANCE:SOLUSDT'
 }
 
-const getOpenMarkets = async() => {
-    const symbols = ["BTC-USD", "ETH-USD", "APT-USD"]
-    const request = {
-        function: `${addresses.code}::volatility_marketplace::get_active_markets`,
-        typeArguments: [],           
-        functionArguments: [addresses.marketplace, symbols],
-    }
-    
-    const result = await aptos.view({ payload: request});
-    
-    return result[0];
-}
-
 export const getMarkets = async () => {
   try {
-    const marketData = await getOpenMarkets();
+    const marketData = await strata.getActiveMarkets(activeNetwork.assets.map(asset => asset.symbol));
     
     // Transform blockchain data to component format
     const transformedMarkets = marketData.map(market => {
-      const expirationDate = new Date(market.expiration * 1000);
+      const expirationDate = market.expiration;
       const formattedExpiration = expirationDate.toLocaleDateString('en-US', { 
         month: 'short', 
         day: 'numeric' 
@@ -40,8 +33,8 @@ export const getMarkets = async () => {
         name: `${market.symbol} (${formattedExpiration})`,
         pair: market.symbol,
         expirationDate: expirationDate,
-        marketAddress: market.market_address,
-        ivTokenAddress: market.iv_token_address,
+        marketAddress: market.marketAddress,
+        ivTokenAddress: market.ivTokenAddress,
         chartSymbol: marketSymbolMap[market.symbol]
       };
     });
@@ -49,116 +42,142 @@ export const getMarkets = async () => {
     return transformedMarkets;
   } catch (error) {
     console.error('Failed to load markets:', error);
-    return [];
+    throw error;
   } 
 };
 
-export const getMarketPrice = async(market) => {
-    const request = {
-        function: `${addresses.code}::implied_volatility_market::get_quote`,
-        typeArguments: [],           
-        functionArguments: [market],
-    }
+// Margin account state with the USDC it holds, as numbers. usdcBalance is null when it cannot be read,
+// e.g. on a package published before get_margin_account_balance, so the rest of the market still loads.
+export const getMarginAccountState = async (market, user) => {
+    const [state, usdcBalance] = await Promise.all([
+        strata.getMarginAccountState(market, user),
+        strata.getMarginAccountBalance(market, user).catch(error => {
+            console.error('Failed to load margin account balance:', error);
+            return null;
+        })
+    ]);
 
-    const result = await aptos.view({ payload: request });
-    const formattedValue = parseDecimals(result[0], 6);
-    
-    return formattedValue.toFixed(2);
+    return {
+        collateral: Number(state.collateral),
+        ivUnitsBorrowed: Number(state.ivUnitsBorrowed),
+        usdcBalance: usdcBalance === null ? null : Number(usdcBalance)
+    };
 }
 
-export const getUserPosition = async (market, user) => {
-    const request = {
-        function: `${addresses.code}::implied_volatility_market::get_user_position`,
-        typeArguments: [],           
-        functionArguments: [market, user],
-    }
-
-    const result = await aptos.view({ payload: request });
+// Risk metrics for a short IV margin account at the given IV price (get_quote).
+// The margin account holds the collateral plus the proceeds of the short sale, less the borrow fee.
+// The account is undercollateralized once its USDC is worth less than buying the borrowed units back.
+export const getMarginHealth = (marginAccount, price, warningRatio = MARGIN_WARNING_RATIO) => {
+    if (!marginAccount || !marginAccount.ivUnitsBorrowed || marginAccount.usdcBalance === null) return null;
 
-    const data = {
-        long: parseDecimals(result[0].long_amount, 6),
-        short: parseDecimals(result[0].short_amount, 6)
-    }
+    const { collateral, ivUnitsBorrowed } = marginAccount;
+    const accountValue = marginAccount.usdcBalance;
+    const debtValue = ivUnitsBorrowed * price;
 
-    return data;
+    return {
+        collateral,
+        ivUnitsBorrowed,
+        accountValue,
+        debtValue,
+        collateralRatio: debtValue > 0 ? accountValue / debtValue : Infinity,
+        liquidationPrice: accountValue / ivUnitsBorrowed,
+        warningPrice: accountValue / (ivUnitsBorrowed * warningRatio),
+        isAtRisk: accountValue < debtValue * warningRatio,
+        isUndercollateralized: accountValue < debtValue
+    };
 }
 
-export const getAmountOut = async (market, amountIn) => {
-    let amountInBig = (amountIn * Math.pow(10, 6)).toString();
-
-    const request = {
-        function: `${addresses.code}::implied_volatility_market::get_swap_amount_out`,
-        typeArguments: [],           
-        functionArguments: [market, 0, amountInBig],
-    }
+// swap_type: 0 = buy IV tokens (USDC -> IV), 1 = sell IV tokens (IV -> USDC)
+export const getAmountOut = async (market, amountIn, swapType = SwapType.BUY_IV) => {
+    const quote = await strata.getSwapAmountOut(market, swapType, roundToken(amountIn));
+    const amountOut = Number(quote.amountOut);
+    const feeAmount = Number(quote.feeAmount);
 
-    const result = await aptos.view({ payload: request });
-
-    const amountOut = parseDecimals(result[0], 6);
-    const feeAmount = parseDecimals(result[1], 6);
+    // buys charge the fee on the USDC input, sells on the USDC output before fees
+    const feeBase = swapType === SwapType.BUY_IV ? parseFloat(amountIn) : amountOut + feeAmount;
 
     return {
         outputTokens: amountOut,
         feeAmount: feeAmount,
-        feePercentage: 1
+        feePercentage: feeBase > 0 ? (feeAmount / feeBase) * 100 : 0
     };
 }
 
-export const buildCloseLongPositionTransaction = async(userAddress, marketAddress) => {
-    const { long } = await getUserPosition(marketAddress, userAddress);
-
-    return buildSwapTransaction(marketAddress, 1, long);
+// Input required to receive exactly amountOut, swap_type as in getAmountOut
+export const getAmountIn = async (market, amountOut, swapType = SwapType.BUY_IV) => {
+    return Number(await strata.getSwapAmountIn(market, swapType, roundToken(amountOut)));
 }
 
-export const buildSwapTransaction = async (marketAddress, swapType, amountIn) => {
-    let amountInBig = (amountIn * Math.pow(10, 6)).toString();
-
-    const transaction = {
-        data: {
-            function: `${addresses.code}::implied_volatility_market::swap`,
-            functionArguments: [marketAddress, swapType, amountInBig],
-        }
-    }
-
-    return transaction;
-}
-
-export const buildOpenShortTransaction = async (marketAddress, collateralAmount) => {
-    let collateralAmountBig = (collateralAmount * Math.pow(10, 6)).toString();
-
-    const transaction = {
-        data : {
-            function: `${addresses.code}::implied_volatility_market::open_short_position`,
-            functionArguments: [marketAddress, collateralAmountBig]
-        }
-    }
+// Quotes a swap against the current AMM reserves. With exactOut the amount is the output wanted
+// and the input comes from get_swap_amount_in, otherwise the amount is the input. Prices are USDC
+// per IV token; the execution price excludes fees so the price impact is the AMM curve alone.
+// slippageTolerance is a fraction (0.01 = 1%).
+export const getSwapPreview = async (market, amount, { swapType = SwapType.BUY_IV, exactOut = false, slippageTolerance = 0.01 } = {}) => {
+    const [reserves, amountIn] = await Promise.all([
+        strata.getAmmReserves(market),
+        exactOut ? getAmountIn(market, amount, swapType) : parseFloat(amount)
+    ]);
+
+    const { outputTokens, feeAmount, feePercentage } = await getAmountOut(market, amountIn, swapType);
+
+    const spotPrice = Number(reserves.usdcReserves) / Number(reserves.ivReserves);
+    const executionPrice = swapType === SwapType.BUY_IV ?
+        (amountIn - feeAmount) / outputTokens :
+        (outputTokens + feeAmount) / amountIn;
+    const priceImpact = swapType === SwapType.BUY_IV ?
+        (executionPrice - spotPrice) / spotPrice :
+        (spotPrice - executionPrice) / spotPrice;
 
-    return transaction;
+    return {
+        swapType,
+        exactOut,
+        slippageTolerance,
+        amountIn,
+        outputTokens,
+        feeAmount,
+        feePercentage,
+        spotPrice,
+        executionPrice,
+        priceImpact,
+        minimumReceived: exactOut ? parseFloat(amount) : outputTokens * (1 - slippageTolerance),
+        maximumSent: exactOut ? amountIn * (1 + slippageTolerance) : amountIn
+    };
 }
 
-export const buildCloseShortTransaction = async (marketAddress) => {
-    const transaction = {
-        data : {
-            function: `${addresses.code}::implied_volatility_market::close_short_position`,
-            functionArguments: [marketAddress]
-        }
-    }
-
-    return transaction;
+// True when a refreshed quote is still inside the bounds of the preview the user accepted
+export const isWithinSlippage = (preview, refreshed) => {
+    return refreshed.outputTokens >= preview.minimumReceived && refreshed.amountIn <= preview.maximumSent;
 }
 
-export const mintTestUSDCTransaction = async (userAddress) => {
-    const amount = 100000
-    const amountBig = (amount * Math.pow(10, 6)).toString();
+// Quotes reduce_short_position: buying back ivUnits costs get_swap_amount_in (swap type 0) from the
+// margin account, then the repaid share of the USDC left over is returned to the user.
+// Repaying every borrowed unit closes the position and returns all of it. usdcReturned is null
+// when the margin account balance is unknown. The buy-back is an exact-out swap, so the preview
+// carries the same bounds as getSwapPreview with exactOut for isWithinSlippage.
+export const getReduceShortPreview = async (market, marginAccount, ivUnits, { slippageTolerance = 0.01 } = {}) => {
+    const { collateral, ivUnitsBorrowed, usdcBalance } = marginAccount;
+    const buyBackCost = await getAmountIn(market, ivUnits, SwapType.BUY_IV);
 
-    const transaction = {
-        data : {
-            function: `${addresses.code}::volatility_marketplace::mint_test_usdc`,
-            functionArguments: [amountBig, userAddress, addresses.marketplace]
-        }
-    }
+    const repaidShare = Math.min(ivUnits / ivUnitsBorrowed, 1);
+    const usdcReturned = usdcBalance === null ? null : Math.max(usdcBalance - buyBackCost, 0) * repaidShare;
 
-    return transaction;
+    return {
+        ivUnits,
+        buyBackCost,
+        usdcReturned,
+        remainingIvUnits: Math.max(ivUnitsBorrowed - ivUnits, 0),
+        remainingCollateral: collateral * (1 - repaidShare),
+        slippageTolerance,
+        amountIn: buyBackCost,
+        outputTokens: ivUnits,
+        minimumReceived: ivUnits,
+        maximumSent: buyBackCost * (1 + slippageTolerance)
+    };
 }
 
+// Sells amount IV tokens from the long balance, or the whole balance when no amount is given
+export const buildCloseLongPositionTransaction = async(userAddress, marketAddress, amount = null) => {
+    const { long } = await strata.getUserPosition(marketAddress, userAddress);
 
+    return strata.swap(marketAddress, SwapType.SELL_IV, roundToken(amount === null ? long : Math.min(amount, Number(long))));
+}
@@ -0,0 +1,172 @@
+/**
+ * @jest-environment node
+ */
+import strata from './strata';
+import { SwapType } from '../sdk';
+import { getSwapPreview, isWithinSlippage, getReduceShortPreview, getMarginHealth } from './volatilityMarketplace';
+
+// the client bound to the deployed contracts, its views answer with the SDK's decimal strings
+jest.mock('./strata', () => ({
+    __esModule: true,
+    default: {
+        getAmmReserves: jest.fn(),
+        getSwapAmountOut: jest.fn(),
+        getSwapAmountIn: jest.fn()
+    }
+}));
+jest.mock('./networks', () => ({ activeNetwork: { assets: [] } }));
+
+const market = '0x1234';
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    // 1000 IV against 350 USDC, a spot price of 0.35
+    strata.getAmmReserves.mockResolvedValue({ ivReserves: '1000', usdcReserves: '350' });
+});
+
+describe('getSwapPreview', () => {
+    test('quotes a buy with the fee, price impact and minimum received', async () => {
+        strata.getSwapAmountOut.mockResolvedValue({ amountOut: '250', feeAmount: '0.3' });
+
+        const preview = await getSwapPreview(market, '100');
+
+        expect(strata.getSwapAmountOut).toHaveBeenCalledWith(market, SwapType.BUY_IV, '100');
+        expect(preview).toMatchObject({
+            swapType: SwapType.BUY_IV,
+            exactOut: false,
+            amountIn: 100,
+            outputTokens: 250,
+            feeAmount: 0.3,
+            spotPrice: 0.35,
+            maximumSent: 100
+        });
+        expect(preview.feePercentage).toBeCloseTo(0.3);
+        expect(preview.executionPrice).toBeCloseTo(99.7 / 250);
+        expect(preview.priceImpact).toBeCloseTo((99.7 / 250 - 0.35) / 0.35);
+        expect(preview.minimumReceived).toBeCloseTo(247.5);
+    });
+
+    test('charges the fee of a sell on the USDC output', async () => {
+        strata.getSwapAmountOut.mockResolvedValue({ amountOut: '33.9', feeAmount: '0.1' });
+
+        const preview = await getSwapPreview(market, 100, { swapType: SwapType.SELL_IV, slippageTolerance: 0.02 });
+
+        expect(preview.feePercentage).toBeCloseTo(0.1 / 34 * 100);
+        expect(preview.executionPrice).toBeCloseTo(0.34);
+        expect(preview.priceImpact).toBeCloseTo((0.35 - 0.34) / 0.35);
+        expect(preview.minimumReceived).toBeCloseTo(33.9 * 0.98);
+    });
+
+    test('bounds the input of an exact output swap', async () => {
+        strata.getSwapAmountIn.mockResolvedValue('101.5');
+        strata.getSwapAmountOut.mockResolvedValue({ amountOut: '250', feeAmount: '0.3045' });
+
+        const preview = await getSwapPreview(market, '250', { exactOut: true });
+
+        expect(strata.getSwapAmountIn).toHaveBeenCalledWith(market, SwapType.BUY_IV, '250');
+        expect(strata.getSwapAmountOut).toHaveBeenCalledWith(market, SwapType.BUY_IV, '101.5');
+        expect(preview.amountIn).toBe(101.5);
+        expect(preview.minimumReceived).toBe(250);
+        expect(preview.maximumSent).toBeCloseTo(102.515);
+    });
+
+    test('rounds float inputs to the token decimals', async () => {
+        strata.getSwapAmountOut.mockResolvedValue({ amountOut: '1', feeAmount: '0' });
+
+        await getSwapPreview(market, 0.1 + 0.2);
+
+        expect(strata.getSwapAmountOut).toHaveBeenCalledWith(market, SwapType.BUY_IV, '0.3');
+    });
+});
+
+describe('isWithinSlippage', () => {
+    const preview = { minimumReceived: 247.5, maximumSent: 100 };
+
+    test('accepts refreshed quotes up to the bounds', () => {
+        expect(isWithinSlippage(preview, { outputTokens: 250, amountIn: 99 })).toBe(true);
+        expect(isWithinSlippage(preview, { outputTokens: 247.5, amountIn: 100 })).toBe(true);
+    });
+
+    test('rejects quotes past either bound', () => {
+        expect(isWithinSlippage(preview, { outputTokens: 247.499999, amountIn: 100 })).toBe(false);
+        expect(isWithinSlippage(preview, { outputTokens: 250, amountIn: 100.000001 })).toBe(false);
+    });
+});
+
+describe('getReduceShortPreview', () => {
+    const marginAccount = { collateral: 30, ivUnitsBorrowed: 2, usdcBalance: 60 };
+
+    test('returns the repaid share of the USDC left after the buy-back', async () => {
+        strata.getSwapAmountIn.mockResolvedValue('20');
+
+        const preview = await getReduceShortPreview(market, marginAccount, 1, { slippageTolerance: 0.05 });
+
+        expect(strata.getSwapAmountIn).toHaveBeenCalledWith(market, SwapType.BUY_IV, '1');
+        expect(preview).toMatchObject({
+            ivUnits: 1,
+            buyBackCost: 20,
+            usdcReturned: 20,
+            remainingIvUnits: 1,
+            remainingCollateral: 15,
+            amountIn: 20,
+            outputTokens: 1,
+            minimumReceived: 1
+        });
+        expect(preview.maximumSent).toBeCloseTo(21);
+    });
+
+    test('returns everything left when the full borrow is repaid', async () => {
+        strata.getSwapAmountIn.mockResolvedValue('45');
+
+        const preview = await getReduceShortPreview(market, marginAccount, 2);
+
+        expect(preview).toMatchObject({ usdcReturned: 15, remainingIvUnits: 0, remainingCollateral: 0 });
+    });
+
+    test('returns nothing when the buy-back costs more than the account holds', async () => {
+        strata.getSwapAmountIn.mockResolvedValue('75');
+
+        await expect(getReduceShortPreview(market, marginAccount, 2)).resolves.toMatchObject({ usdcReturned: 0 });
+    });
+
+    test('leaves the USDC returned unknown without the account balance', async () => {
+        strata.getSwapAmountIn.mockResolvedValue('20');
+
+        const preview = await getReduceShortPreview(market, { ...marginAccount, usdcBalance: null }, 1);
+
+        expect(preview.usdcReturned).toBeNull();
+        expect(preview.remainingCollateral).toBe(15);
+    });
+});
+
+describe('getMarginHealth', () => {
+    const marginAccount = { collateral: 30, ivUnitsBorrowed: 2, usdcBalance: 60 };
+
+    test('is null without a short or a known balance', () => {
+        expect(getMarginHealth(null, 20)).toBeNull();
+        expect(getMarginHealth({ ...marginAccount, ivUnitsBorrowed: 0 }, 20)).toBeNull();
+        expect(getMarginHealth({ ...marginAccount, usdcBalance: null }, 20)).toBeNull();
+    });
+
+    test('compares the account value with buying the borrowed units back', () => {
+        expect(getMarginHealth(marginAccount, 20)).toEqual({
+            collateral: 30,
+            ivUnitsBorrowed: 2,
+            accountValue: 60,
+            debtValue: 40,
+            collateralRatio: 1.5,
+            liquidationPrice: 30,
+            warningPrice: 24,
+            isAtRisk: false,
+            isUndercollateralized: false
+        });
+    });
+
+    test('flags the account at the warning and liquidation prices', () => {
+        expect(getMarginHealth(marginAccount, 24)).toMatchObject({ isAtRisk: false, isUndercollateralized: false });
+        expect(getMarginHealth(marginAccount, 24.01)).toMatchObject({ isAtRisk: true, isUndercollateralized: false });
+        expect(getMarginHealth(marginAccount, 30)).toMatchObject({ isAtRisk: true, isUndercollateralized: false });
+        expect(getMarginHealth(marginAccount, 30.01)).toMatchObject({ isAtRisk: true, isUndercollateralized: true });
+        expect(getMarginHealth(marginAccount, 20, 1.6).isAtRisk).toBe(true);
+    });
+});
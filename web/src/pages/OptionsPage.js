@@ -1,72 +1,169 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useWallet } from "@aptos-labs/wallet-adapter-react";
 import { formatCurrency, isValidCurrencyAmount, parseCurrency } from '../lib/currency';
-import { openOptionPosition, getUserPositions, closeOptionPosition } from '../lib/optionsExchange';
-import { getAssetPrice } from '../lib/pyth';
+import { openOptionPosition, getUserPositions, getPricingInputs, quotePosition, getLegPremiums, getPositionGreeks, sumGreeks, markPosition } from '../lib/optionsExchange';
+import strata from '../lib/strata';
+import { activeNetwork } from '../lib/networks';
+import { usePythPrices } from '../hooks/usePythPrice';
+import { useTransactionSuccess } from '../hooks/useTransactionSuccess';
+import { useTradeHistory } from '../hooks/useTradeHistory';
+import { HistoryProduct } from '../sdk/tradeHistory';
+import { useTransactions } from '../providers/TransactionProvider';
+import { DEFAULT_MAX_LEGS, STRATEGY_TEMPLATES, buildTemplateLegs, roundStrike } from '../lib/strategyTemplates';
+import PayoffChart from '../components/PayoffChart';
+import TradeHistory from '../components/TradeHistory';
+import DataExportButton from '../components/DataExportButton';
+import { getExportDatasets } from '../lib/dataExport';
 import './OptionsPage.css';
 
-function OptionsPage() {
-  const { connected, signAndSubmitTransaction, account } = useWallet();
+// Delay before re-quoting after the legs are edited
+const QUOTE_DEBOUNCE_MS = 500;
+
+const EXPIRATION_OPTIONS = ['1', '7', '14', '30', '60', '90'];
+
+// Filters of the positions list, closed covers cancelled and expired positions too
+const POSITION_FILTERS = [
+  { id: 'open', label: 'Open', matches: (position) => position.status === 'OPEN' },
+  { id: 'closed', label: 'Closed', matches: (position) => position.status !== 'OPEN' },
+  { id: 'all', label: 'All', matches: () => true }
+];
+
+// How often open positions are re-priced with fresh market inputs
+const REVALUE_INTERVAL_MS = 30000;
+
+// Streamed prices re-price the quote and open positions at most this often
+const LIVE_PRICING_INTERVAL_MS = 10000;
+
+const GREEK_COLUMNS = [
+  { key: 'delta', label: 'Delta' },
+  { key: 'gamma', label: 'Gamma' },
+  { key: 'vega', label: 'Vega' },
+  { key: 'theta', label: 'Theta' },
+  { key: 'rho', label: 'Rho' }
+];
+
+const formatGreek = (value) => {
+  if (value !== 0 && Math.abs(value) < 1) {
+    return value.toPrecision(3);
+  }
+
+  return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+};
+
+const createLeg = (id, overrides = {}) => {
+  return {
+    id,
+    optionType: 'call',
+    strikePrice: '',
+    expirationDays: '7',
+    amount: '',
+    isValidAmount: true,
+    isValidStrike: true,
+    side: 'buy', // 'buy' or 'sell'
+    ...overrides
+  };
+};
+
+// Default parameter values for a strategy template
+const getTemplateDefaults = (templateId) => {
+  const template = STRATEGY_TEMPLATES.find(t => t.id === templateId);
+  const params = { expirationDays: '30', amount: '1' };
+
+  template.params.forEach(param => {
+    params[param.key] = String(param.defaultValue);
+  });
+
+  return params;
+};
+
+const formatUsd = (value) => {
+  return `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatSignedUsd = (value) => {
+  return value < 0 ? `-${formatUsd(-value)}` : formatUsd(value);
+};
+
+const isLegComplete = (leg) => {
+  return leg.strikePrice && leg.amount && leg.isValidAmount && leg.isValidStrike;
+};
+
+// Convert UI legs to the argument lists expected by the options exchange
+const toLegArguments = (legs) => {
+  const leg_option_types = legs.map(leg => 
+    leg.optionType === 'call' ? 0 : 1
+  );
+  
+  const leg_option_sides = legs.map(leg => 
+    leg.side === 'buy' ? 0 : 1  // buy = long (0), sell = short (1)
+  );
+  
+  const leg_option_amounts = legs.map(leg => 
+    parseFloat(leg.amount) || 0
+  );
+  
+  const leg_option_strike_prices = legs.map(leg => 
+    parseFloat(parseCurrency(leg.strikePrice))
+  );
+  
+  const leg_option_expirations = legs.map(leg => {
+    // Convert days to timestamp (current time + days * 24 * 60 * 60)
+    const daysInSeconds = parseInt(leg.expirationDays) * 24 * 60 * 60;
+
+    return Math.floor(Date.now() / 1000) + daysInSeconds;
+  });
+
+  return {
+    leg_option_types,
+    leg_option_sides,
+    leg_option_amounts,
+    leg_option_strike_prices,
+    leg_option_expirations
+  };
+};
+
+// Convert UI legs to the leg shape returned by getUserPositions, used by the payoff chart
+const toPayoffLegs = (legs, leg_option_expirations) => {
+  return legs.map((leg, index) => ({
+    type: leg.optionType === 'call' ? 'CALL' : 'PUT',
+    side: leg.side === 'buy' ? 'LONG' : 'SHORT',
+    amount: parseFloat(leg.amount) || 0,
+    strikePrice: parseFloat(parseCurrency(leg.strikePrice)),
+    expiration: new Date(leg_option_expirations[index] * 1000)
+  }));
+};
+
+function OptionsPage({ maxLegs = DEFAULT_MAX_LEGS }) {
+  const { connected, account } = useWallet();
+  const { submitTransaction } = useTransactions();
   
   // State for multi-leg option configuration
-  const [selectedAsset, setSelectedAsset] = useState('BTC-USD');
-  const [legs, setLegs] = useState([
-    {
-      id: 1,
-      optionType: 'call',
-      strikePrice: '',
-      expirationDays: '7',
-      amount: '',
-      isValidAmount: true,
-      isValidStrike: true,
-      side: 'buy' // 'buy' or 'sell'
-    }
-  ]);
+  const [selectedAsset, setSelectedAsset] = useState(activeNetwork.assets[0].symbol);
+  const [legs, setLegs] = useState([createLeg(1)]);
+
+  // Strategy template selection
+  const availableTemplates = STRATEGY_TEMPLATES.filter(template => template.legCount <= maxLegs);
+  const [selectedTemplate, setSelectedTemplate] = useState('');
+  const activeTemplate = STRATEGY_TEMPLATES.find(t => t.id === selectedTemplate);
+  const [templateParams, setTemplateParams] = useState({});
+  const [isApplyingTemplate, setIsApplyingTemplate] = useState(false);
+  const [templateError, setTemplateError] = useState(null);
   
   // Available assets
-  const assets = [
-    { symbol: 'BTC-USD', name: 'Bitcoin' },
-    { symbol: 'ETH-USD', name: 'Ethereum' },
-    { symbol: 'APT-USD', name: 'Aptos' },
-  ];
+  const assets = activeNetwork.assets;
 
-  const [assetPrices, setAssetPrices] = useState({});
-  
-  // Fetch asset prices
-  useEffect(() => {
-    const fetchPrices = async () => {
-      try {
-        const pricePromises = assets.map(async (asset) => {
-          const symbol = asset.symbol.replace('-', '');
-          const price = await getAssetPrice(symbol);
-          return { symbol: asset.symbol, price };
-        });
-        
-        const prices = await Promise.all(pricePromises);
-        const priceMap = {};
-        prices.forEach(({ symbol, price }) => {
-          priceMap[symbol] = price;
-        });
-        setAssetPrices(priceMap);
-      } catch (error) {
-        console.error('Error fetching asset prices:', error);
-      }
-    };
+  const assetSymbols = assets.map(asset => asset.symbol);
 
-    fetchPrices();
-  }, []);
+  // Live asset prices for display and strike helpers, and a slower feed for re-pricing
+  const { prices: assetPrices } = usePythPrices(assetSymbols);
+  const { fixedPrices: pricingPrices } = usePythPrices(assetSymbols, { throttleMs: LIVE_PRICING_INTERVAL_MS });
+  const underlyingPrice = pricingPrices[selectedAsset];
+  // read by the position revaluation, which runs on its own interval rather than on every price flush
+  const pricingPricesRef = useRef(pricingPrices);
+  pricingPricesRef.current = pricingPrices;
 
   const clearLegs = () => {
-    setLegs([{
-      id: 1,
-      optionType: 'call',
-      strikePrice: '',
-      expirationDays: '7',
-      amount: '',
-      isValidAmount: true,
-      isValidStrike: true,
-      side: 'buy'
-    }]);
+    setLegs([createLeg(1)]);
   }
   // Clear option legs when asset changes
   useEffect(() => {
@@ -74,38 +171,205 @@ function OptionsPage() {
   }, [selectedAsset]);
 
   const [userPositions, setUserPositions] = useState([]);
+  const [positionFilter, setPositionFilter] = useState('open');
+  const filteredPositions = userPositions.filter(POSITION_FILTERS.find(filter => filter.id === positionFilter).matches);
+
+  // Opened and closed option positions with their realized P&L, from the indexed contract events
+  const accountAddress = connected && account ? account.address.bcsToHex().toString() : null;
+  const tradeHistory = useTradeHistory(accountAddress);
+  const optionsHistory = tradeHistory.rows.filter(row => row.product === HistoryProduct.OPTIONS);
+  const exportDatasets = accountAddress ? getExportDatasets(accountAddress) : null;
+
+  // Live pre-trade quote for the legs in the builder
+  const [quote, setQuote] = useState(null);
+  const [isQuoting, setIsQuoting] = useState(false);
+  const [quoteError, setQuoteError] = useState(null);
+  const quoteRequestRef = useRef(0);
+
+  // Open positions with their payoff chart expanded
+  const [expandedPayoffs, setExpandedPayoffs] = useState({});
+
+  // Re-quote the position whenever the legs or the underlying price change
+  useEffect(() => {
+    const requestId = ++quoteRequestRef.current;
+
+    if (!legs.every(isLegComplete)) {
+      setQuote(null);
+      setQuoteError(null);
+      setIsQuoting(false);
+      return;
+    }
+
+    setIsQuoting(true);
+
+    const timeout = setTimeout(async () => {
+      try {
+        const {
+          leg_option_types,
+          leg_option_sides,
+          leg_option_amounts,
+          leg_option_strike_prices,
+          leg_option_expirations
+        } = toLegArguments(legs);
+
+        const pricingInputs = await getPricingInputs(selectedAsset, underlyingPrice);
+
+        const positionQuote = await quotePosition(
+          selectedAsset,
+          leg_option_types,
+          leg_option_sides,
+          leg_option_amounts,
+          leg_option_strike_prices,
+          leg_option_expirations,
+          pricingInputs
+        );
+
+        const legPremiums = getLegPremiums(
+          leg_option_types,
+          leg_option_amounts,
+          leg_option_strike_prices,
+          leg_option_expirations,
+          pricingInputs
+        );
+
+        // ignore responses for legs that have since been edited
+        if (requestId !== quoteRequestRef.current) return;
+
+        setQuote({
+          ...positionQuote,
+          legs: legs.map((leg, index) => ({
+            id: leg.id,
+            label: `${leg.side === 'buy' ? 'Buy' : 'Sell'} ${leg.amount} ${leg.optionType === 'call' ? 'Call' : 'Put'} ${leg.strikePrice}`,
+            premium: legPremiums[index]
+          })),
+          totalRequired: positionQuote.netDebit + positionQuote.initialMargin - positionQuote.netCredit,
+          payoffLegs: toPayoffLegs(legs, leg_option_expirations)
+        });
+        setQuoteError(null);
+      } catch (error) {
+        if (requestId !== quoteRequestRef.current) return;
+
+        console.error('Error quoting position:', error);
+        setQuote(null);
+        setQuoteError(error);
+      } finally {
+        if (requestId === quoteRequestRef.current) {
+          setIsQuoting(false);
+        }
+      }
+    }, QUOTE_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeout);
+  }, [legs, selectedAsset, underlyingPrice]);
+
+  const fetchUserPositions = useCallback(async () => {
+    if (connected && account?.address) {
+      try {
+        const accountAddress = account.address.bcsToHex().toString();
+        const positions = await getUserPositions(accountAddress);
+        setUserPositions(positions);
+      } catch (error) {
+        console.error('Error fetching user positions:', error);
+      }
+    }
+  }, [connected, account?.address]);
 
   // Fetch user positions when connected user changes
   useEffect(() => {
-    const fetchUserPositions = async () => {
-      if (connected && account?.address) {
+    fetchUserPositions();
+  }, [fetchUserPositions]);
+
+  // Reload positions once a transaction that may have opened or closed one commits
+  useTransactionSuccess(() => {
+    fetchUserPositions();
+  });
+
+  // Greeks and marks of the open positions, priced with the current oracle price and exchange IV
+  const [portfolioGreeks, setPortfolioGreeks] = useState(null);
+  const [greeksError, setGreeksError] = useState(null);
+  const [positionMarks, setPositionMarks] = useState({});
+  const openPositionCount = userPositions.filter(position => position.status === 'OPEN').length;
+
+  useEffect(() => {
+    const openPositions = userPositions.filter(position => position.status === 'OPEN');
+    if (openPositions.length === 0) {
+      setPortfolioGreeks(null);
+      setGreeksError(null);
+      setPositionMarks({});
+      return;
+    }
+
+    let cancelled = false;
+
+    const revaluePositions = async () => {
+      let pricingInputs;
+      const symbols = [...new Set(openPositions.map(position => position.symbol))];
+
+      try {
+        pricingInputs = await Promise.all(symbols.map(symbol => getPricingInputs(symbol, pricingPricesRef.current[symbol])));
+      } catch (error) {
+        if (cancelled) return;
+
+        console.error('Error fetching pricing inputs:', error);
+        setGreeksError(error);
+        return;
+      }
+
+      const inputsFor = (position) => pricingInputs[symbols.indexOf(position.symbol)];
+
+      try {
+        const positions = openPositions.map(position => ({
+          id: position.id,
+          symbol: position.symbol,
+          ...getPositionGreeks(position.legs, inputsFor(position))
+        }));
+
+        if (cancelled) return;
+
+        setPortfolioGreeks({
+          positions,
+          total: sumGreeks(positions.map(position => position.total))
+        });
+        setGreeksError(null);
+      } catch (error) {
+        if (cancelled) return;
+
+        console.error('Error calculating position greeks:', error);
+        setGreeksError(error);
+      }
+
+      // mark each position with a live price_position quote
+      const marks = await Promise.all(openPositions.map(async (position) => {
         try {
-          const accountAddress = account.address.bcsToHex().toString();
-          const positions = await getUserPositions(accountAddress);
-          setUserPositions(positions);
-          console.log('User positions:', positions);
+          return await markPosition(position, inputsFor(position));
         } catch (error) {
-          console.error('Error fetching user positions:', error);
+          console.error(`Error marking position ${position.id}:`, error);
+          return { error };
         }
-      }
+      }));
+
+      if (cancelled) return;
+
+      const markMap = {};
+      openPositions.forEach((position, index) => {
+        markMap[position.id] = marks[index];
+      });
+      setPositionMarks(markMap);
     };
 
-    fetchUserPositions();
-  }, [connected, account?.address]);
+    revaluePositions();
+    const interval = setInterval(revaluePositions, REVALUE_INTERVAL_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [userPositions]);
 
   // Add a new leg to the strategy
   const addLeg = () => {
-    if (legs.length < 3) {
-      const newLeg = {
-        id: Math.max(...legs.map(l => l.id)) + 1,
-        optionType: 'call',
-        strikePrice: '',
-        expirationDays: '7',
-        amount: '',
-        isValidAmount: true,
-        isValidStrike: true,
-        side: 'buy'
-      };
+    if (legs.length < maxLegs) {
+      const newLeg = createLeg(Math.max(...legs.map(l => l.id)) + 1);
       setLegs([...legs, newLeg]);
     }
   };
@@ -181,33 +445,85 @@ function OptionsPage() {
       strikePrice = currentPrice * (1 - percentage / 100);
     }
 
-    // Round to nearest $5
-    strikePrice = Math.round(strikePrice / 5) * 5;
+    strikePrice = roundStrike(strikePrice, currentPrice);
 
     const formatted = formatCurrency(strikePrice.toString());
     updateLeg(legId, 'strikePrice', formatted);
     updateLeg(legId, 'isValidStrike', true);
   };
 
+  const handleTemplateChange = (templateId) => {
+    setSelectedTemplate(templateId);
+    setTemplateParams(templateId ? getTemplateDefaults(templateId) : {});
+    setTemplateError(null);
+  };
+
+  const updateTemplateParam = (key, value) => {
+    setTemplateParams({ ...templateParams, [key]: value });
+  };
+
+  // Replace the builder legs with the legs of the selected template
+  const applyTemplate = async () => {
+    const template = activeTemplate;
+    const spotPrice = assetPrices[selectedAsset];
+    if (!template || !spotPrice) return;
+
+    const params = {};
+    template.params.forEach(param => {
+      params[param.key] = parseFloat(templateParams[param.key]);
+    });
+
+    const amount = parseFloat(templateParams.amount);
+    const invalidParam = template.params.find(param => !(params[param.key] > 0));
+    if (invalidParam || !(amount > 0) || (template.usesDelta && params.delta >= 1)) {
+      setTemplateError('Please enter valid template parameters');
+      return;
+    }
+
+    setIsApplyingTemplate(true);
+    setTemplateError(null);
+
+    try {
+      const market = { spotPrice, expirationDays: parseInt(templateParams.expirationDays) };
+
+      // Delta targets need the volatility and rate the exchange prices with
+      if (template.usesDelta) {
+        const pricingInputs = await getPricingInputs(selectedAsset);
+        market.volatility = Number(pricingInputs.volatility);
+        market.riskFreeRate = Number(pricingInputs.riskFreeRate);
+      }
+
+      const templateLegs = buildTemplateLegs(template.id, params, market);
+
+      setLegs(templateLegs.map((leg, index) => createLeg(index + 1, {
+        optionType: leg.optionType,
+        side: leg.side,
+        strikePrice: formatCurrency(leg.strike.toString()),
+        expirationDays: templateParams.expirationDays,
+        amount: String(amount * leg.ratio)
+      })));
+    } catch (error) {
+      console.error('Error applying strategy template:', error);
+      setTemplateError('Unable to build this strategy');
+    } finally {
+      setIsApplyingTemplate(false);
+    }
+  };
+
+  const togglePayoff = (positionId) => {
+    setExpandedPayoffs(previous => ({ ...previous, [positionId]: !previous[positionId] }));
+  };
+
   // Handle closing position
   const handleClosePosition = async (positionId) => {
     try {
-      const transaction = await closeOptionPosition(positionId);
-      const response = await signAndSubmitTransaction(transaction);
-      
-      alert(`Position closed successfully! Transaction hash: ${response.hash}`);
-      
-      // Refresh positions
-      if (connected && account?.address) {
-        const accountAddress = account.address.bcsToHex().toString();
-        const positions = await getUserPositions(accountAddress);
-        setUserPositions(positions);
-        clearLegs();
-      }
+      const transaction = strata.closePosition(positionId);
+      await submitTransaction(transaction, `Close position #${positionId}`);
+
+      clearLegs();
       
     } catch (error) {
       console.error('Error closing position:', error);
-      alert('Error closing position. Please try again.');
     }
   };
 
@@ -217,28 +533,13 @@ function OptionsPage() {
       // Convert UI data to contract format
       const asset_symbol = selectedAsset;
       
-      const leg_option_types = legs.map(leg => 
-        leg.optionType === 'call' ? 0 : 1
-      );
-      
-      const leg_option_sides = legs.map(leg => 
-        leg.side === 'buy' ? 0 : 1  // buy = long (0), sell = short (1)
-      );
-      
-      const leg_option_amounts = legs.map(leg => 
-        parseFloat(leg.amount) || 0
-      );
-      
-      const leg_option_strike_prices = legs.map(leg => 
-        parseFloat(parseCurrency(leg.strikePrice))
-      );
-      
-      const leg_option_expirations = legs.map(leg => {
-        // Convert days to timestamp (current time + days * 24 * 60 * 60)
-        const daysInSeconds = parseInt(leg.expirationDays) * 24 * 60 * 60;
-
-        return Math.floor(Date.now() / 1000) + daysInSeconds;
-      });
+      const {
+        leg_option_types,
+        leg_option_sides,
+        leg_option_amounts,
+        leg_option_strike_prices,
+        leg_option_expirations
+      } = toLegArguments(legs);
 
       // Create the transaction
       const transaction = await openOptionPosition(
@@ -251,21 +552,12 @@ function OptionsPage() {
       );
 
       // Submit transaction to blockchain
-      const response = await signAndSubmitTransaction(transaction);
-      
-      alert(`Position created successfully! Transaction hash: ${response.hash}`);
-      
-      // Refresh positions
-      if (connected && account?.address) {
-        const accountAddress = account.address.bcsToHex().toString();
-        const positions = await getUserPositions(accountAddress);
-        setUserPositions(positions);
-        clearLegs();
-      }
+      await submitTransaction(transaction, `Open ${asset_symbol} position`);
+
+      clearLegs();
       
     } catch (error) {
       console.error('Error creating position:', error);
-      alert('Error creating position. Please try again.');
     }
   };
 
@@ -291,7 +583,7 @@ function OptionsPage() {
               <h3>Position Builder</h3>
               <div className="leg-controls">
                 <span className="leg-count">{legs.length} leg{legs.length > 1 ? 's' : ''}</span>
-                  <button className="add-leg-btn" onClick={addLeg}>
+                  <button className="add-leg-btn" onClick={addLeg} disabled={legs.length >= maxLegs}>
                     + Add Leg
                   </button>
               </div>
@@ -325,6 +617,79 @@ function OptionsPage() {
               </div>
             </div>
 
+            {/* Strategy Templates */}
+            <div className="template-section">
+              <label className="form-label">Strategy Template</label>
+              <select
+                className="form-select"
+                value={selectedTemplate}
+                onChange={(e) => handleTemplateChange(e.target.value)}
+              >
+                <option value="">Custom</option>
+                {availableTemplates.map(template => (
+                  <option key={template.id} value={template.id}>
+                    {template.name}
+                  </option>
+                ))}
+              </select>
+
+              {activeTemplate && (
+                <>
+                  <div className="template-description">
+                    {activeTemplate.description}
+                  </div>
+                  <div className="template-params">
+                    {activeTemplate.params.map(param => (
+                      <div key={param.key} className="form-section">
+                        <label className="form-label">{param.label}</label>
+                        <div className="input-group">
+                          <input
+                            type="text"
+                            className="form-input"
+                            value={templateParams[param.key]}
+                            onChange={(e) => updateTemplateParam(param.key, e.target.value.replace(/[^\d.]/g, ''))}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                    <div className="form-section">
+                      <label className="form-label">Contracts</label>
+                      <div className="input-group">
+                        <input
+                          type="text"
+                          className="form-input"
+                          value={templateParams.amount}
+                          onChange={(e) => updateTemplateParam('amount', e.target.value.replace(/[^\d.]/g, ''))}
+                        />
+                      </div>
+                    </div>
+                    <div className="form-section">
+                      <label className="form-label">Expiration</label>
+                      <select
+                        className="form-select"
+                        value={templateParams.expirationDays}
+                        onChange={(e) => updateTemplateParam('expirationDays', e.target.value)}
+                      >
+                        {EXPIRATION_OPTIONS.map(days => (
+                          <option key={days} value={days}>{days} Day{days === '1' ? '' : 's'}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  {templateError && (
+                    <div className="input-error">{templateError}</div>
+                  )}
+                  <button
+                    className="apply-template-btn"
+                    onClick={applyTemplate}
+                    disabled={isApplyingTemplate || !assetPrices[selectedAsset]}
+                  >
+                    {isApplyingTemplate ? 'Building...' : 'Apply Template'}
+                  </button>
+                </>
+              )}
+            </div>
+
             {/* Strategy Legs */}
             <div className="strategy-legs">
               {legs.map((leg, index) => (
@@ -475,10 +840,75 @@ function OptionsPage() {
               ))}
             </div>
 
+            {/* Pre-trade Quote */}
+            <div className="quote-panel">
+              <div className="quote-panel-header">
+                <h4>Quote</h4>
+                {isQuoting && <span className="quote-status">Updating...</span>}
+              </div>
+
+              {quoteError ? (
+                <div className="input-error">Unable to quote this position</div>
+              ) : !quote ? (
+                <div className="quote-placeholder">
+                  {isQuoting ? 'Fetching quote...' : 'Complete every leg to see a quote'}
+                </div>
+              ) : (
+                <>
+                  <div className="quote-legs">
+                    {quote.legs.map((leg, index) => (
+                      <div key={leg.id} className="quote-row">
+                        <span>Leg {index + 1}: {leg.label}</span>
+                        <span>{formatUsd(leg.premium)}</span>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="quote-details">
+                    <div className="quote-row">
+                      <span>Net Debit:</span>
+                      <span>{formatUsd(quote.netDebit)}</span>
+                    </div>
+                    <div className="quote-row">
+                      <span>Net Credit:</span>
+                      <span>{formatUsd(quote.netCredit)}</span>
+                    </div>
+                    <div className="quote-row">
+                      <span>Initial Margin:</span>
+                      <span>{formatUsd(quote.initialMargin)}</span>
+                    </div>
+                    <div className="quote-row">
+                      <span>Maint. Margin:</span>
+                      <span>{formatUsd(quote.maintenanceMargin)}</span>
+                    </div>
+                    <div className="quote-row">
+                      <span>Underlying:</span>
+                      <span>{formatUsd(quote.underlyingPrice)}</span>
+                    </div>
+                    <div className="quote-row">
+                      <span>Volatility:</span>
+                      <span>{(quote.volatility * 100).toFixed(1)}%</span>
+                    </div>
+                  </div>
+                  <div className="quote-total">
+                    <span>Total USDC Required</span>
+                    <span>{formatUsd(quote.totalRequired)}</span>
+                  </div>
+
+                  <PayoffChart
+                    legs={quote.payoffLegs}
+                    entryCost={quote.netDebit - quote.netCredit}
+                    spotPrice={quote.underlyingPrice}
+                    volatility={quote.volatility}
+                    riskFreeRate={quote.riskFreeRate}
+                  />
+                </>
+              )}
+            </div>
+
             {/* Create Button */}
             <button 
               className="create-option-btn"
-              disabled={!connected || legs.some(leg => !leg.strikePrice || !leg.amount || !leg.isValidAmount || !leg.isValidStrike)}
+              disabled={!connected || !legs.every(isLegComplete)}
               onClick={handleCreatePosition}
             >
               {!connected ? 'Connect Wallet' : 'Create Position'}
@@ -487,19 +917,103 @@ function OptionsPage() {
 
           {/* Right Column - Positions & Market Info */}
           <div className="options-sidebar">
+            {/* Portfolio Risk */}
+            {connected && (
+              <div className="risk-panel">
+                <div className="panel-header">
+                  <h3>Portfolio Risk</h3>
+                </div>
+
+                {greeksError ? (
+                  <div className="input-error">Unable to calculate greeks</div>
+                ) : openPositionCount === 0 ? (
+                  <div className="no-positions">No open positions</div>
+                ) : !portfolioGreeks ? (
+                  <div className="no-positions">Calculating greeks...</div>
+                ) : (
+                  <>
+                    <div className="greeks-totals">
+                      {GREEK_COLUMNS.map(column => (
+                        <div key={column.key} className="stat-item">
+                          <div className="stat-label">Net {column.label}</div>
+                          <div className={`stat-value ${portfolioGreeks.total[column.key] < 0 ? 'negative' : ''}`}>
+                            {formatGreek(portfolioGreeks.total[column.key])}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+
+                    <table className="greeks-table">
+                      <thead>
+                        <tr>
+                          <th>Position</th>
+                          {GREEK_COLUMNS.map(column => (
+                            <th key={column.key}>{column.label}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {portfolioGreeks.positions.map(position => (
+                          <React.Fragment key={position.id}>
+                            <tr className="greeks-position-row">
+                              <td>{position.symbol} #{position.id}</td>
+                              {GREEK_COLUMNS.map(column => (
+                                <td key={column.key}>{formatGreek(position.total[column.key])}</td>
+                              ))}
+                            </tr>
+                            {position.legs.map((legGreeks, index) => (
+                              <tr key={index} className="greeks-leg-row">
+                                <td>Leg {index + 1}</td>
+                                {GREEK_COLUMNS.map(column => (
+                                  <td key={column.key}>{formatGreek(legGreeks[column.key])}</td>
+                                ))}
+                              </tr>
+                            ))}
+                          </React.Fragment>
+                        ))}
+                      </tbody>
+                    </table>
+
+                    <div className="greeks-note">
+                      Delta and gamma in underlying units, vega and rho per 1% move, theta per day.
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Current Positions */}
             <div className="positions-panel">
               <div className="panel-header">
                 <h3>Your Positions</h3>
+                <div className="position-filter">
+                  {POSITION_FILTERS.map(filter => (
+                    <button
+                      key={filter.id}
+                      className={`position-filter-btn ${positionFilter === filter.id ? 'active' : ''}`}
+                      onClick={() => setPositionFilter(filter.id)}
+                    >
+                      {filter.label}
+                    </button>
+                  ))}
+                  {accountAddress && (
+                    <DataExportButton
+                      account={accountAddress}
+                      datasets={[exportDatasets.optionPositions, exportDatasets.optionTrades]}
+                    />
+                  )}
+                </div>
               </div>
               
               {!connected ? (
                 <div className="no-positions">Connect wallet to view positions</div>
-              ) : userPositions.length === 0 ? (
-                <div className="no-positions">No active positions</div>
+              ) : filteredPositions.length === 0 ? (
+                <div className="no-positions">
+                  {positionFilter === 'open' ? 'No active positions' : positionFilter === 'closed' ? 'No closed positions' : 'No positions'}
+                </div>
               ) : (
                 <div className="positions-list">
-                  {userPositions.map(position => (
+                  {filteredPositions.map(position => (
                     <div key={position.id} className="position-card">
                       <div className="position-header">
                         <div className="position-asset">
@@ -510,6 +1024,45 @@ function OptionsPage() {
                           {position.status}
                         </div>
                       </div>
+
+                      {position.status === 'OPEN' && (
+                        <div className="position-mark">
+                          {!positionMarks[position.id] ? (
+                            <div className="quote-placeholder">Marking to market...</div>
+                          ) : positionMarks[position.id].error ? (
+                            <div className="input-error">Unable to price this position</div>
+                          ) : (
+                            <div className="quote-details">
+                              <div className="quote-row">
+                                <span>Mark Value:</span>
+                                <span>{formatSignedUsd(positionMarks[position.id].markValue)}</span>
+                              </div>
+                              <div className="quote-row">
+                                <span>Unrealized P&L:</span>
+                                <span className={`position-pnl ${positionMarks[position.id].unrealizedPnl < 0 ? 'negative' : 'positive'}`}>
+                                  {formatSignedUsd(positionMarks[position.id].unrealizedPnl)}
+                                </span>
+                              </div>
+                              <div className="quote-row">
+                                <span>Above Maint. Margin:</span>
+                                <span className={positionMarks[position.id].maintenanceBuffer < 0 ? 'negative' : ''}>
+                                  {positionMarks[position.id].maintenanceBuffer === null ?
+                                    'No requirement' :
+                                    formatSignedUsd(positionMarks[position.id].maintenanceBuffer)}
+                                </span>
+                              </div>
+                              <div className="quote-row">
+                                <span>Close Now Returns:</span>
+                                <span>{formatUsd(positionMarks[position.id].closeReturn)}</span>
+                              </div>
+                              <div className="quote-row">
+                                <span>Updated:</span>
+                                <span>{positionMarks[position.id].lastUpdated.toLocaleTimeString()}</span>
+                              </div>
+                            </div>
+                          )}
+                        </div>
+                      )}
                       
                       <div className="position-legs">
                         <div className="legs-header">
@@ -590,6 +1143,25 @@ function OptionsPage() {
                         )}
                       </div>
                       
+                      {position.status === 'OPEN' && (
+                        <button
+                          className="payoff-toggle-btn"
+                          onClick={() => togglePayoff(position.id)}
+                        >
+                          {expandedPayoffs[position.id] ? 'Hide Payoff' : 'Show Payoff'}
+                        </button>
+                      )}
+
+                      {position.status === 'OPEN' && expandedPayoffs[position.id] && (
+                        <PayoffChart
+                          legs={position.legs}
+                          entryCost={position.openingQuote.netDebit - position.openingQuote.netCredit}
+                          spotPrice={assetPrices[position.symbol] || position.openingQuote.underlyingPrice}
+                          volatility={position.openingQuote.volatility}
+                          riskFreeRate={position.openingQuote.riskFreeRate}
+                        />
+                      )}
+
                       {position.status === 'OPEN' && (
                         <button 
                           className="close-position-btn"
@@ -604,6 +1176,21 @@ function OptionsPage() {
               )}
             </div>
 
+            {/* Trade History */}
+            {connected && (
+              <div className="positions-panel">
+                <div className="panel-header">
+                  <h3>Trade History</h3>
+                </div>
+                <TradeHistory
+                  rows={optionsHistory}
+                  isLoading={tradeHistory.isLoading}
+                  error={tradeHistory.error}
+                  emptyText="No option trades yet"
+                />
+              </div>
+            )}
+
             {/* Market Stats */}
             <div className="market-stats-panel">
               <div className="panel-header">
@@ -1,11 +1,25 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useWallet } from "@aptos-labs/wallet-adapter-react";
 import { formatCurrency, isValidCurrencyAmount, parseCurrency } from '../lib/currency';
-import { stake, unstake, getStakingBalance } from '../lib/staking';
+import { getStakingBalance } from '../lib/staking';
+import strata from '../lib/strata';
+import { useTransactions } from '../providers/TransactionProvider';
+import { useTransactionSuccess } from '../hooks/useTransactionSuccess';
+import { useTradeHistory } from '../hooks/useTradeHistory';
+import { useVaultMetrics } from '../hooks/useVaultMetrics';
+import { HistoryProduct } from '../sdk/tradeHistory';
+import TradeHistory from '../components/TradeHistory';
+import SharePriceChart from '../components/SharePriceChart';
+import DataExportButton from '../components/DataExportButton';
+import { getExportDatasets } from '../lib/dataExport';
 import './StakingPage.css';
 
+const formatUsd = (value) => `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+const formatPercent = (value) => `${(value * 100).toLocaleString(undefined, { maximumFractionDigits: 2 })}%`;
+
 function StakingPage() {
-  const { connected, account, signAndSubmitTransaction } = useWallet();
+  const { connected, account } = useWallet();
+  const { submitTransaction } = useTransactions();
   
   const [stakeAmount, setStakeAmount] = useState('');
   const [unstakeAmount, setUnstakeAmount] = useState('');
@@ -15,23 +29,46 @@ function StakingPage() {
   const [loading, setLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('stake');
 
-  // Load staking balance when wallet connects or account changes
-  useEffect(() => {
+  // Stakes and unstakes with the amount gained or lost on each unstake
+  const accountAddress = connected && account ? account.address.bcsToHex().toString() : null;
+  const tradeHistory = useTradeHistory(accountAddress);
+  const stakingHistory = tradeHistory.rows.filter(row => row.product === HistoryProduct.STAKING);
+
+  const { metrics: vaultMetrics, error: vaultMetricsError } = useVaultMetrics(accountAddress);
+  // placeholder for every metric until the vault has loaded
+  const vaultPlaceholder = vaultMetricsError && !vaultMetrics ? 'Unavailable' : 'Loading...';
+  const renderApy = (window) => {
+    const apy = vaultMetrics?.apy[window];
+
+    return (
+      <span className={`stat-value ${apy > 0 ? 'highlight' : apy < 0 ? 'negative' : ''}`}>
+        {!vaultMetrics ? vaultPlaceholder : apy === null ? '—' : formatPercent(apy)}
+      </span>
+    );
+  };
+
+  const fetchStakingBalance = useCallback(async () => {
     if (!connected || !account) return;
 
-    const fetchStakingBalance = async () => {
-      try {
-        const accountAddress = account.address.bcsToHex().toString();
-        const balance = await getStakingBalance(accountAddress);
-        setStakingBalance(balance);
-      } catch (error) {
-        console.error('Failed to fetch staking balance:', error);
-        setStakingBalance(null);
-      }
-    };
+    try {
+      const accountAddress = account.address.bcsToHex().toString();
+      const balance = await getStakingBalance(accountAddress);
+      setStakingBalance(balance);
+    } catch (error) {
+      console.error('Failed to fetch staking balance:', error);
+      setStakingBalance(null);
+    }
+  }, [connected, account]);
+
+  // Load staking balance when wallet connects or account changes
+  useEffect(() => {
+    fetchStakingBalance();
+  }, [fetchStakingBalance]);
 
+  // Stakes, unstakes and trades all move vault balances
+  useTransactionSuccess(() => {
     fetchStakingBalance();
-  }, [connected, account]);
+  });
 
   const handleStakeAmountChange = (e) => {
     const inputValue = e.target.value;
@@ -75,24 +112,15 @@ function StakingPage() {
     setLoading(true);
     try {
       const amountToStake = parseCurrency(stakeAmount);
-      const transaction = await stake(amountToStake);
-      
-      const response = await signAndSubmitTransaction(transaction);
-      
-      console.log('Stake transaction:', response);
-      alert('USDC staked successfully!');
+      const transaction = strata.stake(amountToStake);
       
-      // Refresh staking balance
-      const accountAddress = account.address.bcsToHex().toString();
-      const balance = await getStakingBalance(accountAddress);
-      setStakingBalance(balance);
+      await submitTransaction(transaction, `Stake ${stakeAmount}`);
       
       // Clear form
       setStakeAmount('');
       
     } catch (error) {
       console.error('Failed to stake:', error);
-      alert('Failed to stake USDC');
     } finally {
       setLoading(false);
     }
@@ -107,24 +135,15 @@ function StakingPage() {
     setLoading(true);
     try {
       const amountToUnstake = parseCurrency(unstakeAmount);
-      const transaction = await unstake(amountToUnstake);
+      const transaction = strata.unstake(amountToUnstake);
       
-      const response = await signAndSubmitTransaction(transaction);
-      
-      console.log('Unstake transaction:', response);
-      alert('USDC unstaked successfully!');
-      
-      // Refresh staking balance
-      const accountAddress = account.address.bcsToHex().toString();
-      const balance = await getStakingBalance(accountAddress);
-      setStakingBalance(balance);
+      await submitTransaction(transaction, `Unstake ${unstakeAmount}`);
       
       // Clear form
       setUnstakeAmount('');
       
     } catch (error) {
       console.error('Failed to unstake:', error);
-      alert('Failed to unstake USDC');
     } finally {
       setLoading(false);
     }
@@ -191,19 +210,76 @@ function StakingPage() {
               </div>
               <div className="stats-content">
                 <div className="stat-item">
-                  <span className="stat-label">APY</span>
-                  <span className="stat-value highlight">12.5%</span>
+                  <span className="stat-label">Total Value Locked</span>
+                  <span className="stat-value">{vaultMetrics ? formatUsd(vaultMetrics.tvl) : vaultPlaceholder}</span>
+                </div>
+                <div className="stat-item">
+                  <span className="stat-label">Utilization</span>
+                  <span className="stat-value">
+                    {vaultMetrics ? (
+                      <>
+                        {formatPercent(vaultMetrics.utilization)}
+                        <span className="stat-detail"> of {formatPercent(vaultMetrics.maxUtilization)} max</span>
+                      </>
+                    ) : vaultPlaceholder}
+                  </span>
+                </div>
+                <div className="stat-item">
+                  <span className="stat-label">APY (7d)</span>
+                  {renderApy('7d')}
+                </div>
+                <div className="stat-item">
+                  <span className="stat-label">APY (30d)</span>
+                  {renderApy('30d')}
                 </div>
                 <div className="stat-item">
                   <span className="stat-label">Total Volume (24h)</span>
-                  <span className="stat-value">$2,847,392</span>
+                  <span className="stat-value">{vaultMetrics ? formatUsd(vaultMetrics.volume24h) : vaultPlaceholder}</span>
                 </div>
                 <div className="stat-item">
                   <span className="stat-label">Active Stakers</span>
-                  <span className="stat-value">1,247</span>
+                  <span className="stat-value">
+                    {vaultMetrics ? (
+                      <>
+                        {vaultMetrics.activeStakers.toLocaleString()}
+                        <span className="stat-detail"> of {vaultMetrics.stakers.toLocaleString()}</span>
+                      </>
+                    ) : vaultPlaceholder}
+                  </span>
                 </div>
               </div>
             </div>
+
+            <div className="stats-card">
+              <div className="stats-header">
+                <h3>Vault Share Price</h3>
+              </div>
+              {vaultMetrics ? (
+                <SharePriceChart
+                  history={vaultMetrics.history}
+                  markers={vaultMetrics.markers}
+                  maxDrawdown={vaultMetrics.maxDrawdown}
+                />
+              ) : (
+                <div className="share-price-empty">{vaultPlaceholder}</div>
+              )}
+            </div>
+
+            {connected && (
+              <div className="stats-card">
+                <div className="stats-header">
+                  <h3>Staking History</h3>
+                  <DataExportButton account={accountAddress} datasets={[getExportDatasets(accountAddress).staking]} />
+                </div>
+                <TradeHistory
+                  rows={stakingHistory}
+                  isLoading={tradeHistory.isLoading}
+                  error={tradeHistory.error}
+                  emptyText="No stakes yet"
+                  showMarket={false}
+                />
+              </div>
+            )}
           </div>
 
           {/* Staking Panel */}
@@ -1,30 +1,124 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useVolatilityMarket } from '../providers/VolatilityMarketProvider';
+import { useTransactions } from '../providers/TransactionProvider';
 import { formatCurrency, isValidCurrencyAmount, parseCurrency } from '../lib/currency';
-import { getMarkets, getUserPosition, getMarketPrice, getAmountOut, buildSwapTransaction, buildOpenShortTransaction, buildCloseLongPositionTransaction, buildCloseShortTransaction, mintTestUSDCTransaction } from '../lib/volatilityMarketplace';
+import { getSwapPreview, isWithinSlippage, getReduceShortPreview, buildCloseLongPositionTransaction, getMarginHealth, MARGIN_WARNING_RATIO } from '../lib/volatilityMarketplace';
+import strata from '../lib/strata';
+import { SwapType, TOKEN_DECIMALS, Rounding, parseFixed, subFixed, toNumber } from '../sdk';
 import { calculateTimeToSettlement, formatTime } from '../lib/time';
+import { OracleHealth } from '../lib/oracle';
+import { useOracleStatus } from '../hooks/useOracleStatus';
+import { useTradeHistory } from '../hooks/useTradeHistory';
+import { usePackageFeature } from '../hooks/usePackageFeature';
+import { PackageFeature } from '../sdk/packageFeatures';
+import { HistoryProduct, marketKeyOf } from '../sdk/tradeHistory';
+import TradeHistory from '../components/TradeHistory';
+import DataExportButton from '../components/DataExportButton';
+import { getExportDatasets } from '../lib/dataExport';
 import { useWallet } from "@aptos-labs/wallet-adapter-react";
 
 import './VolatilityMarket.css';
-import { getAssetPrice } from '../lib/oracle';
+
+// Delay before re-quoting after the trade amount changes
+const PREVIEW_DEBOUNCE_MS = 400;
+
+const SLIPPAGE_OPTIONS = ['0.5', '1', '2'];
+
+const TEST_USDC_MINT_AMOUNT = 100000;
+
+// Price impact above which the preview is highlighted
+const HIGH_PRICE_IMPACT = 0.02;
+
+// feature is the package feature an action needs, see sdk/packageFeatures.js
+const MANAGE_ACTIONS = [
+  { id: 'sell', label: 'Sell IV' },
+  { id: 'reduce', label: 'Reduce Short', feature: PackageFeature.SHORT_MANAGEMENT },
+  { id: 'collateral', label: 'Add Collateral', feature: PackageFeature.SHORT_MANAGEMENT }
+];
+
+// Allow digits and a single decimal point, IV tokens have 6 decimals
+const cleanTokenAmount = (value) => {
+  const cleaned = value.replace(/[^\d.]/g, '');
+  const parts = cleaned.split('.');
+  return parts.length > 1 ? `${parts[0]}.${parts.slice(1).join('').slice(0, 6)}` : cleaned;
+};
+
+// IV tokens between a size and a target size, subtracted in token units so 3.3 - 1.1 is 2.2
+// rather than a float a micro-unit short of it, which would leave dust on a full close
+const unitsToTarget = (size, target) => Number.isFinite(target) ?
+  toNumber(subFixed(parseFixed(size, TOKEN_DECIMALS, Rounding.HALF_UP), parseFixed(target, TOKEN_DECIMALS, Rounding.HALF_UP)), TOKEN_DECIMALS) :
+  NaN;
+
+const formatUsd = (value) => `$${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+const formatAge = (seconds) => {
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)}h`;
+  return `${Math.round(seconds / 86400)}d`;
+};
+
+// Short label of the oracle health shown next to the status dot
+const formatOracleHealth = (status) => {
+  if (!status) return 'Checking...';
+  if (status.health === OracleHealth.DOWN) return 'Unavailable';
+  if (status.isStale) return `Stale (price ${formatAge(status.onChainAge)} old)`;
+  if (status.health === OracleHealth.DEGRADED) return `${(status.deviation * 100).toFixed(2)}% deviation`;
+  return status.onChainAge !== null ? `Healthy (price ${formatAge(status.onChainAge)} old)` : 'Healthy';
+};
+
+// Tooltip with both prices, the deviation and the age of the on-chain price
+const describeOracleStatus = (status) => {
+  if (!status) return 'Comparing the Pyth price with the on-chain oracle';
+  if (status.error) return `Oracle check failed: ${status.error.message}`;
+
+  const details = [
+    `Pyth ${formatUsd(status.pythPrice)}`,
+    `On-chain ${formatUsd(status.onChainPrice)}${status.isMock ? ' (mock)' : ''}`,
+    `Deviation ${(status.deviation * 100).toFixed(2)}%`
+  ];
+  if (status.onChainAge !== null) details.push(`Updated ${formatAge(status.onChainAge)} ago`);
+
+  return details.join(' · ');
+};
 
 function VolatilityMarket() {
   const {
-    getCurrentMarketData
+    markets,
+    isLoadingMarkets,
+    marketsError,
+    getMarketState
   } = useVolatilityMarket();
   
-  const { connected, account, signAndSubmitTransaction } = useWallet();
-  const [markets, setMarkets] = useState([]);
+  const { connected, account } = useWallet();
+  const { submitTransaction } = useTransactions();
   
   const [selectedMarket, setSelectedMarket] = useState('');
+  const [positionsView, setPositionsView] = useState('open');
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
 
   const [localTimeToSettlement, setLocalTimeToSettlement] = useState(null);
   const [usdcAmount, setUsdcAmount] = useState('');
   const [isValidAmount, setIsValidAmount] = useState(true);
-  const [swapOutput, setSwapOutput] = useState(null);
-  const [marketPrice, setMarketPrice] = useState(null);
-  const [userPosition, setUserPosition] = useState(null);
+
+  // Swap preview, quoted on the USDC paid (exact in) or the IV tokens received (exact out)
+  const [isExactOut, setIsExactOut] = useState(false);
+  const [ivAmount, setIvAmount] = useState('');
+  const [slippageTolerance, setSlippageTolerance] = useState('1');
+  const [swapPreview, setSwapPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const previewRequestRef = useRef(0);
+
+  // Sell IV / reduce short / add collateral, the amount is a target size when isTargetSize is set
+  const [manageAction, setManageAction] = useState('sell');
+  const [manageAmount, setManageAmount] = useState('');
+  const [isTargetSize, setIsTargetSize] = useState(false);
+  const [managePreview, setManagePreview] = useState(null);
+  const [managePreviewError, setManagePreviewError] = useState(null);
+  const manageRequestRef = useRef(0);
+  // the actions are only offered once the package is known to have them
+  const hasShortManagement = usePackageFeature(PackageFeature.SHORT_MANAGEMENT);
+  const manageActions = MANAGE_ACTIONS.filter(action => !action.feature || hasShortManagement);
+  const hasTradeEvents = usePackageFeature(PackageFeature.TRADE_EVENTS);
   const dropdownRef = useRef(null);
   const chartRef = useRef(null);
   const chartWidget = useRef(null);
@@ -32,22 +126,28 @@ function VolatilityMarket() {
 
   // Derive currentMarket from markets and selectedMarket
   const currentMarket = markets.find(market => market.name === selectedMarket);
+  const oracleStatus = useOracleStatus(currentMarket?.pair);
 
-  // load markets, once at load
-  useEffect(() => {
-    const getMarketData = async () => {
-      const markets = await getMarkets();
+  // Cached on-chain state for the selected market
+  const marketState = getMarketState(currentMarket?.marketAddress);
+  const marketPrice = marketState.price;
+  const userPosition = marketState.position;
+  const marginAccount = marketState.marginAccount;
+  const marginHealth = marketPrice !== null ? getMarginHealth(marginAccount, marketPrice) : null;
 
-      setMarkets(markets);
-      
-      // Set default selected market to first market if available
-      if (markets.length > 0 && !selectedMarket) {
-        setSelectedMarket(markets[0].name);
-      }
-    }
+  // Trades in the selected market, from the indexed contract events
+  const accountAddress = connected && account ? account.address.bcsToHex().toString() : null;
+  const tradeHistory = useTradeHistory(accountAddress);
+  const marketHistory = currentMarket ?
+    tradeHistory.rows.filter(row => row.marketKey === marketKeyOf(HistoryProduct.VOLATILITY, currentMarket.marketAddress)) :
+    [];
 
-    getMarketData();
-  }, [])
+  // Set default selected market to first market once markets are loaded
+  useEffect(() => {
+    if (markets.length > 0 && !selectedMarket) {
+      setSelectedMarket(markets[0].name);
+    }
+  }, [markets, selectedMarket]);
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -156,58 +256,110 @@ function VolatilityMarket() {
   // Clear trade inputs when market changes
   useEffect(() => {
     setUsdcAmount('');
-    setSwapOutput(null);
+    setIvAmount('');
+    setSwapPreview(null);
     setIsValidAmount(true);
+    setManageAmount('');
+    setManagePreview(null);
   }, [selectedMarket]);
 
-  // Update user positions when the market changes
+  const tradeAmount = isExactOut ? ivAmount : parseCurrency(usdcAmount);
+  const slippageFraction = parseFloat(slippageTolerance) / 100;
+  const isValidSlippage = slippageFraction >= 0 && slippageFraction < 0.5;
+
+  // Re-quote the swap whenever the amount, direction or tolerance changes
   useEffect(() => {
-    if(!connected || !currentMarket) return;
+    const requestId = ++previewRequestRef.current;
 
-    const accountAddress = account.address.bcsToHex().toString();
-    const marketAddress = currentMarket.marketAddress;
+    if (!currentMarket || !isValidAmount || !isValidSlippage || !(parseFloat(tradeAmount) > 0)) {
+      setSwapPreview(null);
+      setPreviewError(null);
+      return;
+    }
 
-    const updateUserPosition = async() => {
+    const timeout = setTimeout(async () => {
       try {
-        const position = await getUserPosition(marketAddress, accountAddress);
-        setUserPosition(position);
+        const preview = await getSwapPreview(currentMarket.marketAddress, tradeAmount, {
+          exactOut: isExactOut,
+          slippageTolerance: slippageFraction
+        });
+        if (requestId !== previewRequestRef.current) return;
+
+        setSwapPreview(preview);
+        setPreviewError(null);
       } catch (error) {
-        console.error('Failed to get user position:', error);
-        setUserPosition(null);
+        if (requestId !== previewRequestRef.current) return;
+
+        console.error('Failed to preview swap:', error);
+        setSwapPreview(null);
+        setPreviewError(error);
       }
-    }
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeout);
+  }, [currentMarket, tradeAmount, isExactOut, slippageFraction, isValidAmount, isValidSlippage]);
 
-    updateUserPosition();
+  // Size of the position the manage action changes, in IV tokens
+  const managedSize = manageAction === 'sell' ?
+    (userPosition ? userPosition.long : 0) :
+    (marginAccount ? marginAccount.ivUnitsBorrowed : 0);
 
-  }, [currentMarket, account]);
+  const manageValue = manageAction === 'collateral' ? parseFloat(parseCurrency(manageAmount)) : parseFloat(manageAmount);
+  const manageUnits = isTargetSize ? unitsToTarget(managedSize, manageValue) : manageValue;
+  const isValidManageAmount = manageAmount === '' || (manageAction === 'collateral' ?
+    manageValue > 0 :
+    manageUnits > 0 && manageUnits <= managedSize && (!isTargetSize || manageValue >= 0));
 
-  // Get market price when selected market changes
+  // Collateral ratio after the deposit, the deposit adds to the USDC held by the margin account
+  const collateralPreview = manageAction === 'collateral' && manageValue > 0 && marketPrice !== null && marginAccount && marginAccount.usdcBalance !== null ?
+    getMarginHealth({
+      ...marginAccount,
+      collateral: marginAccount.collateral + manageValue,
+      usdcBalance: marginAccount.usdcBalance + manageValue
+    }, marketPrice) :
+    null;
+
+  // Re-quote the sell or buy-back whenever the manage amount changes
   useEffect(() => {
-    if (!currentMarket) return;
+    const requestId = ++manageRequestRef.current;
+
+    if (!currentMarket || manageAction === 'collateral' || !isValidManageAmount || !(manageUnits > 0)) {
+      setManagePreview(null);
+      setManagePreviewError(null);
+      return;
+    }
 
-    const fetchMarketPrice = async () => {
+    const timeout = setTimeout(async () => {
       try {
-        const price = await getMarketPrice(currentMarket.marketAddress);
-        setMarketPrice(price);
+        const preview = manageAction === 'sell' ?
+          await getSwapPreview(currentMarket.marketAddress, manageUnits, {
+            swapType: SwapType.SELL_IV,
+            slippageTolerance: slippageFraction
+          }) :
+          await getReduceShortPreview(currentMarket.marketAddress, marginAccount, manageUnits, {
+            slippageTolerance: slippageFraction
+          });
+        if (requestId !== manageRequestRef.current) return;
+
+        setManagePreview(preview);
+        setManagePreviewError(null);
       } catch (error) {
-        console.error('Failed to fetch market price:', error);
-        setMarketPrice(null);
+        if (requestId !== manageRequestRef.current) return;
+
+        console.error('Failed to preview position change:', error);
+        setManagePreview(null);
+        setManagePreviewError(error);
       }
-    };
+    }, PREVIEW_DEBOUNCE_MS);
 
-    fetchMarketPrice();
-  }, [currentMarket, userPosition]);
+    return () => clearTimeout(timeout);
+  }, [currentMarket, manageAction, manageUnits, isValidManageAmount, slippageFraction, marginAccount]);
 
   const handleMarketSelect = (market) => {
     setSelectedMarket(market.name);
     setIsDropdownOpen(false);
   };
 
-  // Get market data from provider
-  const marketData = getCurrentMarketData(selectedMarket);
-
-
-
   const handleUsdcAmountChange = (e) => {
     const inputValue = e.target.value;
   
@@ -218,39 +370,27 @@ function VolatilityMarket() {
     // Validate the amount - empty input is always valid
     const isValid = inputValue.trim() === '' || formatted === '' || isValidCurrencyAmount(formatted);
     setIsValidAmount(isValid);
-    
-    // Calculate swap output if valid amount
-    if (isValid && formatted && formatted !== '$') {
-      const numericValue = parseCurrency(inputValue);
-
-      getAmountOut(currentMarket.marketAddress, numericValue, 'LONG')
-        .then(result => setSwapOutput(result))
-        .catch(error => {
-          console.error('Failed to get amount out:', error);
-          setSwapOutput(null);
-        });
-      
-    } else {
-      setSwapOutput(null);
-    }
+  };
+
+  const handleIvAmountChange = (e) => {
+    const validInput = cleanTokenAmount(e.target.value);
+
+    setIvAmount(validInput);
+    setIsValidAmount(validInput === '' || parseFloat(validInput) > 0);
+  };
+
+  const handleTradeModeChange = (exactOut) => {
+    setIsExactOut(exactOut);
+    setSwapPreview(null);
+    setIsValidAmount(true);
   };
 
   const handleMaxClick = () => {
     // In a real app, this would get the user's actual USDC balance
     const maxBalance = '$10,000.00';
+    setIsExactOut(false);
     setUsdcAmount(maxBalance);
     setIsValidAmount(true);
-    
-    // Calculate swap output for max amount
-    const numericValue = parseFloat(maxBalance.replace(/[^\d.]/g, ''));
-    if (numericValue > 0 && currentMarket) {
-      getAmountOut(currentMarket.marketAddress, numericValue, 'LONG')
-        .then(result => setSwapOutput(result))
-        .catch(error => {
-          console.error('Failed to get amount out:', error);
-          setSwapOutput(null);
-        });
-    }
   };
 
   const handleClosePosition = async (positionType) => {
@@ -266,27 +406,97 @@ function VolatilityMarket() {
       let transaction;
       
       if (positionType === 'LONG') {
-        const ivTokenAddress = currentMarket.ivTokenAddress;
-        transaction = await buildCloseLongPositionTransaction(senderAddress, marketAddress, ivTokenAddress);
+        transaction = await buildCloseLongPositionTransaction(senderAddress, marketAddress);
       } else if (positionType === 'SHORT') {
-        transaction = await buildCloseShortTransaction(marketAddress);
+        transaction = strata.closeShortPosition(marketAddress);
       } else {
         alert('Unknown position type');
         return;
       }
       
-      const response = await signAndSubmitTransaction(transaction);
-      
-      console.log(`${positionType} position close transaction:`, response);
-      alert(`${positionType} position closed successfully!`);
-      
-      // Refresh user position
-      const position = await getUserPosition(marketAddress, senderAddress);
-      setUserPosition(position);
+      await submitTransaction(transaction, `Close ${positionType.toLowerCase()} position`);
       
     } catch (error) {
       console.error(`Failed to close ${positionType} position:`, error);
-      alert(`Failed to close ${positionType} position`);
+    }
+  };
+
+  const handleManageActionChange = (action) => {
+    setManageAction(action);
+    setManageAmount('');
+    setManagePreview(null);
+    if (action === 'collateral') {
+      setIsTargetSize(false);
+    }
+  };
+
+  const handleManageAmountChange = (e) => {
+    setManageAmount(manageAction === 'collateral' ? formatCurrency(e.target.value) : cleanTokenAmount(e.target.value));
+  };
+
+  const handleManageModeChange = (targetSize) => {
+    setIsTargetSize(targetSize);
+    setManageAmount('');
+    setManagePreview(null);
+  };
+
+  const handleManagePosition = async () => {
+    if (!connected || !currentMarket || !manageAmount || !isValidManageAmount) {
+      alert('Please connect wallet and enter a valid amount');
+      return;
+    }
+
+    const label = MANAGE_ACTIONS.find(action => action.id === manageAction).label;
+
+    try {
+      const senderAddress = account.address.bcsToHex().toString();
+      const marketAddress = currentMarket.marketAddress;
+
+      let transaction;
+
+      if (manageAction === 'sell') {
+        if (!managePreview) return;
+
+        // Re-quote before signing, as for buys
+        const refreshedPreview = await getSwapPreview(marketAddress, manageUnits, {
+          swapType: SwapType.SELL_IV,
+          slippageTolerance: slippageFraction
+        });
+
+        if (!isWithinSlippage(managePreview, refreshedPreview)) {
+          setManagePreview(refreshedPreview);
+          alert('The price moved beyond your slippage tolerance. Review the updated quote and try again.');
+          return;
+        }
+
+        transaction = await buildCloseLongPositionTransaction(senderAddress, marketAddress, refreshedPreview.amountIn);
+      } else if (manageAction === 'reduce') {
+        if (!managePreview) return;
+
+        // The buy-back is a swap too, re-quote it before signing
+        const refreshedPreview = await getReduceShortPreview(marketAddress, marginAccount, manageUnits, {
+          slippageTolerance: slippageFraction
+        });
+
+        if (!isWithinSlippage(managePreview, refreshedPreview)) {
+          setManagePreview(refreshedPreview);
+          alert('The buy-back cost moved beyond your slippage tolerance. Review the updated quote and try again.');
+          return;
+        }
+
+        transaction = strata.reduceShortPosition(marketAddress, manageUnits);
+      } else {
+        transaction = strata.addShortCollateral(marketAddress, manageValue);
+      }
+
+      await submitTransaction(transaction, label);
+
+      // Clear form
+      setManageAmount('');
+      setManagePreview(null);
+
+    } catch (error) {
+      console.error(`Failed to ${label.toLowerCase()}:`, error);
     }
   };
 
@@ -298,49 +508,48 @@ function VolatilityMarket() {
 
     try {
       const senderAddress = account.address.bcsToHex().toString();
-      const transaction = await mintTestUSDCTransaction(senderAddress);
-      
-      const response = await signAndSubmitTransaction(transaction);
+      const transaction = strata.mintTestUsdc(TEST_USDC_MINT_AMOUNT, senderAddress);
       
-      console.log('Mint test USDC transaction:', response);
-      alert('100,000 test USDC minted successfully!');
+      await submitTransaction(transaction, 'Mint 100,000 test USDC');
       
     } catch (error) {
       console.error('Failed to mint test USDC:', error);
-      alert('Failed to mint test USDC');
     }
   };
 
   const handleLongPosition = async () => {
-    if (!connected || !currentMarket || !usdcAmount || !isValidAmount) {
+    if (!connected || !currentMarket || !swapPreview) {
       alert('Please connect wallet and enter a valid amount');
       return;
     }
 
     try {
-      const senderAddress = account.address.bcsToHex().toString();
       const marketAddress = currentMarket.marketAddress;
-      const amountIn = parseCurrency(usdcAmount);
-      const swapType = 0; // Long position
 
-      const transaction = await buildSwapTransaction(marketAddress, swapType, amountIn);
-      
-      const response = await signAndSubmitTransaction(transaction);
-      
-      console.log('Long position transaction:', response);
-      alert('Long position opened successfully!');
+      // The swap has no on-chain minimum output, so re-quote before signing and
+      // stop if the price has moved past the tolerance of the accepted preview
+      const refreshedPreview = await getSwapPreview(marketAddress, tradeAmount, {
+        exactOut: isExactOut,
+        slippageTolerance: slippageFraction
+      });
+
+      if (!isWithinSlippage(swapPreview, refreshedPreview)) {
+        setSwapPreview(refreshedPreview);
+        alert('The price moved beyond your slippage tolerance. Review the updated quote and try again.');
+        return;
+      }
+
+      const transaction = strata.swap(marketAddress, SwapType.BUY_IV, refreshedPreview.amountIn);
       
-      // Refresh user position
-      const position = await getUserPosition(marketAddress, senderAddress);
-      setUserPosition(position);
+      await submitTransaction(transaction, 'Open long position');
       
       // Clear form
       setUsdcAmount('');
-      setSwapOutput(null);
+      setIvAmount('');
+      setSwapPreview(null);
       
     } catch (error) {
       console.error('Failed to open long position:', error);
-      alert('Failed to open long position');
     }
   };
 
@@ -351,28 +560,19 @@ function VolatilityMarket() {
     }
 
     try {
-      const senderAddress = account.address.bcsToHex().toString();
       const marketAddress = currentMarket.marketAddress;
       const amountIn = parseCurrency(usdcAmount);
 
-      const transaction = await buildOpenShortTransaction(marketAddress, amountIn);
-      
-      const response = await signAndSubmitTransaction(transaction);
+      const transaction = strata.openShortPosition(marketAddress, amountIn);
       
-      console.log('Short position transaction:', response);
-      alert('Short position opened successfully!');
-      
-      // Refresh user position
-      const position = await getUserPosition(marketAddress, senderAddress);
-      setUserPosition(position);
+      await submitTransaction(transaction, 'Open short position');
       
       // Clear form
       setUsdcAmount('');
-      setSwapOutput(null);
+      setSwapPreview(null);
       
     } catch (error) {
       console.error('Failed to open short position:', error);
-      alert('Failed to open short position');
     }
   };
 
@@ -425,9 +625,9 @@ function VolatilityMarket() {
               </span>
             </div>
             <div className="status-right">
-              <span className="oracle-status">
-                <span className="oracle-dot"></span>
-                Oracle: Pyth - Healthy
+              <span className="oracle-status" title={describeOracleStatus(oracleStatus)}>
+                <span className={`oracle-dot ${oracleStatus?.health || 'checking'}`}></span>
+                Oracle: Pyth - {formatOracleHealth(oracleStatus)}
               </span>
             </div>
         </div>
@@ -453,10 +653,44 @@ function VolatilityMarket() {
             <div className="positions-section">
               <div className="positions-header">
                 <h3>Your Positions</h3>
+                <div className="position-toggles">
+                  <button
+                    className={`toggle-btn ${positionsView === 'open' ? 'active' : ''}`}
+                    onClick={() => setPositionsView('open')}
+                  >
+                    Open
+                  </button>
+                  <button
+                    className={`toggle-btn ${positionsView === 'history' ? 'active' : ''}`}
+                    onClick={() => setPositionsView('history')}
+                  >
+                    History
+                  </button>
+                  {accountAddress && (
+                    <DataExportButton account={accountAddress} datasets={[getExportDatasets(accountAddress).ivTrades]} />
+                  )}
+                </div>
               </div>
               <div className="positions-table-container">
                 {!connected ? (
                   <div className="no-positions">Connect wallet to view positions</div>
+                ) : positionsView === 'history' ? (
+                  <TradeHistory
+                    rows={marketHistory}
+                    isLoading={tradeHistory.isLoading}
+                    error={tradeHistory.error}
+                    emptyText="No trades in this market yet"
+                    showMarket={false}
+                    notice={hasTradeEvents === false ?
+                      'The contracts deployed on this network do not emit IV trade events yet, trades show here once they are upgraded.' :
+                      null}
+                  />
+                ) : marketsError ? (
+                  <div className="no-positions">Failed to load markets</div>
+                ) : !isLoadingMarkets && markets.length === 0 ? (
+                  <div className="no-positions">No active markets</div>
+                ) : !userPosition && marketState.error ? (
+                  <div className="no-positions">Failed to load positions</div>
                 ) : !userPosition ? (
                   <div className="no-positions">Loading positions...</div>
                 ) : (
@@ -507,6 +741,200 @@ function VolatilityMarket() {
                   </table>
                 )}
               </div>
+
+              {/* Short IV margin account health */}
+              {connected && marginHealth && (
+                <div className={`margin-health ${marginHealth.isUndercollateralized ? 'danger' : marginHealth.isAtRisk ? 'warning' : ''}`}>
+                  <div className="margin-health-header">
+                    <h4>Short Margin Account</h4>
+                    <span className="margin-ratio">
+                      {(marginHealth.collateralRatio * 100).toFixed(1)}%
+                    </span>
+                  </div>
+                  {marginHealth.isUndercollateralized ? (
+                    <div className="margin-alert">
+                      This account is undercollateralized and can be liquidated. Close or reduce the short position.
+                    </div>
+                  ) : marginHealth.isAtRisk && (
+                    <div className="margin-alert">
+                      Collateral ratio is below {(MARGIN_WARNING_RATIO * 100).toFixed(0)}%. A rise in IV above {marginHealth.liquidationPrice.toFixed(2)}% makes this account undercollateralized.
+                    </div>
+                  )}
+                  <div className="margin-health-grid">
+                    <div className="margin-stat">
+                      <span>Collateral</span>
+                      <span>${marginHealth.collateral.toLocaleString(undefined, { maximumFractionDigits: 2 })}</span>
+                    </div>
+                    <div className="margin-stat">
+                      <span>IV Units Borrowed</span>
+                      <span>{marginHealth.ivUnitsBorrowed.toLocaleString()}</span>
+                    </div>
+                    <div className="margin-stat">
+                      <span>Debt Value</span>
+                      <span>${marginHealth.debtValue.toLocaleString(undefined, { maximumFractionDigits: 2 })}</span>
+                    </div>
+                    <div className="margin-stat">
+                      <span>Account Value</span>
+                      <span>${marginHealth.accountValue.toLocaleString(undefined, { maximumFractionDigits: 2 })}</span>
+                    </div>
+                    <div className="margin-stat">
+                      <span>Warning IV</span>
+                      <span>{marginHealth.warningPrice.toFixed(2)}%</span>
+                    </div>
+                    <div className="margin-stat">
+                      <span>Undercollateralized IV</span>
+                      <span>{marginHealth.liquidationPrice.toFixed(2)}%</span>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Sell IV, reduce a short or add collateral */}
+              {connected && userPosition && (
+                <div className="manage-position">
+                  <div className="manage-tabs">
+                    {manageActions.map(action => (
+                      <button
+                        key={action.id}
+                        className={`trade-mode-btn ${manageAction === action.id ? 'active' : ''}`}
+                        onClick={() => handleManageActionChange(action.id)}
+                      >
+                        {action.label}
+                      </button>
+                    ))}
+                  </div>
+                  {hasShortManagement === false && (
+                    <div className="manage-notice">
+                      Reducing shorts and adding collateral need the upgraded contracts, which are not deployed on this network yet.
+                    </div>
+                  )}
+
+                  {manageAction !== 'collateral' && (
+                    <div className="manage-mode">
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={isTargetSize}
+                          onChange={(e) => handleManageModeChange(e.target.checked)}
+                        />
+                        Close to target size
+                      </label>
+                      <span>
+                        {manageAction === 'sell' ? 'Long' : 'Short'}: {managedSize.toLocaleString()} tokens
+                      </span>
+                    </div>
+                  )}
+
+                  <div className={`input-group ${!isValidManageAmount ? 'invalid' : ''}`}>
+                    <div className="token-select">
+                      {manageAction === 'collateral' ? (
+                        <>
+                          <img src="/usdc.webp" alt="USDC" className="token-icon" />
+                          <span>USDC</span>
+                        </>
+                      ) : (
+                        <span>IV</span>
+                      )}
+                    </div>
+                    <input
+                      type="text"
+                      className="amount-input"
+                      placeholder={manageAction === 'collateral' ? '$0.00' : isTargetSize ? 'Target size' : '0.00'}
+                      value={manageAmount}
+                      onChange={handleManageAmountChange}
+                    />
+                  </div>
+                  {!isValidManageAmount && (
+                    <div className="input-error">
+                      {manageAction === 'collateral' ? 'Please enter a valid amount' : `Enter an amount up to ${managedSize.toLocaleString()} tokens`}
+                    </div>
+                  )}
+
+                  <div className="trade-details">
+                    {managePreviewError && (
+                      <div className="input-error">Unable to quote this trade</div>
+                    )}
+                    {manageAction === 'sell' && (
+                      <>
+                        <div className="detail-row">
+                          <span>Sell</span>
+                          <span className="detail-value">{managePreview ? `${managePreview.amountIn.toLocaleString()} IV tokens` : '—'}</span>
+                        </div>
+                        <div className="detail-row">
+                          <span>Receive</span>
+                          <span className="detail-value">{managePreview ? formatUsd(managePreview.outputTokens) : '—'}</span>
+                        </div>
+                        <div className="detail-row">
+                          <span>Execution price</span>
+                          <span className="detail-value">{managePreview ? `$${managePreview.executionPrice.toFixed(4)}` : '—'}</span>
+                        </div>
+                        <div className="detail-row">
+                          <span>Price impact</span>
+                          <span className={`detail-value ${managePreview && managePreview.priceImpact > HIGH_PRICE_IMPACT ? 'warning' : ''}`}>
+                            {managePreview ? `${(managePreview.priceImpact * 100).toFixed(2)}%` : '—'}
+                          </span>
+                        </div>
+                        <div className="detail-row">
+                          <span>Minimum received</span>
+                          <span className="detail-value">{managePreview ? formatUsd(managePreview.minimumReceived) : '—'}</span>
+                        </div>
+                        <div className="detail-row">
+                          <span>Fees ({managePreview ? managePreview.feePercentage.toFixed(2) : '—'}%)</span>
+                          <span className="detail-value">{managePreview ? `$${managePreview.feeAmount.toFixed(2)}` : '—'}</span>
+                        </div>
+                      </>
+                    )}
+                    {manageAction === 'reduce' && (
+                      <>
+                        <div className="detail-row">
+                          <span>Repay</span>
+                          <span className="detail-value">{managePreview ? `${managePreview.ivUnits.toLocaleString()} IV tokens` : '—'}</span>
+                        </div>
+                        <div className="detail-row">
+                          <span>Buy-back cost</span>
+                          <span className="detail-value">{managePreview ? formatUsd(managePreview.buyBackCost) : '—'}</span>
+                        </div>
+                        <div className="detail-row">
+                          <span>Maximum cost</span>
+                          <span className="detail-value">{managePreview ? formatUsd(managePreview.maximumSent) : '—'}</span>
+                        </div>
+                        <div className="detail-row">
+                          <span>USDC returned</span>
+                          <span className="detail-value">{managePreview && managePreview.usdcReturned !== null ? formatUsd(managePreview.usdcReturned) : '—'}</span>
+                        </div>
+                        <div className="detail-row">
+                          <span>Remaining short</span>
+                          <span className="detail-value">{managePreview ? `${managePreview.remainingIvUnits.toLocaleString()} IV tokens` : '—'}</span>
+                        </div>
+                      </>
+                    )}
+                    {manageAction === 'collateral' && (
+                      <>
+                        <div className="detail-row">
+                          <span>Collateral after</span>
+                          <span className="detail-value">{collateralPreview ? formatUsd(collateralPreview.collateral) : '—'}</span>
+                        </div>
+                        <div className="detail-row">
+                          <span>Collateral ratio after</span>
+                          <span className="detail-value">{collateralPreview ? `${(collateralPreview.collateralRatio * 100).toFixed(1)}%` : '—'}</span>
+                        </div>
+                        <div className="detail-row">
+                          <span>Undercollateralized IV after</span>
+                          <span className="detail-value">{collateralPreview ? `${collateralPreview.liquidationPrice.toFixed(2)}%` : '—'}</span>
+                        </div>
+                      </>
+                    )}
+                  </div>
+
+                  <button
+                    className="action-btn secondary full-width"
+                    onClick={handleManagePosition}
+                    disabled={manageAction === 'collateral' ? !collateralPreview : !managePreview}
+                  >
+                    {MANAGE_ACTIONS.find(action => action.id === manageAction).label}
+                  </button>
+                </div>
+              )}
             </div>
           </div>
 
@@ -517,12 +945,16 @@ function VolatilityMarket() {
               <div className="iv-price-display">
                 <div className="current-price">
                   <span className="price-label">Market IV</span>
-                  <span className="price-value">{marketPrice ? `${marketPrice}%` : '—'}</span>
+                  <span className="price-value">{marketPrice !== null ? `${marketPrice.toFixed(2)}%` : '—'}</span>
                 </div>
                 <div className="price-change">
-                  <span className={`change-value ${marketData.dailyChange >= 0 ? 'positive' : 'negative'}`}>
-                    {marketData.dailyChange >= 0 ? '+' : ''}{marketData.dailyChange}%
-                  </span>
+                  {marketState.dailyChange !== null ? (
+                    <span className={`change-value ${marketState.dailyChange >= 0 ? 'positive' : 'negative'}`}>
+                      {marketState.dailyChange >= 0 ? '+' : ''}{marketState.dailyChange.toFixed(2)}%
+                    </span>
+                  ) : (
+                    <span className="change-value">—</span>
+                  )}
                   <span className="change-label">24h change</span>
                 </div>
               </div>
@@ -533,42 +965,133 @@ function VolatilityMarket() {
             <div className="trade-header">
               <h3>Trade</h3>
             </div>
-            {/* Pay section */}
+            {/* Quote mode */}
+            <div className="trade-mode-toggle">
+              <button
+                className={`trade-mode-btn ${!isExactOut ? 'active' : ''}`}
+                onClick={() => handleTradeModeChange(false)}
+              >
+                Exact In
+              </button>
+              <button
+                className={`trade-mode-btn ${isExactOut ? 'active' : ''}`}
+                onClick={() => handleTradeModeChange(true)}
+              >
+                Exact Out
+              </button>
+            </div>
+
+            {/* Pay / receive section */}
             <div className="trade-section">
-              <div className="section-header">
-                <span>Pay</span>
-                <button className="max-btn" onClick={handleMaxClick}>MAX</button>
-              </div>
-              <div className={`input-group ${!isValidAmount ? 'invalid' : ''}`}>
-                <div className="token-select">
-                  <img src="/usdc.webp" alt="USDC" className="token-icon" />
-                  <span>USDC</span>
-                </div>
-                <input 
-                  type="text" 
-                  className="amount-input" 
-                  placeholder="$0.00"
-                  value={usdcAmount}
-                  onChange={handleUsdcAmountChange}
-                />
-              </div>
+              {!isExactOut ? (
+                <>
+                  <div className="section-header">
+                    <span>Pay</span>
+                    <button className="max-btn" onClick={handleMaxClick}>MAX</button>
+                  </div>
+                  <div className={`input-group ${!isValidAmount ? 'invalid' : ''}`}>
+                    <div className="token-select">
+                      <img src="/usdc.webp" alt="USDC" className="token-icon" />
+                      <span>USDC</span>
+                    </div>
+                    <input 
+                      type="text" 
+                      className="amount-input" 
+                      placeholder="$0.00"
+                      value={usdcAmount}
+                      onChange={handleUsdcAmountChange}
+                    />
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="section-header">
+                    <span>Receive</span>
+                  </div>
+                  <div className={`input-group ${!isValidAmount ? 'invalid' : ''}`}>
+                    <div className="token-select">
+                      <span>IV</span>
+                    </div>
+                    <input
+                      type="text"
+                      className="amount-input"
+                      placeholder="0.00"
+                      value={ivAmount}
+                      onChange={handleIvAmountChange}
+                    />
+                  </div>
+                </>
+              )}
               {!isValidAmount && (
                 <div className="input-error">Please enter a valid amount</div>
               )}
             </div>
 
+            {/* Slippage tolerance */}
+            <div className="slippage-section">
+              <span>Slippage tolerance</span>
+              <div className="slippage-options">
+                {SLIPPAGE_OPTIONS.map(option => (
+                  <button
+                    key={option}
+                    className={`slippage-btn ${slippageTolerance === option ? 'active' : ''}`}
+                    onClick={() => setSlippageTolerance(option)}
+                  >
+                    {option}%
+                  </button>
+                ))}
+                <input
+                  type="text"
+                  className={`slippage-input ${!isValidSlippage ? 'invalid' : ''}`}
+                  value={slippageTolerance}
+                  onChange={(e) => setSlippageTolerance(e.target.value.replace(/[^\d.]/g, ''))}
+                />
+              </div>
+            </div>
+
             {/* Trade details */}
             <div className="trade-details">
+              {previewError && (
+                <div className="input-error">Unable to quote this trade</div>
+              )}
+              <div className="detail-row">
+                <span>{isExactOut ? 'Pay' : 'Receive'}</span>
+                <span className="detail-value">
+                  {!swapPreview ? '—' : isExactOut ?
+                    `$${swapPreview.amountIn.toLocaleString(undefined, { maximumFractionDigits: 2 })}` :
+                    `${swapPreview.outputTokens.toLocaleString()} IV tokens`}
+                </span>
+              </div>
+              <div className="detail-row">
+                <span>Spot price</span>
+                <span className="detail-value">
+                  {swapPreview ? `$${swapPreview.spotPrice.toFixed(4)}` : '—'}
+                </span>
+              </div>
+              <div className="detail-row">
+                <span>Execution price</span>
+                <span className="detail-value">
+                  {swapPreview ? `$${swapPreview.executionPrice.toFixed(4)}` : '—'}
+                </span>
+              </div>
+              <div className="detail-row">
+                <span>Price impact</span>
+                <span className={`detail-value ${swapPreview && swapPreview.priceImpact > HIGH_PRICE_IMPACT ? 'warning' : ''}`}>
+                  {swapPreview ? `${(swapPreview.priceImpact * 100).toFixed(2)}%` : '—'}
+                </span>
+              </div>
               <div className="detail-row">
-                <span>Receive</span>
+                <span>{isExactOut ? 'Maximum sent' : 'Minimum received'}</span>
                 <span className="detail-value">
-                  {swapOutput ? `${swapOutput.outputTokens.toLocaleString()} IV tokens` : '—'}
+                  {!swapPreview ? '—' : isExactOut ?
+                    `$${swapPreview.maximumSent.toLocaleString(undefined, { maximumFractionDigits: 2 })}` :
+                    `${swapPreview.minimumReceived.toLocaleString(undefined, { maximumFractionDigits: 6 })} IV tokens`}
                 </span>
               </div>
               <div className="detail-row">
-                <span>Fees ({swapOutput?.feePercentage || 1}%)</span>
+                <span>Fees ({swapPreview ? swapPreview.feePercentage.toFixed(2) : '—'}%)</span>
                 <span className="detail-value">
-                  {swapOutput ? `$${ swapOutput.feeAmount.toFixed(2)}` : '—'}
+                  {swapPreview ? `$${ swapPreview.feeAmount.toFixed(2)}` : '—'}
                 </span>
               </div>
             </div>
@@ -578,14 +1101,14 @@ function VolatilityMarket() {
               <button 
                 className="action-btn primary" 
                 onClick={handleLongPosition}
-                disabled={!connected || !usdcAmount || !isValidAmount}
+                disabled={!connected || !swapPreview}
               >
                 Buy IV
               </button>
               <button 
                 className="action-btn secondary" 
                 onClick={handleShortPosition}
-                disabled={!connected || !usdcAmount || !isValidAmount}
+                disabled={!connected || isExactOut || !usdcAmount || !isValidAmount}
               >
                 Open Short
               </button>
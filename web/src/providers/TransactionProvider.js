@@ -0,0 +1,101 @@
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { useWallet } from "@aptos-labs/wallet-adapter-react";
+import { executeTransaction, subscribeToTransactions, TransactionStatus } from '../lib/transactions';
+import TransactionToasts from '../components/TransactionToasts';
+import TransactionConfirmModal from '../components/TransactionConfirmModal';
+
+const TransactionContext = createContext();
+
+// How long a success toast stays on screen; failures stay until dismissed
+const SUCCESS_TOAST_DURATION_MS = 6000;
+
+export const useTransactions = () => {
+  const context = useContext(TransactionContext);
+  if (!context) {
+    throw new Error('useTransactions must be used within a TransactionProvider');
+  }
+  return context;
+};
+
+export const TransactionProvider = ({ children }) => {
+  const { account, signAndSubmitTransaction } = useWallet();
+  const [toasts, setToasts] = useState([]);
+  // Simulation waiting for the user to confirm, with the label and the resolver of confirm()
+  const [confirmation, setConfirmation] = useState(null);
+  // Resolver of the confirmation on screen, read by submissions made while it is open
+  const pendingResolve = useRef(null);
+
+  const dismissToast = useCallback((id) => {
+    setToasts(previous => previous.filter(toast => toast.id !== id));
+  }, []);
+
+  // One toast per transaction, updated in place as it moves through its stages
+  useEffect(() => {
+    return subscribeToTransactions(transaction => {
+      if (transaction.status === TransactionStatus.CANCELLED) {
+        dismissToast(transaction.id);
+        return;
+      }
+
+      setToasts(previous => {
+        const exists = previous.some(toast => toast.id === transaction.id);
+        return exists ?
+          previous.map(toast => toast.id === transaction.id ? transaction : toast) :
+          [...previous, transaction];
+      });
+
+      if (transaction.status === TransactionStatus.SUCCESS) {
+        setTimeout(() => dismissToast(transaction.id), SUCCESS_TOAST_DURATION_MS);
+      }
+    });
+  }, [dismissToast]);
+
+  /**
+   * Simulate a transaction from the connected account and, once the user confirms the
+   * simulation, sign, submit and wait for it
+   * @param {Object} payload - Entry function payload, e.g. from StrataClient
+   * @param {string} label - Shown in the toast, e.g. "Stake USDC"
+   * @returns {Promise<Object>} The committed transaction
+   * @throws {TransactionError}
+   */
+  const submitTransaction = useCallback(async (payload, label) => {
+    if (!account?.address) {
+      throw new Error('Connect a wallet to submit transactions');
+    }
+
+    return executeTransaction({
+      payload,
+      sender: account.address.bcsToHex().toString(),
+      signAndSubmitTransaction,
+      label,
+      confirm: (simulation) => new Promise(resolve => {
+        // a newer submission replaces the confirmation on screen, which is settled as cancelled
+        // so the transaction behind it fails with a cancellation instead of waiting forever
+        if (pendingResolve.current) pendingResolve.current(false);
+        pendingResolve.current = resolve;
+        setConfirmation({ label, simulation, resolve });
+      })
+    });
+  }, [account, signAndSubmitTransaction]);
+
+  const closeConfirmation = (confirmed) => {
+    confirmation.resolve(confirmed);
+    if (pendingResolve.current === confirmation.resolve) pendingResolve.current = null;
+    setConfirmation(null);
+  };
+
+  return (
+    <TransactionContext.Provider value={{ submitTransaction }}>
+      {children}
+      <TransactionToasts toasts={toasts} onDismiss={dismissToast} />
+      {confirmation && (
+        <TransactionConfirmModal
+          label={confirmation.label}
+          simulation={confirmation.simulation}
+          onConfirm={() => closeConfirmation(true)}
+          onCancel={() => closeConfirmation(false)}
+        />
+      )}
+    </TransactionContext.Provider>
+  );
+};
@@ -1,7 +1,34 @@
-import { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { useWallet } from "@aptos-labs/wallet-adapter-react";
+import { getMarkets, getMarginAccountState } from '../lib/volatilityMarketplace';
+import strata from '../lib/strata';
+import { useTransactionSuccess } from '../hooks/useTransactionSuccess';
 
 const VolatilityMarketContext = createContext();
 
+// How often the on-chain market state is refreshed
+const POLL_INTERVAL_MS = 15000;
+
+// IV price samples are kept in local storage so the 24h change survives reloads. One sample per
+// market every PRICE_SAMPLE_INTERVAL_MS at most, kept only as long as the 24h change can use it:
+// a sample between one day and PRICE_HISTORY_RETENTION_MS old is the reference, so that is under
+// 300 samples per market.
+const PRICE_HISTORY_STORAGE_KEY = 'strata.ivPriceHistory';
+const PRICE_SAMPLE_INTERVAL_MS = 5 * 60 * 1000;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const PRICE_HISTORY_RETENTION_MS = ONE_DAY_MS + 60 * 60 * 1000;
+
+const emptyMarketState = {
+  price: null,
+  dailyChange: null,
+  reserves: null,
+  position: null,
+  marginAccount: null,
+  isLoading: false,
+  error: null,
+  lastUpdated: null
+};
+
 export const useVolatilityMarket = () => {
   const context = useContext(VolatilityMarketContext);
   if (!context) {
@@ -10,263 +37,203 @@ export const useVolatilityMarket = () => {
   return context;
 };
 
+// Read from local storage once, then kept in memory and written back when a sample is added
+let priceHistory = null;
 
+const loadPriceHistory = () => {
+  if (!priceHistory) {
+    try {
+      priceHistory = JSON.parse(window.localStorage.getItem(PRICE_HISTORY_STORAGE_KEY)) || {};
+    } catch (error) {
+      priceHistory = {};
+    }
+  }
 
+  return priceHistory;
+};
 
-export const VolatilityMarketProvider = ({ children }) => {
+// Record the latest price for a market and return the retained samples (oldest first)
+const recordPriceSample = (marketAddress, price, timestamp) => {
+  const history = loadPriceHistory();
+  const isRetained = sample => timestamp - sample.timestamp <= PRICE_HISTORY_RETENTION_MS;
+  const samples = (history[marketAddress] || []).filter(isRetained);
 
-  // Calculate time to settlement
-  const [timeToSettlement, setTimeToSettlement] = useState({
-    days: 0,
-    hours: 0,
-    minutes: 0,
-    seconds: 0
-  });
+  const lastSample = samples[samples.length - 1];
+  if (lastSample && timestamp - lastSample.timestamp < PRICE_SAMPLE_INTERVAL_MS) return samples;
 
- 
-
-  
-
-
-
-  // Mock data for user positions - in a real app this would come from an API
-  const mockUserPositions = {
-    'APT-USD': {
-      open: [
-        {
-          id: 1,
-          type: 'LONG',
-          size: 1250,
-          entryPrice: 45.2,
-          currentPrice: 47.3,
-          pnl: 127.50,
-          pnlPercentage: 4.6,
-          timestamp: '2024-03-15 10:30',
-          market: 'APT-USD'
-        },
-        {
-          id: 2,
-          type: 'SHORT',
-          size: 800,
-          entryPrice: 49.1,
-          currentPrice: 47.3,
-          pnl: -42.80,
-          pnlPercentage: -2.1,
-          timestamp: '2024-03-14 14:20',
-          market: 'APT-USD'
-        }
-      ],
-      closed: [
-        {
-          id: 3,
-          type: 'LONG',
-          size: 500,
-          entryPrice: 42.8,
-          exitPrice: 46.1,
-          pnl: 82.50,
-          pnlPercentage: 7.7,
-          timestamp: '2024-03-12 09:15',
-          closedAt: '2024-03-13 16:45',
-          market: 'APT-USD'
-        },
-        {
-          id: 4,
-          type: 'SHORT',
-          size: 1100,
-          entryPrice: 48.5,
-          exitPrice: 50.2,
-          pnl: -93.50,
-          pnlPercentage: -3.5,
-          timestamp: '2024-03-10 11:20',
-          closedAt: '2024-03-11 13:30',
-          market: 'APT-USD'
-        }
-      ]
-    },
-    'BTC-USD': {
-      open: [
-        {
-          id: 5,
-          type: 'LONG',
-          size: 2000,
-          entryPrice: 52.1,
-          currentPrice: 54.8,
-          pnl: 270.00,
-          pnlPercentage: 5.2,
-          timestamp: '2024-03-16 08:45',
-          market: 'BTC-USD'
-        }
-      ],
-      closed: []
-    },
-    'ETH-USD': {
-      open: [],
-      closed: [
-        {
-          id: 6,
-          type: 'SHORT',
-          size: 1500,
-          entryPrice: 48.9,
-          exitPrice: 45.2,
-          pnl: 277.50,
-          pnlPercentage: 7.6,
-          timestamp: '2024-03-08 15:30',
-          closedAt: '2024-03-09 11:15',
-          market: 'ETH-USD'
-        }
-      ]
-    },
-    'SOL-USD': {
-      open: [],
-      closed: []
+  samples.push({ timestamp, price });
+
+  // drop the expired samples of every market, including those no longer polled
+  Object.keys(history).forEach(address => {
+    const retained = history[address].filter(isRetained);
+    if (retained.length > 0) {
+      history[address] = retained;
+    } else {
+      delete history[address];
     }
-  };
+  });
+  history[marketAddress] = samples;
 
-  // Get user positions for a market
-  const getUserPositions = (marketName) => {
-    if (!marketName) return { open: [], closed: [] };
-    // Extract pair from market name (e.g., "APT-USD (Oct 15)" -> "APT-USD")
-    const pair = marketName.split(' ')[0] || '';
-    return mockUserPositions[pair] || { open: [], closed: [] };
-  };
+  try {
+    window.localStorage.setItem(PRICE_HISTORY_STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.error('Failed to store IV price history:', error);
+  }
 
-  // Get open positions for a market
-  const getOpenPositions = (marketName) => {
-    return getUserPositions(marketName).open;
-  };
+  return samples;
+};
 
-  // Get closed positions for a market
-  const getClosedPositions = (marketName) => {
-    return getUserPositions(marketName).closed;
-  };
+// Percentage change against the newest sample that is at least a day old. Null until the
+// browser has sampled the market for a day, a shorter window would not be a 24h change, and
+// after a gap in the samples, as those older than PRICE_HISTORY_RETENTION_MS are dropped.
+const calculateDailyChange = (samples, price, timestamp) => {
+  const dayOldSamples = samples.filter(sample => timestamp - sample.timestamp >= ONE_DAY_MS);
+  if (dayOldSamples.length === 0) return null;
 
-  // Get all user positions across all markets
-  const getAllUserPositions = () => {
-    const allPositions = { open: [], closed: [] };
-    Object.values(mockUserPositions).forEach(marketPositions => {
-      allPositions.open.push(...marketPositions.open);
-      allPositions.closed.push(...marketPositions.closed);
-    });
-    return allPositions;
-  };
+  const reference = dayOldSamples[dayOldSamples.length - 1];
+  if (!reference.price) return null;
 
-  // Calculate total P&L for a market
-  const getMarketPnL = (marketName) => {
-    if (!marketName) return 0;
-    const positions = getUserPositions(marketName);
-    const totalPnL = [...positions.open, ...positions.closed].reduce((sum, position) => sum + position.pnl, 0);
-    return totalPnL;
-  };
+  return ((price - reference.price) / reference.price) * 100;
+};
 
-  // Close a position
-  const closePosition = (positionId, marketName) => {
-    // In a real app, this would make an API call
-    // For now, we'll just move the position from open to closed
-    if (!marketName) return null;
-    const currentMarketPositions = getUserPositions(marketName);
-    const positionToClose = currentMarketPositions.open.find(pos => pos.id === positionId);
-    
-    if (positionToClose) {
-      // Create closed position with exit data
-      const closedPosition = {
-        ...positionToClose,
-        exitPrice: positionToClose.currentPrice,
-        closedAt: new Date().toISOString().slice(0, 16).replace('T', ' ')
-      };
-      delete closedPosition.currentPrice;
-      
-      // Update mock data (in real app, this would be handled by state management)
-      console.log(`Closing position ${positionId}:`, closedPosition);
-      
-      // This is a simplified version - in a real app you'd update the actual state
-      return closedPosition;
-    }
-    
-    return null;
+// The SDK returns exact decimal strings, the market pages work with numbers
+const fetchMarketState = async (marketAddress, accountAddress) => {
+  const [quote, reserves, position, marginAccount] = await Promise.all([
+    strata.getQuote(marketAddress),
+    strata.getAmmReserves(marketAddress),
+    accountAddress ? strata.getUserPosition(marketAddress, accountAddress) : null,
+    accountAddress ? getMarginAccountState(marketAddress, accountAddress) : null
+  ]);
+
+  const price = Number(quote);
+  const timestamp = Date.now();
+  const samples = recordPriceSample(marketAddress, price, timestamp);
+
+  return {
+    price,
+    dailyChange: calculateDailyChange(samples, price, timestamp),
+    reserves: {
+      ivReserves: Number(reserves.ivReserves),
+      usdcReserves: Number(reserves.usdcReserves)
+    },
+    position: position && {
+      long: Number(position.long),
+      short: Number(position.short)
+    },
+    marginAccount,
+    lastUpdated: new Date(timestamp)
   };
+};
 
+export const VolatilityMarketProvider = ({ children }) => {
+  const { connected, account } = useWallet();
+  const accountAddress = connected && account?.address ? account.address.bcsToHex().toString() : null;
+
+  const [markets, setMarkets] = useState([]);
+  const [isLoadingMarkets, setIsLoadingMarkets] = useState(true);
+  const [marketsError, setMarketsError] = useState(null);
+
+  // On-chain state cached by market address
+  const [marketStates, setMarketStates] = useState({});
+  const accountAddressRef = useRef(accountAddress);
+
+  const updateMarketState = useCallback((marketAddress, update) => {
+    setMarketStates(previous => ({
+      ...previous,
+      [marketAddress]: {
+        ...emptyMarketState,
+        ...previous[marketAddress],
+        ...update
+      }
+    }));
+  }, []);
 
+  // Fetch the latest state for a single market
+  const refreshMarket = useCallback(async (marketAddress) => {
+    if (!marketAddress) return;
 
-  // Get current market price for IV tokens
-  const getCurrentIVPrice = (marketName) => {
-    if (!marketName) return 1.000;
-    // Mock prices by market - in real app this would come from price feeds
-    const pair = marketName.split(' ')[0] || '';
-    const marketPrices = {
-      'APT-USD': 1.047,
-      'BTC-USD': 1.125,
-      'ETH-USD': 0.985,
-      'SOL-USD': 1.200
-    };
-    
-    return marketPrices[pair] || 1.000;
-  };
+    const requestedFor = accountAddress;
+    updateMarketState(marketAddress, { isLoading: true });
+
+    try {
+      const state = await fetchMarketState(marketAddress, requestedFor);
+
+      // ignore responses for an account that is no longer connected
+      if (accountAddressRef.current !== requestedFor) return;
 
-  // Get current market data including IV price and change
-  const getCurrentMarketData = (marketName) => {
-    if (!marketName) {
-      return {
-        currentIV: 45.0,
-        dailyChange: 0.0,
-        markIV: 45.0,
-        historicalVol: 45.0,
-        tokenPrice: 1.000
-      };
+      updateMarketState(marketAddress, { ...state, isLoading: false, error: null });
+    } catch (error) {
+      console.error(`Failed to refresh market ${marketAddress}:`, error);
+      updateMarketState(marketAddress, { isLoading: false, error });
     }
-    
-    // Mock market data - in real app this would come from market data APIs
-    const pair = marketName.split(' ')[0] || '';
-    const marketData = {
-      'APT-USD': {
-        currentIV: 47.3,
-        dailyChange: 2.1,
-        markIV: 47.3,
-        historicalVol: 42.8,
-        tokenPrice: 1.047
-      },
-      'BTC-USD': {
-        currentIV: 52.8,
-        dailyChange: -1.4,
-        markIV: 52.8,
-        historicalVol: 55.2,
-        tokenPrice: 1.125
-      },
-      'ETH-USD': {
-        currentIV: 38.9,
-        dailyChange: 3.7,
-        markIV: 38.9,
-        historicalVol: 35.1,
-        tokenPrice: 0.985
-      },
-      'SOL-USD': {
-        currentIV: 61.2,
-        dailyChange: 0.8,
-        markIV: 61.2,
-        historicalVol: 58.7,
-        tokenPrice: 1.200
+  }, [accountAddress, updateMarketState]);
+
+  const refreshAllMarkets = useCallback(async () => {
+    await Promise.all(markets.map(market => refreshMarket(market.marketAddress)));
+  }, [markets, refreshMarket]);
+
+  // load markets, once at load
+  useEffect(() => {
+    const loadMarkets = async () => {
+      setIsLoadingMarkets(true);
+
+      try {
+        const activeMarkets = await getMarkets();
+        setMarkets(activeMarkets);
+        setMarketsError(null);
+      } catch (error) {
+        setMarketsError(error);
+      } finally {
+        setIsLoadingMarkets(false);
       }
     };
-    
-    return marketData[pair] || {
-      currentIV: 45.0,
-      dailyChange: 0.0,
-      markIV: 45.0,
-      historicalVol: 45.0,
-      tokenPrice: 1.000
-    };
-  };
+
+    loadMarkets();
+  }, []);
+
+  // Positions belong to the connected account, so drop them when the account changes
+  useEffect(() => {
+    accountAddressRef.current = accountAddress;
+
+    setMarketStates(previous => {
+      const cleared = {};
+      Object.keys(previous).forEach(marketAddress => {
+        cleared[marketAddress] = { ...previous[marketAddress], position: null, marginAccount: null };
+      });
+      return cleared;
+    });
+  }, [accountAddress]);
+
+  // Poll all markets while the provider is mounted
+  useEffect(() => {
+    if (markets.length === 0) return;
+
+    refreshAllMarkets();
+    const interval = setInterval(refreshAllMarkets, POLL_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [markets, refreshAllMarkets]);
+
+  // Trades change reserves, prices and positions, so reload every market once one commits
+  useTransactionSuccess(() => {
+    refreshAllMarkets();
+  });
+
+  // Get the cached state for a market address
+  const getMarketState = useCallback((marketAddress) => {
+    if (!marketAddress) return emptyMarketState;
+
+    return marketStates[marketAddress] || { ...emptyMarketState, isLoading: true };
+  }, [marketStates]);
 
   const value = {
-    // Position methods
-    getUserPositions,
-    getOpenPositions,
-    getClosedPositions,
-    getAllUserPositions,
-    getMarketPnL,
-    closePosition,
-
-    getCurrentIVPrice,
-    getCurrentMarketData
+    markets,
+    isLoadingMarkets,
+    marketsError,
+
+    getMarketState,
+    refreshMarket,
+    refreshAllMarkets
   };
 
   return (
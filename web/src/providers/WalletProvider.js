@@ -1,12 +1,12 @@
 import { AptosWalletAdapterProvider } from "@aptos-labs/wallet-adapter-react";
-import { Network } from "@aptos-labs/ts-sdk";
+import { activeNetwork } from "../lib/networks";
 
 export const WalletProvider = ({ children }) => {
 
   return (
     <AptosWalletAdapterProvider 
         autoConnect={true} 
-        dappConfig={{ network: Network.TESTNET }}
+        dappConfig={{ network: activeNetwork.network }}
         onError={(error) => { console.log("error", error);}}
     >
       {children}
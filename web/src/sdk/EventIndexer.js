@@ -0,0 +1,158 @@
+// Pages through the module events of the Strata contracts on the Aptos indexer, decodes them
+// and saves them to an event store. Each event type is synced from its own cursor, so a sync
+// that stops part way, or a type added later, carries on from the last saved page.
+import { EVENT_TYPES, eventTypeOf, decodeEvent } from "./events";
+
+const DEFAULT_PAGE_SIZE = 100;
+
+// Cursor before the first event
+const START_CURSOR = { version: -1, eventIndex: -1 };
+
+const EVENTS_QUERY = `
+    query StrataEvents($type: String!, $version: bigint!, $eventIndex: bigint!, $limit: Int!) {
+        events(
+            where: {
+                indexed_type: { _eq: $type },
+                _or: [
+                    { transaction_version: { _gt: $version } },
+                    { transaction_version: { _eq: $version }, event_index: { _gt: $eventIndex } }
+                ]
+            },
+            order_by: [{ transaction_version: asc }, { event_index: asc }],
+            limit: $limit
+        ) {
+            transaction_version
+            event_index
+            data
+        }
+    }
+`;
+
+const TRANSACTIONS_QUERY = `
+    query StrataTransactions($versions: [bigint!]!) {
+        user_transactions(where: { version: { _in: $versions } }) {
+            version
+            hash
+            timestamp
+        }
+    }
+`;
+
+// The indexer returns UTC timestamps without a zone, e.g. "2025-01-31T12:00:00.123456"
+const parseTimestamp = (timestamp) => Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(timestamp) ? timestamp : `${timestamp}Z`);
+
+/**
+ * @example
+ * const indexer = new EventIndexer({ aptos, codeAddress: addresses.code, store: new MemoryEventStore() });
+ * await indexer.sync();
+ * const opened = await indexer.store.getEvents({ types: ["PositionOpened"], account });
+ */
+export class EventIndexer {
+    /**
+     * @param {Object} options
+     * @param {import("@aptos-labs/ts-sdk").Aptos} options.aptos - Client with an indexer configured
+     * @param {string} options.codeAddress - Address the Strata package is published at
+     * @param {Object} options.store - Event store, see eventStores.js
+     * @param {string[]} [options.types] - Event names to index, defaults to every EVENT_TYPES key
+     * @param {number} [options.pageSize=100] - Events requested per query
+     */
+    constructor({ aptos, codeAddress, store, types = Object.keys(EVENT_TYPES), pageSize = DEFAULT_PAGE_SIZE }) {
+        const unknown = types.filter(type => !EVENT_TYPES[type]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown Strata events: ${unknown.join(', ')}`);
+        }
+
+        this.aptos = aptos;
+        this.codeAddress = codeAddress;
+        this.store = store;
+        this.types = types;
+        this.pageSize = pageSize;
+    }
+
+    query(query, variables) {
+        return this.aptos.queryIndexer({ query: { query, variables } });
+    }
+
+    /**
+     * Raw events of a type after a cursor
+     * @param {string} type - Event name
+     * @param {import("./eventStores").EventCursor} cursor
+     * @returns {Promise<Object[]>} Rows of the indexer's events table
+     */
+    async fetchPage(type, cursor) {
+        const { events } = await this.query(EVENTS_QUERY, {
+            type: eventTypeOf(this.codeAddress, type),
+            version: cursor.version,
+            eventIndex: cursor.eventIndex,
+            limit: this.pageSize
+        });
+
+        return events;
+    }
+
+    /**
+     * Hashes and block times of transactions
+     * @param {number[]} versions
+     * @returns {Promise<Object<number, {hash: string, timestamp: number}>>} Keyed by version,
+     *   block times in milliseconds
+     */
+    async fetchTransactions(versions) {
+        const { user_transactions } = await this.query(TRANSACTIONS_QUERY, { versions: [...new Set(versions)] });
+
+        return Object.fromEntries(user_transactions.map(transaction => [
+            Number(transaction.version),
+            { hash: transaction.hash, timestamp: parseTimestamp(transaction.timestamp) }
+        ]));
+    }
+
+    /**
+     * Index new events of one type, saving each page with its cursor
+     * @param {string} type - Event name
+     * @returns {Promise<number>} Number of events saved
+     */
+    async syncType(type) {
+        let cursor = (await this.store.getCursor(type)) || START_CURSOR;
+        let saved = 0;
+
+        for (;;) {
+            const rows = await this.fetchPage(type, cursor);
+            if (rows.length === 0) break;
+
+            const transactions = await this.fetchTransactions(rows.map(row => Number(row.transaction_version)));
+            const events = rows.map(row => {
+                const { timestamp = null, hash = null } = transactions[Number(row.transaction_version)] || {};
+                return decodeEvent(type, row, timestamp, hash);
+            });
+            const last = events[events.length - 1];
+
+            cursor = { version: last.version, eventIndex: last.eventIndex };
+            await this.store.saveEvents(type, events, cursor);
+            saved += events.length;
+
+            if (rows.length < this.pageSize) break;
+        }
+
+        return saved;
+    }
+
+    /**
+     * Index new events of the given types
+     * @param {string[]} [types] - Event names, every configured type when omitted
+     * @returns {Promise<Object<string, number>>} Number of events saved per type
+     */
+    async sync(types = this.types) {
+        const unknown = types.filter(type => !this.types.includes(type));
+        if (unknown.length > 0) {
+            throw new Error(`Event types not indexed: ${unknown.join(', ')}`);
+        }
+
+        const saved = {};
+
+        // one type at a time keeps the load on the public indexer low
+        for (const type of types) {
+            saved[type] = await this.syncType(type);
+        }
+
+        return saved;
+    }
+}
@@ -0,0 +1,238 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import fixture from './fixtures/indexerEvents.json';
+import { EventIndexer } from './EventIndexer';
+import { MemoryEventStore } from './eventStores';
+import { JsonFileEventStore } from './JsonFileEventStore';
+
+const { codeAddress, accounts } = fixture;
+
+// Answers the indexer queries from the fixture rows, paging like the events table does
+const createAptosStub = (rows = fixture.events) => {
+    const stub = {
+        rows: [...rows],
+        eventQueries: 0,
+        transactionQueries: 0,
+        failAfter: Infinity,
+
+        async queryIndexer({ query: { query, variables } }) {
+            if (query.includes('user_transactions')) {
+                stub.transactionQueries++;
+                return {
+                    user_transactions: fixture.user_transactions
+                        .filter(transaction => variables.versions.includes(Number(transaction.version)))
+                };
+            }
+
+            if (stub.eventQueries >= stub.failAfter) {
+                throw new Error('Indexer unavailable');
+            }
+            stub.eventQueries++;
+
+            const events = stub.rows
+                .filter(row => row.type === variables.type)
+                .filter(row => {
+                    const version = Number(row.transaction_version);
+                    return version > variables.version ||
+                        (version === variables.version && row.event_index > variables.eventIndex);
+                })
+                .sort((a, b) => Number(a.transaction_version) - Number(b.transaction_version) || a.event_index - b.event_index)
+                .slice(0, variables.limit);
+
+            return { events };
+        }
+    };
+
+    return stub;
+};
+
+const createIndexer = (aptos, options = {}) => new EventIndexer({
+    aptos,
+    codeAddress,
+    store: new MemoryEventStore(),
+    ...options
+});
+
+describe('EventIndexer', () => {
+    test('decodes every event type into typed records', async () => {
+        const indexer = createIndexer(createAptosStub());
+
+        const saved = await indexer.sync();
+
+        expect(saved).toEqual({
+            PositionOpened: 4,
+            PositionClosed: 1,
+            MarginAccountCreated: 1,
+            Staked: 1,
+            Unstaked: 1,
+            MarginBorrowed: 1,
+            SwapFeesCollected: 1,
+            VolatilityMarketProfit: 1,
+            Swapped: 4,
+            ShortOpened: 1,
+            ShortCollateralAdded: 1,
+            ShortReduced: 1,
+            ShortClosed: 1,
+            MarketCreated: 1,
+            MarketSettled: 1
+        });
+
+        const [opened] = await indexer.store.getEvents({ types: ['PositionOpened'] });
+        expect(opened).toEqual({
+            id: '6512001020:4',
+            type: 'PositionOpened',
+            version: 6512001020,
+            eventIndex: 4,
+            timestamp: Date.parse('2025-10-24T10:14:26.123Z'),
+            hash: fixture.user_transactions[2].hash,
+            account: accounts.alice,
+            exchangeAddress: fixture.events[3].data.exchange_address,
+            positionId: 1,
+            trader: accounts.alice,
+            assetSymbol: 'BTC-USD',
+            legsCount: 1,
+            netDebit: '1250',
+            netCredit: '0',
+            initialMargin: '0',
+            netAmountRequired: '1250'
+        });
+
+        const [staked] = await indexer.store.getEvents({ types: ['Staked'] });
+        expect(staked.amount).toBe('1000');
+        expect(staked.userBalance).toBe('1000');
+
+        const [bought] = await indexer.store.getEvents({ types: ['Swapped'] });
+        expect(bought).toMatchObject({ swapType: 0, amountIn: '100', amountOut: '3.9', swapFee: '0.3' });
+
+        const [closed] = await indexer.store.getEvents({ types: ['ShortClosed'] });
+        expect(closed).toMatchObject({ ivUnitsRepaid: '0.8', usdcPaid: '21', collateral: '30', usdcReturned: '28' });
+
+        const [created] = await indexer.store.getEvents({ types: ['MarketCreated'] });
+        expect(created.initialVolatility).toBe('30');
+        expect(created.expiration).toBe(1767225600000);
+    });
+
+    test('pages through events', async () => {
+        const aptos = createAptosStub();
+        const indexer = createIndexer(aptos, { types: ['PositionOpened'], pageSize: 2 });
+
+        expect(await indexer.syncType('PositionOpened')).toBe(4);
+        // two full pages and an empty one
+        expect(aptos.eventQueries).toBe(3);
+        // the hashes and block times of each page in one query
+        expect(aptos.transactionQueries).toBe(2);
+    });
+
+    test('resumes from the saved cursor', async () => {
+        const aptos = createAptosStub(fixture.events.slice(0, 6));
+        const indexer = createIndexer(aptos);
+
+        await indexer.sync();
+        aptos.rows = fixture.events;
+
+        const saved = await indexer.sync();
+
+        expect(saved.PositionOpened).toBe(3);
+        expect(saved.Staked).toBe(0);
+        expect(await indexer.store.getEvents({ types: ['PositionOpened'] })).toHaveLength(4);
+    });
+
+    test('syncs only the requested types', async () => {
+        const aptos = createAptosStub();
+        const indexer = createIndexer(aptos);
+
+        expect(await indexer.sync(['Staked', 'Unstaked'])).toEqual({ Staked: 1, Unstaked: 1 });
+        // a query per type returns less than a page
+        expect(aptos.eventQueries).toBe(2);
+        expect(await indexer.store.getCursor('PositionOpened')).toBeNull();
+        await expect(createIndexer(aptos, { types: ['Staked'] }).sync(['Unstaked'])).rejects.toThrow('Event types not indexed: Unstaked');
+    });
+
+    test('keeps the pages saved before a failure', async () => {
+        const aptos = createAptosStub();
+        const indexer = createIndexer(aptos, { types: ['PositionOpened'], pageSize: 1 });
+
+        aptos.failAfter = 2;
+        await expect(indexer.sync()).rejects.toThrow('Indexer unavailable');
+        expect(await indexer.store.getCursor('PositionOpened')).toEqual({ version: 6512002201, eventIndex: 2 });
+
+        aptos.failAfter = Infinity;
+        await indexer.sync();
+
+        const positionIds = (await indexer.store.getEvents()).map(event => event.positionId);
+        expect(positionIds).toEqual([1, 2, 3, 4]);
+    });
+
+    test('filters stored events by account', async () => {
+        const indexer = createIndexer(createAptosStub());
+        await indexer.sync();
+
+        const events = await indexer.store.getEvents({ account: accounts.alice.toUpperCase().replace('0X', '0x') });
+
+        expect(events.map(event => event.type)).toEqual([
+            'Staked',
+            'MarginAccountCreated',
+            'PositionOpened',
+            'Swapped',
+            'ShortOpened',
+            'PositionOpened',
+            'PositionOpened',
+            'Swapped',
+            'ShortCollateralAdded',
+            'ShortReduced',
+            'PositionClosed',
+            'ShortClosed',
+            'Unstaked',
+            'Swapped'
+        ]);
+    });
+
+    test('matches accounts in short and long form', async () => {
+        const store = new MemoryEventStore();
+        const event = { id: '1:0', type: 'Staked', version: 1, eventIndex: 0, timestamp: null, account: '0x0A' };
+        await store.saveEvents('Staked', [event], { version: 1, eventIndex: 0 });
+
+        const longForm = `0x${'0'.repeat(63)}a`;
+        await expect(store.getEvents({ account: longForm })).resolves.toEqual([{ ...event, account: longForm }]);
+        await expect(store.getEvents({ account: '0xa' })).resolves.toHaveLength(1);
+        await expect(store.getEvents({ account: '0xb' })).resolves.toHaveLength(0);
+    });
+
+    test('rejects unknown event types', () => {
+        expect(() => createIndexer(createAptosStub(), { types: ['Liquidated'] })).toThrow('Unknown Strata events: Liquidated');
+    });
+});
+
+describe('JsonFileEventStore', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'strata-events-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('persists events and cursors across instances', async () => {
+        const file = path.join(directory, 'events.json');
+        const indexer = new EventIndexer({ aptos: createAptosStub(), codeAddress, store: new JsonFileEventStore(file) });
+
+        await indexer.sync();
+
+        const reopened = new JsonFileEventStore(file);
+        expect(await reopened.getEvents()).toHaveLength(fixture.events.length);
+        expect(await reopened.getCursor('Unstaked')).toEqual({ version: 6512003388, eventIndex: 1 });
+    });
+
+    test('starts empty when the file does not exist', async () => {
+        const store = new JsonFileEventStore(path.join(directory, 'missing.json'));
+
+        expect(await store.getCursor('Staked')).toBeNull();
+        expect(await store.getEvents()).toEqual([]);
+    });
+});
@@ -0,0 +1,59 @@
+// Event store for Node that keeps indexed events in a JSON file. See eventStores.js for the
+// store interface.
+import { promises as fs } from "fs";
+import { filterEvents, normalizeEvent } from "./eventStores";
+
+export class JsonFileEventStore {
+    /**
+     * @param {string} path - JSON file, created on the first save
+     */
+    constructor(path) {
+        this.path = path;
+        this.state = null;
+        // saves are chained so concurrent callers never write a stale state
+        this.pending = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.state) {
+            try {
+                this.state = JSON.parse(await fs.readFile(this.path, "utf8"));
+            } catch (error) {
+                if (error.code !== "ENOENT") throw error;
+                this.state = { cursors: {}, events: {} };
+            }
+        }
+
+        return this.state;
+    }
+
+    async getCursor(type) {
+        const state = await this.load();
+
+        return state.cursors[type] || null;
+    }
+
+    saveEvents(type, events, cursor) {
+        this.pending = this.pending.catch(() => {}).then(async () => {
+            const state = await this.load();
+
+            events.forEach(event => {
+                state.events[event.id] = normalizeEvent(event);
+            });
+            state.cursors[type] = cursor;
+
+            // write a temporary file and rename it, so a crash never leaves a partial file
+            const temporaryPath = `${this.path}.tmp`;
+            await fs.writeFile(temporaryPath, JSON.stringify(state));
+            await fs.rename(temporaryPath, this.path);
+        });
+
+        return this.pending;
+    }
+
+    async getEvents(query) {
+        const state = await this.load();
+
+        return filterEvents(Object.values(state.events), query);
+    }
+}
@@ -0,0 +1,374 @@
+// Client for Pyth's Hermes price service. Feed metadata is cached, prices for several symbols
+// are fetched in one request, and every price is checked for staleness and confidence before
+// it is returned, so callers never price positions off a stale or unreliable feed.
+
+/** Base class of the errors raised by PythClient */
+export class PythError extends Error {
+    constructor(message, symbol = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.symbol = symbol;
+    }
+}
+
+/** No Hermes feed matches the symbol */
+export class FeedNotFoundError extends PythError {
+    constructor(symbol) {
+        super(`No Pyth price feed found for ${symbol}`, symbol);
+    }
+}
+
+/** The latest price was published longer ago than allowed */
+export class StalePriceError extends PythError {
+    constructor(symbol, age, maxAge) {
+        super(`Pyth price for ${symbol} is ${age}s old, the maximum is ${maxAge}s`, symbol);
+        this.age = age;
+        this.maxAge = maxAge;
+    }
+}
+
+/** The confidence interval is too wide relative to the price */
+export class PriceConfidenceError extends PythError {
+    constructor(symbol, ratio, maxRatio) {
+        super(`Pyth price for ${symbol} has a confidence interval of ${(ratio * 100).toFixed(2)}%, the maximum is ${(maxRatio * 100).toFixed(2)}%`, symbol);
+        this.ratio = ratio;
+        this.maxRatio = maxRatio;
+    }
+}
+
+/** Hermes could not be reached or answered with an error status */
+export class HermesRequestError extends PythError {
+    constructor(url, status, cause = null) {
+        super(status ? `Hermes request failed with status ${status}: ${url}` : `Hermes request failed: ${url}`);
+        this.url = url;
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+const DEFAULT_MAX_PRICE_AGE = 60;                    // seconds
+const DEFAULT_MAX_CONFIDENCE_RATIO = 0.01;           // conf / price
+const DEFAULT_FEED_CACHE_TTL = 60 * 60 * 1000;       // milliseconds
+
+// Stream reconnect delays double from the initial delay up to the maximum
+const RECONNECT_INITIAL_DELAY = 1000;                // milliseconds
+const RECONNECT_MAX_DELAY = 30000;                   // milliseconds
+
+/**
+ * State of a price subscription
+ * @typedef {'connecting'|'open'|'reconnecting'|'closed'} StreamStatus
+ */
+
+/**
+ * Latest price of a feed. price and conf are integers scaled by 10^expo.
+ * @typedef {Object} PythPrice
+ * @property {string} symbol - Symbol the price was requested for
+ * @property {string} id - Hex feed id without 0x
+ * @property {string} price
+ * @property {string} conf
+ * @property {number} expo - Usually negative, e.g. -8
+ * @property {number} publishTime - Unix seconds
+ */
+
+const toPythPrice = (symbol, feed) => ({
+    symbol,
+    id: feed.id,
+    price: feed.price.price,
+    conf: feed.price.conf,
+    expo: feed.price.expo,
+    publishTime: feed.price.publish_time
+});
+
+const priceQuery = (ids) => [...new Set(ids)].map(id => `ids[]=${id}`).join('&');
+
+/**
+ * @example
+ * const pyth = new PythClient({ endpoint: "https://hermes-beta.pyth.network" });
+ * const { prices, updateData } = await pyth.getLatestPrices(["BTC-USD", "ETH-USD"]);
+ */
+export class PythClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - Hermes base URL
+     * @param {number} [options.maxPriceAge=60] - Seconds after which a price is stale
+     * @param {number} [options.maxConfidenceRatio=0.01] - Largest accepted conf / price
+     * @param {Object<string, {maxPriceAge?: number, maxConfidenceRatio?: number}>} [options.limits] - Per symbol overrides
+     * @param {number} [options.feedCacheTtl=3600000] - Milliseconds feed metadata is cached for
+     * @param {Function} [options.fetch] - fetch implementation, defaults to the global one
+     * @param {Function} [options.EventSource] - EventSource implementation used by subscribe
+     * @param {Function} [options.now] - Current time in milliseconds, defaults to Date.now
+     */
+    constructor({
+        endpoint,
+        maxPriceAge = DEFAULT_MAX_PRICE_AGE,
+        maxConfidenceRatio = DEFAULT_MAX_CONFIDENCE_RATIO,
+        limits = {},
+        feedCacheTtl = DEFAULT_FEED_CACHE_TTL,
+        fetch: fetchFn,
+        EventSource: EventSourceClass,
+        now = Date.now
+    } = {}) {
+        if (!endpoint) {
+            throw new Error('PythClient requires a Hermes endpoint');
+        }
+
+        this.endpoint = endpoint.replace(/\/$/, '');
+        this.maxPriceAge = maxPriceAge;
+        this.maxConfidenceRatio = maxConfidenceRatio;
+        this.limits = limits;
+        this.feedCacheTtl = feedCacheTtl;
+        this.fetch = fetchFn || ((...args) => fetch(...args));
+        this.EventSource = EventSourceClass || (typeof EventSource !== 'undefined' ? EventSource : null);
+        this.now = now;
+
+        this.feeds = null;
+        this.feedsFetchedAt = 0;
+        this.feedsRequest = null;
+    }
+
+    async request(path) {
+        const url = `${this.endpoint}${path}`;
+        let response;
+
+        try {
+            response = await this.fetch(url);
+        } catch (error) {
+            throw new HermesRequestError(url, null, error);
+        }
+
+        if (!response.ok) {
+            throw new HermesRequestError(url, response.status);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Feed metadata from /v2/price_feeds, cached for feedCacheTtl. Concurrent callers share
+     * one request.
+     * @returns {Promise<{id: string, symbol: string, generic_symbol: string}[]>}
+     */
+    async getFeeds() {
+        if (this.feeds && this.now() - this.feedsFetchedAt < this.feedCacheTtl) {
+            return this.feeds;
+        }
+
+        if (!this.feedsRequest) {
+            this.feedsRequest = this.request('/v2/price_feeds')
+                .then(data => {
+                    this.feeds = data.map(feed => ({ id: feed.id, ...feed.attributes }));
+                    this.feedsFetchedAt = this.now();
+                    return this.feeds;
+                })
+                .finally(() => {
+                    this.feedsRequest = null;
+                });
+        }
+
+        return this.feedsRequest;
+    }
+
+    /**
+     * Feed id of a symbol. Pairs match the generic symbol ("BTC-USD" or "BTCUSD" match
+     * "BTCUSD"), other symbols match the full Pyth symbol, e.g. "Rates.US10Y".
+     * @param {string} symbol
+     * @returns {Promise<string>}
+     * @throws {FeedNotFoundError}
+     */
+    async getFeedId(symbol) {
+        const feeds = await this.getFeeds();
+        const genericSymbol = symbol.replace("-", "");
+        const feed = feeds.find(x => x.generic_symbol === genericSymbol || x.symbol === symbol);
+
+        if (!feed) {
+            throw new FeedNotFoundError(symbol);
+        }
+
+        return feed.id;
+    }
+
+    /**
+     * Throw when a price is stale or its confidence interval too wide
+     * @param {PythPrice} price
+     * @throws {StalePriceError|PriceConfidenceError}
+     */
+    checkPrice(price) {
+        const limits = this.limits[price.symbol] || {};
+        const maxPriceAge = limits.maxPriceAge ?? this.maxPriceAge;
+        const maxConfidenceRatio = limits.maxConfidenceRatio ?? this.maxConfidenceRatio;
+
+        const age = Math.floor(this.now() / 1000) - price.publishTime;
+        if (age > maxPriceAge) {
+            throw new StalePriceError(price.symbol, age, maxPriceAge);
+        }
+
+        const value = Number(price.price);
+        const ratio = value > 0 ? Number(price.conf) / value : Infinity;
+        if (ratio > maxConfidenceRatio) {
+            throw new PriceConfidenceError(price.symbol, ratio, maxConfidenceRatio);
+        }
+    }
+
+    /**
+     * Latest prices and the signed update data for several symbols in one request
+     * @param {string[]} symbols
+     * @returns {Promise<{prices: Object<string, PythPrice>, updateData: string[]}>} updateData is
+     *   the hex encoded accumulator update covering every requested feed
+     * @throws {FeedNotFoundError|StalePriceError|PriceConfidenceError|HermesRequestError}
+     */
+    async getLatestPrices(symbols) {
+        const ids = await Promise.all(symbols.map(symbol => this.getFeedId(symbol)));
+        const data = await this.request(`/v2/updates/price/latest?${priceQuery(ids)}&encoding=hex&parsed=true`);
+        const parsedById = Object.fromEntries((data.parsed || []).map(feed => [feed.id, feed]));
+
+        const prices = {};
+        symbols.forEach((symbol, index) => {
+            const feed = parsedById[ids[index]];
+            if (!feed) {
+                throw new FeedNotFoundError(symbol);
+            }
+
+            const price = toPythPrice(symbol, feed);
+
+            this.checkPrice(price);
+            prices[symbol] = price;
+        });
+
+        return { prices, updateData: data.binary.data };
+    }
+
+    /**
+     * Stream prices from Hermes' /v2/updates/price/stream server-sent events. The stream is
+     * reopened with exponential backoff when it drops, which Hermes also does after 24 hours.
+     * Prices failing checkPrice are skipped and reported to onError, as are symbols without a
+     * feed, which are dropped from the stream.
+     * @param {string[]} symbols
+     * @param {function(Object<string, PythPrice>, string[]): void} onPrices - Called with the
+     *   checked prices of each update, keyed by symbol, and the update data
+     * @param {Object} [handlers]
+     * @param {function(Error): void} [handlers.onError]
+     * @param {function(StreamStatus): void} [handlers.onStatus]
+     * @returns {function(): void} Closes the subscription
+     */
+    subscribe(symbols, onPrices, { onError = () => {}, onStatus = () => {} } = {}) {
+        if (!this.EventSource) {
+            throw new Error('PythClient.subscribe requires an EventSource implementation');
+        }
+
+        let streamed = symbols;
+        let source = null;
+        let reconnectTimer = null;
+        let attempts = 0;
+        let closed = false;
+
+        const scheduleReconnect = () => {
+            const delay = Math.min(RECONNECT_INITIAL_DELAY * 2 ** attempts, RECONNECT_MAX_DELAY);
+            attempts++;
+
+            onStatus('reconnecting');
+            reconnectTimer = setTimeout(connect, delay);
+        };
+
+        const handleMessage = (symbolsById, event) => {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (error) {
+                onError(new PythError(`Malformed Hermes stream message: ${event.data}`));
+                return;
+            }
+
+            const prices = {};
+            (data.parsed || []).forEach(feed => {
+                (symbolsById[feed.id] || []).forEach(symbol => {
+                    const price = toPythPrice(symbol, feed);
+
+                    try {
+                        this.checkPrice(price);
+                        prices[symbol] = price;
+                    } catch (error) {
+                        onError(error);
+                    }
+                });
+            });
+
+            if (Object.keys(prices).length > 0) {
+                onPrices(prices, data.binary ? data.binary.data : []);
+            }
+        };
+
+        const connect = async () => {
+            reconnectTimer = null;
+            onStatus('connecting');
+
+            const results = await Promise.allSettled(streamed.map(symbol => this.getFeedId(symbol)));
+            if (closed) return;
+
+            // an unknown symbol will not appear on retry, drop it and stream the others
+            const isUnknown = result => result.status === 'rejected' && result.reason instanceof FeedNotFoundError;
+            results.filter(isUnknown).forEach(result => onError(result.reason));
+            const resolved = results
+                .map((result, index) => ({ symbol: streamed[index], result }))
+                .filter(({ result }) => !isUnknown(result));
+            streamed = resolved.map(({ symbol }) => symbol);
+
+            if (streamed.length === 0) {
+                onStatus('closed');
+                return;
+            }
+            const failed = resolved.find(({ result }) => result.status === 'rejected');
+            if (failed) {
+                onError(failed.result.reason);
+                scheduleReconnect();
+                return;
+            }
+
+            const ids = resolved.map(({ result }) => result.value);
+            const symbolsById = {};
+            ids.forEach((id, index) => {
+                symbolsById[id] = [...(symbolsById[id] || []), streamed[index]];
+            });
+
+            const url = `${this.endpoint}/v2/updates/price/stream?${priceQuery(ids)}&encoding=hex&parsed=true`;
+            source = new this.EventSource(url);
+
+            source.onopen = () => {
+                attempts = 0;
+                onStatus('open');
+            };
+            source.onmessage = (event) => handleMessage(symbolsById, event);
+            source.onerror = () => {
+                // EventSource retries on its own with a fixed delay, replace that with backoff
+                source.close();
+                source = null;
+                if (closed) return;
+
+                onError(new HermesRequestError(url, null));
+                scheduleReconnect();
+            };
+        };
+
+        connect();
+
+        return () => {
+            closed = true;
+            clearTimeout(reconnectTimer);
+            if (source) {
+                source.close();
+                source = null;
+            }
+            onStatus('closed');
+        };
+    }
+
+    /**
+     * Latest checked price of one symbol
+     * @param {string} symbol
+     * @returns {Promise<PythPrice>}
+     */
+    async getPrice(symbol) {
+        const { prices } = await this.getLatestPrices([symbol]);
+
+        return prices[symbol];
+    }
+}
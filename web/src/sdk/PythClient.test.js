@@ -0,0 +1,369 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import {
+    PythClient,
+    PythError,
+    FeedNotFoundError,
+    StalePriceError,
+    PriceConfidenceError,
+    HermesRequestError
+} from './PythClient';
+
+const BTC_ID = 'e62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43';
+const ETH_ID = 'ff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace';
+const RATE_ID = '9c196541230ba421baa2a499214564312a46bb47fb6b61ef63db2f70d3ce34c1';
+
+const NOW = 1700000000;
+
+const FEEDS = [
+    { id: BTC_ID, attributes: { symbol: 'Crypto.BTC/USD', generic_symbol: 'BTCUSD' } },
+    { id: ETH_ID, attributes: { symbol: 'Crypto.ETH/USD', generic_symbol: 'ETHUSD' } },
+    { id: RATE_ID, attributes: { symbol: 'Rates.US10Y', generic_symbol: 'US10Y' } }
+];
+
+const parsedPrice = (id, price, conf, publishTime = NOW) => ({
+    id,
+    price: { price, conf, expo: -8, publish_time: publishTime },
+    ema_price: { price, conf, expo: -8, publish_time: publishTime }
+});
+
+// Hermes stub: serves the feed list and latest prices from `hermes.prices`, and records requests
+const hermes = {
+    server: null,
+    url: null,
+    requests: [],
+    prices: {},
+    status: 200
+};
+
+const handleRequest = (request, response) => {
+    const url = new URL(request.url, hermes.url);
+    hermes.requests.push(url);
+
+    if (hermes.status !== 200) {
+        response.writeHead(hermes.status);
+        response.end();
+        return;
+    }
+
+    if (url.pathname === '/v2/price_feeds') {
+        response.end(JSON.stringify(FEEDS));
+        return;
+    }
+
+    if (url.pathname === '/v2/updates/price/latest') {
+        const ids = url.searchParams.getAll('ids[]');
+        response.end(JSON.stringify({
+            binary: { encoding: 'hex', data: [`504e4155${ids.join('')}`] },
+            parsed: ids.filter(id => hermes.prices[id]).map(id => hermes.prices[id])
+        }));
+        return;
+    }
+
+    response.writeHead(404);
+    response.end();
+};
+
+// Minimal fetch over http, Jest's node environment has no global fetch
+const httpFetch = (url) => new Promise((resolve, reject) => {
+    http.get(url, response => {
+        let body = '';
+        response.on('data', chunk => { body += chunk; });
+        response.on('end', () => resolve({
+            ok: response.statusCode >= 200 && response.statusCode < 300,
+            status: response.statusCode,
+            json: async () => JSON.parse(body)
+        }));
+    }).on('error', reject);
+});
+
+const latestRequests = () => hermes.requests.filter(url => url.pathname === '/v2/updates/price/latest');
+const feedRequests = () => hermes.requests.filter(url => url.pathname === '/v2/price_feeds');
+
+const createClient = (options = {}) => new PythClient({
+    endpoint: hermes.url,
+    fetch: httpFetch,
+    now: () => NOW * 1000,
+    ...options
+});
+
+beforeAll(done => {
+    hermes.server = http.createServer(handleRequest).listen(0, '127.0.0.1', () => {
+        hermes.url = `http://127.0.0.1:${hermes.server.address().port}`;
+        done();
+    });
+});
+
+afterAll(done => {
+    hermes.server.close(done);
+});
+
+beforeEach(() => {
+    hermes.requests = [];
+    hermes.status = 200;
+    hermes.prices = {
+        [BTC_ID]: parsedPrice(BTC_ID, '6500000000000', '1300000000'),     // 65000 +- 13
+        [ETH_ID]: parsedPrice(ETH_ID, '350000000000', '90000000'),        // 3500 +- 0.9
+        [RATE_ID]: parsedPrice(RATE_ID, '425000000', '100000', NOW - 2 * 24 * 60 * 60)
+    };
+});
+
+describe('PythClient', () => {
+    test('fetches several symbols in one request', async () => {
+        const client = createClient();
+
+        const { prices, updateData } = await client.getLatestPrices(['BTC-USD', 'ETH-USD']);
+
+        expect(latestRequests()).toHaveLength(1);
+        expect(latestRequests()[0].searchParams.getAll('ids[]')).toEqual([BTC_ID, ETH_ID]);
+        expect(updateData).toEqual([`504e4155${BTC_ID}${ETH_ID}`]);
+        expect(prices['BTC-USD']).toEqual({
+            symbol: 'BTC-USD',
+            id: BTC_ID,
+            price: '6500000000000',
+            conf: '1300000000',
+            expo: -8,
+            publishTime: NOW
+        });
+        expect(prices['ETH-USD'].price).toBe('350000000000');
+    });
+
+    test('matches generic and full Pyth symbols', async () => {
+        const client = createClient({ limits: { 'Rates.US10Y': { maxPriceAge: Infinity } } });
+
+        expect((await client.getPrice('BTCUSD')).id).toBe(BTC_ID);
+        expect((await client.getPrice('Rates.US10Y')).id).toBe(RATE_ID);
+    });
+
+    test('caches feed metadata until the TTL expires', async () => {
+        let now = NOW * 1000;
+        const client = createClient({ feedCacheTtl: 60000, now: () => now });
+
+        await Promise.all([client.getPrice('BTC-USD'), client.getPrice('ETH-USD')]);
+        await client.getPrice('BTC-USD');
+        expect(feedRequests()).toHaveLength(1);
+
+        now += 60000;
+        hermes.prices[BTC_ID].price.publish_time = now / 1000;
+        await client.getPrice('BTC-USD');
+        expect(feedRequests()).toHaveLength(2);
+    });
+
+    test('rejects unknown symbols with FeedNotFoundError', async () => {
+        const client = createClient();
+
+        const error = await client.getLatestPrices(['BTC-USD', 'DOGE-USD']).catch(e => e);
+
+        expect(error).toBeInstanceOf(FeedNotFoundError);
+        expect(error).toBeInstanceOf(PythError);
+        expect(error.symbol).toBe('DOGE-USD');
+        expect(latestRequests()).toHaveLength(0);
+    });
+
+    test('rejects a feed missing from the price response', async () => {
+        delete hermes.prices[ETH_ID];
+        const client = createClient();
+
+        await expect(client.getPrice('ETH-USD')).rejects.toBeInstanceOf(FeedNotFoundError);
+    });
+
+    test('rejects stale prices', async () => {
+        hermes.prices[BTC_ID] = parsedPrice(BTC_ID, '6500000000000', '1300000000', NOW - 61);
+        const client = createClient({ maxPriceAge: 60 });
+
+        const error = await client.getPrice('BTC-USD').catch(e => e);
+
+        expect(error).toBeInstanceOf(StalePriceError);
+        expect(error.age).toBe(61);
+        expect(error.maxAge).toBe(60);
+        await expect(createClient({ maxPriceAge: 61 }).getPrice('BTC-USD')).resolves.toBeDefined();
+    });
+
+    test('applies per symbol limits', async () => {
+        const client = createClient();
+        await expect(client.getPrice('Rates.US10Y')).rejects.toBeInstanceOf(StalePriceError);
+
+        const relaxed = createClient({ limits: { 'Rates.US10Y': { maxPriceAge: 3 * 24 * 60 * 60 } } });
+        await expect(relaxed.getPrice('Rates.US10Y')).resolves.toMatchObject({ price: '425000000' });
+    });
+
+    test('rejects prices with a wide confidence interval', async () => {
+        hermes.prices[ETH_ID] = parsedPrice(ETH_ID, '350000000000', '7000000000');   // 3500 +- 70, 2%
+        const client = createClient({ maxConfidenceRatio: 0.01 });
+
+        const error = await client.getPrice('ETH-USD').catch(e => e);
+
+        expect(error).toBeInstanceOf(PriceConfidenceError);
+        expect(error.ratio).toBeCloseTo(0.02);
+        await expect(createClient({ maxConfidenceRatio: 0.025 }).getPrice('ETH-USD')).resolves.toBeDefined();
+    });
+
+    test('rejects non positive prices', async () => {
+        hermes.prices[BTC_ID] = parsedPrice(BTC_ID, '0', '0');
+
+        await expect(createClient().getPrice('BTC-USD')).rejects.toBeInstanceOf(PriceConfidenceError);
+    });
+
+    test('raises HermesRequestError on error responses', async () => {
+        hermes.status = 503;
+        const client = createClient();
+
+        const error = await client.getPrice('BTC-USD').catch(e => e);
+
+        expect(error).toBeInstanceOf(HermesRequestError);
+        expect(error.status).toBe(503);
+        expect(error.url).toBe(`${hermes.url}/v2/price_feeds`);
+    });
+
+    test('raises HermesRequestError when Hermes is unreachable', async () => {
+        const client = new PythClient({ endpoint: 'http://127.0.0.1:1', fetch: httpFetch });
+
+        const error = await client.getFeeds().catch(e => e);
+
+        expect(error).toBeInstanceOf(HermesRequestError);
+        expect(error.status).toBeNull();
+    });
+
+    test('retries the feed list after a failed request', async () => {
+        hermes.status = 500;
+        const client = createClient();
+        await expect(client.getFeeds()).rejects.toBeInstanceOf(HermesRequestError);
+
+        hermes.status = 200;
+        await expect(client.getFeeds()).resolves.toHaveLength(FEEDS.length);
+    });
+});
+
+describe('PythClient.subscribe', () => {
+    // EventSource stand-in driven by the test
+    class FakeEventSource {
+        static instances = [];
+
+        constructor(url) {
+            this.url = url;
+            this.closed = false;
+            FakeEventSource.instances.push(this);
+        }
+
+        close() {
+            this.closed = true;
+        }
+
+        open() {
+            this.onopen();
+        }
+
+        emit(parsed) {
+            this.onmessage({ data: JSON.stringify({ binary: { encoding: 'hex', data: ['504e4155'] }, parsed }) });
+        }
+
+        fail() {
+            this.onerror(new Error('disconnected'));
+        }
+    }
+
+    const latestSource = () => FakeEventSource.instances[FakeEventSource.instances.length - 1];
+
+    // resolve the feed lookup before the stream is opened
+    const waitForSource = async (count) => {
+        for (let i = 0; i < 20 && FakeEventSource.instances.length < count; i++) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        expect(FakeEventSource.instances).toHaveLength(count);
+    };
+
+    const subscribe = (symbols, client = createClient({ EventSource: FakeEventSource })) => {
+        const events = { prices: [], errors: [], statuses: [] };
+        const unsubscribe = client.subscribe(symbols, prices => events.prices.push(prices), {
+            onError: error => events.errors.push(error),
+            onStatus: status => events.statuses.push(status)
+        });
+
+        return { events, unsubscribe };
+    };
+
+    beforeEach(() => {
+        FakeEventSource.instances = [];
+    });
+
+    test('streams checked prices keyed by symbol', async () => {
+        const { events, unsubscribe } = subscribe(['BTC-USD', 'ETH-USD']);
+        await waitForSource(1);
+
+        const url = new URL(latestSource().url);
+        expect(url.pathname).toBe('/v2/updates/price/stream');
+        expect(url.searchParams.getAll('ids[]')).toEqual([BTC_ID, ETH_ID]);
+
+        latestSource().open();
+        latestSource().emit([
+            parsedPrice(BTC_ID, '6600000000000', '1300000000'),
+            parsedPrice(ETH_ID, '350000000000', '35000000000')     // 10% confidence interval
+        ]);
+
+        expect(events.statuses).toEqual(['connecting', 'open']);
+        expect(Object.keys(events.prices[0])).toEqual(['BTC-USD']);
+        expect(events.prices[0]['BTC-USD'].price).toBe('6600000000000');
+        expect(events.errors[0]).toBeInstanceOf(PriceConfidenceError);
+
+        unsubscribe();
+        expect(latestSource().closed).toBe(true);
+        expect(events.statuses[events.statuses.length - 1]).toBe('closed');
+    });
+
+    test('reconnects with exponential backoff', async () => {
+        const delays = [];
+        const setTimeoutSpy = jest.spyOn(global, 'setTimeout').mockImplementation((callback, delay) => {
+            delays.push(delay);
+            return setImmediate(callback);
+        });
+
+        try {
+            const { events, unsubscribe } = subscribe(['BTC-USD']);
+            await waitForSource(1);
+
+            latestSource().fail();
+            await waitForSource(2);
+            latestSource().fail();
+            await waitForSource(3);
+            latestSource().open();
+            latestSource().fail();
+            await waitForSource(4);
+
+            expect(delays).toEqual([1000, 2000, 1000]);
+            expect(events.errors.every(error => error instanceof HermesRequestError)).toBe(true);
+            expect(FakeEventSource.instances.slice(0, 3).every(source => source.closed)).toBe(true);
+
+            unsubscribe();
+        } finally {
+            setTimeoutSpy.mockRestore();
+        }
+    });
+
+    test('drops unknown symbols and streams the others', async () => {
+        const { events, unsubscribe } = subscribe(['DOGE-USD', 'BTC-USD']);
+        await waitForSource(1);
+
+        expect(new URL(latestSource().url).searchParams.getAll('ids[]')).toEqual([BTC_ID]);
+        expect(events.errors).toHaveLength(1);
+        expect(events.errors[0]).toBeInstanceOf(FeedNotFoundError);
+        expect(events.errors[0].symbol).toBe('DOGE-USD');
+
+        latestSource().open();
+        latestSource().emit([parsedPrice(BTC_ID, '6600000000000', '1300000000')]);
+        expect(Object.keys(events.prices[0])).toEqual(['BTC-USD']);
+        expect(events.statuses).toEqual(['connecting', 'open']);
+
+        unsubscribe();
+    });
+
+    test('stops when no symbol is known', async () => {
+        const { events } = subscribe(['DOGE-USD']);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(FakeEventSource.instances).toHaveLength(0);
+        expect(events.errors[0]).toBeInstanceOf(FeedNotFoundError);
+        expect(events.statuses).toEqual(['connecting', 'closed']);
+    });
+});
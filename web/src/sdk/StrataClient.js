@@ -0,0 +1,722 @@
+import { TOKEN_DECIMALS, FIXED_DECIMALS, toRaw, formatFixed } from "./fixedPoint";
+import { ADDRESS_KEYS, expectedResources } from "./manifest";
+import { PACKAGE_FEATURES, missingFeatures } from "./packageFeatures";
+
+// swap_type argument of implied_volatility_market::swap
+export const SwapType = {
+    BUY_IV: 0,  // USDC -> IV
+    SELL_IV: 1  // IV -> USDC
+};
+
+// option type and side encodings of options_exchange::update_price_feed_and_open_position
+export const OptionType = { CALL: 0, PUT: 1 };
+export const Side = { LONG: 0, SHORT: 1 };
+
+// Raw contract integers are returned as exact decimal strings in whole units, see types.Decimal
+const fromToken = (raw) => formatFixed(raw, TOKEN_DECIMALS);
+const fromFixed = (raw) => formatFixed(raw, FIXED_DECIMALS);
+const toToken = (value) => toRaw(value, TOKEN_DECIMALS);
+const toFixed = (value) => toRaw(value, FIXED_DECIMALS);
+// vault percentages are parts per million, 1000000 = 100%
+const fromPercentage = (raw) => formatFixed(raw, 6);
+
+const toSeconds = (date) => date instanceof Date ? Math.floor(date.getTime() / 1000) : Number(date);
+
+// Object<T> values are returned by views as { inner: address }
+const objectAddress = (object) => typeof object === 'string' ? object : object.inner;
+
+const formatSigned = (signed) => fromFixed(signed.neg ? -BigInt(signed.mag) : signed.mag);
+
+const formatLeg = (leg) => ({
+    amount: fromFixed(leg.amount),
+    expiration: new Date(Number(leg.expiration) * 1000),
+    type: leg.option_type.__variant__,
+    side: leg.side.__variant__,
+    strikePrice: fromFixed(leg.strike_price)
+});
+
+const formatQuote = (quote) => ({
+    initialMargin: fromFixed(quote.initial_margin),
+    maintenanceMargin: fromFixed(quote.maintenance_margin),
+    netCredit: fromFixed(quote.net_credit),
+    netDebit: fromFixed(quote.net_debit),
+    riskFreeRate: fromFixed(quote.risk_free_rate),
+    timestamp: new Date(Number(quote.timestamp) * 1000),
+    underlyingPrice: fromFixed(quote.underlying_price),
+    volatility: fromFixed(quote.volatility)
+});
+
+// Legs as the parallel vectors taken by the options exchange
+const legArguments = (legs) => [
+    legs.map(leg => OptionType[leg.type]),
+    legs.map(leg => Side[leg.side]),
+    legs.map(leg => toFixed(leg.amount)),
+    legs.map(leg => toFixed(leg.strikePrice)),
+    legs.map(leg => toSeconds(leg.expiration))
+];
+
+// Arguments of the binomial_option_pricing views
+const modelArguments = (inputs) => [
+    toFixed(inputs.underlyingPrice),
+    toFixed(inputs.strikePrice),
+    toFixed(inputs.riskFreeRate),
+    toFixed(inputs.volatility),
+    toFixed(inputs.daysToExpiration),
+    inputs.isCall
+];
+
+/**
+ * Typed bindings for every view and entry function of the Strata contracts.
+ * Views are sent through the given Aptos client, entry functions return payloads for a wallet
+ * or aptos.transaction.build.simple, so the client never holds keys.
+ *
+ * @example
+ * const aptos = new Aptos(new AptosConfig({ network: Network.TESTNET }));
+ * const strata = new StrataClient(aptos, addresses);
+ * const markets = await strata.getActiveMarkets(["BTC-USD"]);
+ */
+export class StrataClient {
+    /**
+     * @param {import("@aptos-labs/ts-sdk").Aptos} aptos - Client used for view calls
+     * @param {import("./types").StrataAddresses} addresses - Deployed contract addresses
+     */
+    constructor(aptos, addresses) {
+        if (!aptos || !addresses || !addresses.code) {
+            throw new Error('StrataClient requires an Aptos client and the contract addresses');
+        }
+
+        this.aptos = aptos;
+        this.addresses = addresses;
+    }
+
+    /**
+     * Fully qualified id of a function in the Strata package
+     * @param {string} module - Module name, e.g. "staking_vault"
+     * @param {string} name - Function name
+     * @returns {string}
+     */
+    functionId(module, name) {
+        return `${this.addresses.code}::${module}::${name}`;
+    }
+
+    /**
+     * Call a view function and return its raw result values
+     * @param {string} module
+     * @param {string} name
+     * @param {Array} functionArguments
+     * @returns {Promise<Array>}
+     */
+    async view(module, name, functionArguments) {
+        return this.aptos.view({
+            payload: {
+                function: this.functionId(module, name),
+                typeArguments: [],
+                functionArguments
+            }
+        });
+    }
+
+    /**
+     * Build an entry function payload
+     * @param {string} module
+     * @param {string} name
+     * @param {Array} functionArguments
+     * @returns {import("./types").EntryFunctionPayload}
+     */
+    entry(module, name, functionArguments) {
+        return {
+            data: {
+                function: this.functionId(module, name),
+                functionArguments
+            }
+        };
+    }
+
+    /**
+     * Check that every deployed address holds the resource it should, e.g. that the
+     * marketplace address holds volatility_marketplace::Marketplace. Requests that fail for
+     * other reasons than a missing account or resource are rethrown.
+     * @returns {Promise<{key: string, address: string, resourceType: string}[]>} Missing resources, empty when the deployment is valid
+     */
+    async verifyDeployment() {
+        const resources = expectedResources(this.addresses);
+
+        const results = await Promise.all(ADDRESS_KEYS.map(async key => {
+            const address = this.addresses[key];
+            const resourceType = resources[key];
+
+            try {
+                await this.aptos.getAccountResource({ accountAddress: address, resourceType });
+                return null;
+            } catch (error) {
+                if (error.status === 404) return { key, address, resourceType };
+                throw error;
+            }
+        }));
+
+        return results.filter(Boolean);
+    }
+
+    /**
+     * Features of PACKAGE_FEATURES the published package does not have yet, from the ABIs of
+     * its modules. Requests that fail for other reasons than a missing module are rethrown.
+     * @returns {Promise<string[]>} Feature names, empty when the package is up to date
+     */
+    async getMissingFeatures() {
+        const moduleNames = [...new Set(Object.values(PACKAGE_FEATURES).map(feature => feature.module))];
+
+        const modules = await Promise.all(moduleNames.map(async moduleName => {
+            try {
+                const { abi } = await this.aptos.getAccountModule({ accountAddress: this.addresses.code, moduleName });
+                return [moduleName, abi];
+            } catch (error) {
+                if (error.status === 404) return [moduleName, null];
+                throw error;
+            }
+        }));
+
+        return missingFeatures(Object.fromEntries(modules));
+    }
+
+    // ---------------------------------------------------------------------
+    // volatility_marketplace
+    // ---------------------------------------------------------------------
+
+    /**
+     * Markets that have not expired for the given asset pairs
+     * @param {string[]} symbols - e.g. ["BTC-USD", "ETH-USD"]
+     * @returns {Promise<import("./types").MarketMetadata[]>}
+     */
+    async getActiveMarkets(symbols) {
+        const [markets] = await this.view('volatility_marketplace', 'get_active_markets', [this.addresses.marketplace, symbols]);
+
+        return markets.map(market => ({
+            symbol: market.symbol,
+            marketAddress: market.market_address,
+            ivTokenAddress: market.iv_token_address,
+            expiration: new Date(Number(market.expiration) * 1000)
+        }));
+    }
+
+    /**
+     * @param {number} marketId
+     * @returns {Promise<string>} Address of the market
+     */
+    async getMarketAddress(marketId) {
+        const [address] = await this.view('volatility_marketplace', 'get_market_address', [this.addresses.marketplace, marketId]);
+
+        return address;
+    }
+
+    /**
+     * @returns {Promise<string>} Address of the staking vault used by the marketplace
+     */
+    async getStakingVaultAddress() {
+        const [address] = await this.view('volatility_marketplace', 'get_staking_vault_address', [this.addresses.marketplace]);
+
+        return address;
+    }
+
+    /**
+     * @returns {Promise<string>} Metadata address of the USDC used by the marketplace
+     */
+    async getUsdcAddress() {
+        const [address] = await this.view('volatility_marketplace', 'get_usdc_address', [this.addresses.marketplace]);
+
+        return address;
+    }
+
+    /**
+     * @returns {Promise<string>} Metadata address of the test USDC token
+     */
+    async getTestUsdcMetadata() {
+        const [metadata] = await this.view('volatility_marketplace', 'get_test_usdc_metadata', [this.addresses.marketplace]);
+
+        return objectAddress(metadata);
+    }
+
+    /**
+     * Average IV across the active markets of an asset, as used by the options exchange
+     * @param {string} assetSymbol - e.g. "BTC-USD"
+     * @returns {Promise<import("./types").Decimal>} Annual volatility, "0.3" = 30%
+     */
+    async getImpliedVolatility(assetSymbol) {
+        const [volatility] = await this.view('volatility_marketplace', 'get_implied_volatility', [this.addresses.marketplace, assetSymbol]);
+
+        return fromFixed(volatility);
+    }
+
+    /**
+     * Mint test USDC, testnet only
+     * @param {import("./types").Amount} amount - USDC to mint
+     * @param {string} to - Recipient address
+     * @returns {import("./types").EntryFunctionPayload}
+     */
+    mintTestUsdc(amount, to) {
+        return this.entry('volatility_marketplace', 'mint_test_usdc', [toToken(amount), to, this.addresses.marketplace]);
+    }
+
+    /**
+     * Record oracle price snapshots for every active market, used by the settlement keeper
+     * @returns {import("./types").EntryFunctionPayload}
+     */
+    createPriceSnapshots() {
+        return this.entry('volatility_marketplace', 'create_price_snapshots_for_active_markets', [
+            this.addresses.marketplace,
+            this.addresses.price_oracle
+        ]);
+    }
+
+    // ---------------------------------------------------------------------
+    // implied_volatility_market
+    // ---------------------------------------------------------------------
+
+    /**
+     * @param {string} marketAddress
+     * @returns {Promise<import("./types").Decimal>} Price of one IV token in USDC, i.e. the implied volatility in %
+     */
+    async getQuote(marketAddress) {
+        const [quote] = await this.view('implied_volatility_market', 'get_quote', [marketAddress]);
+
+        return fromToken(quote);
+    }
+
+    /**
+     * @param {string} marketAddress
+     * @returns {Promise<import("./types").AmmReserves>}
+     */
+    async getAmmReserves(marketAddress) {
+        const [ivReserves, usdcReserves] = await this.view('implied_volatility_market', 'get_amm_reserves', [marketAddress]);
+
+        return {
+            ivReserves: fromToken(ivReserves),
+            usdcReserves: fromToken(usdcReserves)
+        };
+    }
+
+    /**
+     * Same reserves as getAmmReserves, read through get_reserves
+     * @param {string} marketAddress
+     * @returns {Promise<import("./types").AmmReserves>}
+     */
+    async getReserves(marketAddress) {
+        const [usdcReserves, ivReserves] = await this.view('implied_volatility_market', 'get_reserves', [marketAddress]);
+
+        return {
+            ivReserves: fromToken(ivReserves),
+            usdcReserves: fromToken(usdcReserves)
+        };
+    }
+
+    /**
+     * Output of a swap for a given input
+     * @param {string} marketAddress
+     * @param {number} swapType - SwapType.BUY_IV or SwapType.SELL_IV
+     * @param {import("./types").Amount} amountIn - USDC when buying, IV tokens when selling
+     * @returns {Promise<import("./types").SwapAmountOut>}
+     */
+    async getSwapAmountOut(marketAddress, swapType, amountIn) {
+        const [amountOut, feeAmount] = await this.view('implied_volatility_market', 'get_swap_amount_out', [
+            marketAddress,
+            swapType,
+            toToken(amountIn)
+        ]);
+
+        return {
+            amountOut: fromToken(amountOut),
+            feeAmount: fromToken(feeAmount)
+        };
+    }
+
+    /**
+     * Input required to receive an exact output
+     * @param {string} marketAddress
+     * @param {number} swapType - SwapType.BUY_IV or SwapType.SELL_IV
+     * @param {import("./types").Amount} amountOut - IV tokens when buying, USDC when selling
+     * @returns {Promise<import("./types").Decimal>}
+     */
+    async getSwapAmountIn(marketAddress, swapType, amountOut) {
+        const [amountIn] = await this.view('implied_volatility_market', 'get_swap_amount_in', [
+            marketAddress,
+            swapType,
+            toToken(amountOut)
+        ]);
+
+        return fromToken(amountIn);
+    }
+
+    /**
+     * @param {string} marketAddress
+     * @param {string} userAddress
+     * @returns {Promise<import("./types").UserPosition>}
+     */
+    async getUserPosition(marketAddress, userAddress) {
+        const [position] = await this.view('implied_volatility_market', 'get_user_position', [marketAddress, userAddress]);
+
+        return {
+            long: fromToken(position.long_amount),
+            short: fromToken(position.short_amount)
+        };
+    }
+
+    /**
+     * Margin account of a user in a market, zeroes when the user has never shorted
+     * @param {string} marketAddress
+     * @param {string} userAddress
+     * @returns {Promise<import("./types").MarginAccount>}
+     */
+    async getMarginAccountState(marketAddress, userAddress) {
+        const [account] = await this.view('implied_volatility_market', 'get_margin_account_state', [marketAddress, userAddress]);
+
+        return {
+            collateral: fromToken(account.collateral),
+            ivUnitsBorrowed: fromToken(account.iv_units_borrowed)
+        };
+    }
+
+    /**
+     * Margin account by its own object address (isolated_margin_account::get_margin_account_state)
+     * @param {string} marginAccountAddress
+     * @returns {Promise<import("./types").MarginAccount>}
+     */
+    async getMarginAccount(marginAccountAddress) {
+        const [account] = await this.view('isolated_margin_account', 'get_margin_account_state', [marginAccountAddress]);
+
+        return {
+            collateral: fromToken(account.collateral),
+            ivUnitsBorrowed: fromToken(account.iv_units_borrowed)
+        };
+    }
+
+    /**
+     * USDC held by a user's margin account: collateral plus short sale proceeds
+     * @param {string} marketAddress
+     * @param {string} userAddress
+     * @returns {Promise<import("./types").Decimal>}
+     */
+    async getMarginAccountBalance(marketAddress, userAddress) {
+        const [balance] = await this.view('implied_volatility_market', 'get_margin_account_balance', [marketAddress, userAddress]);
+
+        return fromToken(balance);
+    }
+
+    /** @param {string} marketAddress @returns {Promise<string>} */
+    async getMarketOwner(marketAddress) {
+        const [owner] = await this.view('implied_volatility_market', 'get_owner', [marketAddress]);
+
+        return owner;
+    }
+
+    /** @param {string} marketAddress @returns {Promise<string>} e.g. "BTC-USD" */
+    async getAssetSymbol(marketAddress) {
+        const [symbol] = await this.view('implied_volatility_market', 'get_asset_symbol', [marketAddress]);
+
+        return symbol;
+    }
+
+    /** @param {string} marketAddress @returns {Promise<import("./types").Decimal>} Settlement IV price in USDC, 0 until settled */
+    async getSettlementPrice(marketAddress) {
+        const [price] = await this.view('implied_volatility_market', 'get_settlement_price', [marketAddress]);
+
+        return fromToken(price);
+    }
+
+    /** @param {string} marketAddress @returns {Promise<Date>} */
+    async getExpiration(marketAddress) {
+        const [expiration] = await this.view('implied_volatility_market', 'get_expiration', [marketAddress]);
+
+        return new Date(Number(expiration) * 1000);
+    }
+
+    /** @param {string} marketAddress @returns {Promise<boolean>} */
+    async isSettled(marketAddress) {
+        const [settled] = await this.view('implied_volatility_market', 'is_settled', [marketAddress]);
+
+        return settled;
+    }
+
+    /** @param {string} marketAddress @returns {Promise<string>} Address of the market's IV token */
+    async getIvTokenAddress(marketAddress) {
+        const [address] = await this.view('implied_volatility_market', 'get_iv_token_address', [marketAddress]);
+
+        return address;
+    }
+
+    /** @param {string} marketAddress @returns {Promise<string>} Metadata object address of the IV token */
+    async getIvTokenMetadata(marketAddress) {
+        const [metadata] = await this.view('implied_volatility_market', 'get_iv_token_metadata', [marketAddress]);
+
+        return objectAddress(metadata);
+    }
+
+    /**
+     * Swap an exact input. The contract has no minimum output, quote first with getSwapAmountOut.
+     * @param {string} marketAddress
+     * @param {number} swapType - SwapType.BUY_IV or SwapType.SELL_IV
+     * @param {import("./types").Amount} amountIn - USDC when buying, IV tokens when selling
+     * @returns {import("./types").EntryFunctionPayload}
+     */
+    swap(marketAddress, swapType, amountIn) {
+        return this.entry('implied_volatility_market', 'swap', [marketAddress, swapType, toToken(amountIn)]);
+    }
+
+    /**
+     * Deposit collateral and short the IV worth of it
+     * @param {string} marketAddress
+     * @param {import("./types").Amount} collateralAmount - USDC
+     * @returns {import("./types").EntryFunctionPayload}
+     */
+    openShortPosition(marketAddress, collateralAmount) {
+        return this.entry('implied_volatility_market', 'open_short_position', [marketAddress, toToken(collateralAmount)]);
+    }
+
+    /**
+     * Buy back every borrowed IV token and return the margin account's USDC
+     * @param {string} marketAddress
+     * @returns {import("./types").EntryFunctionPayload}
+     */
+    closeShortPosition(marketAddress) {
+        return this.entry('implied_volatility_market', 'close_short_position', [marketAddress]);
+    }
+
+    /**
+     * @param {string} marketAddress
+     * @param {import("./types").Amount} collateralAmount - USDC
+     * @returns {import("./types").EntryFunctionPayload}
+     */
+    addShortCollateral(marketAddress, collateralAmount) {
+        return this.entry('implied_volatility_market', 'add_short_collateral', [marketAddress, toToken(collateralAmount)]);
+    }
+
+    /**
+     * Repay part of a short, repaying everything closes it
+     * @param {string} marketAddress
+     * @param {import("./types").Amount} ivUnits - IV tokens to buy back
+     * @returns {import("./types").EntryFunctionPayload}
+     */
+    reduceShortPosition(marketAddress, ivUnits) {
+        return this.entry('implied_volatility_market', 'reduce_short_position', [marketAddress, toToken(ivUnits)]);
+    }
+
+    // ---------------------------------------------------------------------
+    // options_exchange
+    // ---------------------------------------------------------------------
+
+    /**
+     * Price a position at the given market inputs
+     * @param {string} assetSymbol - e.g. "BTC-USD"
+     * @param {import("./types").OptionLeg[]} legs
+     * @param {import("./types").PricingInputs} pricingInputs
+     * @param {Date} [at=new Date()] - Valuation time
+     * @returns {Promise<import("./types").OptionQuote>}
+     */
+    async pricePosition(assetSymbol, legs, pricingInputs, at = new Date()) {
+        const [quote] = await this.view('options_exchange', 'price_position', [
+            assetSymbol,
+            ...legArguments(legs),
+            toFixed(pricingInputs.underlyingPrice),
+            toFixed(pricingInputs.riskFreeRate),
+            toFixed(pricingInputs.volatility),
+            toSeconds(at)
+        ]);
+
+        return formatQuote(quote);
+    }
+
+    /**
+     * @param {string} userAddress
+     * @returns {Promise<import("./types").OptionPosition[]>}
+     */
+    async getUserPositions(userAddress) {
+        const [positions] = await this.view('options_exchange', 'get_user_positions', [this.addresses.options_exchange, userAddress]);
+
+        return positions.map(position => ({
+            id: position.id,
+            symbol: position.asset_symbol,
+            closingQuote: formatQuote(position.closing_quote),
+            openingQuote: formatQuote(position.opening_quote),
+            status: position.status.__variant__,
+            legs: position.legs.map(formatLeg)
+        }));
+    }
+
+    /**
+     * Update the Pyth feeds and open a position in one transaction
+     * @param {string} assetSymbol - e.g. "BTC-USD"
+     * @param {import("./types").OptionLeg[]} legs
+     * @param {import("./types").PriceUpdates} priceUpdates - Signed Pyth updates for the underlying and Rates.US10Y
+     * @returns {import("./types").EntryFunctionPayload}
+     */
+    openPosition(assetSymbol, legs, priceUpdates) {
+        return this.entry('options_exchange', 'update_price_feed_and_open_position', [
+            priceUpdates.underlyingPriceUpdate,
+            priceUpdates.riskFreeRatePriceUpdate,
+            this.addresses.marketplace,
+            this.addresses.options_exchange,
+            assetSymbol,
+            ...legArguments(legs)
+        ]);
+    }
+
+    /**
+     * @param {string|number} positionId
+     * @returns {import("./types").EntryFunctionPayload}
+     */
+    closePosition(positionId) {
+        return this.entry('options_exchange', 'close_position', [
+            this.addresses.marketplace,
+            this.addresses.options_exchange,
+            positionId
+        ]);
+    }
+
+    // ---------------------------------------------------------------------
+    // staking_vault
+    // ---------------------------------------------------------------------
+
+    /**
+     * USDC staked by a user, before vault profit and loss
+     * @param {string} userAddress
+     * @returns {Promise<import("./types").Decimal>}
+     */
+    async getStakingBalance(userAddress) {
+        const [balance] = await this.view('staking_vault', 'get_staking_balance', [this.addresses.staking_vault, userAddress]);
+
+        return fromToken(balance);
+    }
+
+    /**
+     * USDC returned for unstaking an amount of the user's staked balance
+     * @param {string} userAddress
+     * @param {import("./types").Amount} amount - Staked USDC to redeem
+     * @returns {Promise<import("./types").Decimal>}
+     */
+    async getUnstakeAmount(userAddress, amount) {
+        const [unstakeAmount] = await this.view('staking_vault', 'get_unstake_amount', [
+            this.addresses.staking_vault,
+            userAddress,
+            toToken(amount)
+        ]);
+
+        return fromToken(unstakeAmount);
+    }
+
+    /**
+     * @returns {Promise<import("./types").Decimal>} USDC the vault can still lend to margin accounts
+     */
+    async getMaximumBorrowAmount() {
+        const [amount] = await this.view('staking_vault', 'get_maximum_borrow_amount', [this.addresses.staking_vault]);
+
+        return fromToken(amount);
+    }
+
+    /**
+     * Balances and parameters of the staking vault, read from its Vault resource as the
+     * module has no view returning them
+     * @returns {Promise<import("./types").VaultState>}
+     */
+    async getVaultState() {
+        const vault = await this.aptos.getAccountResource({
+            accountAddress: this.addresses.staking_vault,
+            resourceType: expectedResources(this.addresses).staking_vault
+        });
+
+        return {
+            stakedAmount: fromToken(vault.usdc_staked_amount),
+            claimableAmount: fromToken(vault.usdc_claimable_amount),
+            loanAmount: fromToken(vault.usdc_loan_amount),
+            swapFeesEarned: fromToken(vault.swap_fees_earned),
+            lendingFeesEarned: fromToken(vault.lending_fees_earned),
+            maxBorrowPercentage: fromPercentage(vault.max_borrow_percentage),
+            borrowFee: fromPercentage(vault.borrow_fee)
+        };
+    }
+
+    /**
+     * @param {import("./types").Amount} amount - USDC
+     * @returns {import("./types").EntryFunctionPayload}
+     */
+    stake(amount) {
+        return this.entry('staking_vault', 'stake', [this.addresses.staking_vault, toToken(amount)]);
+    }
+
+    /**
+     * @param {import("./types").Amount} amount - Staked USDC to redeem
+     * @returns {import("./types").EntryFunctionPayload}
+     */
+    unstake(amount) {
+        return this.entry('staking_vault', 'unstake', [this.addresses.staking_vault, toToken(amount)]);
+    }
+
+    // ---------------------------------------------------------------------
+    // price_oracle
+    // ---------------------------------------------------------------------
+
+    /**
+     * Price stored in the on-chain oracle (the mock price when one is set)
+     * @param {string} assetSymbol - e.g. "Rates.US10Y"
+     * @returns {Promise<import("./types").Decimal>}
+     */
+    async getOraclePrice(assetSymbol) {
+        const [price] = await this.view('price_oracle', 'get_price', [this.addresses.price_oracle, assetSymbol]);
+
+        return fromFixed(price);
+    }
+
+    /**
+     * Price stored in the on-chain oracle with its Pyth publish time
+     * @param {string} assetSymbol - e.g. "BTC-USD"
+     * @returns {Promise<import("./types").OraclePriceInfo>}
+     */
+    async getOraclePriceInfo(assetSymbol) {
+        const [price, publishTime, isMock] = await this.view('price_oracle', 'get_price_info', [this.addresses.price_oracle, assetSymbol]);
+
+        return {
+            price: fromFixed(price),
+            publishTime: isMock ? null : new Date(Number(publishTime) * 1000),
+            isMock
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // binomial_option_pricing
+    // ---------------------------------------------------------------------
+
+    /**
+     * @param {import("./types").ModelInputs} inputs
+     * @returns {Promise<import("./types").Decimal>} Price of one option
+     */
+    async getOptionPrice(inputs) {
+        const [price] = await this.view('binomial_option_pricing', 'get_option_price', modelArguments(inputs));
+
+        return fromFixed(price);
+    }
+
+    /**
+     * @param {import("./types").ModelInputs} inputs
+     * @returns {Promise<import("./types").Greeks>}
+     */
+    async getGreeks(inputs) {
+        const [greeks] = await this.view('binomial_option_pricing', 'get_greeks', modelArguments(inputs));
+
+        return {
+            delta: formatSigned(greeks.delta),
+            gamma: formatSigned(greeks.gamma),
+            vega: formatSigned(greeks.vega),
+            theta: formatSigned(greeks.theta),
+            rho: formatSigned(greeks.rho)
+        };
+    }
+
+    /**
+     * A single greek from its own view (get_delta, get_gamma, get_vega, get_theta or get_rho)
+     * @param {'delta'|'gamma'|'vega'|'theta'|'rho'} name
+     * @param {import("./types").ModelInputs} inputs
+     * @returns {Promise<import("./types").Decimal>}
+     */
+    async getGreek(name, inputs) {
+        const [value] = await this.view('binomial_option_pricing', `get_${name}`, modelArguments(inputs));
+
+        return formatSigned(value);
+    }
+}
@@ -0,0 +1,220 @@
+import { StrataClient, SwapType } from './StrataClient';
+
+const addresses = {
+    code: '0xc0de',
+    usdc: '0xa',
+    marketplace: '0xb',
+    staking_vault: '0xc',
+    options_exchange: '0xd',
+    price_oracle: '0xe'
+};
+const market = '0x1234';
+const user = '0x5678';
+
+// Aptos client answering view calls by function name and recording their arguments
+const createAptos = (results, resources = {}) => {
+    const calls = [];
+
+    return {
+        calls,
+        view: async ({ payload }) => {
+            const name = payload.function.split('::').pop();
+            calls.push({ name, args: payload.functionArguments });
+
+            if (!(name in results)) throw new Error(`unexpected view ${payload.function}`);
+            return results[name];
+        },
+        getAccountResource: async ({ resourceType }) => resources[resourceType]
+    };
+};
+
+const quote = {
+    initial_margin: '0',
+    maintenance_margin: '0',
+    net_credit: '0',
+    net_debit: '123456789012345678901',
+    risk_free_rate: '45000000000000000',
+    timestamp: '1700000000',
+    underlying_price: '100000000000000000000000',
+    volatility: '300000000000000000'
+};
+
+describe('StrataClient', () => {
+    test('requires an Aptos client and the package address', () => {
+        expect(() => new StrataClient(null, addresses)).toThrow('requires an Aptos client');
+        expect(() => new StrataClient({}, {})).toThrow('requires an Aptos client');
+    });
+
+    test('returns token amounts as exact decimal strings', async () => {
+        const aptos = createAptos({
+            get_quote: ['350000'],
+            get_amm_reserves: ['1000000000000', '350000000001'],
+            get_user_position: [{ long_amount: '1500000', short_amount: '0' }],
+            get_margin_account_balance: ['9007199254740993']
+        });
+        const strata = new StrataClient(aptos, addresses);
+
+        await expect(strata.getQuote(market)).resolves.toBe('0.35');
+        await expect(strata.getAmmReserves(market)).resolves.toEqual({ ivReserves: '1000000', usdcReserves: '350000.000001' });
+        await expect(strata.getUserPosition(market, user)).resolves.toEqual({ long: '1.5', short: '0' });
+        // above Number.MAX_SAFE_INTEGER raw units, a float would round the last digit
+        await expect(strata.getMarginAccountBalance(market, user)).resolves.toBe('9007199254.740993');
+    });
+
+    test('encodes amounts given as numbers or decimal strings in token units', async () => {
+        const aptos = createAptos({ get_swap_amount_out: ['2857142', '1000000'] });
+        const strata = new StrataClient(aptos, addresses);
+
+        await expect(strata.getSwapAmountOut(market, SwapType.BUY_IV, 100.1)).resolves.toEqual({ amountOut: '2.857142', feeAmount: '1' });
+        await strata.getSwapAmountOut(market, SwapType.BUY_IV, '0.000001');
+
+        expect(aptos.calls.map(call => call.args)).toEqual([
+            [market, SwapType.BUY_IV, '100100000'],
+            [market, SwapType.BUY_IV, '1']
+        ]);
+        expect(strata.reduceShortPosition(market, '1.25').data).toEqual({
+            function: '0xc0de::implied_volatility_market::reduce_short_position',
+            functionArguments: [market, '1250000']
+        });
+        expect(() => strata.stake(-1)).toThrow('must not be negative');
+    });
+
+    test('reads the vault state with percentages as fractions', async () => {
+        const aptos = createAptos({}, {
+            '0xc0de::staking_vault::Vault': {
+                usdc_staked_amount: '900000000',
+                usdc_claimable_amount: '927123456',
+                usdc_loan_amount: '0',
+                swap_fees_earned: '5000000',
+                lending_fees_earned: '5000001',
+                max_borrow_percentage: '500000',
+                borrow_fee: '40000'
+            }
+        });
+
+        await expect(new StrataClient(aptos, addresses).getVaultState()).resolves.toEqual({
+            stakedAmount: '900',
+            claimableAmount: '927.123456',
+            loanAmount: '0',
+            swapFeesEarned: '5',
+            lendingFeesEarned: '5.000001',
+            maxBorrowPercentage: '0.5',
+            borrowFee: '0.04'
+        });
+    });
+
+    test('reads positions with 18 decimal amounts that can be priced again as read', async () => {
+        const aptos = createAptos({
+            get_user_positions: [[{
+                id: '7',
+                asset_symbol: 'BTC-USD',
+                status: { __variant__: 'OPEN' },
+                opening_quote: quote,
+                closing_quote: { ...quote, net_debit: '0' },
+                legs: [{
+                    amount: '1500000000000000000',
+                    expiration: '1700086400',
+                    option_type: { __variant__: 'CALL' },
+                    side: { __variant__: 'LONG' },
+                    strike_price: '105000000000000000000000'
+                }]
+            }]],
+            price_position: [quote]
+        });
+        const strata = new StrataClient(aptos, addresses);
+
+        const [position] = await strata.getUserPositions(user);
+
+        expect(position.legs).toEqual([{
+            amount: '1.5',
+            expiration: new Date(1700086400 * 1000),
+            type: 'CALL',
+            side: 'LONG',
+            strikePrice: '105000'
+        }]);
+        expect(position.openingQuote).toMatchObject({
+            netDebit: '123.456789012345678901',
+            netCredit: '0',
+            riskFreeRate: '0.045',
+            underlyingPrice: '100000',
+            volatility: '0.3',
+            timestamp: new Date(1700000000 * 1000)
+        });
+
+        const { underlyingPrice, riskFreeRate, volatility } = position.openingQuote;
+        await strata.pricePosition('BTC-USD', position.legs, { underlyingPrice, riskFreeRate, volatility }, new Date(1700000000 * 1000));
+
+        expect(aptos.calls[1]).toEqual({
+            name: 'price_position',
+            args: [
+                'BTC-USD',
+                [0],
+                [0],
+                ['1500000000000000000'],
+                ['105000000000000000000000'],
+                [1700086400],
+                '100000000000000000000000',
+                '45000000000000000',
+                '300000000000000000',
+                1700000000
+            ]
+        });
+    });
+
+    test('returns oracle prices and volatility as decimals', async () => {
+        const aptos = createAptos({
+            get_implied_volatility: ['312500000000000000'],
+            get_price: ['45000000000000000'],
+            get_price_info: ['64123450000000000000000', '1700000000', false]
+        });
+        const strata = new StrataClient(aptos, addresses);
+
+        await expect(strata.getImpliedVolatility('BTC-USD')).resolves.toBe('0.3125');
+        await expect(strata.getOraclePrice('Rates.US10Y')).resolves.toBe('0.045');
+        await expect(strata.getOraclePriceInfo('BTC-USD')).resolves.toEqual({
+            price: '64123.45',
+            publishTime: new Date(1700000000 * 1000),
+            isMock: false
+        });
+    });
+
+    test('returns signed greeks as decimals and encodes the model inputs', async () => {
+        const signed = (neg, mag) => ({ neg, mag });
+        const aptos = createAptos({
+            get_greeks: [{
+                delta: signed(true, '420000000000000000'),
+                gamma: signed(false, '1000000000000000'),
+                vega: signed(false, '0'),
+                theta: signed(true, '25000000000000000'),
+                rho: signed(true, '0')
+            }],
+            get_option_price: ['2500000000000000000']
+        });
+        const strata = new StrataClient(aptos, addresses);
+        const inputs = {
+            underlyingPrice: '100',
+            strikePrice: 105,
+            riskFreeRate: '0.04',
+            volatility: '0.3',
+            daysToExpiration: '30',
+            isCall: false
+        };
+
+        await expect(strata.getGreeks(inputs)).resolves.toEqual({
+            delta: '-0.42',
+            gamma: '0.001',
+            vega: '0',
+            theta: '-0.025',
+            rho: '0'
+        });
+        await expect(strata.getOptionPrice(inputs)).resolves.toBe('2.5');
+        expect(aptos.calls[0].args).toEqual([
+            '100000000000000000000',
+            '105000000000000000000',
+            '40000000000000000',
+            '300000000000000000',
+            '30000000000000000000',
+            false
+        ]);
+    });
+});
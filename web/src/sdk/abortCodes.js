@@ -0,0 +1,141 @@
+// Human readable messages for failed transactions. Aborts raised by the Strata modules are looked
+// up in abortCodes.json, which web/scripts/generate-abort-codes.js builds from the `const E_*`
+// declarations and their doc comments in contracts/sources.
+import ABORT_CODES from "./abortCodes.json";
+
+// What the user can do about each Strata abort, keyed by module::constant
+export const SUGGESTED_ACTIONS = {
+    "historical_volatility_calculator::E_TOO_FEW_PRICES": "Wait until the market has at least two daily price snapshots.",
+    "historical_volatility_calculator::E_ZERO_PRICE": "Check the oracle prices recorded for the market.",
+
+    "implied_volatility_market::E_NOT_AUTHORIZED": "Use the account that manages the market.",
+    "implied_volatility_market::E_MARKET_ALREADY_SETTLED": "Pick a market that is still trading.",
+    "implied_volatility_market::E_MARKET_NOT_EXPIRED": "Wait until the market expires before settling it.",
+    "implied_volatility_market::E_DIV_ZERO": "The market has no liquidity yet, try again later.",
+    "implied_volatility_market::E_ZERO_OUT": "Trade a larger amount.",
+    "implied_volatility_market::E_FEE_TOO_HIGH": "Trade a larger amount.",
+    "implied_volatility_market::E_INSUFFICIENT_LIQUIDITY": "Trade a smaller amount, or wait for more liquidity.",
+    "implied_volatility_market::E_INPUT_OVERFLOW": "Trade a smaller amount.",
+    "implied_volatility_market::E_NO_SHORT_POSITION": "Open a short position first, or refresh the page if it was just closed.",
+    "implied_volatility_market::E_INVALID_REDUCE_AMOUNT": "Enter an amount up to your borrowed IV units.",
+
+    "options_exchange::E_U64_OVERFLOW": "Use smaller leg amounts.",
+    "options_exchange::E_POSITION_EMPTY": "Add at least one leg to the position.",
+    "options_exchange::E_POSITION_NOT_FOUND": "Refresh your positions and try again.",
+    "options_exchange::E_POSITION_CLOSED": "Refresh your positions, this one is already closed.",
+    "options_exchange::E_UNAUTHORIZED": "Connect the account that opened the position.",
+    "options_exchange::E_POSITION_NOT_OPEN": "Refresh your positions, this one is no longer open.",
+
+    "price_oracle::E_ONLY_OWNER": "Use the oracle owner account.",
+
+    "staking_vault::E_INSUFFICIENT_BALANCE": "Unstake at most your staked balance.",
+    "staking_vault::E_BORROW_OVER_CAP": "The vault is lent out up to its cap. Trade a smaller size or wait for liquidity to free up.",
+
+    "volatility_marketplace::E_NOT_AUTHORIZED": "Use the marketplace owner account.",
+    "volatility_marketplace::E_MARKET_NOT_FOUND": "Refresh the page to load the current markets.",
+    "volatility_marketplace::E_MARKET_ALREADY_EXISTS": "Pick a different expiration.",
+    "volatility_marketplace::E_INVALID_EXPIRATION": "Choose an expiration in the future.",
+    "volatility_marketplace::E_PRICE_SNAPSHOT_TOO_SOON": "Snapshots are taken at most once a day, try again later."
+};
+
+// Framework aborts users run into, keyed by module::constant
+const FRAMEWORK_ACTIONS = {
+    "fungible_asset::EINSUFFICIENT_BALANCE": "Top up the token balance, or use a smaller amount.",
+    "coin::EINSUFFICIENT_BALANCE": "Top up the token balance, or use a smaller amount.",
+    "primary_fungible_store::EINSUFFICIENT_BALANCE": "Top up the token balance, or use a smaller amount."
+};
+
+// Statuses the VM reports without a Move abort
+const VM_STATUSES = {
+    OUT_OF_GAS: {
+        message: "The transaction ran out of gas.",
+        action: "Try again with a higher gas limit."
+    },
+    INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE: {
+        message: "The account cannot pay the transaction fee.",
+        action: "Add APT to the account to pay for gas."
+    },
+    SEQUENCE_NUMBER_TOO_OLD: {
+        message: "Another transaction from this account was submitted first.",
+        action: "Try again."
+    },
+    TRANSACTION_EXPIRED: {
+        message: "The transaction expired before it was committed.",
+        action: "Try again."
+    }
+};
+
+const DEFAULT_ACTION = "Check the transaction on the explorer, or try again later.";
+
+const FRAMEWORK_ADDRESS = "0x1";
+
+// "Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): Not enough coins" with an error map,
+// "Move abort in 0xabc::options_exchange: 0x6" without one
+const MOVE_ABORT_PATTERN = /Move abort in (0x[0-9a-f]+)::(\w+): (?:(\w+)\()?0x([0-9a-f]+)\)?(?::\s*(.*))?/i;
+
+const normalizeAddress = (address) => `0x${address.slice(2).replace(/^0+(?=.)/, "").toLowerCase()}`;
+
+/**
+ * Abort raised by a Move module
+ * @typedef {Object} MoveAbort
+ * @property {string} address - Address of the module, e.g. "0x1"
+ * @property {string} module - Module name, e.g. "options_exchange"
+ * @property {number} code - Full abort code, e.g. 0x10007
+ * @property {number} category - std::error category, 0 when the code was raised without one
+ * @property {number} reason - Code without the category, which is the value of the E_* constant
+ * @property {?string} name - Constant name, e.g. "E_POSITION_NOT_OPEN"
+ * @property {?string} description - Doc comment of the constant
+ */
+
+/**
+ * Parse a Move abort out of a VM status
+ * @param {string} vmStatus - vm_status of a committed or simulated transaction
+ * @returns {?MoveAbort} null when the status is not a Move abort
+ */
+export const parseMoveAbort = (vmStatus) => {
+    const match = (vmStatus || "").match(MOVE_ABORT_PATTERN);
+    if (!match) return null;
+
+    const [, address, module, statusName, hexCode, statusDescription] = match;
+    const code = parseInt(hexCode, 16);
+    const reason = code & 0xffff;
+    const normalizedAddress = normalizeAddress(address);
+
+    // Framework modules share names with nothing in Strata, but their codes are not catalogued
+    const entry = normalizedAddress === FRAMEWORK_ADDRESS ? null : ABORT_CODES[module]?.[reason];
+
+    return {
+        address: normalizedAddress,
+        module,
+        code,
+        category: code >> 16,
+        reason,
+        name: entry?.name || statusName || null,
+        description: entry?.description || statusDescription || null
+    };
+};
+
+/**
+ * Message and suggested action for a failed transaction
+ * @param {string} vmStatus - vm_status of a committed or simulated transaction
+ * @returns {?{message: string, action: string, abort: ?MoveAbort}} null when the status is
+ *   not recognised
+ */
+export const decodeVmStatus = (vmStatus) => {
+    const abort = parseMoveAbort(vmStatus);
+
+    if (abort) {
+        const key = `${abort.module}::${abort.name}`;
+        const action = abort.address === FRAMEWORK_ADDRESS ? FRAMEWORK_ACTIONS[key] : SUGGESTED_ACTIONS[key];
+
+        return {
+            message: abort.description || `The transaction was aborted by ${abort.module} with code ${abort.reason}.`,
+            action: action || DEFAULT_ACTION,
+            abort
+        };
+    }
+
+    const status = Object.keys(VM_STATUSES).find(name => (vmStatus || "").includes(name));
+
+    return status ? { ...VM_STATUSES[status], abort: null } : null;
+};
@@ -0,0 +1,112 @@
+import path from 'path';
+import ABORT_CODES from './abortCodes.json';
+import { SUGGESTED_ACTIONS, parseMoveAbort, decodeVmStatus } from './abortCodes';
+
+const { parseErrorConstants, readAbortCodes } = require('../../scripts/generate-abort-codes');
+
+const SOURCES_DIR = path.join(__dirname, '..', '..', '..', 'contracts', 'sources');
+
+describe('abort code catalogue', () => {
+    test('matches the error constants in contracts/sources', () => {
+        expect(readAbortCodes(SOURCES_DIR)).toEqual(ABORT_CODES);
+    });
+
+    test('has a suggested action for every Strata abort', () => {
+        const keys = Object.entries(ABORT_CODES).flatMap(([module, codes]) =>
+            Object.values(codes).map(({ name }) => `${module}::${name}`));
+
+        expect(keys.filter(key => !SUGGESTED_ACTIONS[key])).toEqual([]);
+        expect(Object.keys(SUGGESTED_ACTIONS).filter(key => !keys.includes(key))).toEqual([]);
+    });
+});
+
+describe('parseErrorConstants', () => {
+    test('reads constants with their doc comments', () => {
+        const source = [
+            'module marketplace::example {',
+            '    /// The first error.',
+            '    const E_FIRST: u64 = 1;',
+            '    /// The second error,',
+            '    /// over two lines.',
+            '    const E_SECOND: u64 = 2;',
+            '    const PRECISION: u64 = 100;',
+            '}'
+        ].join('\n');
+
+        expect(parseErrorConstants(source)).toEqual({
+            example: {
+                1: { name: 'E_FIRST', description: 'The first error.' },
+                2: { name: 'E_SECOND', description: 'The second error, over two lines.' }
+            }
+        });
+    });
+
+    test('requires a doc comment', () => {
+        const source = 'module example {\n    // Error codes\n    const E_FIRST: u64 = 1;\n}';
+
+        expect(() => parseErrorConstants(source, 'Example.move')).toThrow('Example.move:3: E_FIRST needs a /// doc comment');
+    });
+
+    test('rejects duplicate codes', () => {
+        const source = 'module example {\n    /// A.\n    const E_A: u64 = 1;\n    /// B.\n    const E_B: u64 = 1;\n}';
+
+        expect(() => parseErrorConstants(source)).toThrow('E_B reuses code 1 of E_A');
+    });
+});
+
+describe('parseMoveAbort', () => {
+    test('looks up Strata aborts without an error map', () => {
+        expect(parseMoveAbort('Move abort in 0x00ab::options_exchange: 0x6')).toEqual({
+            address: '0xab',
+            module: 'options_exchange',
+            code: 6,
+            category: 0,
+            reason: 6,
+            name: 'E_POSITION_NOT_OPEN',
+            description: 'The position is not open.'
+        });
+    });
+
+    test('strips the std::error category', () => {
+        const abort = parseMoveAbort('Move abort in 0xab::staking_vault: E_BORROW_OVER_CAP(0x70002): The vault cannot lend more than its borrow cap.');
+
+        expect(abort.category).toBe(7);
+        expect(abort.reason).toBe(2);
+        expect(abort.name).toBe('E_BORROW_OVER_CAP');
+    });
+
+    test('keeps the error map of framework aborts', () => {
+        const abort = parseMoveAbort('Move abort in 0x1::fungible_asset: EINSUFFICIENT_BALANCE(0x10004): Insufficient balance to withdraw or transfer.');
+
+        expect(abort.address).toBe('0x1');
+        expect(abort.name).toBe('EINSUFFICIENT_BALANCE');
+        expect(abort.description).toBe('Insufficient balance to withdraw or transfer.');
+    });
+
+    test('returns null for other statuses', () => {
+        expect(parseMoveAbort('Executed successfully')).toBeNull();
+        expect(parseMoveAbort(null)).toBeNull();
+    });
+});
+
+describe('decodeVmStatus', () => {
+    test('returns the message and action of a Strata abort', () => {
+        const decoded = decodeVmStatus('Move abort in 0xab::implied_volatility_market: 0x7');
+
+        expect(decoded.message).toBe('The AMM does not hold enough liquidity for this swap.');
+        expect(decoded.action).toBe(SUGGESTED_ACTIONS['implied_volatility_market::E_INSUFFICIENT_LIQUIDITY']);
+        expect(decoded.abort.name).toBe('E_INSUFFICIENT_LIQUIDITY');
+    });
+
+    test('falls back to a generic message for unknown codes', () => {
+        const decoded = decodeVmStatus('Move abort in 0xab::options_exchange: 0x63');
+
+        expect(decoded.message).toBe('The transaction was aborted by options_exchange with code 99.');
+        expect(decoded.action).toMatch(/explorer/);
+    });
+
+    test('decodes statuses that are not aborts', () => {
+        expect(decodeVmStatus('Out of gas: OUT_OF_GAS').message).toBe('The transaction ran out of gas.');
+        expect(decodeVmStatus('Something else')).toBeNull();
+    });
+});
@@ -0,0 +1,192 @@
+// Serializes option positions and trade history to CSV and JSON for accounting. Every dataset
+// has documented columns; CSV files have one header row of column names and JSON files carry
+// the column descriptions next to the records. Amounts are exact decimal strings with a fixed
+// number of decimals and times are ISO 8601 in UTC.
+import { TOKEN_DECIMALS, FIXED_DECIMALS, Rounding, parseFixed, formatFixed } from "./fixedPoint";
+
+export const ExportFormat = Object.freeze({
+    CSV: "csv",
+    JSON: "json"
+});
+
+const MIME_TYPES = {
+    [ExportFormat.CSV]: "text/csv",
+    [ExportFormat.JSON]: "application/json"
+};
+
+/**
+ * Column of an export
+ * @typedef {Object} ExportColumn
+ * @property {string} name - CSV header and JSON key
+ * @property {string} description
+ * @property {function(Object): string} value - Cell of a record, "" when it has no value
+ */
+
+// Exact strings keep their digits and numbers are parsed from their shortest form, so 0.1 stays
+// 0.1. Decimals are padded so every row of a column has the same precision.
+const decimal = (decimals) => (value) => {
+    if (value === null || value === undefined) return "";
+
+    return formatFixed(parseFixed(value, decimals, Rounding.HALF_UP), decimals, { trimZeros: false });
+};
+
+// USDC and IV tokens both have 6 decimals
+const token = decimal(TOKEN_DECIMALS);
+const fixed = decimal(FIXED_DECIMALS);
+
+// Dates or milliseconds; the contracts store an unset time as 0
+const isoTime = (value) => {
+    const time = value instanceof Date ? value.getTime() : value;
+
+    return time ? new Date(time).toISOString() : "";
+};
+
+const quoteColumns = (prefix, key, label) => [
+    ["timestamp", `Time of the ${label}`, quote => isoTime(quote.timestamp)],
+    ["net_debit", `Premium paid at the ${label}, USDC`, quote => fixed(quote.netDebit)],
+    ["net_credit", `Premium received at the ${label}, USDC`, quote => fixed(quote.netCredit)],
+    ["initial_margin", `Initial margin at the ${label}, USDC`, quote => fixed(quote.initialMargin)],
+    ["maintenance_margin", `Maintenance margin at the ${label}, USDC`, quote => fixed(quote.maintenanceMargin)],
+    ["underlying_price", `Oracle price of the underlying at the ${label}, USD`, quote => fixed(quote.underlyingPrice)],
+    ["risk_free_rate", `Annual risk free rate used to price the ${label}, 0.05 = 5%`, quote => fixed(quote.riskFreeRate)],
+    ["volatility", `Annual volatility used to price the ${label}, 0.3 = 30%`, quote => fixed(quote.volatility)]
+].map(([name, description, value]) => ({
+    name: `${prefix}_${name}`,
+    description,
+    // closing quotes of open positions are all zero
+    value: record => record.position[key].timestamp.getTime() > 0 ? value(record.position[key]) : ""
+}));
+
+/**
+ * Columns of the option positions export, one record per leg so each row is flat
+ * @type {ExportColumn[]}
+ */
+export const POSITION_COLUMNS = [
+    { name: "position_id", description: "Position id on the options exchange", value: record => String(record.position.id) },
+    { name: "asset_symbol", description: "Underlying, e.g. BTC-USD", value: record => record.position.symbol },
+    { name: "status", description: "OPEN, CLOSED, CANCELLED or EXPIRED", value: record => record.position.status },
+    { name: "leg_index", description: "Leg number within the position, from 1", value: record => String(record.legIndex + 1) },
+    { name: "leg_count", description: "Number of legs of the position", value: record => String(record.position.legs.length) },
+    { name: "leg_side", description: "LONG or SHORT", value: record => record.leg.side },
+    { name: "leg_type", description: "CALL or PUT", value: record => record.leg.type },
+    { name: "leg_amount", description: "Contracts", value: record => fixed(record.leg.amount) },
+    { name: "leg_strike_price", description: "Strike, USD", value: record => fixed(record.leg.strikePrice) },
+    { name: "leg_expiration", description: "Expiration time", value: record => isoTime(record.leg.expiration) },
+    ...quoteColumns("opening", "openingQuote", "opening quote"),
+    ...quoteColumns("closing", "closingQuote", "closing quote, empty while the position is open")
+];
+
+/**
+ * Columns of the trade history exports (option trades, IV trades and staking activity)
+ * @type {ExportColumn[]}
+ */
+export const ACTIVITY_COLUMNS = [
+    { name: "timestamp", description: "Block time of the transaction", value: row => isoTime(row.timestamp) },
+    { name: "transaction_version", description: "Ledger version of the transaction", value: row => String(row.version) },
+    { name: "transaction_hash", description: "Transaction hash, empty when the indexer did not return it", value: row => row.hash || "" },
+    { name: "event_index", description: "Index of the contract event within the transaction", value: row => String(row.eventIndex) },
+    { name: "product", description: "options, volatility or staking", value: row => row.product },
+    { name: "market", description: "Market the trade belongs to, e.g. BTC-USD IV", value: row => row.market },
+    { name: "action", description: "Trade, e.g. Buy IV, Close short, Unstake", value: row => row.action },
+    { name: "position_id", description: "Option position id, empty for other products", value: row => row.positionId === null ? "" : String(row.positionId) },
+    { name: "iv_units", description: "IV tokens bought, sold, borrowed or repaid, empty for other products", value: row => token(row.ivUnits) },
+    { name: "cash_flow", description: "USDC paid by the account (negative) or received (positive)", value: row => token(row.cashFlow) },
+    { name: "realized_pnl", description: "USDC profit or loss realized by the trade, empty when it opens or adds to a position", value: row => token(row.realizedPnl) },
+    { name: "cumulative_realized_pnl", description: "USDC realized in the market up to and including the trade", value: row => token(row.cumulativePnl) }
+];
+
+/**
+ * Whether a time falls in a range, the start is inclusive and the end exclusive
+ * @param {?number|Date} time
+ * @param {Object} [range]
+ * @param {?number|Date} [range.from]
+ * @param {?number|Date} [range.to]
+ * @returns {boolean} Unknown times only match an unbounded range
+ */
+export const isInDateRange = (time, { from = null, to = null } = {}) => {
+    if (from === null && to === null) return true;
+
+    const value = time instanceof Date ? time.getTime() : time;
+    if (!value) return false;
+
+    return (from === null || value >= Number(from)) && (to === null || value < Number(to));
+};
+
+/**
+ * Flatten option positions to one record per leg, keeping positions opened or closed in the range
+ * @param {import("./types").OptionPosition[]} positions - As read with StrataClient.getUserPositions
+ * @param {Object} [range] - See isInDateRange
+ * @returns {{position: Object, leg: Object, legIndex: number}[]}
+ */
+export const toPositionRecords = (positions, range) => positions
+    .filter(position => isInDateRange(position.openingQuote.timestamp, range) ||
+        isInDateRange(position.closingQuote.timestamp, range))
+    .flatMap(position => position.legs.map((leg, legIndex) => ({ position, leg, legIndex })));
+
+/**
+ * Trade history rows in the range
+ * @param {import("./tradeHistory").HistoryRow[]} rows
+ * @param {Object} [range] - See isInDateRange
+ * @returns {import("./tradeHistory").HistoryRow[]}
+ */
+export const toActivityRecords = (rows, range) => rows.filter(row => isInDateRange(row.timestamp, range));
+
+// RFC 4180: quote cells containing separators, quotes or line breaks
+const csvCell = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * @param {ExportColumn[]} columns
+ * @param {Object[]} records
+ * @returns {string} CSV with a header row and CRLF line endings
+ */
+export const toCsv = (columns, records) => [
+    columns.map(column => column.name),
+    ...records.map(record => columns.map(column => column.value(record)))
+].map(cells => cells.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+/**
+ * @param {ExportColumn[]} columns
+ * @param {Object[]} records
+ * @param {Object} [metadata] - Added to the top level, e.g. the account and range
+ * @returns {string} JSON with the column descriptions and one object per record
+ */
+export const toJson = (columns, records, metadata = {}) => JSON.stringify({
+    ...metadata,
+    columns: columns.map(({ name, description }) => ({ name, description })),
+    records: records.map(record => Object.fromEntries(columns.map(column => [column.name, column.value(record)])))
+}, null, 2);
+
+/**
+ * File contents of an export
+ * @param {Object} options
+ * @param {string} options.dataset - Name used in the file name and metadata, e.g. "option-positions"
+ * @param {ExportColumn[]} options.columns - POSITION_COLUMNS or ACTIVITY_COLUMNS
+ * @param {Object[]} options.records - From toPositionRecords or toActivityRecords
+ * @param {string} options.format - One of ExportFormat
+ * @param {string} options.account - Account the data belongs to
+ * @param {?number|Date} [options.from] - Start of the range the records were selected with
+ * @param {?number|Date} [options.to] - End of the range, exclusive
+ * @param {Date} [options.exportedAt=new Date()]
+ * @returns {{filename: string, mimeType: string, content: string}}
+ */
+export const createExport = ({ dataset, columns, records, format, account, from = null, to = null, exportedAt = new Date() }) => {
+    if (!MIME_TYPES[format]) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const content = format === ExportFormat.CSV ?
+        toCsv(columns, records) :
+        toJson(columns, records, {
+            dataset,
+            account,
+            exportedAt: exportedAt.toISOString(),
+            from: isoTime(from) || null,
+            to: isoTime(to) || null
+        });
+
+    return {
+        filename: `strata-${dataset}-${account.slice(0, 10)}-${exportedAt.toISOString().slice(0, 10)}.${format}`,
+        mimeType: MIME_TYPES[format],
+        content
+    };
+};
@@ -0,0 +1,227 @@
+/**
+ * @jest-environment node
+ */
+import fixture from './fixtures/indexerEvents.json';
+import { decodeEvent } from './events';
+import { filterEvents } from './eventStores';
+import { buildTradeHistory, marketNamesOf } from './tradeHistory';
+import {
+    ExportFormat,
+    POSITION_COLUMNS,
+    ACTIVITY_COLUMNS,
+    isInDateRange,
+    toPositionRecords,
+    toActivityRecords,
+    toCsv,
+    createExport
+} from './dataExport';
+
+const { accounts } = fixture;
+
+const timestamps = Object.fromEntries(fixture.user_transactions.map(transaction => [
+    Number(transaction.version),
+    Date.parse(`${transaction.timestamp}Z`)
+]));
+const events = fixture.events.map(row => decodeEvent(
+    row.type.split('::').pop(),
+    row,
+    timestamps[Number(row.transaction_version)]
+));
+const rows = buildTradeHistory(filterEvents(events, { account: accounts.alice }), { markets: marketNamesOf(events) })
+    .map(row => ({ ...row, hash: `0x${row.version.toString(16)}` }));
+
+const quote = (timestamp, values = {}) => ({
+    netDebit: '0',
+    netCredit: '0',
+    initialMargin: '0',
+    maintenanceMargin: '0',
+    underlyingPrice: '0',
+    riskFreeRate: '0',
+    volatility: '0',
+    timestamp: new Date(timestamp),
+    ...values
+});
+
+// as read with getUserPositions(address)
+const positions = [
+    {
+        id: '1',
+        symbol: 'BTC-USD',
+        status: 'CLOSED',
+        legs: [
+            { type: 'CALL', side: 'LONG', amount: '1', strikePrice: '110000', expiration: new Date('2025-11-28T08:00:00Z') },
+            { type: 'CALL', side: 'SHORT', amount: '1', strikePrice: '120000', expiration: new Date('2025-11-28T08:00:00Z') }
+        ],
+        openingQuote: quote('2025-10-24T10:14:26Z', {
+            netDebit: '1250.123456789012345678',
+            underlyingPrice: '111000.5',
+            riskFreeRate: '0.0425',
+            volatility: '0.45'
+        }),
+        closingQuote: quote('2025-10-24T11:42:18Z', { netCredit: '1460.000000000000000001' })
+    },
+    {
+        id: '4',
+        symbol: 'BTC-USD',
+        status: 'OPEN',
+        legs: [
+            { type: 'PUT', side: 'LONG', amount: '2.5', strikePrice: '100000', expiration: new Date('2025-12-26T08:00:00Z') }
+        ],
+        openingQuote: quote('2025-10-24T10:35:05Z', { netDebit: '300' }),
+        closingQuote: quote(0)
+    }
+];
+
+const parseCsv = (csv) => csv.trimEnd().split('\r\n').map(line => line.split(','));
+
+describe('isInDateRange', () => {
+    const range = { from: Date.parse('2025-10-24T00:00:00Z'), to: Date.parse('2025-10-25T00:00:00Z') };
+
+    test('includes the start and excludes the end', () => {
+        expect(isInDateRange(range.from, range)).toBe(true);
+        expect(isInDateRange(range.to, range)).toBe(false);
+        expect(isInDateRange(new Date('2025-10-24T23:59:59Z'), range)).toBe(true);
+    });
+
+    test('only matches unknown times without a range', () => {
+        expect(isInDateRange(null, range)).toBe(false);
+        expect(isInDateRange(null)).toBe(true);
+        expect(isInDateRange(0, { from: range.from })).toBe(false);
+    });
+});
+
+describe('positions export', () => {
+    test('writes one row per leg with both quotes at 18 exact decimals', () => {
+        const [header, ...lines] = parseCsv(toCsv(POSITION_COLUMNS, toPositionRecords(positions)));
+        const cells = lines.map(line => Object.fromEntries(header.map((name, index) => [name, line[index]])));
+
+        expect(header).toEqual(POSITION_COLUMNS.map(column => column.name));
+        expect(cells).toHaveLength(3);
+        expect(cells[1]).toMatchObject({
+            position_id: '1',
+            status: 'CLOSED',
+            leg_index: '2',
+            leg_count: '2',
+            leg_side: 'SHORT',
+            leg_strike_price: '120000.000000000000000000',
+            leg_expiration: '2025-11-28T08:00:00.000Z',
+            opening_timestamp: '2025-10-24T10:14:26.000Z',
+            opening_net_debit: '1250.123456789012345678',
+            opening_risk_free_rate: '0.042500000000000000',
+            closing_timestamp: '2025-10-24T11:42:18.000Z',
+            closing_net_credit: '1460.000000000000000001'
+        });
+        expect(cells[2]).toMatchObject({
+            position_id: '4',
+            leg_amount: '2.500000000000000000',
+            closing_timestamp: '',
+            closing_net_debit: ''
+        });
+    });
+
+    test('keeps positions opened or closed in the range', () => {
+        const range = { from: Date.parse('2025-10-24T11:00:00Z'), to: Date.parse('2025-10-25T00:00:00Z') };
+
+        expect(toPositionRecords(positions, range).map(record => record.position.id)).toEqual(['1', '1']);
+    });
+
+    test('formats numbers from their shortest form', () => {
+        const [record] = toPositionRecords([{ ...positions[1], openingQuote: quote(1, { netDebit: 0.1 + 0.2, volatility: 1e-7 }) }]);
+        const value = (name) => POSITION_COLUMNS.find(column => column.name === name).value(record);
+
+        expect(value('opening_net_debit')).toBe('0.300000000000000040');
+        expect(value('opening_volatility')).toBe('0.000000100000000000');
+    });
+});
+
+describe('activity export', () => {
+    test('writes USDC and IV amounts at 6 decimals with ISO times and hashes', () => {
+        const records = toActivityRecords(rows.filter(row => row.product === 'volatility'));
+        const [header, ...lines] = parseCsv(toCsv(ACTIVITY_COLUMNS, records));
+
+        expect(header).toEqual(ACTIVITY_COLUMNS.map(column => column.name));
+        expect(lines[2]).toEqual([
+            '2025-10-24T10:52:11.000Z',
+            '6512002500',
+            `0x${(6512002500).toString(16)}`,
+            '1',
+            'volatility',
+            'BTC-USD IV',
+            'Sell IV',
+            '',
+            '1.950000',
+            '55.000000',
+            '5.000000',
+            '5.000000'
+        ]);
+        expect(lines[4][10]).toBe('3.000000');
+        expect(lines[0][10]).toBe('');
+    });
+
+    test('filters rows by date', () => {
+        const records = toActivityRecords(rows, {
+            from: Date.parse('2025-10-24T11:00:00Z'),
+            to: Date.parse('2025-10-24T11:50:00Z')
+        });
+
+        expect(records.map(row => row.action)).toEqual(['Add collateral', 'Reduce short', 'Close position #1', 'Close short', 'Unstake']);
+    });
+
+    test('quotes cells with separators', () => {
+        const csv = toCsv(ACTIVITY_COLUMNS, [{ ...rows[0], market: 'Vault, "main"' }]);
+
+        expect(csv.split('\r\n')[1]).toContain(',"Vault, ""main""",');
+    });
+});
+
+describe('createExport', () => {
+    const exportedAt = new Date('2025-10-25T09:30:00Z');
+
+    test('names CSV files by dataset, account and date', () => {
+        const file = createExport({
+            dataset: 'iv-trades',
+            columns: ACTIVITY_COLUMNS,
+            records: [],
+            format: ExportFormat.CSV,
+            account: accounts.alice,
+            exportedAt
+        });
+
+        expect(file.filename).toBe('strata-iv-trades-0x7a3b1f0c-2025-10-25.csv');
+        expect(file.mimeType).toBe('text/csv');
+        expect(file.content).toBe(`${ACTIVITY_COLUMNS.map(column => column.name).join(',')}\r\n`);
+    });
+
+    test('documents the columns and range in JSON', () => {
+        const from = Date.parse('2025-10-24T00:00:00Z');
+        const file = createExport({
+            dataset: 'staking',
+            columns: ACTIVITY_COLUMNS,
+            records: toActivityRecords(rows.filter(row => row.product === 'staking'), { from }),
+            format: ExportFormat.JSON,
+            account: accounts.alice,
+            from,
+            exportedAt
+        });
+        const json = JSON.parse(file.content);
+
+        expect(file.mimeType).toBe('application/json');
+        expect(json).toMatchObject({
+            dataset: 'staking',
+            account: accounts.alice,
+            exportedAt: '2025-10-25T09:30:00.000Z',
+            from: '2025-10-24T00:00:00.000Z',
+            to: null
+        });
+        expect(json.columns).toEqual(ACTIVITY_COLUMNS.map(({ name, description }) => ({ name, description })));
+        expect(json.records.map(record => [record.action, record.cash_flow, record.realized_pnl])).toEqual([
+            ['Stake', '-1000.000000', ''],
+            ['Unstake', '404.000000', '4.000000']
+        ]);
+    });
+
+    test('rejects unknown formats', () => {
+        expect(() => createExport({ dataset: 'staking', columns: [], records: [], format: 'xlsx', account: accounts.alice }))
+            .toThrow('Unknown export format: xlsx');
+    });
+});
@@ -0,0 +1,159 @@
+// Stores for indexed Strata events. A store keeps the decoded events, unique by id, and a cursor
+// per event type marking the last event saved, so an interrupted sync resumes where it stopped.
+// Events and their cursor are saved together, in one transaction where the store has them.
+//
+// Every store implements:
+//   getCursor(type)                  -> Promise<?EventCursor>
+//   saveEvents(type, events, cursor) -> Promise<void>
+//   getEvents({ types, account })    -> Promise<StrataEvent[]> ordered by version and event index
+//
+// JsonFileEventStore, for Node, lives in its own module so browser bundles do not pull in fs.
+//
+// Accounts are saved and queried in the long form of normalizeAddress, so an address with
+// leading zeros stripped or in upper case still finds its events.
+import { AccountAddress } from "@aptos-labs/ts-sdk";
+
+/**
+ * Position of the last indexed event of a type
+ * @typedef {Object} EventCursor
+ * @property {number} version - Transaction version
+ * @property {number} eventIndex
+ */
+
+/**
+ * Long, lower case form of an account address: 0x followed by 64 hex digits
+ * @param {string} address
+ * @returns {string}
+ */
+export const normalizeAddress = (address) => AccountAddress.from(address).toStringLong();
+
+/**
+ * The event with its account in the form of normalizeAddress, for saving
+ * @param {import("./events").StrataEvent} event
+ * @returns {import("./events").StrataEvent}
+ */
+export const normalizeEvent = (event) => event.account ? { ...event, account: normalizeAddress(event.account) } : event;
+
+/**
+ * Order events by transaction version, then by their index in the transaction
+ * @param {import("./events").StrataEvent} a
+ * @param {import("./events").StrataEvent} b
+ * @returns {number}
+ */
+export const compareEvents = (a, b) => a.version - b.version || a.eventIndex - b.eventIndex;
+
+/**
+ * Events matching a query, in chain order
+ * @param {Iterable<import("./events").StrataEvent>} events
+ * @param {Object} [query]
+ * @param {string[]} [query.types] - Event names, all types when omitted
+ * @param {string} [query.account] - Only events concerning this account
+ * @returns {import("./events").StrataEvent[]}
+ */
+export const filterEvents = (events, { types, account } = {}) => {
+    const normalizedAccount = account ? normalizeAddress(account) : null;
+
+    return [...events]
+        .filter(event => !types || types.includes(event.type))
+        .filter(event => !normalizedAccount || (event.account && normalizeAddress(event.account) === normalizedAccount))
+        .sort(compareEvents);
+};
+
+/** Keeps events in memory, for tests and short lived scripts */
+export class MemoryEventStore {
+    constructor() {
+        this.events = new Map();
+        this.cursors = new Map();
+    }
+
+    async getCursor(type) {
+        return this.cursors.get(type) || null;
+    }
+
+    async saveEvents(type, events, cursor) {
+        events.forEach(event => this.events.set(event.id, normalizeEvent(event)));
+        this.cursors.set(type, cursor);
+    }
+
+    async getEvents(query) {
+        return filterEvents(this.events.values(), query);
+    }
+}
+
+const DATABASE_VERSION = 1;
+const EVENTS_STORE = "events";
+const CURSORS_STORE = "cursors";
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/** Keeps events in an IndexedDB database, for the browser */
+export class IndexedDbEventStore {
+    /**
+     * @param {string} name - Database name, use one per network and deployment
+     * @param {IDBFactory} [indexedDB] - Defaults to the global indexedDB
+     */
+    constructor(name, indexedDB = typeof window !== 'undefined' ? window.indexedDB : null) {
+        if (!indexedDB) {
+            throw new Error('IndexedDbEventStore requires IndexedDB');
+        }
+
+        this.name = name;
+        this.indexedDB = indexedDB;
+        this.database = null;
+    }
+
+    open() {
+        if (!this.database) {
+            const request = this.indexedDB.open(this.name, DATABASE_VERSION);
+
+            request.onupgradeneeded = () => {
+                const database = request.result;
+
+                const events = database.createObjectStore(EVENTS_STORE, { keyPath: "id" });
+                events.createIndex("type", "type");
+                events.createIndex("account", "account");
+                database.createObjectStore(CURSORS_STORE, { keyPath: "type" });
+            };
+
+            this.database = promisify(request);
+        }
+
+        return this.database;
+    }
+
+    async getCursor(type) {
+        const database = await this.open();
+        const entry = await promisify(database.transaction(CURSORS_STORE).objectStore(CURSORS_STORE).get(type));
+
+        return entry ? entry.cursor : null;
+    }
+
+    async saveEvents(type, events, cursor) {
+        const database = await this.open();
+        const transaction = database.transaction([EVENTS_STORE, CURSORS_STORE], "readwrite");
+
+        events.forEach(event => transaction.objectStore(EVENTS_STORE).put(normalizeEvent(event)));
+        transaction.objectStore(CURSORS_STORE).put({ type, cursor });
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getEvents(query = {}) {
+        const database = await this.open();
+        const store = database.transaction(EVENTS_STORE).objectStore(EVENTS_STORE);
+
+        // narrow the scan with an index, the rest of the query is applied in memory
+        const events = query.account ?
+            await promisify(store.index("account").getAll(normalizeAddress(query.account))) :
+            await promisify(store.getAll());
+
+        return filterEvents(events, query);
+    }
+}
@@ -0,0 +1,235 @@
+// Decoders for the events emitted by the Strata contracts. Each decoder turns the data of a
+// module event, as returned by the indexer, into a typed record with amounts as exact decimal
+// strings in whole units, like the amounts returned by StrataClient (types.Decimal).
+import { TOKEN_DECIMALS, FIXED_DECIMALS, formatFixed } from "./fixedPoint";
+
+const fromToken = (raw) => formatFixed(raw, TOKEN_DECIMALS);
+const fromFixed = (raw) => formatFixed(raw, FIXED_DECIMALS);
+const fromSeconds = (seconds) => Number(seconds) * 1000;
+
+/**
+ * Event stored by the indexer. Fields specific to the event type are added by its decoder.
+ * @typedef {Object} StrataEvent
+ * @property {string} id - "<version>:<eventIndex>", unique per event
+ * @property {string} type - Event name, e.g. "PositionOpened"
+ * @property {number} version - Transaction version
+ * @property {number} eventIndex - Index of the event within its transaction
+ * @property {?number} timestamp - Block time of the transaction in milliseconds
+ * @property {?string} hash - Hash of the transaction
+ * @property {?string} account - Account the event concerns, e.g. the trader or staker
+ */
+
+/**
+ * Events the indexer understands, keyed by event name. `account` picks the account the event
+ * belongs to and `decode` the remaining fields.
+ */
+export const EVENT_TYPES = {
+    PositionOpened: {
+        module: "options_exchange",
+        account: (data) => data.trader,
+        decode: (data) => ({
+            exchangeAddress: data.exchange_address,
+            positionId: Number(data.position_id),
+            trader: data.trader,
+            assetSymbol: data.asset_symbol,
+            legsCount: Number(data.legs_count),
+            netDebit: fromFixed(data.net_debit),
+            netCredit: fromFixed(data.net_credit),
+            initialMargin: fromFixed(data.initial_margin),
+            netAmountRequired: fromFixed(data.net_amount_required)
+        })
+    },
+    PositionClosed: {
+        module: "options_exchange",
+        account: (data) => data.trader,
+        decode: (data) => ({
+            exchangeAddress: data.exchange_address,
+            positionId: Number(data.position_id),
+            trader: data.trader,
+            assetSymbol: data.asset_symbol,
+            profit: fromFixed(data.profit),
+            loss: fromFixed(data.loss),
+            amountReturned: fromFixed(data.amount_returned)
+        })
+    },
+    MarginAccountCreated: {
+        module: "options_exchange",
+        account: (data) => data.user,
+        decode: (data) => ({
+            exchangeAddress: data.exchange_address,
+            user: data.user,
+            marginAccountAddress: data.margin_account_address
+        })
+    },
+    Staked: {
+        module: "staking_vault",
+        account: (data) => data.user,
+        decode: (data) => ({
+            vaultAddress: data.vault_address,
+            user: data.user,
+            amount: fromToken(data.amount),
+            totalStakedAmount: fromToken(data.total_staked_amount),
+            userBalance: fromToken(data.user_balance)
+        })
+    },
+    Unstaked: {
+        module: "staking_vault",
+        account: (data) => data.user,
+        decode: (data) => ({
+            vaultAddress: data.vault_address,
+            user: data.user,
+            amountRequested: fromToken(data.amount_requested),
+            amountReceived: fromToken(data.amount_received),
+            remainingBalance: fromToken(data.remaining_balance),
+            totalStakedAmount: fromToken(data.total_staked_amount)
+        })
+    },
+    MarginBorrowed: {
+        module: "staking_vault",
+        // the borrower is the margin account object of a short, not the trader who owns it.
+        // ShortOpened links the two through its marginAccountAddress
+        account: (data) => data.borrower,
+        decode: (data) => ({
+            vaultAddress: data.vault_address,
+            borrower: data.borrower,
+            liquidityPoolAddress: data.liquidity_pool_address,
+            amount: fromToken(data.amount),
+            borrowFee: fromToken(data.borrow_fee)
+        })
+    },
+    SwapFeesCollected: {
+        module: "staking_vault",
+        account: () => null,
+        decode: (data) => ({
+            vaultAddress: data.vault_address,
+            amount: fromToken(data.amount),
+            totalSwapFees: fromToken(data.total_swap_fees)
+        })
+    },
+    VolatilityMarketProfit: {
+        module: "staking_vault",
+        account: () => null,
+        decode: (data) => ({
+            vaultAddress: data.vault_address,
+            amount: fromToken(data.amount),
+            totalClaimableAmount: fromToken(data.total_claimable_amount)
+        })
+    },
+    Swapped: {
+        module: "implied_volatility_market",
+        account: (data) => data.trader,
+        decode: (data) => ({
+            marketAddress: data.market_address,
+            trader: data.trader,
+            // SwapType.BUY_IV pays amountIn USDC for amountOut IV, SELL_IV the reverse
+            swapType: Number(data.swap_type),
+            amountIn: fromToken(data.amount_in),
+            amountOut: fromToken(data.amount_out),
+            swapFee: fromToken(data.swap_fee)
+        })
+    },
+    ShortOpened: {
+        module: "implied_volatility_market",
+        account: (data) => data.trader,
+        decode: (data) => ({
+            marketAddress: data.market_address,
+            trader: data.trader,
+            marginAccountAddress: data.margin_account_address,
+            collateral: fromToken(data.collateral),
+            ivUnitsBorrowed: fromToken(data.iv_units_borrowed)
+        })
+    },
+    ShortCollateralAdded: {
+        module: "implied_volatility_market",
+        account: (data) => data.trader,
+        decode: (data) => ({
+            marketAddress: data.market_address,
+            trader: data.trader,
+            amount: fromToken(data.amount)
+        })
+    },
+    ShortReduced: {
+        module: "implied_volatility_market",
+        account: (data) => data.trader,
+        decode: (data) => ({
+            marketAddress: data.market_address,
+            trader: data.trader,
+            ivUnitsRepaid: fromToken(data.iv_units_repaid),
+            usdcPaid: fromToken(data.usdc_paid),
+            collateralReleased: fromToken(data.collateral_released),
+            usdcReturned: fromToken(data.usdc_returned)
+        })
+    },
+    ShortClosed: {
+        module: "implied_volatility_market",
+        account: (data) => data.trader,
+        decode: (data) => ({
+            marketAddress: data.market_address,
+            trader: data.trader,
+            ivUnitsRepaid: fromToken(data.iv_units_repaid),
+            usdcPaid: fromToken(data.usdc_paid),
+            collateral: fromToken(data.collateral),
+            usdcReturned: fromToken(data.usdc_returned)
+        })
+    },
+    MarketCreated: {
+        module: "volatility_marketplace",
+        account: (data) => data.creator,
+        decode: (data) => ({
+            marketId: Number(data.market_id),
+            marketAddress: data.market_address,
+            assetSymbol: data.asset_symbol,
+            initialVolatility: fromToken(data.initial_volatility),
+            expiration: fromSeconds(data.expiration_timestamp),
+            creator: data.creator
+        })
+    },
+    MarketSettled: {
+        module: "volatility_marketplace",
+        account: (data) => data.settler,
+        decode: (data) => ({
+            marketId: Number(data.market_id),
+            marketAddress: data.market_address,
+            assetSymbol: data.asset_symbol,
+            settlementPrice: fromToken(data.settlement_price),
+            settler: data.settler
+        })
+    }
+};
+
+/**
+ * Fully qualified Move type of a Strata event
+ * @param {string} codeAddress - Address the package is published at
+ * @param {string} name - Key of EVENT_TYPES
+ * @returns {string} e.g. "0x24ae...::options_exchange::PositionOpened"
+ */
+export const eventTypeOf = (codeAddress, name) => `${codeAddress.toLowerCase()}::${EVENT_TYPES[name].module}::${name}`;
+
+/**
+ * Decode an event row from the indexer's events table
+ * @param {string} name - Key of EVENT_TYPES
+ * @param {{transaction_version: number|string, event_index: number|string, data: Object}} row
+ * @param {?number} [timestamp] - Block time of the transaction in milliseconds
+ * @param {?string} [hash] - Hash of the transaction
+ * @returns {StrataEvent}
+ */
+export const decodeEvent = (name, row, timestamp = null, hash = null) => {
+    const eventType = EVENT_TYPES[name];
+    if (!eventType) {
+        throw new Error(`Unknown Strata event: ${name}`);
+    }
+
+    const version = Number(row.transaction_version);
+    const eventIndex = Number(row.event_index);
+
+    return {
+        id: `${version}:${eventIndex}`,
+        type: name,
+        version,
+        eventIndex,
+        timestamp,
+        hash,
+        account: eventType.account(row.data) || null,
+        ...eventType.decode(row.data)
+    };
+};
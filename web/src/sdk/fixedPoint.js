@@ -0,0 +1,266 @@
+// Fixed-point decimals on BigInt. A fixed-point value is an integer (bigint) scaled by
+// 10^decimals, the same representation the contracts use for u64 / u256 amounts, so
+// values can be parsed, rounded and combined without going through floats.
+
+// USDC, IV tokens, IV quotes and vault shares use 6 decimals
+export const TOKEN_DECIMALS = 6;
+
+// Option amounts, strikes, prices, rates and volatilities use 18 decimals
+export const FIXED_DECIMALS = 18;
+
+export const Rounding = {
+    TRUNC: 'trunc',         // toward zero
+    FLOOR: 'floor',         // toward -infinity
+    CEIL: 'ceil',           // toward +infinity
+    HALF_UP: 'half-up',     // to nearest, ties away from zero
+    HALF_EVEN: 'half-even'  // to nearest, ties to even
+};
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * 10^decimals as a bigint
+ * @param {number} decimals
+ * @returns {bigint}
+ */
+export const scaleOf = (decimals) => {
+    if (!Number.isInteger(decimals) || decimals < 0) {
+        throw new Error(`Invalid decimals: ${decimals}`);
+    }
+
+    return 10n ** BigInt(decimals);
+}
+
+// Raw fixed-point values may be passed as bigint, integer string or safe integer
+const toBigInt = (raw) => {
+    if (typeof raw === 'bigint') return raw;
+    if (typeof raw === 'number' && !Number.isSafeInteger(raw)) {
+        throw new Error(`Raw value must be a safe integer: ${raw}`);
+    }
+
+    return BigInt(raw);
+}
+
+/**
+ * Integer division with an explicit rounding mode
+ * @param {bigint} numerator
+ * @param {bigint} denominator - Nonzero
+ * @param {string} [rounding=Rounding.TRUNC]
+ * @returns {bigint}
+ */
+export const divRound = (numerator, denominator, rounding = Rounding.TRUNC) => {
+    if (denominator === 0n) {
+        throw new Error('Division by zero');
+    }
+
+    // normalise to a positive denominator so the sign of the result is the sign of the numerator
+    if (denominator < 0n) {
+        numerator = -numerator;
+        denominator = -denominator;
+    }
+
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder === 0n) return quotient;
+
+    const negative = numerator < 0n;
+    const awayFromZero = negative ? quotient - 1n : quotient + 1n;
+    const twiceRemainder = (negative ? -remainder : remainder) * 2n;
+
+    switch (rounding) {
+        case Rounding.TRUNC:
+            return quotient;
+        case Rounding.FLOOR:
+            return negative ? quotient - 1n : quotient;
+        case Rounding.CEIL:
+            return negative ? quotient : quotient + 1n;
+        case Rounding.HALF_UP:
+            return twiceRemainder >= denominator ? awayFromZero : quotient;
+        case Rounding.HALF_EVEN:
+            if (twiceRemainder === denominator) {
+                return quotient % 2n === 0n ? quotient : awayFromZero;
+            }
+            return twiceRemainder > denominator ? awayFromZero : quotient;
+        default:
+            throw new Error(`Unknown rounding mode: ${rounding}`);
+    }
+}
+
+/**
+ * Parse a decimal amount into a fixed-point integer. Strings are parsed exactly, including
+ * exponent notation. Numbers are parsed from their shortest string form, so 0.1 is exactly
+ * 0.1 rather than the binary float error of 0.1 * 10^decimals.
+ * @param {string|number|bigint} value - Amount in whole units, e.g. "1.5"; a bigint is a whole number
+ * @param {number} decimals - Decimals of the result
+ * @param {string} [rounding=Rounding.TRUNC] - Applied to digits beyond the given decimals
+ * @returns {bigint} e.g. parseFixed("1.5", 6) === 1500000n
+ */
+export const parseFixed = (value, decimals, rounding = Rounding.TRUNC) => {
+    const scale = scaleOf(decimals);
+
+    if (typeof value === 'bigint') return value * scale;
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+        throw new Error(`Invalid amount: ${value}`);
+    }
+
+    const match = typeof value === 'string' || typeof value === 'number' ?
+        DECIMAL_PATTERN.exec(String(value).trim()) :
+        null;
+
+    if (!match || (!match[2] && !match[3])) {
+        throw new Error(`Invalid amount: ${value}`);
+    }
+
+    const [, sign, integerPart = '', fractionPart = '', exponentPart = '0'] = match;
+    const mantissa = BigInt((integerPart + fractionPart) || '0') * (sign === '-' ? -1n : 1n);
+    const shift = parseInt(exponentPart, 10) - fractionPart.length + decimals;
+
+    return shift >= 0 ?
+        mantissa * 10n ** BigInt(shift) :
+        divRound(mantissa, 10n ** BigInt(-shift), rounding);
+}
+
+/**
+ * Change the number of decimals of a fixed-point value
+ * @param {bigint|string|number} raw
+ * @param {number} fromDecimals
+ * @param {number} toDecimals
+ * @param {string} [rounding=Rounding.TRUNC] - Used when decimals are removed
+ * @returns {bigint} e.g. rescale(1500000n, 6, 18) === 1500000000000000000n
+ */
+export const rescale = (raw, fromDecimals, toDecimals, rounding = Rounding.TRUNC) => {
+    const value = toBigInt(raw);
+
+    return toDecimals >= fromDecimals ?
+        value * scaleOf(toDecimals - fromDecimals) :
+        divRound(value, scaleOf(fromDecimals - toDecimals), rounding);
+}
+
+/**
+ * Round a fixed-point value to fewer decimal places, keeping its scale
+ * @param {bigint|string|number} raw
+ * @param {number} decimals - Decimals of raw
+ * @param {number} places - Decimal places to keep
+ * @param {string} [rounding=Rounding.HALF_UP]
+ * @returns {bigint} e.g. roundFixed(1234567n, 6, 2) === 1230000n
+ */
+export const roundFixed = (raw, decimals, places, rounding = Rounding.HALF_UP) => {
+    if (places >= decimals) return toBigInt(raw);
+
+    return rescale(rescale(raw, decimals, places, rounding), places, decimals);
+}
+
+/**
+ * Format a fixed-point value as an exact decimal string
+ * @param {bigint|string|number} raw
+ * @param {number} decimals - Decimals of raw
+ * @param {Object} [options]
+ * @param {number} [options.maxDecimals] - Round to at most this many decimal places
+ * @param {string} [options.rounding=Rounding.HALF_UP] - Used with maxDecimals
+ * @param {boolean} [options.trimZeros=true] - Drop trailing zeros of the fraction
+ * @returns {string} e.g. formatFixed(1500000n, 6) === "1.5"
+ */
+export const formatFixed = (raw, decimals, { maxDecimals, rounding = Rounding.HALF_UP, trimZeros = true } = {}) => {
+    let value = toBigInt(raw);
+    let places = decimals;
+
+    if (maxDecimals !== undefined && maxDecimals < decimals) {
+        value = rescale(value, decimals, maxDecimals, rounding);
+        places = maxDecimals;
+    }
+
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(places + 1, '0');
+    const integerPart = digits.slice(0, digits.length - places);
+    let fractionPart = digits.slice(digits.length - places);
+
+    if (trimZeros) {
+        fractionPart = fractionPart.replace(/0+$/, '');
+    }
+
+    const text = fractionPart ? `${integerPart}.${fractionPart}` : integerPart;
+
+    return negative && /[1-9]/.test(text) ? `-${text}` : text;
+}
+
+/**
+ * Convert a fixed-point value to the nearest float, for display and float math
+ * @param {bigint|string|number} raw
+ * @param {number} decimals
+ * @returns {number} e.g. toNumber("100000000000000000000000", 18) === 100000
+ */
+export const toNumber = (raw, decimals) => Number(formatFixed(raw, decimals));
+
+/**
+ * Sum of fixed-point values with the same decimals
+ * @param {...(bigint|string|number)} values
+ * @returns {bigint}
+ */
+export const addFixed = (...values) => values.reduce((total, value) => total + toBigInt(value), 0n);
+
+/**
+ * Difference of two fixed-point values with the same decimals
+ * @param {bigint|string|number} a
+ * @param {bigint|string|number} b
+ * @returns {bigint} a - b
+ */
+export const subFixed = (a, b) => toBigInt(a) - toBigInt(b);
+
+/**
+ * Product of two fixed-point values with the same decimals
+ * @param {bigint|string|number} a
+ * @param {bigint|string|number} b
+ * @param {number} decimals
+ * @param {string} [rounding=Rounding.TRUNC]
+ * @returns {bigint} e.g. mulFixed(1500000n, 2000000n, 6) === 3000000n
+ */
+export const mulFixed = (a, b, decimals, rounding = Rounding.TRUNC) => {
+    return divRound(toBigInt(a) * toBigInt(b), scaleOf(decimals), rounding);
+}
+
+/**
+ * Quotient of two fixed-point values with the same decimals
+ * @param {bigint|string|number} a
+ * @param {bigint|string|number} b - Nonzero
+ * @param {number} decimals
+ * @param {string} [rounding=Rounding.TRUNC]
+ * @returns {bigint} e.g. divFixed(3000000n, 2000000n, 6) === 1500000n
+ */
+export const divFixed = (a, b, decimals, rounding = Rounding.TRUNC) => {
+    return divRound(toBigInt(a) * scaleOf(decimals), toBigInt(b), rounding);
+}
+
+/**
+ * Compare two fixed-point values with the same decimals
+ * @param {bigint|string|number} a
+ * @param {bigint|string|number} b
+ * @returns {number} -1, 0 or 1
+ */
+export const compareFixed = (a, b) => {
+    const difference = toBigInt(a) - toBigInt(b);
+
+    return difference === 0n ? 0 : difference > 0n ? 1 : -1;
+}
+
+/**
+ * Amount in whole units to the non-negative integer string expected by the contracts
+ * @param {number|string} value - e.g. 1.5
+ * @param {number} decimals
+ * @returns {string} e.g. "1500000"
+ */
+export const toRaw = (value, decimals) => {
+    const raw = parseFixed(value, decimals);
+    if (raw < 0n) {
+        throw new Error(`Amount must not be negative: ${value}`);
+    }
+
+    return raw.toString();
+}
+
+/**
+ * On-chain integer to a float in whole units, alias of toNumber
+ * @param {bigint|string|number} raw
+ * @param {number} decimals
+ * @returns {number}
+ */
+export const fromRaw = toNumber;
@@ -0,0 +1,275 @@
+import {
+    FIXED_DECIMALS,
+    TOKEN_DECIMALS,
+    Rounding,
+    scaleOf,
+    divRound,
+    parseFixed,
+    rescale,
+    roundFixed,
+    formatFixed,
+    toNumber,
+    addFixed,
+    subFixed,
+    mulFixed,
+    divFixed,
+    compareFixed,
+    toRaw
+} from './fixedPoint';
+
+// Property tests run each property against RUNS generated cases from a fixed seed, so a failure
+// is reproducible. The failing case is included in the assertion message.
+const RUNS = 300;
+const SEED = 0x5eed;
+
+// mulberry32
+const createRandom = (seed) => {
+    let state = seed;
+
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const integer = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+const pick = (random, values) => values[integer(random, 0, values.length - 1)];
+
+// bigint with up to maxDigits digits, biased towards edge values
+const bigint = (random, maxDigits = 40, signed = true) => {
+    const edge = random();
+    if (edge < 0.05) return 0n;
+    if (edge < 0.1) return signed && random() < 0.5 ? -1n : 1n;
+
+    const length = integer(random, 1, maxDigits);
+    let digits = '';
+    for (let i = 0; i < length; i++) {
+        digits += integer(random, 0, 9);
+    }
+
+    const value = BigInt(digits);
+    return signed && random() < 0.5 ? -value : value;
+};
+
+const nonZeroBigint = (random, maxDigits, signed) => {
+    const value = bigint(random, maxDigits, signed);
+    return value === 0n ? 1n : value;
+};
+
+const decimals = (random) => pick(random, [0, 1, 2, TOKEN_DECIMALS, 8, FIXED_DECIMALS, integer(random, 0, 30)]);
+const rounding = (random) => pick(random, Object.values(Rounding));
+
+const forAll = (generate, property) => {
+    const random = createRandom(SEED);
+
+    for (let run = 0; run < RUNS; run++) {
+        const input = generate(random);
+        const describeInput = () => JSON.stringify(input, (key, value) => typeof value === 'bigint' ? `${value}n` : value);
+
+        try {
+            property(input);
+        } catch (error) {
+            error.message = `Property failed on run ${run} for ${describeInput()}\n${error.message}`;
+            throw error;
+        }
+    }
+};
+
+const abs = (value) => value < 0n ? -value : value;
+
+describe('parseFixed / formatFixed', () => {
+    test('formatting then parsing returns the same value', () => {
+        forAll(random => ({ raw: bigint(random), decimals: decimals(random) }), ({ raw, decimals }) => {
+            expect(parseFixed(formatFixed(raw, decimals), decimals)).toBe(raw);
+        });
+    });
+
+    test('untrimmed output has exactly the requested decimals', () => {
+        forAll(random => ({ raw: bigint(random), decimals: integer(random, 1, 30) }), ({ raw, decimals }) => {
+            const text = formatFixed(raw, decimals, { trimZeros: false });
+
+            expect(text.split('.')[1]).toHaveLength(decimals);
+            expect(text.replace(/^-/, '').replace('.', '').replace(/^0+(?=\d)/, '')).toBe(abs(raw).toString());
+        });
+    });
+
+    test('exponent notation parses to the same value as the expanded decimal', () => {
+        forAll(random => ({ mantissa: bigint(random, 20), exponent: integer(random, -25, 25), decimals: decimals(random) }), ({ mantissa, exponent, decimals }) => {
+            const expanded = formatFixed(exponent >= 0 ? mantissa * 10n ** BigInt(exponent) : mantissa, exponent >= 0 ? 0 : -exponent);
+
+            expect(parseFixed(`${mantissa}e${exponent}`, decimals)).toBe(parseFixed(expanded, decimals));
+        });
+    });
+
+    test('extra digits are truncated by default and rounded on request', () => {
+        forAll(random => ({ raw: bigint(random), decimals: integer(random, 0, 18), extra: integer(random, 1, 12), rounding: rounding(random) }), ({ raw, decimals, extra, rounding }) => {
+            const text = formatFixed(raw, decimals + extra);
+
+            expect(parseFixed(text, decimals)).toBe(divRound(raw, scaleOf(extra), Rounding.TRUNC));
+            expect(parseFixed(text, decimals, rounding)).toBe(divRound(raw, scaleOf(extra), rounding));
+        });
+    });
+
+    test('floats with up to 6 decimals survive a round trip', () => {
+        forAll(random => integer(random, -Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER) / 1e6, (value) => {
+            expect(toNumber(parseFixed(value, TOKEN_DECIMALS), TOKEN_DECIMALS)).toBe(value);
+        });
+    });
+
+    test('toNumber matches the float division for values a double represents exactly', () => {
+        forAll(random => ({ raw: BigInt(integer(random, -1e15, 1e15)), decimals: integer(random, 0, 15) }), ({ raw, decimals }) => {
+            expect(toNumber(raw, decimals)).toBe(Number(raw) / 10 ** decimals);
+        });
+    });
+
+    test('examples', () => {
+        expect(parseFixed('1.5', 6)).toBe(1500000n);
+        expect(parseFixed(0.1, 18)).toBe(100000000000000000n);
+        expect(parseFixed(5, 0)).toBe(5n);
+        expect(parseFixed('0.000001', 6)).toBe(1n);
+        expect(parseFixed(1e-7, 18)).toBe(100000000000n);
+        expect(parseFixed(1e21, 6)).toBe(1000000000000000000000000000n);
+        expect(parseFixed('-2.5', 6)).toBe(-2500000n);
+        expect(parseFixed('.5', 1)).toBe(5n);
+        expect(parseFixed(3n, 6)).toBe(3000000n);
+
+        expect(formatFixed(1500000n, 6)).toBe('1.5');
+        expect(formatFixed(5n, 0)).toBe('5');
+        expect(formatFixed('1', 18)).toBe('0.000000000000000001');
+        expect(formatFixed(-1n, 6, { maxDecimals: 2 })).toBe('0');
+        expect(formatFixed(1234567n, 6, { maxDecimals: 2 })).toBe('1.23');
+
+        expect(toNumber('100000000000000000000000', 18)).toBe(100000);
+    });
+
+    test('invalid input throws', () => {
+        ['', '.', 'abc', '1.2.3', '1e', '--1', NaN, Infinity, null, undefined, {}].forEach(value => {
+            expect(() => parseFixed(value, 6)).toThrow();
+        });
+        expect(() => parseFixed('1', -1)).toThrow();
+        expect(() => formatFixed(1.5, 6)).toThrow();
+        expect(() => toRaw('-1', 6)).toThrow();
+    });
+});
+
+describe('divRound', () => {
+    test('every mode lands on one of the two integers around the exact quotient', () => {
+        forAll(random => ({ numerator: bigint(random), denominator: nonZeroBigint(random, 20), rounding: rounding(random) }), ({ numerator, denominator, rounding }) => {
+            const quotient = divRound(numerator, denominator, rounding);
+            const floor = divRound(numerator, denominator, Rounding.FLOOR);
+            const ceil = divRound(numerator, denominator, Rounding.CEIL);
+
+            // floor * d <= n <= ceil * d (with the sign of d folded in)
+            const sign = denominator < 0n ? -1n : 1n;
+            expect(floor * denominator * sign <= numerator * sign).toBe(true);
+            expect(ceil * denominator * sign >= numerator * sign).toBe(true);
+            expect(ceil - floor === 0n || ceil - floor === 1n).toBe(true);
+            expect(quotient === floor || quotient === ceil).toBe(true);
+        });
+    });
+
+    test('truncation rounds toward zero and nearest modes are within half a unit', () => {
+        forAll(random => ({ numerator: bigint(random), denominator: nonZeroBigint(random, 20) }), ({ numerator, denominator }) => {
+            expect(divRound(numerator, denominator)).toBe(numerator / denominator);
+
+            [Rounding.HALF_UP, Rounding.HALF_EVEN].forEach(mode => {
+                const quotient = divRound(numerator, denominator, mode);
+
+                expect(abs(numerator - quotient * denominator) * 2n <= abs(denominator)).toBe(true);
+            });
+        });
+    });
+
+    test('ties', () => {
+        expect(divRound(5n, 2n, Rounding.HALF_UP)).toBe(3n);
+        expect(divRound(-5n, 2n, Rounding.HALF_UP)).toBe(-3n);
+        expect(divRound(5n, 2n, Rounding.HALF_EVEN)).toBe(2n);
+        expect(divRound(7n, 2n, Rounding.HALF_EVEN)).toBe(4n);
+        expect(divRound(-7n, 2n, Rounding.HALF_EVEN)).toBe(-4n);
+        expect(() => divRound(1n, 0n)).toThrow();
+    });
+});
+
+describe('rescale / roundFixed', () => {
+    test('scaling up then down is the identity', () => {
+        forAll(random => ({ raw: bigint(random), from: decimals(random), extra: integer(random, 0, 18) }), ({ raw, from, extra }) => {
+            expect(rescale(rescale(raw, from, from + extra), from + extra, from)).toBe(raw);
+        });
+    });
+
+    test('scaling down loses less than one unit of the smaller scale', () => {
+        forAll(random => ({ raw: bigint(random), to: integer(random, 0, 18), extra: integer(random, 0, 18), rounding: rounding(random) }), ({ raw, to, extra, rounding }) => {
+            const restored = rescale(rescale(raw, to + extra, to, rounding), to, to + extra);
+
+            expect(abs(restored - raw) < scaleOf(extra) || extra === 0).toBe(true);
+        });
+    });
+
+    test('rounding is idempotent and keeps the scale', () => {
+        forAll(random => ({ raw: bigint(random), decimals: integer(random, 0, 18), places: integer(random, 0, 18), rounding: rounding(random) }), ({ raw, decimals, places, rounding }) => {
+            const rounded = roundFixed(raw, decimals, places, rounding);
+
+            expect(roundFixed(rounded, decimals, places, rounding)).toBe(rounded);
+            if (places < decimals) {
+                expect(rounded % scaleOf(decimals - places)).toBe(0n);
+            }
+        });
+    });
+
+    test('examples', () => {
+        expect(rescale(1500000n, 6, 18)).toBe(1500000000000000000n);
+        expect(rescale(1999999999999999999n, 18, 6)).toBe(1999999n);
+        expect(rescale(1999999999999999999n, 18, 6, Rounding.HALF_UP)).toBe(2000000n);
+        expect(roundFixed(1234567n, 6, 2)).toBe(1230000n);
+        expect(roundFixed(1235000n, 6, 2)).toBe(1240000n);
+    });
+});
+
+describe('arithmetic and comparison', () => {
+    test('subtraction undoes addition', () => {
+        forAll(random => ({ a: bigint(random), b: bigint(random) }), ({ a, b }) => {
+            expect(subFixed(addFixed(a, b), b)).toBe(a);
+            expect(addFixed(a, b)).toBe(addFixed(b, a));
+        });
+    });
+
+    test('multiplication is commutative, has one as identity and truncates by less than a unit', () => {
+        forAll(random => ({ a: bigint(random, 30), b: bigint(random, 30), decimals: decimals(random) }), ({ a, b, decimals }) => {
+            const scale = scaleOf(decimals);
+            const product = mulFixed(a, b, decimals);
+
+            expect(mulFixed(b, a, decimals)).toBe(product);
+            expect(mulFixed(a, scale, decimals)).toBe(a);
+            expect(abs(a * b - product * scale) < scale).toBe(true);
+        });
+    });
+
+    test('division inverts multiplication by a whole number', () => {
+        forAll(random => ({ a: bigint(random, 30), factor: nonZeroBigint(random, 6), decimals: decimals(random) }), ({ a, factor, decimals }) => {
+            const b = factor * scaleOf(decimals);
+
+            expect(divFixed(mulFixed(a, b, decimals), b, decimals)).toBe(a);
+            expect(divFixed(a, scaleOf(decimals), decimals)).toBe(a);
+        });
+    });
+
+    test('comparison is antisymmetric and agrees with subtraction', () => {
+        forAll(random => ({ a: bigint(random), b: bigint(random) }), ({ a, b }) => {
+            const difference = subFixed(a, b);
+
+            expect(compareFixed(a, b) + compareFixed(b, a)).toBe(0);
+            expect(compareFixed(a, b)).toBe(difference === 0n ? 0 : difference > 0n ? 1 : -1);
+        });
+    });
+
+    test('raw strings are accepted as operands', () => {
+        expect(addFixed('1500000', 500000n, 1)).toBe(2000001n);
+        expect(mulFixed('1500000', '2000000', TOKEN_DECIMALS)).toBe(3000000n);
+        expect(divFixed(3000000n, 2000000n, TOKEN_DECIMALS)).toBe(1500000n);
+        expect(compareFixed('10', 9)).toBe(1);
+        expect(() => divFixed(1n, 0n, 6)).toThrow();
+    });
+});
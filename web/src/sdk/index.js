@@ -0,0 +1,62 @@
+// Strata SDK: framework-free bindings for the Strata contracts, usable from the web app,
+// bots and scripts. Only depends on an @aptos-labs/ts-sdk Aptos client supplied by the caller.
+export { StrataClient, SwapType, OptionType, Side } from "./StrataClient";
+export {
+    PythClient,
+    PythError,
+    FeedNotFoundError,
+    StalePriceError,
+    PriceConfidenceError,
+    HermesRequestError
+} from "./PythClient";
+export { SUGGESTED_ACTIONS, parseMoveAbort, decodeVmStatus } from "./abortCodes";
+export { APT_DECIMALS, summarizeSimulation } from "./simulation";
+export { EVENT_TYPES, eventTypeOf, decodeEvent } from "./events";
+export { EventIndexer } from "./EventIndexer";
+export { MemoryEventStore, IndexedDbEventStore, normalizeAddress, compareEvents, filterEvents } from "./eventStores";
+export { HistoryProduct, TRADE_HISTORY_EVENTS, marketKeyOf, buildTradeHistory, marketNamesOf, summarizeRealizedPnl } from "./tradeHistory";
+export {
+    APY_WINDOWS,
+    VAULT_METRIC_EVENTS,
+    sharePriceOf,
+    sharePriceHistory,
+    trailingApy,
+    maxDrawdown,
+    stakingMarkers,
+    tradingVolume,
+    outstandingLoans,
+    countStakers,
+    computeVaultMetrics
+} from "./vaultMetrics";
+export {
+    ExportFormat,
+    POSITION_COLUMNS,
+    ACTIVITY_COLUMNS,
+    isInDateRange,
+    toPositionRecords,
+    toActivityRecords,
+    toCsv,
+    toJson,
+    createExport
+} from "./dataExport";
+export { PackageFeature, PACKAGE_FEATURES, missingFeatures } from "./packageFeatures";
+export { MANIFEST_VERSION, ADDRESS_KEYS, expectedResources, validateManifest } from "./manifest";
+export {
+    TOKEN_DECIMALS,
+    FIXED_DECIMALS,
+    Rounding,
+    scaleOf,
+    divRound,
+    parseFixed,
+    rescale,
+    roundFixed,
+    formatFixed,
+    toNumber,
+    addFixed,
+    subFixed,
+    mulFixed,
+    divFixed,
+    compareFixed,
+    toRaw,
+    fromRaw
+} from "./fixedPoint";
@@ -0,0 +1,74 @@
+// Deployment manifest: the contract addresses of a Strata deployment on each network, written
+// by web/scripts/write-deployment-manifest.js after the package is published and set up.
+//
+// {
+//     "version": 1,
+//     "networks": {
+//         "testnet": { "code": "0x...", "usdc": "0x...", "marketplace": "0x...", ... }
+//     }
+// }
+
+export const MANIFEST_VERSION = 1;
+
+// Addresses every deployment must list, see StrataAddresses in types.js
+export const ADDRESS_KEYS = ["code", "usdc", "marketplace", "staking_vault", "options_exchange", "price_oracle"];
+
+const ADDRESS_PATTERN = /^0x[0-9a-f]{1,64}$/i;
+
+/**
+ * Resource each deployed address must hold
+ * @param {import("./types").StrataAddresses} addresses
+ * @returns {Object<string, string>} Address key to fully qualified resource type
+ */
+export const expectedResources = (addresses) => ({
+    code: "0x1::code::PackageRegistry",
+    usdc: "0x1::fungible_asset::Metadata",
+    marketplace: `${addresses.code}::volatility_marketplace::Marketplace`,
+    staking_vault: `${addresses.code}::staking_vault::Vault`,
+    options_exchange: `${addresses.code}::options_exchange::OptionsExchange`,
+    price_oracle: `${addresses.code}::price_oracle::PriceOracle`
+});
+
+/**
+ * Check the shape of a deployment manifest and return its address sets
+ * @param {Object} manifest - Parsed manifest JSON
+ * @returns {Object<string, import("./types").StrataAddresses>} Addresses keyed by network name
+ * @throws {Error} Listing every problem found
+ */
+export const validateManifest = (manifest) => {
+    const problems = [];
+
+    if (!manifest || typeof manifest !== 'object') {
+        throw new Error('Invalid deployment manifest: expected an object');
+    }
+    if (manifest.version !== MANIFEST_VERSION) {
+        problems.push(`unsupported version ${manifest.version}, expected ${MANIFEST_VERSION}`);
+    }
+    if (!manifest.networks || typeof manifest.networks !== 'object') {
+        problems.push('missing networks');
+    }
+
+    const deployments = {};
+
+    Object.entries(manifest.networks || {}).forEach(([network, entry]) => {
+        const addresses = {};
+
+        ADDRESS_KEYS.forEach(key => {
+            const address = entry && entry[key];
+
+            if (typeof address !== 'string' || !ADDRESS_PATTERN.test(address)) {
+                problems.push(`${network}.${key} is not an address: ${address}`);
+            } else {
+                addresses[key] = address.toLowerCase();
+            }
+        });
+
+        deployments[network] = addresses;
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid deployment manifest:\n- ${problems.join('\n- ')}`);
+    }
+
+    return deployments;
+}
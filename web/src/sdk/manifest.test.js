@@ -0,0 +1,52 @@
+import { MANIFEST_VERSION, ADDRESS_KEYS, validateManifest } from './manifest';
+
+const testnet = {
+    code: '0xC0DE',
+    usdc: '0xa',
+    marketplace: '0xb',
+    staking_vault: '0xc',
+    options_exchange: '0xd',
+    price_oracle: '0xe'
+};
+
+describe('validateManifest', () => {
+    test('returns the addresses of each network in lower case', () => {
+        expect(validateManifest({ version: MANIFEST_VERSION, networks: { testnet } })).toEqual({
+            testnet: { ...testnet, code: '0xc0de' }
+        });
+    });
+
+    test('ignores keys that are not addresses of the deployment', () => {
+        const deployments = validateManifest({ version: MANIFEST_VERSION, networks: { testnet: { ...testnet, publishedAt: '2024-01-01' } } });
+
+        expect(Object.keys(deployments.testnet)).toEqual(ADDRESS_KEYS);
+    });
+
+    test('rejects anything but an object', () => {
+        expect(() => validateManifest(null)).toThrow('expected an object');
+        expect(() => validateManifest('{}')).toThrow('expected an object');
+    });
+
+    test('lists every problem found', () => {
+        const manifest = {
+            version: 2,
+            networks: {
+                testnet: { ...testnet, usdc: undefined },
+                mainnet: { ...testnet, marketplace: '0xnot-hex', price_oracle: `0x${'1'.repeat(65)}` }
+            }
+        };
+
+        expect(() => validateManifest(manifest)).toThrow([
+            'Invalid deployment manifest:',
+            `- unsupported version 2, expected ${MANIFEST_VERSION}`,
+            '- testnet.usdc is not an address: undefined',
+            '- mainnet.marketplace is not an address: 0xnot-hex',
+            `- mainnet.price_oracle is not an address: 0x${'1'.repeat(65)}`
+        ].join('\n'));
+    });
+
+    test('requires the networks', () => {
+        expect(() => validateManifest({ version: MANIFEST_VERSION })).toThrow('missing networks');
+        expect(() => validateManifest({ version: MANIFEST_VERSION, networks: { testnet: null } })).toThrow('testnet.code is not an address');
+    });
+});
@@ -0,0 +1,54 @@
+// Contract functions added after the configured deployments were published. A package published
+// before them does not have them, and every call to them aborts, so apps compare the ABIs of the
+// deployed modules with this list and turn off what the package cannot do.
+//
+// Adding functions and structs is a compatible upgrade: republishing the package at the same
+// address with `aptos move publish` enables them without changing the deployment manifest.
+
+export const PackageFeature = Object.freeze({
+    SHORT_MANAGEMENT: "shortManagement",
+    ORACLE_PRICE_INFO: "oraclePriceInfo",
+    TRADE_EVENTS: "tradeEvents"
+});
+
+/**
+ * Module functions and structs each feature needs
+ * @type {Object<string, {module: string, functions: string[], structs: string[]}>}
+ */
+export const PACKAGE_FEATURES = Object.freeze({
+    [PackageFeature.SHORT_MANAGEMENT]: {
+        module: "implied_volatility_market",
+        functions: ["get_margin_account_balance", "add_short_collateral", "reduce_short_position"],
+        structs: []
+    },
+    [PackageFeature.ORACLE_PRICE_INFO]: {
+        module: "price_oracle",
+        functions: ["get_price_info"],
+        structs: []
+    },
+    // IV swaps and shorts, the trade history of the IV markets is built from them
+    [PackageFeature.TRADE_EVENTS]: {
+        module: "implied_volatility_market",
+        functions: [],
+        structs: ["Swapped", "ShortOpened", "ShortCollateralAdded", "ShortReduced", "ShortClosed"]
+    }
+});
+
+/**
+ * Features whose functions or structs are missing from the deployed modules
+ * @param {Object<string, ?Object>} modules - Module name to its ABI (exposed_functions and structs),
+ *   null for a module that is not published
+ * @param {Object} [features] - See PACKAGE_FEATURES
+ * @returns {string[]} Names of the missing features, empty when the package is up to date
+ */
+export const missingFeatures = (modules, features = PACKAGE_FEATURES) => Object.entries(features)
+    .filter(([, { module, functions, structs }]) => {
+        const abi = modules[module];
+        if (!abi) return true;
+
+        const exposedFunctions = new Set(abi.exposed_functions.map(fn => fn.name));
+        const declaredStructs = new Set(abi.structs.map(struct => struct.name));
+
+        return !functions.every(name => exposedFunctions.has(name)) || !structs.every(name => declaredStructs.has(name));
+    })
+    .map(([name]) => name);
@@ -0,0 +1,69 @@
+import { PackageFeature, missingFeatures } from './packageFeatures';
+import { StrataClient } from './StrataClient';
+
+const TRADE_EVENTS = ['Swapped', 'ShortOpened', 'ShortCollateralAdded', 'ShortReduced', 'ShortClosed'];
+
+const abiOf = (functions, structs = []) => ({
+    exposed_functions: functions.map(name => ({ name })),
+    structs: structs.map(name => ({ name }))
+});
+
+const upToDate = {
+    implied_volatility_market: abiOf(
+        ['swap', 'get_margin_account_balance', 'add_short_collateral', 'reduce_short_position'],
+        TRADE_EVENTS
+    ),
+    price_oracle: abiOf(['get_price', 'get_price_info'])
+};
+
+describe('missingFeatures', () => {
+    test('is empty for an up to date package', () => {
+        expect(missingFeatures(upToDate)).toEqual([]);
+    });
+
+    test('lists features with a missing function or module', () => {
+        expect(missingFeatures({ ...upToDate, implied_volatility_market: abiOf(['swap', 'add_short_collateral'], TRADE_EVENTS) }))
+            .toEqual([PackageFeature.SHORT_MANAGEMENT]);
+        expect(missingFeatures({ ...upToDate, price_oracle: abiOf(['get_price']) })).toEqual([PackageFeature.ORACLE_PRICE_INFO]);
+        expect(missingFeatures({ ...upToDate, implied_volatility_market: null }))
+            .toEqual([PackageFeature.SHORT_MANAGEMENT, PackageFeature.TRADE_EVENTS]);
+    });
+
+    test('lists features with a missing struct', () => {
+        const { implied_volatility_market: { exposed_functions } } = upToDate;
+        const modules = { ...upToDate, implied_volatility_market: { exposed_functions, structs: [{ name: 'Swapped' }] } };
+
+        expect(missingFeatures(modules)).toEqual([PackageFeature.TRADE_EVENTS]);
+    });
+});
+
+describe('StrataClient.getMissingFeatures', () => {
+    const addresses = { code: '0xc0de' };
+
+    test('reads the module ABIs of the package', async () => {
+        const requests = [];
+        const aptos = {
+            getAccountModule: async (request) => {
+                requests.push(request);
+                return { abi: request.moduleName === 'price_oracle' ? upToDate.price_oracle : abiOf(['swap']) };
+            }
+        };
+
+        await expect(new StrataClient(aptos, addresses).getMissingFeatures())
+            .resolves.toEqual([PackageFeature.SHORT_MANAGEMENT, PackageFeature.TRADE_EVENTS]);
+        expect(requests).toEqual([
+            { accountAddress: '0xc0de', moduleName: 'implied_volatility_market' },
+            { accountAddress: '0xc0de', moduleName: 'price_oracle' }
+        ]);
+    });
+
+    test('rethrows other errors than a missing module', async () => {
+        const aptos = {
+            getAccountModule: async () => {
+                throw Object.assign(new Error('unavailable'), { status: 503 });
+            }
+        };
+
+        await expect(new StrataClient(aptos, addresses).getMissingFeatures()).rejects.toThrow('unavailable');
+    });
+});
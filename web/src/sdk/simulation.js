@@ -0,0 +1,177 @@
+// Summaries of simulated transactions: the gas estimate, the decoded abort when the transaction
+// would fail, and the balance changes read from the simulated events, so a user can review what
+// a transaction does before the wallet asks them to sign it.
+import { decodeVmStatus } from "./abortCodes";
+import { FIXED_DECIMALS, TOKEN_DECIMALS, toNumber } from "./fixedPoint";
+
+export const APT_DECIMALS = 8;
+
+// Metadata address of APT as a fungible asset
+const APT_METADATA = "0xa";
+
+const WITHDRAW_EVENT = "0x1::fungible_asset::Withdraw";
+const DEPOSIT_EVENT = "0x1::fungible_asset::Deposit";
+const FUNGIBLE_STORE = "0x1::fungible_asset::FungibleStore";
+const OBJECT_CORE = "0x1::object::ObjectCore";
+
+const normalizeAddress = (address) => `0x${String(address).replace(/^0x/i, "").replace(/^0+(?=.)/, "").toLowerCase()}`;
+
+/**
+ * Balance change of a fungible asset held by the sender
+ * @typedef {Object} BalanceChange
+ * @property {string} token - "USDC", "APT" or "IV"
+ * @property {string} metadata - Metadata address of the asset
+ * @property {number} amount - Signed amount in whole units
+ */
+
+/**
+ * Effect of the transaction described by a Strata event
+ * @typedef {Object} SimulatedEffect
+ * @property {string} event - Event name, e.g. "PositionOpened"
+ * @property {string} label - Description, e.g. "Paid into position #3"
+ * @property {number} amount - Signed USDC amount in whole units, negative when paid by the sender
+ */
+
+/**
+ * @typedef {Object} SimulationSummary
+ * @property {boolean} success
+ * @property {string} vmStatus
+ * @property {?{message: string, action: string}} error - Decoded abort when success is false
+ * @property {{gasUsed: number, gasUnitPrice: number, maxGasAmount: number, fee: number}} gas -
+ *   fee is gasUsed * gasUnitPrice in APT
+ * @property {BalanceChange[]} balanceChanges - Net change per asset across the sender's stores
+ * @property {SimulatedEffect[]} effects
+ */
+
+// Owner and asset of every fungible store the transaction wrote to
+const readStores = (changes = []) => {
+    const stores = {};
+
+    changes.forEach(change => {
+        if (change.type !== "write_resource" || !change.data) return;
+
+        const address = normalizeAddress(change.address);
+        const store = stores[address] || {};
+
+        if (change.data.type === FUNGIBLE_STORE) {
+            store.metadata = normalizeAddress(change.data.data.metadata.inner);
+        } else if (change.data.type === OBJECT_CORE) {
+            store.owner = normalizeAddress(change.data.data.owner);
+        } else {
+            return;
+        }
+
+        stores[address] = store;
+    });
+
+    return stores;
+};
+
+const tokenOf = (metadata, addresses) => {
+    if (metadata === normalizeAddress(addresses.usdc)) return "USDC";
+    if (metadata === APT_METADATA) return "APT";
+
+    // every other asset a Strata transaction moves is the IV token of a market
+    return "IV";
+};
+
+const readBalanceChanges = (result, sender, addresses) => {
+    const stores = readStores(result.changes);
+    const totals = {};
+
+    (result.events || []).forEach(event => {
+        const sign = event.type === WITHDRAW_EVENT ? -1n : event.type === DEPOSIT_EVENT ? 1n : 0n;
+        if (sign === 0n) return;
+
+        const store = stores[normalizeAddress(event.data.store)];
+        if (!store || store.owner !== sender || !store.metadata) return;
+
+        totals[store.metadata] = (totals[store.metadata] || 0n) + sign * BigInt(event.data.amount);
+    });
+
+    return Object.entries(totals)
+        .filter(([, amount]) => amount !== 0n)
+        .map(([metadata, amount]) => ({
+            token: tokenOf(metadata, addresses),
+            metadata,
+            amount: toNumber(amount, metadata === APT_METADATA ? APT_DECIMALS : TOKEN_DECIMALS)
+        }));
+};
+
+// Strata events, keyed by module::name, that describe what the sender pays or receives
+const EFFECTS = {
+    "options_exchange::PositionOpened": (data, sender) => data.trader === sender && {
+        label: `Paid into position #${data.position_id} (premium and margin)`,
+        amount: -toNumber(data.net_amount_required, FIXED_DECIMALS)
+    },
+    "options_exchange::PositionClosed": (data, sender) => data.trader === sender && {
+        label: `Returned from position #${data.position_id}`,
+        amount: toNumber(data.amount_returned, FIXED_DECIMALS)
+    },
+    "staking_vault::Staked": (data, sender) => data.user === sender && {
+        label: "Staked",
+        amount: -toNumber(data.amount, TOKEN_DECIMALS)
+    },
+    "staking_vault::Unstaked": (data, sender) => data.user === sender && {
+        label: "Unstaked",
+        amount: toNumber(data.amount_received, TOKEN_DECIMALS)
+    },
+    "staking_vault::MarginBorrowed": (data) => ({
+        label: "Borrowed from the staking vault as margin",
+        amount: toNumber(data.amount, TOKEN_DECIMALS)
+    }),
+    "volatility_marketplace::USDCMinted": (data, sender) => data.recipient === sender && {
+        label: "Minted test USDC",
+        amount: toNumber(data.amount, TOKEN_DECIMALS)
+    }
+};
+
+const readEffects = (result, sender, addresses) => {
+    const codeAddress = normalizeAddress(addresses.code);
+
+    return (result.events || []).flatMap(event => {
+        const [address, module, name] = event.type.split("::");
+        const describe = EFFECTS[`${module}::${name}`];
+        if (!describe || normalizeAddress(address) !== codeAddress) return [];
+
+        const data = { ...event.data };
+        ["trader", "user", "recipient"].forEach(key => {
+            if (data[key]) data[key] = normalizeAddress(data[key]);
+        });
+
+        const effect = describe(data, sender);
+
+        return effect ? [{ event: name, ...effect }] : [];
+    });
+};
+
+/**
+ * Summarise the result of aptos.transaction.simulate.simple
+ * @param {Object} result - Simulated UserTransactionResponse
+ * @param {Object} context
+ * @param {string} context.sender - Address the transaction was simulated for
+ * @param {import("./types").StrataAddresses} context.addresses
+ * @returns {SimulationSummary}
+ */
+export const summarizeSimulation = (result, { sender, addresses }) => {
+    const normalizedSender = normalizeAddress(sender);
+    const gasUsed = Number(result.gas_used);
+    const gasUnitPrice = Number(result.gas_unit_price);
+
+    return {
+        success: result.success,
+        vmStatus: result.vm_status,
+        error: result.success ? null : (decodeVmStatus(result.vm_status) || {
+            message: result.vm_status,
+            action: "Check the inputs and try again."
+        }),
+        gas: {
+            gasUsed,
+            gasUnitPrice,
+            maxGasAmount: Number(result.max_gas_amount),
+            fee: toNumber(BigInt(result.gas_used) * BigInt(result.gas_unit_price), APT_DECIMALS)
+        },
+        balanceChanges: result.success ? readBalanceChanges(result, normalizedSender, addresses) : [],
+        effects: result.success ? readEffects(result, normalizedSender, addresses) : []
+    };
+};
@@ -0,0 +1,137 @@
+import { summarizeSimulation } from './simulation';
+
+const SENDER = '0x00b0b';
+const addresses = {
+    code: '0xc0de',
+    usdc: '0x05dc',
+    marketplace: '0x111',
+    staking_vault: '0x222',
+    options_exchange: '0x333',
+    price_oracle: '0x444'
+};
+
+const SENDER_USDC_STORE = '0x5001';
+const SENDER_IV_STORE = '0x5002';
+const VAULT_USDC_STORE = '0x5003';
+
+const storeChanges = (address, owner, metadata) => [
+    {
+        type: 'write_resource',
+        address,
+        data: { type: '0x1::object::ObjectCore', data: { owner, allow_ungated_transfer: false } }
+    },
+    {
+        type: 'write_resource',
+        address,
+        data: { type: '0x1::fungible_asset::FungibleStore', data: { metadata: { inner: metadata }, balance: '0', frozen: false } }
+    }
+];
+
+const simulation = (overrides) => ({
+    success: true,
+    vm_status: 'Executed successfully',
+    gas_used: '1500',
+    gas_unit_price: '100',
+    max_gas_amount: '200000',
+    changes: [],
+    events: [],
+    ...overrides
+});
+
+describe('summarizeSimulation', () => {
+    test('computes the gas fee in APT', () => {
+        const { gas } = summarizeSimulation(simulation(), { sender: SENDER, addresses });
+
+        expect(gas).toEqual({ gasUsed: 1500, gasUnitPrice: 100, maxGasAmount: 200000, fee: 0.0015 });
+    });
+
+    test('reads the staked amount and the USDC withdrawn from the sender', () => {
+        const summary = summarizeSimulation(simulation({
+            changes: [
+                ...storeChanges(SENDER_USDC_STORE, '0xb0b', addresses.usdc),
+                ...storeChanges(VAULT_USDC_STORE, addresses.staking_vault, addresses.usdc)
+            ],
+            events: [
+                { type: '0x1::fungible_asset::Withdraw', data: { store: SENDER_USDC_STORE, amount: '100000000' } },
+                { type: '0x1::fungible_asset::Deposit', data: { store: VAULT_USDC_STORE, amount: '100000000' } },
+                {
+                    type: '0xc0de::staking_vault::Staked',
+                    data: { vault_address: addresses.staking_vault, user: '0xb0b', amount: '100000000', total_staked_amount: '500000000', user_balance: '100000000' }
+                }
+            ]
+        }), { sender: SENDER, addresses });
+
+        expect(summary.balanceChanges).toEqual([{ token: 'USDC', metadata: '0x5dc', amount: -100 }]);
+        expect(summary.effects).toEqual([{ event: 'Staked', label: 'Staked', amount: -100 }]);
+    });
+
+    test('reads the amount required to open an options position', () => {
+        const summary = summarizeSimulation(simulation({
+            events: [{
+                type: '0xc0de::options_exchange::PositionOpened',
+                data: {
+                    exchange_address: addresses.options_exchange,
+                    position_id: '7',
+                    trader: SENDER,
+                    asset_symbol: 'BTC-USD',
+                    legs_count: '2',
+                    net_debit: '250000000000000000000',
+                    net_credit: '0',
+                    initial_margin: '0',
+                    net_amount_required: '250500000000000000000'
+                }
+            }]
+        }), { sender: SENDER, addresses });
+
+        expect(summary.effects).toEqual([{
+            event: 'PositionOpened',
+            label: 'Paid into position #7 (premium and margin)',
+            amount: -250.5
+        }]);
+    });
+
+    test('nets USDC and IV token changes of a swap', () => {
+        const summary = summarizeSimulation(simulation({
+            changes: [
+                ...storeChanges(SENDER_USDC_STORE, SENDER, addresses.usdc),
+                ...storeChanges(SENDER_IV_STORE, SENDER, '0x1ff')
+            ],
+            events: [
+                { type: '0x1::fungible_asset::Withdraw', data: { store: SENDER_USDC_STORE, amount: '50000000' } },
+                { type: '0x1::fungible_asset::Deposit', data: { store: SENDER_IV_STORE, amount: '1250000' } },
+                { type: '0x1::fungible_asset::Deposit', data: { store: SENDER_USDC_STORE, amount: '500000' } }
+            ]
+        }), { sender: SENDER, addresses });
+
+        expect(summary.balanceChanges).toEqual([
+            { token: 'USDC', metadata: '0x5dc', amount: -49.5 },
+            { token: 'IV', metadata: '0x1ff', amount: 1.25 }
+        ]);
+    });
+
+    test('ignores events of other accounts and other packages', () => {
+        const summary = summarizeSimulation(simulation({
+            changes: storeChanges(VAULT_USDC_STORE, addresses.staking_vault, addresses.usdc),
+            events: [
+                { type: '0x1::fungible_asset::Deposit', data: { store: VAULT_USDC_STORE, amount: '100' } },
+                { type: '0xc0de::staking_vault::Staked', data: { user: '0xa11ce', amount: '100' } },
+                { type: '0xbad::staking_vault::Staked', data: { user: SENDER, amount: '100' } }
+            ]
+        }), { sender: SENDER, addresses });
+
+        expect(summary.balanceChanges).toEqual([]);
+        expect(summary.effects).toEqual([]);
+    });
+
+    test('decodes the abort of a failing simulation', () => {
+        const summary = summarizeSimulation(simulation({
+            success: false,
+            vm_status: 'Move abort in 0xc0de::staking_vault: E_BORROW_OVER_CAP(0x70002): The vault cannot lend more than its borrow cap.'
+        }), { sender: SENDER, addresses });
+
+        expect(summary.success).toBe(false);
+        expect(summary.error.message).toBe('The vault cannot lend more than its borrow cap.');
+        expect(summary.error.action).toMatch(/smaller size/);
+        expect(summary.effects).toEqual([]);
+    });
+});
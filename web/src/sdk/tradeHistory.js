@@ -0,0 +1,271 @@
+// Builds the trade history of an account from its indexed Strata events: one row per trade, with
+// the P&L the trade realized and the running realized P&L of its market.
+//
+// Realized P&L per product:
+//   options    - profit minus loss reported by PositionClosed
+//   volatility - IV sales against the average cost of the IV bought, short reductions and closes
+//                against the share of the collateral they release
+//   staking    - amount received minus amount requested on unstake
+//
+// Event amounts are exact decimal strings and the P&L is computed exactly on 18 decimal integers,
+// so the rows add up to the cent in exports. Only the cost share of an IV sale is rounded, to USDC.
+import { TOKEN_DECIMALS, FIXED_DECIMALS, Rounding, parseFixed, formatFixed, divRound, roundFixed } from "./fixedPoint";
+import { SwapType } from "./StrataClient";
+import { compareEvents } from "./eventStores";
+
+export const HistoryProduct = Object.freeze({
+    OPTIONS: "options",
+    VOLATILITY: "volatility",
+    STAKING: "staking"
+});
+
+/** Events the history is built from, with MarketCreated for the market names, for EventStore.getEvents */
+export const TRADE_HISTORY_EVENTS = Object.freeze([
+    "PositionOpened",
+    "PositionClosed",
+    "Swapped",
+    "ShortOpened",
+    "ShortCollateralAdded",
+    "ShortReduced",
+    "ShortClosed",
+    "Staked",
+    "Unstaked",
+    "MarketCreated"
+]);
+
+/**
+ * Key grouping the history rows of a market
+ * @param {string} product - One of HistoryProduct
+ * @param {string} id - Asset symbol for options, market address for volatility, vault address for staking
+ * @returns {string}
+ */
+export const marketKeyOf = (product, id) => `${product}:${id}`;
+
+/**
+ * Row of the trade history
+ * @typedef {Object} HistoryRow
+ * @property {string} id - Id of the event the row comes from
+ * @property {string} type - Event name
+ * @property {number} version - Transaction version
+ * @property {number} eventIndex
+ * @property {?number} timestamp - Block time in milliseconds
+ * @property {?string} hash - Transaction hash
+ * @property {string} product - One of HistoryProduct
+ * @property {string} marketKey - Groups rows sharing a running P&L, see marketKeyOf
+ * @property {string} market - Display name of the market
+ * @property {string} action - e.g. "Buy IV", "Close position #3"
+ * @property {?number} positionId - Option position id, null for other products
+ * @property {?import("./types").Decimal} ivUnits - IV tokens traded, null for other products
+ * @property {import("./types").Decimal} cashFlow - USDC paid (negative) or received (positive) by the account
+ * @property {?import("./types").Decimal} realizedPnl - P&L realized by the row, null when it opens or adds to a position
+ * @property {import("./types").Decimal} cumulativePnl - Realized P&L of the market up to and including the row
+ */
+
+const toFixed = (amount) => parseFixed(amount, FIXED_DECIMALS);
+const fromFixed = (raw) => formatFixed(raw, FIXED_DECIMALS);
+
+const labelOf = (markets, address) => markets[address] || markets[address.toLowerCase()] || `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+// Running cost basis of the IV tokens held in a market
+const emptyLong = () => ({ units: 0n, cost: 0n });
+
+// Describes the trade behind an event with its amounts as 18 decimal integers, or null for events
+// that are not trades
+const describe = (event, { markets, longs }) => {
+    switch (event.type) {
+        case "PositionOpened":
+            return {
+                product: HistoryProduct.OPTIONS,
+                marketKey: marketKeyOf(HistoryProduct.OPTIONS, event.assetSymbol),
+                market: `${event.assetSymbol} Options`,
+                action: `Open position #${event.positionId}`,
+                positionId: event.positionId,
+                cashFlow: -toFixed(event.netAmountRequired),
+                realizedPnl: null
+            };
+        case "PositionClosed":
+            return {
+                product: HistoryProduct.OPTIONS,
+                marketKey: marketKeyOf(HistoryProduct.OPTIONS, event.assetSymbol),
+                market: `${event.assetSymbol} Options`,
+                action: `Close position #${event.positionId}`,
+                positionId: event.positionId,
+                cashFlow: toFixed(event.amountReturned),
+                realizedPnl: toFixed(event.profit) - toFixed(event.loss)
+            };
+        case "Swapped": {
+            const long = longs.get(event.marketAddress) || emptyLong();
+            longs.set(event.marketAddress, long);
+
+            const amountIn = toFixed(event.amountIn);
+            const amountOut = toFixed(event.amountOut);
+
+            if (event.swapType === SwapType.BUY_IV) {
+                long.units += amountOut;
+                long.cost += amountIn;
+
+                return {
+                    action: "Buy IV",
+                    ivUnits: amountOut,
+                    cashFlow: -amountIn,
+                    realizedPnl: null
+                };
+            }
+
+            // without the purchases, e.g. tokens received by transfer, there is no cost to realize against
+            let realizedPnl = null;
+            if (long.units > 0n) {
+                const sold = amountIn < long.units ? amountIn : long.units;
+                const cost = sold === long.units ?
+                    long.cost :
+                    roundFixed(divRound(long.cost * sold, long.units), FIXED_DECIMALS, TOKEN_DECIMALS, Rounding.HALF_UP);
+
+                realizedPnl = amountOut - cost;
+                long.units -= sold;
+                long.cost -= cost;
+            }
+
+            return {
+                action: "Sell IV",
+                ivUnits: amountIn,
+                cashFlow: amountOut,
+                realizedPnl
+            };
+        }
+        case "ShortOpened":
+            return {
+                action: "Open short",
+                ivUnits: toFixed(event.ivUnitsBorrowed),
+                cashFlow: -toFixed(event.collateral),
+                realizedPnl: null
+            };
+        case "ShortCollateralAdded":
+            return {
+                action: "Add collateral",
+                cashFlow: -toFixed(event.amount),
+                realizedPnl: null
+            };
+        case "ShortReduced":
+            return {
+                action: "Reduce short",
+                ivUnits: toFixed(event.ivUnitsRepaid),
+                cashFlow: toFixed(event.usdcReturned),
+                realizedPnl: toFixed(event.usdcReturned) - toFixed(event.collateralReleased)
+            };
+        case "ShortClosed":
+            return {
+                action: "Close short",
+                ivUnits: toFixed(event.ivUnitsRepaid),
+                cashFlow: toFixed(event.usdcReturned),
+                realizedPnl: toFixed(event.usdcReturned) - toFixed(event.collateral)
+            };
+        case "Staked":
+            return {
+                product: HistoryProduct.STAKING,
+                marketKey: marketKeyOf(HistoryProduct.STAKING, event.vaultAddress),
+                market: "Staking Vault",
+                action: "Stake",
+                cashFlow: -toFixed(event.amount),
+                realizedPnl: null
+            };
+        case "Unstaked":
+            return {
+                product: HistoryProduct.STAKING,
+                marketKey: marketKeyOf(HistoryProduct.STAKING, event.vaultAddress),
+                market: "Staking Vault",
+                action: "Unstake",
+                cashFlow: toFixed(event.amountReceived),
+                realizedPnl: toFixed(event.amountReceived) - toFixed(event.amountRequested)
+            };
+        default:
+            return null;
+    }
+};
+
+const VOLATILITY_EVENTS = ["Swapped", "ShortOpened", "ShortCollateralAdded", "ShortReduced", "ShortClosed"];
+
+/**
+ * Trade history of an account with the running realized P&L of each market
+ * @param {import("./events").StrataEvent[]} events - Events of one account, in any order
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.markets] - Volatility market names keyed by market address,
+ *   see marketNamesOf
+ * @returns {HistoryRow[]} Rows in chain order
+ */
+export const buildTradeHistory = (events, { markets = {} } = {}) => {
+    const longs = new Map();
+    const totals = new Map();
+    const rows = [];
+
+    [...events]
+        .sort(compareEvents)
+        .forEach(event => {
+            const trade = describe(event, { markets, longs });
+            if (!trade) return;
+
+            const { ivUnits = null, cashFlow, realizedPnl, ...details } = trade;
+            const row = {
+                id: event.id,
+                type: event.type,
+                version: event.version,
+                eventIndex: event.eventIndex,
+                timestamp: event.timestamp,
+                hash: event.hash ?? null,
+                positionId: null,
+                ...(VOLATILITY_EVENTS.includes(event.type) && {
+                    product: HistoryProduct.VOLATILITY,
+                    marketKey: marketKeyOf(HistoryProduct.VOLATILITY, event.marketAddress),
+                    market: `${labelOf(markets, event.marketAddress)} IV`
+                }),
+                ...details
+            };
+
+            const cumulativePnl = (totals.get(row.marketKey) || 0n) + (realizedPnl || 0n);
+            totals.set(row.marketKey, cumulativePnl);
+
+            rows.push({
+                ...row,
+                ivUnits: ivUnits === null ? null : fromFixed(ivUnits),
+                cashFlow: fromFixed(cashFlow),
+                realizedPnl: realizedPnl === null ? null : fromFixed(realizedPnl),
+                cumulativePnl: fromFixed(cumulativePnl)
+            });
+        });
+
+    return rows;
+};
+
+/**
+ * Names of the volatility markets, to label history rows
+ * @param {import("./events").StrataEvent[]} events - MarketCreated events
+ * @returns {Object<string, string>} Asset symbol keyed by market address
+ */
+export const marketNamesOf = (events) => Object.fromEntries(events
+    .filter(event => event.type === "MarketCreated")
+    .map(event => [event.marketAddress, event.assetSymbol]));
+
+/**
+ * Realized P&L per market
+ * @param {HistoryRow[]} rows - Output of buildTradeHistory
+ * @returns {{marketKey: string, market: string, product: string, realizedPnl: import("./types").Decimal, trades: number}[]}
+ *   One entry per market, in the order the markets were first traded
+ */
+export const summarizeRealizedPnl = (rows) => {
+    const markets = new Map();
+
+    rows.forEach(row => {
+        const summary = markets.get(row.marketKey) || {
+            marketKey: row.marketKey,
+            market: row.market,
+            product: row.product,
+            realizedPnl: "0",
+            trades: 0
+        };
+
+        summary.realizedPnl = row.cumulativePnl;
+        summary.trades++;
+        markets.set(row.marketKey, summary);
+    });
+
+    return [...markets.values()];
+};
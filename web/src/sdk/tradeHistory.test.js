@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+import fixture from './fixtures/indexerEvents.json';
+import { decodeEvent } from './events';
+import { filterEvents } from './eventStores';
+import { HistoryProduct, buildTradeHistory, marketNamesOf, summarizeRealizedPnl } from './tradeHistory';
+
+const { accounts } = fixture;
+
+const events = fixture.events.map(row => decodeEvent(row.type.split('::').pop(), row));
+const markets = marketNamesOf(events);
+const marketAddress = events.find(event => event.type === 'MarketCreated').marketAddress;
+
+const historyOf = (account) => buildTradeHistory(filterEvents(events, { account }), { markets });
+
+describe('buildTradeHistory', () => {
+    test('lists the trades of an account in chain order', () => {
+        const rows = historyOf(accounts.alice);
+
+        expect(rows.map(row => [row.market, row.action])).toEqual([
+            ['Staking Vault', 'Stake'],
+            ['BTC-USD Options', 'Open position #1'],
+            ['BTC-USD IV', 'Buy IV'],
+            ['BTC-USD IV', 'Open short'],
+            ['APT-USD Options', 'Open position #3'],
+            ['BTC-USD Options', 'Open position #4'],
+            ['BTC-USD IV', 'Sell IV'],
+            ['BTC-USD IV', 'Add collateral'],
+            ['BTC-USD IV', 'Reduce short'],
+            ['BTC-USD Options', 'Close position #1'],
+            ['BTC-USD IV', 'Close short'],
+            ['Staking Vault', 'Unstake'],
+            ['BTC-USD IV', 'Sell IV']
+        ]);
+        expect(rows[2]).toMatchObject({
+            id: '6512001500:2',
+            product: HistoryProduct.VOLATILITY,
+            marketKey: `volatility:${marketAddress}`,
+            ivUnits: '3.9',
+            cashFlow: '-100',
+            realizedPnl: null
+        });
+    });
+
+    test('realizes IV sales against the average cost of the tokens bought', () => {
+        const sales = historyOf(accounts.alice).filter(row => row.action === 'Sell IV');
+
+        // half of the 3.9 IV bought for $100 sold for $55, the rest closed at settlement
+        expect(sales.map(row => row.realizedPnl)).toEqual(['5', '30.4375']);
+    });
+
+    test('realizes shorts against the collateral they release', () => {
+        const shorts = historyOf(accounts.alice).filter(row => ['Reduce short', 'Close short'].includes(row.action));
+
+        expect(shorts.map(row => row.realizedPnl)).toEqual(['3', '-2']);
+        expect(shorts.map(row => row.cashFlow)).toEqual(['33', '28']);
+    });
+
+    test('keeps a running realized P&L per market', () => {
+        const rows = historyOf(accounts.alice);
+        const cumulative = (marketKey) => rows.filter(row => row.marketKey === marketKey).map(row => row.cumulativePnl);
+
+        expect(cumulative(`volatility:${marketAddress}`)).toEqual(['0', '0', '5', '5', '8', '6', '36.4375']);
+        expect(cumulative('options:BTC-USD')).toEqual(['0', '0', '210']);
+        expect(cumulative('options:APT-USD')).toEqual(['0']);
+        expect(rows.filter(row => row.product === HistoryProduct.STAKING).map(row => row.cumulativePnl)).toEqual(['0', '4']);
+    });
+
+    test('cannot realize sales without the purchases', () => {
+        const sales = events.filter(event => event.type === 'Swapped' && event.swapType === 1);
+
+        const rows = buildTradeHistory(sales, { markets });
+
+        expect(rows.map(row => row.realizedPnl)).toEqual([null, null]);
+        expect(rows.map(row => row.cumulativePnl)).toEqual(['0', '0']);
+    });
+
+    test('keeps amounts exact where floats would drift', () => {
+        const swap = (version, swapType, amountIn, amountOut) => ({
+            id: `${version}:0`,
+            type: 'Swapped',
+            version,
+            eventIndex: 0,
+            timestamp: null,
+            marketAddress,
+            swapType,
+            amountIn,
+            amountOut
+        });
+
+        const rows = buildTradeHistory([
+            swap(1, 0, '0.1', '3'),
+            swap(2, 0, '0.2', '3'),
+            // 6 IV bought for 0.3 USDC, a third of them sold at cost and the rest for a 0.1 gain
+            swap(3, 1, '2', '0.1'),
+            swap(4, 1, '4', '0.3')
+        ]);
+
+        expect(rows.map(row => row.cashFlow)).toEqual(['-0.1', '-0.2', '0.1', '0.3']);
+        expect(rows.map(row => row.realizedPnl)).toEqual([null, null, '0', '0.1']);
+        expect(rows[3].cumulativePnl).toBe('0.1');
+    });
+
+    test('names unknown markets by address', () => {
+        const [row] = buildTradeHistory(filterEvents(events, { account: accounts.bob, types: ['Swapped'] }));
+
+        expect(row.market).toBe('0x1b8e…1b8e IV');
+    });
+});
+
+describe('summarizeRealizedPnl', () => {
+    test('totals each market', () => {
+        expect(summarizeRealizedPnl(historyOf(accounts.alice))).toEqual([
+            { marketKey: expect.stringMatching(/^staking:/), market: 'Staking Vault', product: 'staking', realizedPnl: '4', trades: 2 },
+            { marketKey: 'options:BTC-USD', market: 'BTC-USD Options', product: 'options', realizedPnl: '210', trades: 3 },
+            { marketKey: `volatility:${marketAddress}`, market: 'BTC-USD IV', product: 'volatility', realizedPnl: '36.4375', trades: 7 },
+            { marketKey: 'options:APT-USD', market: 'APT-USD Options', product: 'options', realizedPnl: '0', trades: 1 }
+        ]);
+    });
+});
@@ -0,0 +1,162 @@
+// Type definitions shared by the Strata SDK. Every amount the SDK returns is a Decimal, an exact
+// decimal string in whole units ("1.5" = 1.5 USDC), so no precision is lost to floats. Amount
+// inputs also take numbers, and any Decimal can be passed straight back as an input.
+
+/**
+ * Deployed addresses of the Strata contracts
+ * @typedef {Object} StrataAddresses
+ * @property {string} code - Address the Move package is published at
+ * @property {string} usdc - USDC fungible asset metadata address
+ * @property {string} marketplace - Volatility marketplace object
+ * @property {string} staking_vault - Staking vault object
+ * @property {string} options_exchange - Options exchange object
+ * @property {string} price_oracle - Price oracle object
+ */
+
+/**
+ * Exact amount in whole units as a decimal string without trailing zeros, e.g. "0.3" or "-1.25".
+ * Parse it with fixedPoint.parseFixed for exact math, or Number() for display.
+ * @typedef {string} Decimal
+ */
+
+/**
+ * Amount in whole units, either a Decimal or a number
+ * @typedef {Decimal|number} Amount
+ */
+
+/**
+ * Entry function payload accepted by the wallet adapter's signAndSubmitTransaction and,
+ * through its data field, by aptos.transaction.build.simple
+ * @typedef {Object} EntryFunctionPayload
+ * @property {Object} data
+ * @property {string} data.function - Fully qualified function id
+ * @property {Array} data.functionArguments - Encoded arguments
+ */
+
+/**
+ * Active volatility market (volatility_marketplace::MarketMetadata)
+ * @typedef {Object} MarketMetadata
+ * @property {string} symbol - Asset pair, e.g. "BTC-USD"
+ * @property {string} marketAddress - Address of the implied volatility market
+ * @property {string} ivTokenAddress - Address of the market's IV token
+ * @property {Date} expiration - Settlement time
+ */
+
+/**
+ * IV token holdings of a user in one market
+ * @typedef {Object} UserPosition
+ * @property {Decimal} long - IV tokens held
+ * @property {Decimal} short - IV tokens borrowed and sold through the margin account
+ */
+
+/**
+ * @typedef {Object} AmmReserves
+ * @property {Decimal} ivReserves - IV tokens in the pool
+ * @property {Decimal} usdcReserves - USDC in the pool
+ */
+
+/**
+ * @typedef {Object} SwapAmountOut
+ * @property {Decimal} amountOut - Tokens received after fees
+ * @property {Decimal} feeAmount - Fee charged, in USDC
+ */
+
+/**
+ * Isolated margin account backing a short IV position
+ * @typedef {Object} MarginAccount
+ * @property {Decimal} collateral - USDC collateral deposited
+ * @property {Decimal} ivUnitsBorrowed - IV tokens borrowed
+ */
+
+/**
+ * Balances and parameters of the staking vault
+ * @typedef {Object} VaultState
+ * @property {Decimal} stakedAmount - USDC staked, the sum of the stakers' balances
+ * @property {Decimal} claimableAmount - USDC the stakers can redeem, stakes plus fees and trading profit and loss
+ * @property {Decimal} loanAmount - USDC lent to margin accounts as recorded by the vault
+ * @property {Decimal} swapFeesEarned - USDC earned from IV swap fees
+ * @property {Decimal} lendingFeesEarned - USDC earned from margin borrow fees
+ * @property {Decimal} maxBorrowPercentage - Share of the claimable USDC that can be lent, "0.5" = 50%
+ * @property {Decimal} borrowFee - Fee charged on each borrow, "0.04" = 4%
+ */
+
+/**
+ * Leg of an option position. The same shape is used for inputs and for positions read back,
+ * which carry Decimal amounts.
+ * @typedef {Object} OptionLeg
+ * @property {'CALL'|'PUT'} type
+ * @property {'LONG'|'SHORT'} side
+ * @property {Amount} amount - Number of contracts
+ * @property {Amount} strikePrice - Strike in USD
+ * @property {Date} expiration
+ */
+
+/**
+ * Quote returned by options_exchange::price_position
+ * @typedef {Object} OptionQuote
+ * @property {Decimal} netDebit - Premium paid, in USDC
+ * @property {Decimal} netCredit - Premium received, in USDC
+ * @property {Decimal} initialMargin
+ * @property {Decimal} maintenanceMargin
+ * @property {Decimal} underlyingPrice
+ * @property {Decimal} riskFreeRate - Annual rate ("0.05" = 5%)
+ * @property {Decimal} volatility - Annual volatility ("0.3" = 30%)
+ * @property {Date} timestamp
+ */
+
+/**
+ * Option position
+ * @typedef {Object} OptionPosition
+ * @property {string} id
+ * @property {string} symbol - Underlying, e.g. "BTC-USD"
+ * @property {'OPEN'|'CLOSED'|'CANCELLED'|'EXPIRED'} status
+ * @property {OptionLeg[]} legs
+ * @property {OptionQuote} openingQuote
+ * @property {OptionQuote} closingQuote
+ */
+
+/**
+ * Market inputs of the pricing model
+ * @typedef {Object} PricingInputs
+ * @property {Decimal} underlyingPrice
+ * @property {Decimal} riskFreeRate
+ * @property {Decimal} volatility
+ */
+
+/**
+ * Inputs of the on-chain binomial model views
+ * @typedef {Object} ModelInputs
+ * @property {Amount} underlyingPrice
+ * @property {Amount} strikePrice
+ * @property {Amount} riskFreeRate
+ * @property {Amount} volatility
+ * @property {Amount} daysToExpiration
+ * @property {boolean} isCall
+ */
+
+/**
+ * Greeks from binomial_option_pricing::get_greeks, signed, e.g. "-0.42"
+ * @typedef {Object} Greeks
+ * @property {Decimal} delta
+ * @property {Decimal} gamma
+ * @property {Decimal} vega
+ * @property {Decimal} theta
+ * @property {Decimal} rho
+ */
+
+/**
+ * Price held by the on-chain price_oracle
+ * @typedef {Object} OraclePriceInfo
+ * @property {Decimal} price
+ * @property {?Date} publishTime - Pyth publish time of the stored price, null for mock prices
+ * @property {boolean} isMock - Whether the price was set with set_mock_price
+ */
+
+/**
+ * Signed Pyth price update data for update_price_feed_and_open_position
+ * @typedef {Object} PriceUpdates
+ * @property {string[]} underlyingPriceUpdate - Hex encoded update for the underlying
+ * @property {string[]} riskFreeRatePriceUpdate - Hex encoded update for Rates.US10Y
+ */
+
+export {};
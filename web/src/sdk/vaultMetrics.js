@@ -0,0 +1,321 @@
+// Staking vault metrics: value locked, utilization, realized APY, trading volume and stakers,
+// computed from the vault state and the indexed Strata events.
+//
+// The share price is the USDC claimable per staked USDC, the rate get_unstake_amount pays out.
+// Its history is replayed from the vault events: stakes, unstakes, swap fees and borrow fees move
+// the balances by known amounts, while unstakes and VolatilityMarketProfit also give the claimable
+// amount itself, so the replay starts at the first of those, or at a stake into an empty vault,
+// and is corrected by each of them. Losses the vault pays to traders emit no event and show at
+// the next correction.
+import { TOKEN_DECIMALS } from "./fixedPoint";
+import { SwapType } from "./StrataClient";
+import { compareEvents, filterEvents } from "./eventStores";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+/** Trailing windows the realized APY is computed over, in milliseconds */
+export const APY_WINDOWS = Object.freeze({
+    "7d": 7 * DAY_MS,
+    "30d": 30 * DAY_MS
+});
+
+// shorter periods annualize into meaningless rates
+const MIN_APY_PERIOD = DAY_MS;
+
+/** Events the metrics are computed from, for EventStore.getEvents */
+export const VAULT_METRIC_EVENTS = Object.freeze([
+    "Staked",
+    "Unstaked",
+    "MarginBorrowed",
+    "SwapFeesCollected",
+    "VolatilityMarketProfit",
+    "Swapped",
+    "MarketSettled"
+]);
+
+/**
+ * Share price of the vault at a point in time
+ * @typedef {Object} SharePricePoint
+ * @property {?string} id - Id of the event the point follows, null for the current state
+ * @property {?number} timestamp - Block time in milliseconds
+ * @property {number} stakedAmount - USDC staked
+ * @property {number} claimableAmount - USDC the stakers can redeem
+ * @property {number} sharePrice - Claimable USDC per staked USDC
+ */
+
+/**
+ * Metrics of the staking vault
+ * @typedef {Object} VaultMetrics
+ * @property {number} tvl - USDC the stakers can redeem
+ * @property {number} stakedAmount - USDC staked
+ * @property {number} loanAmount - USDC lent to markets that have not settled
+ * @property {number} utilization - Share of the value locked that is lent, 0.25 = 25%
+ * @property {number} maxUtilization - Share of the value locked that can be lent
+ * @property {number} sharePrice - Claimable USDC per staked USDC
+ * @property {Object<string, ?number>} apy - Realized APY per window of APY_WINDOWS, null without enough history
+ * @property {number} maxDrawdown - Largest fall of the share price from a previous high, 0.1 = 10%
+ * @property {number} volume24h - USDC traded in IV swaps over the last 24 hours
+ * @property {number} stakers - Accounts that have staked
+ * @property {number} activeStakers - Accounts with a staked balance
+ * @property {number} swapFeesEarned - USDC earned from IV swap fees
+ * @property {number} lendingFeesEarned - USDC earned from margin borrow fees
+ * @property {SharePricePoint[]} history - Share price history, ending with the current state
+ * @property {StakingMarker[]} markers - Stakes and unstakes of the account, empty without one
+ */
+
+/**
+ * Stake or unstake of an account on the share price history
+ * @typedef {Object} StakingMarker
+ * @property {string} id - Id of the event
+ * @property {string} type - "Staked" or "Unstaked"
+ * @property {number} timestamp - Block time in milliseconds
+ * @property {number} amount - USDC staked, or staked USDC redeemed
+ * @property {number} sharePrice - Share price after the stake, or the rate the unstake was paid at
+ */
+
+// Amounts are whole units as numbers, rounding to USDC precision keeps the sums readable
+const roundToken = (value) => Number(value.toFixed(TOKEN_DECIMALS));
+
+// Event and VaultState amounts are exact decimal strings, the metrics are computed as numbers
+const vaultNumbers = (state) => Object.fromEntries(Object.entries(state).map(([key, value]) => [key, Number(value)]));
+
+/**
+ * Claimable USDC per staked USDC, 1 for an empty vault as stakes are taken one for one
+ * @param {number} stakedAmount
+ * @param {number} claimableAmount
+ * @returns {number}
+ */
+export const sharePriceOf = (stakedAmount, claimableAmount) => stakedAmount > 0 ? claimableAmount / stakedAmount : 1;
+
+/**
+ * Share price after each vault event whose balances are known, in chain order
+ * @param {import("./events").StrataEvent[]} events - Vault events, other types are ignored
+ * @param {Object} [options]
+ * @param {import("./types").VaultState} [options.state] - Current state, appended as the last point
+ * @param {number} [options.now] - Time of the current state in milliseconds
+ * @returns {SharePricePoint[]}
+ */
+export const sharePriceHistory = (events, { state, now = Date.now() } = {}) => {
+    let stakedAmount = null;
+    let claimableAmount = null;
+    const points = [];
+
+    const addClaimable = (amount) => {
+        if (claimableAmount !== null) claimableAmount += amount;
+    };
+
+    for (const event of [...events].sort(compareEvents)) {
+        switch (event.type) {
+            case "Staked": {
+                const amount = Number(event.amount);
+                const totalStakedAmount = Number(event.totalStakedAmount);
+
+                // the first stake into an empty vault
+                if (totalStakedAmount === amount) claimableAmount = 0;
+                addClaimable(amount);
+                stakedAmount = totalStakedAmount;
+                break;
+            }
+            case "Unstaked": {
+                const amountRequested = Number(event.amountRequested);
+                const amountReceived = Number(event.amountReceived);
+                const totalStakedAmount = Number(event.totalStakedAmount);
+
+                // paid out at the share price before the unstake
+                if (amountRequested > 0) {
+                    claimableAmount = amountReceived / amountRequested * (totalStakedAmount + amountRequested);
+                }
+                addClaimable(-amountReceived);
+                stakedAmount = totalStakedAmount;
+                break;
+            }
+            case "SwapFeesCollected":
+                addClaimable(Number(event.amount));
+                break;
+            case "MarginBorrowed":
+                addClaimable(Number(event.borrowFee));
+                break;
+            case "VolatilityMarketProfit":
+                claimableAmount = Number(event.totalClaimableAmount);
+                break;
+            default:
+                continue;
+        }
+
+        if (stakedAmount !== null && claimableAmount !== null) {
+            points.push({
+                id: event.id,
+                timestamp: event.timestamp,
+                stakedAmount,
+                claimableAmount: roundToken(claimableAmount),
+                sharePrice: sharePriceOf(stakedAmount, claimableAmount)
+            });
+        }
+    }
+
+    if (state) {
+        const current = vaultNumbers(state);
+
+        points.push({
+            id: null,
+            timestamp: now,
+            stakedAmount: current.stakedAmount,
+            claimableAmount: current.claimableAmount,
+            sharePrice: sharePriceOf(current.stakedAmount, current.claimableAmount)
+        });
+    }
+
+    return points;
+};
+
+/**
+ * Annualized, compounded change of the share price over a trailing window. A vault younger than
+ * the window is measured from its oldest known share price.
+ * @param {SharePricePoint[]} history - See sharePriceHistory
+ * @param {number} window - Length of the window in milliseconds
+ * @param {number} [now] - End of the window in milliseconds
+ * @returns {?number} 0.1 = 10%, null when the history spans less than a day
+ */
+export const trailingApy = (history, window, now = Date.now()) => {
+    const points = history.filter(point => point.timestamp !== null && point.timestamp <= now);
+    if (points.length === 0) return null;
+
+    const windowStart = now - window;
+    const end = points[points.length - 1];
+    // the share price in effect when the window starts
+    const start = points.filter(point => point.timestamp <= windowStart).pop() || points[0];
+    const period = end.timestamp - Math.max(start.timestamp, windowStart);
+
+    if (period < MIN_APY_PERIOD || start.sharePrice <= 0) return null;
+
+    return Math.pow(end.sharePrice / start.sharePrice, YEAR_MS / period) - 1;
+};
+
+/**
+ * Largest fall of the share price from a previous high, the worst loss a staker could have had
+ * @param {SharePricePoint[]} history - See sharePriceHistory
+ * @returns {number} 0.1 = 10%
+ */
+export const maxDrawdown = (history) => {
+    let peak = 0;
+    let drawdown = 0;
+
+    for (const { sharePrice } of history) {
+        peak = Math.max(peak, sharePrice);
+        if (peak > 0) drawdown = Math.max(drawdown, 1 - sharePrice / peak);
+    }
+
+    return drawdown;
+};
+
+/**
+ * Stakes and unstakes of an account placed on the share price history. Stakes made before the
+ * history starts have no share price and are left out.
+ * @param {SharePricePoint[]} history - See sharePriceHistory
+ * @param {import("./events").StrataEvent[]} events - Staked and Unstaked events, other types are ignored
+ * @param {string} account - Account address
+ * @returns {StakingMarker[]}
+ */
+export const stakingMarkers = (history, events, account) => {
+    const sharePrices = new Map(history.map(point => [point.id, point.sharePrice]));
+
+    return filterEvents(events, { types: ["Staked", "Unstaked"], account })
+        .filter(event => event.timestamp !== null)
+        .map(event => event.type === "Staked" ? {
+            id: event.id,
+            type: event.type,
+            timestamp: event.timestamp,
+            amount: Number(event.amount),
+            sharePrice: sharePrices.get(event.id)
+        } : {
+            id: event.id,
+            type: event.type,
+            timestamp: event.timestamp,
+            amount: Number(event.amountRequested),
+            sharePrice: Number(event.amountRequested) > 0 ? Number(event.amountReceived) / Number(event.amountRequested) : sharePrices.get(event.id)
+        })
+        .filter(marker => marker.sharePrice !== undefined);
+};
+
+/**
+ * USDC traded in IV swaps, the amount paid in for buys and paid out for sells
+ * @param {import("./events").StrataEvent[]} events - Other types than Swapped are ignored
+ * @param {Object} range
+ * @param {number} range.from - Start in milliseconds, inclusive
+ * @param {number} [range.to] - End in milliseconds, exclusive
+ * @returns {number}
+ */
+export const tradingVolume = (events, { from, to = Infinity }) => roundToken(events
+    .filter(event => event.type === "Swapped" && event.timestamp !== null && event.timestamp >= from && event.timestamp < to)
+    .reduce((volume, event) => volume + Number(event.swapType === SwapType.BUY_IV ? event.amountIn : event.amountOut), 0));
+
+/**
+ * USDC lent to IV markets that have not settled. The vault does not update usdc_loan_amount, so
+ * the loans are summed from MarginBorrowed events; settlement returns a market's USDC to the vault.
+ * @param {import("./events").StrataEvent[]} events - MarginBorrowed and MarketSettled events
+ * @returns {number}
+ */
+export const outstandingLoans = (events) => {
+    const settled = new Set(events
+        .filter(event => event.type === "MarketSettled")
+        .map(event => event.marketAddress.toLowerCase()));
+
+    return roundToken(events
+        .filter(event => event.type === "MarginBorrowed" && !settled.has(event.liquidityPoolAddress.toLowerCase()))
+        .reduce((total, event) => total + Number(event.amount), 0));
+};
+
+/**
+ * Accounts that have staked, and those of them with a staked balance left
+ * @param {import("./events").StrataEvent[]} events - Staked and Unstaked events
+ * @returns {{stakers: number, activeStakers: number}}
+ */
+export const countStakers = (events) => {
+    const balances = new Map();
+
+    for (const event of [...events].sort(compareEvents)) {
+        if (event.type === "Staked") {
+            balances.set(event.user.toLowerCase(), Number(event.userBalance));
+        } else if (event.type === "Unstaked") {
+            balances.set(event.user.toLowerCase(), Number(event.remainingBalance));
+        }
+    }
+
+    return {
+        stakers: balances.size,
+        activeStakers: [...balances.values()].filter(balance => balance > 0).length
+    };
+};
+
+/**
+ * Metrics of the staking vault
+ * @param {Object} params
+ * @param {import("./types").VaultState} params.state - Current state, see StrataClient.getVaultState
+ * @param {import("./events").StrataEvent[]} params.events - Events of VAULT_METRIC_EVENTS
+ * @param {number} [params.now] - Time of the state in milliseconds
+ * @param {?string} [params.account] - Account whose stakes and unstakes are returned as markers
+ * @returns {VaultMetrics}
+ */
+export const computeVaultMetrics = ({ state, events, now = Date.now(), account = null }) => {
+    const history = sharePriceHistory(events, { state, now });
+    const loanAmount = outstandingLoans(events);
+    const current = vaultNumbers(state);
+
+    return {
+        tvl: current.claimableAmount,
+        stakedAmount: current.stakedAmount,
+        loanAmount,
+        utilization: current.claimableAmount > 0 ? loanAmount / current.claimableAmount : 0,
+        maxUtilization: current.maxBorrowPercentage,
+        sharePrice: sharePriceOf(current.stakedAmount, current.claimableAmount),
+        apy: Object.fromEntries(Object.entries(APY_WINDOWS).map(([name, window]) => [name, trailingApy(history, window, now)])),
+        maxDrawdown: maxDrawdown(history),
+        volume24h: tradingVolume(events, { from: now - DAY_MS, to: now }),
+        ...countStakers(events),
+        swapFeesEarned: current.swapFeesEarned,
+        lendingFeesEarned: current.lendingFeesEarned,
+        history,
+        markers: account ? stakingMarkers(history, events, account) : []
+    };
+};
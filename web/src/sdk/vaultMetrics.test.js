@@ -0,0 +1,185 @@
+/**
+ * @jest-environment node
+ */
+import fixture from './fixtures/indexerEvents.json';
+import { decodeEvent } from './events';
+import {
+    APY_WINDOWS,
+    sharePriceHistory,
+    trailingApy,
+    maxDrawdown,
+    stakingMarkers,
+    tradingVolume,
+    outstandingLoans,
+    countStakers,
+    computeVaultMetrics
+} from './vaultMetrics';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const { accounts } = fixture;
+
+const timestamps = Object.fromEntries(fixture.user_transactions.map(transaction => [
+    Number(transaction.version),
+    Date.parse(`${transaction.timestamp}Z`)
+]));
+const events = fixture.events.map(row => decodeEvent(
+    row.type.split('::').pop(),
+    row,
+    timestamps[Number(row.transaction_version)]
+));
+
+// an empty vault staked into on day 0, earning on days 1 to 3 and paying out an unstake on day 4
+const start = Date.parse('2025-10-01T00:00:00Z');
+const vaultEvent = (type, day, data) => ({
+    id: `${100 + day}:0`,
+    type,
+    version: 100 + day,
+    eventIndex: 0,
+    timestamp: start + day * DAY_MS,
+    account: data.user || data.borrower || null,
+    ...data
+});
+const vaultEvents = [
+    vaultEvent('Staked', 0, { user: accounts.alice, amount: '1000', totalStakedAmount: '1000', userBalance: '1000' }),
+    vaultEvent('VolatilityMarketProfit', 1, { amount: '10', totalClaimableAmount: '1010' }),
+    vaultEvent('SwapFeesCollected', 2, { amount: '5', totalSwapFees: '5' }),
+    vaultEvent('MarginBorrowed', 3, { borrower: accounts.bob, liquidityPoolAddress: '0x1', amount: '125', borrowFee: '5' }),
+    vaultEvent('Unstaked', 4, { user: accounts.alice, amountRequested: '100', amountReceived: '102', remainingBalance: '900', totalStakedAmount: '900' })
+];
+// as read with StrataClient.getVaultState
+const state = {
+    stakedAmount: '900',
+    claimableAmount: '927',
+    loanAmount: '0',
+    swapFeesEarned: '5',
+    lendingFeesEarned: '5',
+    maxBorrowPercentage: '0.5',
+    borrowFee: '0.04'
+};
+const now = start + 8 * DAY_MS;
+
+describe('sharePriceHistory', () => {
+    test('replays the balances from a stake into an empty vault', () => {
+        const history = sharePriceHistory(vaultEvents, { state, now });
+
+        expect(history.map(point => [point.timestamp, point.stakedAmount, point.claimableAmount])).toEqual([
+            [start, 1000, 1000],
+            [start + DAY_MS, 1000, 1010],
+            [start + 2 * DAY_MS, 1000, 1015],
+            [start + 3 * DAY_MS, 1000, 1020],
+            [start + 4 * DAY_MS, 900, 918],
+            [now, 900, 927]
+        ]);
+        expect(history.map(point => point.sharePrice)).toEqual([1, 1.01, 1.015, 1.02, 1.02, 1.03]);
+        expect(history.map(point => point.id)).toEqual(['100:0', '101:0', '102:0', '103:0', '104:0', null]);
+    });
+
+    test('takes the claimable amount from the rate unstakes are paid at', () => {
+        // history starting after the first stake
+        const history = sharePriceHistory(vaultEvents.slice(1).filter(event => event.type !== 'VolatilityMarketProfit'));
+
+        expect(history).toHaveLength(1);
+        expect(history[0]).toMatchObject({ stakedAmount: 900, claimableAmount: 918 });
+    });
+});
+
+describe('trailingApy', () => {
+    const history = sharePriceHistory(vaultEvents, { state, now });
+
+    test('annualizes the share price change over the window', () => {
+        expect(trailingApy(history, 7 * DAY_MS, now)).toBeCloseTo(Math.pow(1.03 / 1.01, 365 / 7) - 1, 10);
+        expect(trailingApy(history, 5 * DAY_MS, now)).toBeCloseTo(Math.pow(1.03 / 1.02, 365 / 5) - 1, 10);
+    });
+
+    test('measures a younger vault from its oldest share price', () => {
+        expect(trailingApy(history, APY_WINDOWS['30d'], now)).toBeCloseTo(Math.pow(1.03, 365 / 8) - 1, 10);
+    });
+
+    test('needs a day of history', () => {
+        expect(trailingApy(history, APY_WINDOWS['7d'], start + DAY_MS / 2)).toBeNull();
+        expect(trailingApy([], APY_WINDOWS['7d'], now)).toBeNull();
+    });
+});
+
+describe('maxDrawdown', () => {
+    test('measures the largest fall from a previous high', () => {
+        const history = [1, 1.1, 0.99, 1.05, 0.9, 1.2].map(sharePrice => ({ sharePrice }));
+
+        // from 1.1 down to 0.9
+        expect(maxDrawdown(history)).toBeCloseTo(1 - 0.9 / 1.1, 10);
+        expect(maxDrawdown(sharePriceHistory(vaultEvents, { state, now }))).toBe(0);
+    });
+});
+
+describe('stakingMarkers', () => {
+    test('places the stakes and unstakes of an account on the history', () => {
+        const history = sharePriceHistory(vaultEvents, { state, now });
+
+        expect(stakingMarkers(history, vaultEvents, accounts.alice)).toEqual([
+            { id: '100:0', type: 'Staked', timestamp: start, amount: 1000, sharePrice: 1 },
+            { id: '104:0', type: 'Unstaked', timestamp: start + 4 * DAY_MS, amount: 100, sharePrice: 1.02 }
+        ]);
+        expect(stakingMarkers(history, vaultEvents, accounts.bob)).toEqual([]);
+    });
+
+    test('leaves out stakes made before the history starts', () => {
+        const history = sharePriceHistory(events);
+
+        expect(stakingMarkers(history, events, accounts.alice).map(marker => marker.type)).toEqual(['Unstaked']);
+    });
+});
+
+describe('tradingVolume', () => {
+    test('sums the USDC side of IV swaps in the range', () => {
+        const end = Date.parse('2025-10-25T10:30:00Z');
+
+        // the sells at 10:52 and 11:56 the day before
+        expect(tradingVolume(events, { from: end - DAY_MS, to: end })).toBe(135.4375);
+        // buys count the USDC paid in
+        expect(tradingVolume(events, { from: 0 })).toBe(275.4375);
+    });
+});
+
+describe('outstandingLoans', () => {
+    test('sums the borrows of markets that have not settled', () => {
+        const borrow = events.find(event => event.type === 'MarginBorrowed');
+        const settlement = { type: 'MarketSettled', marketAddress: borrow.liquidityPoolAddress.toUpperCase() };
+
+        expect(outstandingLoans(events)).toBe(5000);
+        expect(outstandingLoans([...events, settlement])).toBe(0);
+    });
+});
+
+describe('countStakers', () => {
+    test('counts accounts that staked and those with a balance left', () => {
+        expect(countStakers(events)).toEqual({ stakers: 1, activeStakers: 1 });
+        expect(countStakers([
+            ...events,
+            { type: 'Staked', version: 6512005000, eventIndex: 0, user: accounts.bob, userBalance: '50' },
+            { type: 'Unstaked', version: 6512005100, eventIndex: 0, user: accounts.bob, remainingBalance: '0' }
+        ])).toEqual({ stakers: 2, activeStakers: 1 });
+    });
+});
+
+describe('computeVaultMetrics', () => {
+    test('combines the vault state with the events', () => {
+        const metrics = computeVaultMetrics({ state, events: vaultEvents, now });
+
+        expect(metrics).toMatchObject({
+            tvl: 927,
+            stakedAmount: 900,
+            loanAmount: 125,
+            maxUtilization: 0.5,
+            sharePrice: 1.03,
+            volume24h: 0,
+            stakers: 1,
+            activeStakers: 1
+        });
+        expect(metrics.utilization).toBeCloseTo(125 / 927, 10);
+        expect(Object.keys(metrics.apy)).toEqual(['7d', '30d']);
+        expect(metrics.history).toHaveLength(6);
+        expect(metrics.markers).toEqual([]);
+        expect(computeVaultMetrics({ state, events: vaultEvents, now, account: accounts.alice }).markers).toHaveLength(2);
+    });
+});